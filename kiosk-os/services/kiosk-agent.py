@@ -4,6 +4,7 @@ Kiosk Agent - Main communication agent between kiosk device and management serve
 """
 
 import asyncio
+import glob
 import json
 import logging
 import os
@@ -15,9 +16,30 @@ from datetime import datetime, timezone
 from pathlib import Path
 from typing import Dict, Any, Optional, List
 
+import hashlib
+import base64
+
 import aiohttp
 import websockets
+from cryptography.exceptions import InvalidSignature
 from cryptography.fernet import Fernet
+from cryptography.hazmat.primitives.asymmetric.ed25519 import Ed25519PublicKey
+
+# Matches KIOSK_AGENT_VERSION in the buildroot package
+AGENT_VERSION = '1.0.0'
+
+# Seconds a fetched signing key set is trusted before it is fetched again,
+# so keys the server revoked stop verifying packages
+TRUSTED_KEYS_MAX_AGE = 300
+
+# Hardware capability, the management.conf switch for it and the device nodes that reveal it
+CAPABILITY_PROBES = {
+    'touch': (('display', 'enable_touch'), ['/dev/input/touchscreen*', '/dev/input/by-path/*-event-touch*']),
+    'gpio': (('hardware', 'enable_gpio'), ['/sys/class/gpio/gpiochip*', '/dev/gpiochip*']),
+    'i2c': (('hardware', 'enable_i2c'), ['/dev/i2c-*']),
+    'spi': (('hardware', 'enable_spi'), ['/dev/spidev*']),
+    'uart': (('hardware', 'enable_uart'), ['/dev/ttyS*', '/dev/ttyAMA*', '/dev/ttyUSB*']),
+}
 
 
 class KioskAgent:
@@ -25,13 +47,18 @@ class KioskAgent:
     
     def __init__(self, config_file: str = '/etc/kiosk/management.conf'):
         self.config_file = config_file
-        self.config = ConfigParser()
+        # No interpolation, values such as Wi-Fi passwords may contain %
+        self.config = ConfigParser(interpolation=None)
         self.device_id = None
         self.session = None
         self.websocket = None
         self.running = False
         self.logger = self._setup_logging()
         self.encryption_key = None
+        self.trusted_keys = {}
+        self.trusted_keys_fetched_at = None
+        self.pending_sessions = []
+        self.reported_runs = {}
         
         # Load configuration
         self.load_config()
@@ -174,6 +201,9 @@ class KioskAgent:
             'hostname': os.uname().nodename,
             'kernel': os.uname().release,
             'architecture': os.uname().machine,
+            'agent_version': AGENT_VERSION,
+            'os_version': self.get_os_version(),
+            'capabilities': self.get_capabilities(),
             'timestamp': datetime.now(timezone.utc).isoformat(),
         }
         
@@ -235,6 +265,27 @@ class KioskAgent:
             
         return info
         
+    def get_os_version(self) -> Optional[str]:
+        """Kiosk OS release from /etc/os-release"""
+        try:
+            with open('/etc/os-release', 'r') as f:
+                for line in f:
+                    if line.startswith('VERSION_ID='):
+                        return line.split('=', 1)[1].strip().strip('"')
+        except OSError:
+            pass
+        return None
+        
+    def get_capabilities(self) -> List[str]:
+        """Hardware interfaces that are enabled and present"""
+        capabilities = []
+        for capability, ((section, option), patterns) in CAPABILITY_PROBES.items():
+            if not self.config.getboolean(section, option, fallback=True):
+                continue
+            if any(glob.glob(pattern) for pattern in patterns):
+                capabilities.append(capability)
+        return capabilities
+        
     def _parse_network_interfaces(self, ip_output: str) -> List[Dict[str, Any]]:
         """Parse network interface information"""
         interfaces = []
@@ -282,11 +333,69 @@ class KioskAgent:
             
         return interfaces
         
+    async def register_device(self) -> bool:
+        """Exchange the enrollment token for a per-device API key"""
+        api_key = self.config.get('server', 'api_key', fallback='')
+        if api_key:
+            return True
+            
+        if not self.config.getboolean('server', 'auto_register', fallback=False):
+            self.logger.warning("No API key configured and auto_register is disabled")
+            return False
+            
+        enrollment_token = self.config.get('server', 'enrollment_token', fallback='')
+        if not enrollment_token:
+            self.logger.warning("No API key or enrollment token configured")
+            return False
+            
+        try:
+            server_url = self.config.get('server', 'url')
+            api_path = self.config.get('server', 'api_path', fallback='/api')
+            
+            url = f"{server_url}{api_path}/devices/register"
+            
+            system_info = await self.get_system_info()
+            payload = {
+                'enrollment_token': enrollment_token,
+                'device_id': self.device_id,
+                'name': system_info.get('hostname', self.device_id),
+                'hardware_info': system_info
+            }
+            
+            headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'KioskAgent/1.0'
+            }
+            
+            async with self.session.post(url, json=payload, headers=headers) as response:
+                if response.status != 201:
+                    self.logger.error(f"Device registration failed: HTTP {response.status}")
+                    return False
+                    
+                response_data = await response.json()
+                
+            # Persist the credential, the enrollment token is no longer needed
+            self.config.set('server', 'api_key', response_data['api_key'])
+            self.config.set('server', 'enrollment_token', '')
+            with open(self.config_file, 'w') as f:
+                self.config.write(f)
+                
+            self.logger.info("Device registered with management server")
+            return True
+            
+        except Exception as e:
+            self.logger.error(f"Failed to register device: {e}")
+            return False
+            
     async def send_heartbeat(self):
         """Send heartbeat to management server"""
         if not self.session:
             return
             
+        # Enroll first if no credential is configured yet
+        if not await self.register_device():
+            return
+            
         try:
             server_url = self.config.get('server', 'url')
             api_path = self.config.get('server', 'api_path', fallback='/api')
@@ -297,6 +406,17 @@ class KioskAgent:
             # Collect system information
             system_info = await self.get_system_info()
             
+            # Lets the server tell a missed heartbeat from a slow one
+            system_info['heartbeat_interval'] = self.config.getint('server', 'heartbeat_interval', fallback=60)
+            
+            # The server compares these with what it has assigned to the device
+            system_info['installed_apps'] = self.get_installed_apps()
+            
+            # Ended application runs, kept until the server has them
+            self.collect_app_sessions(system_info['installed_apps'])
+            sessions = self.pending_sessions[:100]
+            system_info['app_sessions'] = sessions
+            
             headers = {
                 'Content-Type': 'application/json',
                 'User-Agent': 'KioskAgent/1.0'
@@ -308,6 +428,7 @@ class KioskAgent:
             async with self.session.post(url, json=system_info, headers=headers) as response:
                 if response.status == 200:
                     self.logger.debug("Heartbeat sent successfully")
+                    self.pending_sessions = self.pending_sessions[len(sessions):]
                     
                     # Process any commands from server
                     try:
@@ -323,15 +444,88 @@ class KioskAgent:
         except Exception as e:
             self.logger.error(f"Failed to send heartbeat: {e}")
             
+    def get_installed_apps(self) -> List[Dict[str, Any]]:
+        """Applications under app_directory, each described by its app.json"""
+        app_directory = Path(self.config.get('applications', 'app_directory', fallback='/opt/kiosk/apps'))
+        if not app_directory.is_dir():
+            return []
+            
+        running = set()
+        if self.config.get('applications', 'container_runtime', fallback='docker') == 'docker':
+            import subprocess
+            try:
+                result = subprocess.run(['docker', 'ps', '--format', '{{.Names}}'],
+                                        capture_output=True, text=True, timeout=10)
+                running = set(result.stdout.split())
+            except Exception as e:
+                self.logger.debug(f"Could not list running containers: {e}")
+                
+        apps = []
+        for manifest in sorted(app_directory.glob('*/app.json')):
+            try:
+                info = json.loads(manifest.read_text())
+            except Exception as e:
+                self.logger.warning(f"Skipping unreadable {manifest}: {e}")
+                continue
+            package_name = info.get('package_name') or manifest.parent.name
+            apps.append({
+                'package_name': package_name,
+                'name': info.get('name', package_name),
+                'version': info.get('version'),
+                'running': package_name in running
+            })
+        return apps
+        
+    def collect_app_sessions(self, installed_apps: List[Dict[str, Any]]):
+        """Queue a session for every application container run that ended since the last check"""
+        if self.config.get('applications', 'container_runtime', fallback='docker') != 'docker':
+            return
+            
+        import subprocess
+        for app in installed_apps:
+            if app['running']:
+                continue
+            try:
+                result = subprocess.run(['docker', 'inspect', '--format', '{{json .State}}', app['package_name']],
+                                        capture_output=True, text=True, timeout=10)
+                if result.returncode != 0:
+                    continue
+                state = json.loads(result.stdout)
+            except Exception as e:
+                self.logger.debug(f"Could not inspect {app['package_name']}: {e}")
+                continue
+                
+            started_at = state.get('StartedAt', '')
+            if not started_at or started_at.startswith('0001-') or self.reported_runs.get(app['package_name']) == started_at:
+                continue
+            self.reported_runs[app['package_name']] = started_at
+            
+            exit_code = state.get('ExitCode')
+            self.pending_sessions.append({
+                # The same run always maps to the same session, the server ignores repeats
+                'session_id': f"{app['package_name']}-{started_at}",
+                'package_name': app['package_name'],
+                'version': app.get('version'),
+                'started_at': started_at,
+                'ended_at': state.get('FinishedAt'),
+                # 143 is the SIGTERM of docker stop, not a crash
+                'crashed': bool(state.get('OOMKilled')) or (exit_code not in (None, 0, 143)),
+                'exit_code': exit_code
+            })
+            
     async def process_commands(self, commands: List[Dict[str, Any]]):
         """Process commands from management server"""
         for command in commands:
+            command_id = command.get('id')
             try:
                 command_type = command.get('type')
                 self.logger.info(f"Processing command: {command_type}")
                 
                 if command_type == 'restart':
+                    # Report before rebooting, there is no chance afterwards
+                    await self.report_command_result(command_id, 'succeeded')
                     await self.restart_system()
+                    continue
                 elif command_type == 'update':
                     await self.update_system(command.get('data', {}))
                 elif command_type == 'install_app':
@@ -342,9 +536,45 @@ class KioskAgent:
                     await self.configure_system(command.get('data', {}))
                 else:
                     self.logger.warning(f"Unknown command type: {command_type}")
+                    await self.report_command_result(command_id, 'failed', f"Unknown command type: {command_type}")
+                    continue
+                    
+                await self.report_command_result(command_id, 'succeeded')
                     
             except Exception as e:
                 self.logger.error(f"Failed to process command {command.get('type')}: {e}")
+                await self.report_command_result(command_id, 'failed', str(e))
+                
+    async def report_command_result(self, command_id: Optional[str], status: str, error: Optional[str] = None):
+        """Report the outcome of a queued command to the management server"""
+        if not command_id or not self.session:
+            return
+            
+        try:
+            server_url = self.config.get('server', 'url')
+            api_path = self.config.get('server', 'api_path', fallback='/api')
+            api_key = self.config.get('server', 'api_key', fallback='')
+            
+            url = f"{server_url}{api_path}/devices/{self.device_id}/commands/{command_id}/result"
+            
+            payload = {'status': status}
+            if error:
+                payload['error'] = error
+                
+            headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'KioskAgent/1.0'
+            }
+            
+            if api_key:
+                headers['Authorization'] = f'Bearer {api_key}'
+                
+            async with self.session.post(url, json=payload, headers=headers) as response:
+                if response.status != 200:
+                    self.logger.error(f"Command result report failed: HTTP {response.status}")
+                    
+        except Exception as e:
+            self.logger.error(f"Failed to report command result: {e}")
                 
     async def restart_system(self):
         """Restart the system"""
@@ -355,16 +585,100 @@ class KioskAgent:
     async def update_system(self, data: Dict[str, Any]):
         """Update system"""
         self.logger.info("System update requested")
+        if data.get('url'):
+            image_path = await self.download_verified(data)
+            self.logger.info(f"OS image verified at {image_path}")
         # Implementation depends on update mechanism
         pass
         
+    async def fetch_trusted_keys(self):
+        """Load the server's package signing public keys, keyed by key ID"""
+        server_url = self.config.get('server', 'url')
+        api_path = self.config.get('server', 'api_path', fallback='/api')
+        
+        async with self.session.get(f"{server_url}{api_path}/signing-keys/public") as response:
+            if response.status != 200:
+                raise Exception(f"Failed to fetch signing keys: HTTP {response.status}")
+            key_set = await response.json()
+            
+        # Replaces the whole set, keys the server no longer lists are dropped
+        self.trusted_keys = {
+            key['key_id']: Ed25519PublicKey.from_public_bytes(base64.b64decode(key['public_key']))
+            for key in key_set.get('keys', [])
+            if key.get('algorithm') == 'ed25519'
+        }
+        self.trusted_keys_fetched_at = time.monotonic()
+        
+    async def verify_signature(self, sha256: str, signature: Optional[str], key_id: Optional[str]):
+        """Check a detached signature over a package's SHA-256 digest, raises if it does not hold"""
+        if not signature or not key_id:
+            if self.config.getboolean('security', 'verify_signatures', fallback=True):
+                raise Exception("Package is not signed")
+            self.logger.warning("Installing unsigned package, verify_signatures is off")
+            return
+            
+        stale = (self.trusted_keys_fetched_at is None
+                 or time.monotonic() - self.trusted_keys_fetched_at > TRUSTED_KEYS_MAX_AGE)
+        if stale or key_id not in self.trusted_keys:
+            # Keys rotate and get revoked, a failed refresh leaves nothing trusted
+            self.trusted_keys = {}
+            self.trusted_keys_fetched_at = None
+            await self.fetch_trusted_keys()
+        if key_id not in self.trusted_keys:
+            raise Exception(f"Package signed by untrusted key {key_id}")
+            
+        try:
+            self.trusted_keys[key_id].verify(base64.b64decode(signature), bytes.fromhex(sha256))
+        except InvalidSignature:
+            raise Exception(f"Invalid package signature for key {key_id}")
+            
+    async def download_verified(self, data: Dict[str, Any]) -> Path:
+        """Download a package or OS image, then check its hash and signature"""
+        url = data['url']
+        if url.startswith('/'):
+            # Files in the server's artifact store come with a server relative URL
+            url = f"{self.config.get('server', 'url')}{url}"
+            
+        download_dir = Path(self.config.get('applications', 'data_directory', fallback='/var/lib/kiosk/data')) / 'downloads'
+        download_dir.mkdir(parents=True, exist_ok=True)
+        target = download_dir / (data.get('sha256') or str(uuid.uuid4()))
+        
+        headers = {'User-Agent': 'KioskAgent/1.0'}
+        api_key = self.config.get('server', 'api_key', fallback='')
+        if api_key and url.startswith(self.config.get('server', 'url')):
+            headers['Authorization'] = f'Bearer {api_key}'
+            
+        digest = hashlib.sha256()
+        async with self.session.get(url, headers=headers) as response:
+            if response.status != 200:
+                raise Exception(f"Download failed: HTTP {response.status}")
+            with open(target, 'wb') as f:
+                async for chunk in response.content.iter_chunked(65536):
+                    digest.update(chunk)
+                    f.write(chunk)
+                    
+        try:
+            sha256 = digest.hexdigest()
+            if data.get('sha256') and sha256 != data['sha256']:
+                raise Exception(f"Checksum mismatch: expected {data['sha256']}, got {sha256}")
+            await self.verify_signature(sha256, data.get('signature'), data.get('signature_key_id'))
+        except Exception:
+            target.unlink(missing_ok=True)
+            raise
+            
+        return target
+        
     async def install_application(self, data: Dict[str, Any]):
         """Install application"""
         app_name = data.get('name')
-        app_url = data.get('url')
-        self.logger.info(f"Installing application: {app_name}")
+        self.logger.info(f"Installing application: {app_name} {data.get('version', '')} (sha256 {data.get('sha256')}, key {data.get('signature_key_id')})")
+        if data.get('url'):
+            # Refuses tampered or unsigned packages before anything is installed
+            package_path = await self.download_verified(data)
+            self.logger.info(f"Package verified at {package_path}")
         # Implementation depends on application format (container, package, etc.)
-        pass
+        if data.get('package_name') and data.get('config') is not None:
+            self.write_application_config(data['package_name'], data['config'])
         
     async def uninstall_application(self, data: Dict[str, Any]):
         """Uninstall application"""
@@ -375,10 +689,81 @@ class KioskAgent:
         
     async def configure_system(self, data: Dict[str, Any]):
         """Configure system settings"""
+        if data.get('package_name'):
+            # Settings of one application, resolved by the server from its config schema and overrides
+            self.write_application_config(data['package_name'], data.get('config', {}))
+            return
+        if 'system_config' in data:
+            # Effective configuration from the server's config profiles, by management.conf section
+            self.apply_system_config(data['system_config'])
+            return
         self.logger.info("System configuration update requested")
         # Implementation depends on configuration format
         pass
         
+    def managed_config_file(self) -> Path:
+        """Keys set by the server and the values they had before, next to management.conf"""
+        return Path(self.config_file).with_name('management.managed.json')
+        
+    def apply_system_config(self, sections: Dict[str, Any]):
+        """Write profile settings into management.conf, [server] stays local.
+        Keys an earlier configuration set that are no longer sent get their local value back."""
+        state_file = self.managed_config_file()
+        try:
+            managed = json.loads(state_file.read_text()) if state_file.exists() else {}
+        except Exception as e:
+            self.logger.warning(f"Ignoring unreadable {state_file}: {e}")
+            managed = {}
+            
+        changed = 0
+        now_managed = {}
+        for section, values in sections.items():
+            if section == 'server' or not isinstance(values, dict):
+                continue
+            if not self.config.has_section(section):
+                self.config.add_section(section)
+            for key, value in values.items():
+                if isinstance(value, bool):
+                    text = 'true' if value else 'false'
+                elif isinstance(value, list):
+                    text = ','.join(str(item) for item in value)
+                else:
+                    text = str(value)
+                # Remember the local value the first time the server takes a key over
+                previous = managed.get(section, {})
+                original = previous[key] if key in previous else self.config.get(section, key, fallback=None)
+                now_managed.setdefault(section, {})[key] = original
+                if self.config.get(section, key, fallback=None) != text:
+                    self.config.set(section, key, text)
+                    changed += 1
+                    
+        for section, keys in managed.items():
+            for key, original in keys.items():
+                if key in now_managed.get(section, {}):
+                    continue
+                if original is None:
+                    if self.config.has_section(section) and self.config.remove_option(section, key):
+                        changed += 1
+                elif self.config.get(section, key, fallback=None) != original:
+                    if not self.config.has_section(section):
+                        self.config.add_section(section)
+                    self.config.set(section, key, original)
+                    changed += 1
+                    
+        if changed:
+            with open(self.config_file, 'w') as f:
+                self.config.write(f)
+        state_file.write_text(json.dumps(now_managed, indent=2))
+        self.logger.info(f"Applied system configuration, {changed} setting(s) changed")
+        
+    def write_application_config(self, package_name: str, config: Dict[str, Any]):
+        """Write the settings an application reads at startup"""
+        config_dir = Path(self.config.get('applications', 'config_dir', fallback='/etc/kiosk/apps'))
+        config_dir.mkdir(parents=True, exist_ok=True)
+        config_path = config_dir / f"{Path(package_name).name}.json"
+        config_path.write_text(json.dumps(config, indent=2))
+        self.logger.info(f"Wrote settings for {package_name} to {config_path}")
+        
     async def connect_websocket(self):
         """Connect to management server via WebSocket"""
         try:
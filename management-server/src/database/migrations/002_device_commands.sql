@@ -0,0 +1,23 @@
+-- Device command queue
+-- Migration 002: Persist commands for delivery through heartbeat responses
+
+CREATE TABLE IF NOT EXISTS device_commands (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    command_type VARCHAR(50) NOT NULL CHECK (command_type IN ('restart', 'update', 'install_app', 'uninstall_app', 'configure')),
+    payload JSONB DEFAULT '{}'::jsonb,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'delivered', 'succeeded', 'failed', 'cancelled')),
+    result JSONB,
+    error_message TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_commands_device_id ON device_commands(device_id);
+CREATE INDEX IF NOT EXISTS idx_device_commands_pending ON device_commands(device_id, created_at) WHERE status = 'queued';
+
+CREATE TRIGGER update_device_commands_updated_at BEFORE UPDATE ON device_commands
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
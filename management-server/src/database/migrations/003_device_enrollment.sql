@@ -0,0 +1,33 @@
+-- Device enrollment and credentials
+-- Migration 003: Enrollment tokens and hashed per-device API keys
+
+-- Enrollment tokens handed to kiosks at provisioning time
+CREATE TABLE IF NOT EXISTS enrollment_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    token_prefix VARCHAR(12) NOT NULL,
+    description TEXT,
+    group_id UUID REFERENCES device_groups(id) ON DELETE CASCADE,
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+    use_count INTEGER DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-device API credentials, only the SHA-256 of the secret is stored
+CREATE TABLE IF NOT EXISTS device_credentials (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    secret_hash VARCHAR(64) UNIQUE NOT NULL,
+    key_prefix VARCHAR(12) NOT NULL,
+    enrollment_token_id UUID REFERENCES enrollment_tokens(id) ON DELETE SET NULL,
+    issued_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_credentials_device_id ON device_credentials(device_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_device_credentials_active ON device_credentials(device_id) WHERE revoked_at IS NULL;
@@ -0,0 +1,6 @@
+-- Device heartbeat expectations
+-- Migration 004: Track the heartbeat interval each device reports
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS heartbeat_interval INTEGER DEFAULT 60 CHECK (heartbeat_interval > 0);
+
+CREATE INDEX IF NOT EXISTS idx_devices_last_heartbeat ON devices(last_heartbeat);
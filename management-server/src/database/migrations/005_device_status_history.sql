@@ -0,0 +1,19 @@
+-- Device status history
+-- Migration 005: Keep every device status transition for uptime reporting
+
+CREATE TABLE IF NOT EXISTS device_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    previous_status VARCHAR(20),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('online', 'offline', 'maintenance', 'error')),
+    reason VARCHAR(50),
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_status_history_device_changed ON device_status_history(device_id, changed_at);
+
+-- Earlier transitions were never kept, start every existing device from its current status
+INSERT INTO device_status_history (device_id, previous_status, status, reason, changed_at)
+SELECT id, NULL, status, 'initial', CURRENT_TIMESTAMP
+FROM devices;
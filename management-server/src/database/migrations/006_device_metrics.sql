@@ -0,0 +1,27 @@
+-- Device metrics time series
+-- Migration 006: Raw heartbeat samples and hourly rollups
+
+-- Raw samples, one row per metric per heartbeat, pruned after the raw retention period
+CREATE TABLE IF NOT EXISTS device_metrics (
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    metric VARCHAR(50) NOT NULL,
+    value DOUBLE PRECISION NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_metrics_lookup ON device_metrics(device_id, metric, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_device_metrics_recorded_at ON device_metrics(recorded_at);
+
+-- Hourly downsampled rollups kept for long-range queries
+CREATE TABLE IF NOT EXISTS device_metrics_hourly (
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    metric VARCHAR(50) NOT NULL,
+    bucket TIMESTAMP WITH TIME ZONE NOT NULL,
+    avg_value DOUBLE PRECISION NOT NULL,
+    min_value DOUBLE PRECISION NOT NULL,
+    max_value DOUBLE PRECISION NOT NULL,
+    sample_count INTEGER NOT NULL,
+    PRIMARY KEY (device_id, metric, bucket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_metrics_hourly_bucket ON device_metrics_hourly(bucket);
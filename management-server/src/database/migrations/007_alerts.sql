@@ -0,0 +1,60 @@
+-- Threshold alerting
+-- Migration 007: Alert rules evaluated on heartbeat metrics and the alerts they raise
+
+-- Rules without a group apply fleet wide, a group rule replaces the global rules for its metric
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    group_id UUID REFERENCES device_groups(id) ON DELETE CASCADE,
+    warning_threshold DOUBLE PRECISION,
+    critical_threshold DOUBLE PRECISION,
+    -- An alert only resolves once the value is this far back under the warning threshold
+    hysteresis DOUBLE PRECISION NOT NULL DEFAULT 0 CHECK (hysteresis >= 0),
+    enabled BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (warning_threshold IS NOT NULL OR critical_threshold IS NOT NULL),
+    CHECK (warning_threshold IS NULL OR critical_threshold IS NULL OR warning_threshold <= critical_threshold)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_group_id ON alert_rules(group_id);
+
+CREATE TRIGGER update_alert_rules_updated_at BEFORE UPDATE ON alert_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rule_id UUID REFERENCES alert_rules(id) ON DELETE SET NULL,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    metric VARCHAR(50) NOT NULL,
+    severity VARCHAR(20) NOT NULL CHECK (severity IN ('warning', 'critical')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    threshold DOUBLE PRECISION NOT NULL,
+    value DOUBLE PRECISION NOT NULL,
+    peak_value DOUBLE PRECISION NOT NULL,
+    message TEXT NOT NULL,
+    triggered_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_evaluated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one unresolved alert per rule and device
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_active ON alerts(rule_id, device_id) WHERE status <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_alerts_device_id ON alerts(device_id);
+CREATE INDEX IF NOT EXISTS idx_alerts_status_triggered ON alerts(status, triggered_at);
+
+CREATE TRIGGER update_alerts_updated_at BEFORE UPDATE ON alerts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Global defaults matching the [hardware] thresholds shipped in management.conf
+INSERT INTO alert_rules (name, metric, warning_threshold, critical_threshold, hysteresis) VALUES
+    ('High temperature', 'temperature', 70, 85, 5),
+    ('Disk almost full', 'disk_used_percent', 80, 90, 2),
+    ('High memory usage', 'memory_used_percent', 80, 90, 5);
@@ -0,0 +1,21 @@
+-- Artifact store
+-- Migration 010: Server-managed package files with integrity metadata
+
+-- Content addressed, identical uploads share one artifact
+CREATE TABLE IF NOT EXISTS artifacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sha256 VARCHAR(64) UNIQUE NOT NULL,
+    size BIGINT NOT NULL,
+    content_type VARCHAR(100) NOT NULL DEFAULT 'application/octet-stream',
+    original_filename VARCHAR(255),
+    -- Relative to ARTIFACT_PATH
+    storage_path VARCHAR(255) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_artifacts_created_at ON artifacts(created_at);
+
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS artifact_id UUID REFERENCES artifacts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_applications_artifact_id ON applications(artifact_id);
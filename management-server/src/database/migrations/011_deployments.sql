@@ -0,0 +1,32 @@
+-- Application deployments
+-- Migration 011: Track install and uninstall commands sent to devices for an application
+
+CREATE TABLE IF NOT EXISTS deployments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('install', 'uninstall')),
+    version VARCHAR(20),
+    -- How the devices were selected: device_ids, group_id or filter
+    target JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deployments_application_id ON deployments(application_id, created_at DESC);
+
+-- One row per targeted device, progress comes from the linked command
+CREATE TABLE IF NOT EXISTS deployment_devices (
+    deployment_id UUID NOT NULL REFERENCES deployments(id) ON DELETE CASCADE,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    command_id UUID REFERENCES device_commands(id) ON DELETE SET NULL,
+    PRIMARY KEY (deployment_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deployment_devices_command_id ON deployment_devices(command_id);
+
+-- The command currently driving a device's install state, older commands
+-- completing late must not overwrite it
+ALTER TABLE device_applications ADD COLUMN IF NOT EXISTS command_id UUID REFERENCES device_commands(id) ON DELETE SET NULL;
+ALTER TABLE device_applications ADD COLUMN IF NOT EXISTS error_message TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_device_applications_command_id ON device_applications(command_id);
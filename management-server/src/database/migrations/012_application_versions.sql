@@ -0,0 +1,57 @@
+-- Application versions and release channels
+-- Migration 012: Keep every published version of an application and pin devices to channels or versions
+
+CREATE TABLE IF NOT EXISTS application_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    version VARCHAR(20) NOT NULL,
+    -- Matches app_update_channel in management.conf, beta devices also receive stable releases
+    channel VARCHAR(20) NOT NULL DEFAULT 'beta' CHECK (channel IN ('stable', 'beta')),
+    changelog TEXT,
+    artifact_id UUID REFERENCES artifacts(id) ON DELETE SET NULL,
+    download_url VARCHAR(500),
+    file_size BIGINT,
+    file_hash VARCHAR(128),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    promoted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(application_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_versions_channel ON application_versions(application_id, channel, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_application_versions_artifact_id ON application_versions(artifact_id);
+
+CREATE TRIGGER update_application_versions_updated_at BEFORE UPDATE ON application_versions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The version each application currently carries becomes its first stable release
+INSERT INTO application_versions (application_id, version, channel, artifact_id, download_url, file_size, file_hash, created_by, promoted_at, created_at)
+SELECT id, version, 'stable', artifact_id, download_url, file_size, file_hash, created_by, created_at, created_at
+FROM applications
+ON CONFLICT (application_id, version) DO NOTHING;
+
+-- Pins a device or a group to a channel or an exact version of one application.
+-- A device pin wins over its group's pin, without a pin devices follow stable.
+CREATE TABLE IF NOT EXISTS application_pins (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    device_id UUID REFERENCES devices(id) ON DELETE CASCADE,
+    group_id UUID REFERENCES device_groups(id) ON DELETE CASCADE,
+    channel VARCHAR(20) CHECK (channel IN ('stable', 'beta')),
+    version_id UUID REFERENCES application_versions(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((device_id IS NULL) <> (group_id IS NULL)),
+    CHECK ((channel IS NULL) <> (version_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_application_pins_device ON application_pins(application_id, device_id) WHERE device_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_application_pins_group ON application_pins(application_id, group_id) WHERE group_id IS NOT NULL;
+
+CREATE TRIGGER update_application_pins_updated_at BEFORE UPDATE ON application_pins
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Deployments record the exact version they installed
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS version_id UUID REFERENCES application_versions(id) ON DELETE SET NULL;
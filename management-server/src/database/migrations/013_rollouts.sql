@@ -0,0 +1,45 @@
+-- Staged rollouts
+-- Migration 013: Roll an application version out in waves and halt on failures
+
+CREATE TABLE IF NOT EXISTS rollouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    version_id UUID NOT NULL REFERENCES application_versions(id) ON DELETE CASCADE,
+    -- Device selection as for deployments: device_ids, group_id or filter
+    target JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Cumulative percentages of the target, the last one is always 100
+    waves JSONB NOT NULL,
+    soak_minutes INTEGER NOT NULL DEFAULT 60 CHECK (soak_minutes >= 0),
+    -- Percentage of started devices with a failed install that pauses the rollout
+    failure_threshold NUMERIC(5,2) NOT NULL DEFAULT 5 CHECK (failure_threshold >= 0 AND failure_threshold <= 100),
+    -- Wave membership is a hash of seed and device, the same seed picks the same canaries
+    seed VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'paused', 'completed', 'aborted')),
+    current_wave INTEGER NOT NULL DEFAULT 0,
+    wave_started_at TIMESTAMP WITH TIME ZONE,
+    paused_reason TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rollouts_application_id ON rollouts(application_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rollouts_running ON rollouts(status) WHERE status = 'running';
+
+CREATE TRIGGER update_rollouts_updated_at BEFORE UPDATE ON rollouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Targeted devices, fixed when the rollout is created
+CREATE TABLE IF NOT EXISTS rollout_devices (
+    rollout_id UUID NOT NULL REFERENCES rollouts(id) ON DELETE CASCADE,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    wave INTEGER NOT NULL,
+    -- Position in the hash order the waves are cut from
+    rank INTEGER NOT NULL,
+    deployment_id UUID REFERENCES deployments(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (rollout_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rollout_devices_wave ON rollout_devices(rollout_id, wave);
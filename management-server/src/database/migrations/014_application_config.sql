@@ -0,0 +1,31 @@
+-- Application configuration
+-- Migration 014: Settings schemas per application version and values per app, group and device
+
+-- JSON Schema for the settings a version understands, NULL when it has none
+ALTER TABLE application_versions ADD COLUMN IF NOT EXISTS config_schema JSONB;
+
+-- Settings at one level. Levels merge key by key:
+-- schema defaults, then the app default, then the device's group, then the device.
+CREATE TABLE IF NOT EXISTS application_configs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('default', 'group', 'device')),
+    group_id UUID REFERENCES device_groups(id) ON DELETE CASCADE,
+    device_id UUID REFERENCES devices(id) ON DELETE CASCADE,
+    settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        (scope = 'default' AND group_id IS NULL AND device_id IS NULL) OR
+        (scope = 'group' AND group_id IS NOT NULL AND device_id IS NULL) OR
+        (scope = 'device' AND device_id IS NOT NULL AND group_id IS NULL)
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_application_configs_default ON application_configs(application_id) WHERE scope = 'default';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_application_configs_group ON application_configs(application_id, group_id) WHERE scope = 'group';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_application_configs_device ON application_configs(application_id, device_id) WHERE scope = 'device';
+
+CREATE TRIGGER update_application_configs_updated_at BEFORE UPDATE ON application_configs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
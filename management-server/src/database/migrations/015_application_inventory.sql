@@ -0,0 +1,39 @@
+-- Installed application inventory
+-- Migration 015: Keep what devices report as installed and where it differs from their assignments
+
+-- Latest report of each device, replaced on every heartbeat carrying installed_apps
+CREATE TABLE IF NOT EXISTS device_installed_apps (
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    package_name VARCHAR(100) NOT NULL,
+    name VARCHAR(100),
+    version VARCHAR(20),
+    running BOOLEAN,
+    -- Set when the package is one of ours
+    application_id UUID REFERENCES applications(id) ON DELETE SET NULL,
+    reported_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (device_id, package_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_installed_apps_application_id ON device_installed_apps(application_id);
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS inventory_reported_at TIMESTAMP WITH TIME ZONE;
+
+-- Open differences between assignments and the reported inventory, removed once they match again
+CREATE TABLE IF NOT EXISTS application_drift (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    drift_type VARCHAR(20) NOT NULL CHECK (drift_type IN ('missing', 'extra', 'wrong_version')),
+    desired_version VARCHAR(20),
+    actual_version VARCHAR(20),
+    -- Corrective install or uninstall, if one was sent
+    command_id UUID REFERENCES device_commands(id) ON DELETE SET NULL,
+    detected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(device_id, application_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_drift_application_id ON application_drift(application_id);
+
+CREATE TRIGGER update_application_drift_updated_at BEFORE UPDATE ON application_drift
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,31 @@
+-- Package signing
+-- Migration 016: Ed25519 keys the server signs artifacts with, and the signature of each artifact
+
+-- Private keys live in files under SIGNING_KEY_PATH, only public halves are stored here
+CREATE TABLE IF NOT EXISTS signing_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- First 16 hex characters of the SHA-256 of the raw public key
+    key_id VARCHAR(16) UNIQUE NOT NULL,
+    algorithm VARCHAR(20) NOT NULL DEFAULT 'ed25519',
+    -- Raw 32 byte public key, base64
+    public_key TEXT NOT NULL,
+    -- Active signs new artifacts, retired still verifies, revoked is no longer trusted
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired', 'revoked')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_signing_keys_active ON signing_keys(status) WHERE status = 'active';
+
+-- Detached signature over the 32 byte SHA-256 digest of the artifact
+ALTER TABLE artifacts ADD COLUMN IF NOT EXISTS signature TEXT;
+ALTER TABLE artifacts ADD COLUMN IF NOT EXISTS signature_key_id VARCHAR(16);
+ALTER TABLE artifacts ADD COLUMN IF NOT EXISTS signed_at TIMESTAMP WITH TIME ZONE;
+
+-- Application packages and OS images share the store
+ALTER TABLE artifacts ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'application'
+    CHECK (kind IN ('application', 'os_image'));
+
+CREATE INDEX IF NOT EXISTS idx_artifacts_signature_key_id ON artifacts(signature_key_id);
@@ -0,0 +1,8 @@
+-- Application compatibility
+-- Migration 017: What each application version needs from a device, checked before installing
+
+-- NULL means no requirement
+ALTER TABLE application_versions ADD COLUMN IF NOT EXISTS supported_architectures TEXT[];
+ALTER TABLE application_versions ADD COLUMN IF NOT EXISTS min_agent_version VARCHAR(20);
+ALTER TABLE application_versions ADD COLUMN IF NOT EXISTS min_os_version VARCHAR(20);
+ALTER TABLE application_versions ADD COLUMN IF NOT EXISTS required_capabilities TEXT[];
@@ -0,0 +1,40 @@
+-- Application usage telemetry
+-- Migration 018: App sessions reported by devices and their daily rollups
+
+-- One row per ended session, pruned after the session retention period
+CREATE TABLE IF NOT EXISTS application_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    -- Chosen by the agent, a session reported twice is stored once
+    session_id VARCHAR(100) NOT NULL,
+    version VARCHAR(50),
+    -- Group of the device when the session was reported
+    group_id UUID REFERENCES device_groups(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    foreground_seconds INTEGER NOT NULL DEFAULT 0,
+    crashed BOOLEAN NOT NULL DEFAULT false,
+    exit_code INTEGER,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(device_id, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_sessions_started_at ON application_sessions(started_at);
+CREATE INDEX IF NOT EXISTS idx_application_sessions_received_at ON application_sessions(received_at);
+
+-- Usage of each application per device and UTC day, kept for long-range queries
+CREATE TABLE IF NOT EXISTS application_usage_daily (
+    day DATE NOT NULL,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    version VARCHAR(50) NOT NULL DEFAULT '',
+    group_id UUID REFERENCES device_groups(id) ON DELETE SET NULL,
+    session_count INTEGER NOT NULL,
+    crash_count INTEGER NOT NULL,
+    session_seconds BIGINT NOT NULL,
+    foreground_seconds BIGINT NOT NULL,
+    PRIMARY KEY (day, device_id, application_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_usage_daily_application ON application_usage_daily(application_id, day);
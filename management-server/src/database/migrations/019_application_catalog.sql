@@ -0,0 +1,52 @@
+-- Application catalog
+-- Migration 019: Managed categories, uploaded icons and screenshots, and full-text search
+
+-- Catalog categories, applications.category holds the name
+CREATE TABLE IF NOT EXISTS application_categories (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Categories already in use become managed ones
+INSERT INTO application_categories (name)
+SELECT DISTINCT category FROM applications WHERE category IS NOT NULL AND category <> ''
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE applications SET category = NULL WHERE category = '';
+
+-- Renaming a category moves its applications along, deleting it leaves them uncategorized
+ALTER TABLE applications ADD CONSTRAINT applications_category_fkey
+    FOREIGN KEY (category) REFERENCES application_categories(name) ON UPDATE CASCADE ON DELETE SET NULL;
+
+-- Icons and screenshots are stored as artifacts
+ALTER TABLE artifacts DROP CONSTRAINT IF EXISTS artifacts_kind_check;
+ALTER TABLE artifacts ADD CONSTRAINT artifacts_kind_check CHECK (kind IN ('application', 'os_image', 'image'));
+
+-- icon_url points at the uploaded icon, or at an external image when no icon was uploaded
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS icon_artifact_id UUID REFERENCES artifacts(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS application_screenshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+    artifact_id UUID NOT NULL REFERENCES artifacts(id),
+    caption VARCHAR(200),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_screenshots_application ON application_screenshots(application_id, sort_order);
+
+-- Package names are split on dots so com.example.pos matches "pos"
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', replace(package_name, '.', ' ')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_applications_search ON applications USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_applications_category ON applications(category);
@@ -0,0 +1,25 @@
+-- Dynamic device groups
+-- Migration 020: Groups whose members are computed from rules over device fields
+
+-- Static groups hold the devices pointing at them through devices.group_id,
+-- dynamic groups hold the devices matching their rules
+ALTER TABLE device_groups ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'static'
+    CHECK (type IN ('static', 'dynamic'));
+ALTER TABLE device_groups ADD COLUMN IF NOT EXISTS rules JSONB;
+ALTER TABLE device_groups ADD COLUMN IF NOT EXISTS evaluated_at TIMESTAMP WITH TIME ZONE;
+
+-- Current members of dynamic groups, kept up to date on heartbeats and edits
+CREATE TABLE IF NOT EXISTS device_group_members (
+    group_id UUID NOT NULL REFERENCES device_groups(id) ON DELETE CASCADE,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_group_members_device ON device_group_members(device_id);
+
+-- Members of every group, static or dynamic
+CREATE OR REPLACE VIEW device_group_membership AS
+    SELECT group_id, id as device_id FROM devices WHERE group_id IS NOT NULL
+    UNION ALL
+    SELECT group_id, device_id FROM device_group_members;
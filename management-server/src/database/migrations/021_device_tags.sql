@@ -0,0 +1,9 @@
+-- Device tags and labels
+-- Migration 021: Free-form tags and key/value labels to slice the fleet beyond its group
+
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS labels JSONB NOT NULL DEFAULT '{}';
+
+-- Containment and key filters, tags @> '{pilot}', labels @> '{"floor": "2"}' and labels ? 'vendor'
+CREATE INDEX IF NOT EXISTS idx_devices_tags ON devices USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_devices_labels ON devices USING GIN(labels);
@@ -0,0 +1,22 @@
+-- Configuration profiles
+-- Migration 022: Profile assignment to groups, a single default profile, and the configuration last sent to each device
+
+-- Profile applied to the devices of a group and of its subgroups
+ALTER TABLE device_groups ADD COLUMN IF NOT EXISTS config_profile_id UUID REFERENCES config_profiles(id) ON DELETE SET NULL;
+
+-- Only the newest default profile stays the default
+UPDATE config_profiles SET is_default = false WHERE is_default IS NULL;
+UPDATE config_profiles SET is_default = false
+WHERE is_default AND id <> (SELECT id FROM config_profiles WHERE is_default ORDER BY created_at DESC LIMIT 1);
+
+ALTER TABLE config_profiles ALTER COLUMN is_default SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_config_profiles_default ON config_profiles(is_default) WHERE is_default;
+
+-- device_configs also holds the effective configuration last queued for the
+-- device, a change is only sent when it differs
+ALTER TABLE device_configs ADD COLUMN IF NOT EXISTS pushed_config JSONB;
+ALTER TABLE device_configs ADD COLUMN IF NOT EXISTS pushed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE device_configs ALTER COLUMN applied_at DROP DEFAULT;
+
+CREATE INDEX IF NOT EXISTS idx_device_configs_profile ON device_configs(profile_id);
+CREATE INDEX IF NOT EXISTS idx_device_groups_config_profile ON device_groups(config_profile_id);
@@ -0,0 +1,20 @@
+-- Configuration profile schema
+-- Migration 023: Move the seeded default profile onto the management.conf setting names
+
+-- Profiles are now checked against the management.conf schema. The sample
+-- profile from the seed used names the agent never read, it is only replaced
+-- while nobody has edited it
+UPDATE config_profiles
+SET config_data = '{
+        "display": { "screen_brightness": 80, "screen_timeout": 300, "screen_rotation": 0 },
+        "network": { "use_ethernet": true, "use_dhcp": true },
+        "security": { "auto_update": true, "update_channel": "stable", "enable_firewall": true },
+        "applications": { "default_app": "kiosk-browser", "auto_update_apps": true }
+    }'::jsonb
+WHERE name = 'Default Kiosk Config'
+  AND config_data = '{
+        "display": { "brightness": 80, "timeout": 300, "orientation": "landscape" },
+        "network": { "wifi_enabled": true, "ethernet_enabled": true },
+        "security": { "auto_lock": true, "lock_timeout": 600, "require_password": false },
+        "applications": { "auto_update": true, "allowed_apps": ["com.kiosk.browser", "com.signage.player"] }
+    }'::jsonb;
@@ -0,0 +1,8 @@
+-- Catalog image URLs
+-- Migration 024: Point uploaded icons at the public inline image route
+
+-- /download needs an Authorization header and is sent as an attachment, which <img> tags cannot use
+UPDATE applications
+SET icon_url = '/api/artifacts/' || icon_artifact_id || '/image'
+WHERE icon_artifact_id IS NOT NULL
+  AND icon_url = '/api/artifacts/' || icon_artifact_id || '/download';
@@ -0,0 +1,6 @@
+-- Command delivery attempts
+-- Migration 025: Count deliveries so commands a device never reports on are retried, then failed
+
+ALTER TABLE device_commands ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_device_commands_delivered ON device_commands(delivered_at) WHERE status = 'delivered';
@@ -121,8 +121,15 @@ async function createSampleData() {
                     ]
                 );
                 
-                // Add some sample logs for each device
                 const deviceId = result.rows[0].id;
+
+                await query(
+                    `INSERT INTO device_status_history (device_id, previous_status, status, reason, changed_by)
+                     VALUES ($1, NULL, $2, 'initial', $3)`,
+                    [deviceId, device.status, adminId]
+                );
+
+                // Add some sample logs for each device
                 const logs = [
                     { level: 'info', message: 'Device started successfully', category: 'system' },
                     { level: 'info', message: 'Network connection established', category: 'network' },
@@ -200,22 +207,22 @@ async function createSampleData() {
         if (configExists.rows.length === 0) {
             const defaultConfig = {
                 display: {
-                    brightness: 80,
-                    timeout: 300,
-                    orientation: 'landscape'
+                    screen_brightness: 80,
+                    screen_timeout: 300,
+                    screen_rotation: 0
                 },
                 network: {
-                    wifi_enabled: true,
-                    ethernet_enabled: true
+                    use_ethernet: true,
+                    use_dhcp: true
                 },
                 security: {
-                    auto_lock: true,
-                    lock_timeout: 600,
-                    require_password: false
+                    auto_update: true,
+                    update_channel: 'stable',
+                    enable_firewall: true
                 },
                 applications: {
-                    auto_update: true,
-                    allowed_apps: ['com.kiosk.browser', 'com.signage.player']
+                    default_app: 'kiosk-browser',
+                    auto_update_apps: true
                 }
             };
 
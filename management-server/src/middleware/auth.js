@@ -2,6 +2,45 @@ const jwt = require('jsonwebtoken');
 const { query } = require('../database/connection');
 const logger = require('../utils/logger');
 
+/**
+ * Verify a user JWT and load the active user it belongs to
+ * Returns { user } or { error } with the reason the token was refused
+ */
+async function verifyUserToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError') {
+            return { error: 'Invalid token' };
+        }
+        
+        if (error.name === 'TokenExpiredError') {
+            return { error: 'Token expired' };
+        }
+        
+        throw error;
+    }
+    
+    // Check if user still exists and is active
+    const userResult = await query(
+        'SELECT id, username, email, role, is_active FROM users WHERE id = $1',
+        [decoded.id]
+    );
+    
+    if (userResult.rows.length === 0) {
+        return { error: 'User not found' };
+    }
+    
+    const user = userResult.rows[0];
+    
+    if (!user.is_active) {
+        return { error: 'Account is disabled' };
+    }
+    
+    return { user };
+}
+
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request
@@ -17,23 +56,10 @@ async function auth(req, res, next) {
         
         const token = authHeader.substring(7);
         
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Check if user still exists and is active
-        const userResult = await query(
-            'SELECT id, username, email, role, is_active FROM users WHERE id = $1',
-            [decoded.id]
-        );
-        
-        if (userResult.rows.length === 0) {
-            return res.status(401).json({ error: 'User not found' });
-        }
-        
-        const user = userResult.rows[0];
+        const { user, error } = await verifyUserToken(token);
         
-        if (!user.is_active) {
-            return res.status(401).json({ error: 'Account is disabled' });
+        if (error) {
+            return res.status(401).json({ error });
         }
         
         // Attach user to request
@@ -41,14 +67,6 @@ async function auth(req, res, next) {
         next();
         
     } catch (error) {
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ error: 'Invalid token' });
-        }
-        
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ error: 'Token expired' });
-        }
-        
         logger.error('Authentication middleware error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -91,6 +109,7 @@ function managerOrAdmin(req, res, next) {
 }
 
 module.exports = {
+    verifyUserToken,
     auth,
     authorize,
     adminOnly,
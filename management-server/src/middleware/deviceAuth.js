@@ -0,0 +1,82 @@
+const { findDeviceByCredential } = require('../services/device-credentials');
+const { verifyUserToken } = require('./auth');
+const logger = require('../utils/logger');
+
+/**
+ * Device authentication middleware
+ * Verifies the per-device API key sent by the kiosk agent and attaches the device to request.
+ * When the route has an :id parameter it must name the authenticated device,
+ * either by its UUID or by its device_id string.
+ */
+async function deviceAuth(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'Device credential required' });
+        }
+
+        const apiKey = authHeader.substring(7);
+        const device = await findDeviceByCredential(apiKey);
+
+        if (!device) {
+            return res.status(401).json({ error: 'Invalid device credential' });
+        }
+
+        const { id } = req.params;
+        if (id && id !== device.id && id !== device.device_id) {
+            logger.warn(`Device ${device.device_id} attempted to act as ${id}`);
+            return res.status(403).json({ error: 'Credential does not belong to this device' });
+        }
+
+        req.device = device;
+        next();
+
+    } catch (error) {
+        logger.error('Device authentication middleware error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Accepts either a user JWT or a device API key.
+ * Sets req.user or req.device depending on which one was presented.
+ */
+async function userOrDeviceAuth(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'Access token required' });
+        }
+
+        const token = authHeader.substring(7);
+
+        // JWTs are three dot separated segments, device keys are plain hex
+        if (token.split('.').length === 3) {
+            const { user, error } = await verifyUserToken(token);
+            if (error) {
+                return res.status(401).json({ error });
+            }
+            req.user = user;
+            return next();
+        }
+
+        const device = await findDeviceByCredential(token);
+        if (!device) {
+            return res.status(401).json({ error: 'Invalid device credential' });
+        }
+
+        req.device = device;
+        next();
+
+    } catch (error) {
+        logger.error('Authentication middleware error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+module.exports = {
+    deviceAuth,
+    userOrDeviceAuth
+};
@@ -35,6 +35,9 @@ function errorHandler(error, req, res, next) {
     } else if (error.name === 'ConflictError') {
         statusCode = 409;
         message = 'Resource conflict';
+    } else if (error.name === 'MulterError') {
+        statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        message = error.code === 'LIMIT_FILE_SIZE' ? 'File too large' : error.message;
     } else if (error.code === '23505') { // PostgreSQL unique violation
         statusCode = 409;
         message = 'Resource already exists';
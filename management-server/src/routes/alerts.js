@@ -0,0 +1,324 @@
+const express = require('express');
+const { body, validationResult, query: queryValidator } = require('express-validator');
+const { query } = require('../database/connection');
+const { auth, adminOnly, managerOrAdmin } = require('../middleware/auth');
+const { METRIC_NAMES } = require('../services/metrics');
+const { ALERT_STATUSES, SEVERITIES, getAlertWithDevice, acknowledgeAlert, resolveAlert } = require('../services/alerts');
+const { memberCondition } = require('../services/device-groups');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const validateRule = [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Rule name must be between 1 and 100 characters'),
+    body('metric').isIn(METRIC_NAMES).withMessage('Invalid metric'),
+    body('group_id').optional({ nullable: true }).isUUID().withMessage('Invalid group ID'),
+    body('warning_threshold').optional({ nullable: true }).isFloat().withMessage('Warning threshold must be a number'),
+    body('critical_threshold').optional({ nullable: true }).isFloat().withMessage('Critical threshold must be a number'),
+    body('hysteresis').optional().isFloat({ min: 0 }).withMessage('Hysteresis must be a non-negative number'),
+    body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean')
+];
+
+function thresholdError(warning, critical) {
+    if (warning === null && critical === null) {
+        return 'At least one of warning_threshold and critical_threshold is required';
+    }
+    if (warning !== null && critical !== null && warning > critical) {
+        return 'Warning threshold must not exceed the critical threshold';
+    }
+    return null;
+}
+
+function toThreshold(value) {
+    return value === undefined || value === null ? null : parseFloat(value);
+}
+
+// GET /api/alerts/rules - List alert rules
+router.get('/rules', async (req, res, next) => {
+    try {
+        const result = await query(
+            `SELECT ar.*, dg.name as group_name
+             FROM alert_rules ar
+             LEFT JOIN device_groups dg ON ar.group_id = dg.id
+             ORDER BY ar.group_id NULLS FIRST, ar.metric, ar.created_at`
+        );
+
+        res.json({
+            rules: result.rows
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving alert rules:', error);
+        next(error);
+    }
+});
+
+// POST /api/alerts/rules - Create alert rule
+router.post('/rules', adminOnly, validateRule, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { name, metric, group_id, hysteresis, enabled } = req.body;
+        const warning = toThreshold(req.body.warning_threshold);
+        const critical = toThreshold(req.body.critical_threshold);
+
+        const invalid = thresholdError(warning, critical);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        if (group_id) {
+            const group = await query('SELECT id FROM device_groups WHERE id = $1', [group_id]);
+            if (group.rows.length === 0) {
+                return res.status(404).json({ error: 'Device group not found' });
+            }
+        }
+
+        const result = await query(
+            `INSERT INTO alert_rules (name, metric, group_id, warning_threshold, critical_threshold, hysteresis, enabled, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [name, metric, group_id || null, warning, critical, hysteresis || 0, enabled !== false, req.user.id]
+        );
+
+        logger.info(`Alert rule created: ${name}`, { userId: req.user.id, ruleId: result.rows[0].id });
+
+        res.status(201).json({
+            message: 'Alert rule created successfully',
+            rule: result.rows[0]
+        });
+
+    } catch (error) {
+        logger.error('Error creating alert rule:', error);
+        next(error);
+    }
+});
+
+// PUT /api/alerts/rules/:id - Update alert rule
+router.put('/rules/:id', adminOnly, validateRule, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { name, metric, group_id, hysteresis, enabled } = req.body;
+        const warning = toThreshold(req.body.warning_threshold);
+        const critical = toThreshold(req.body.critical_threshold);
+
+        const invalid = thresholdError(warning, critical);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const result = await query(
+            `UPDATE alert_rules
+             SET name = $2, metric = $3, group_id = $4, warning_threshold = $5,
+                 critical_threshold = $6, hysteresis = $7, enabled = $8
+             WHERE id = $1
+             RETURNING *`,
+            [id, name, metric, group_id || null, warning, critical, hysteresis || 0, enabled !== false]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        logger.info(`Alert rule updated: ${name}`, { userId: req.user.id, ruleId: id });
+
+        res.json({
+            message: 'Alert rule updated successfully',
+            rule: result.rows[0]
+        });
+
+    } catch (error) {
+        logger.error('Error updating alert rule:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/alerts/rules/:id - Delete alert rule, its alerts are kept
+router.delete('/rules/:id', adminOnly, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const result = await query('DELETE FROM alert_rules WHERE id = $1 RETURNING name', [id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        logger.info(`Alert rule deleted: ${result.rows[0].name}`, { userId: req.user.id, ruleId: id });
+
+        res.json({
+            message: 'Alert rule deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Error deleting alert rule:', error);
+        next(error);
+    }
+});
+
+// GET /api/alerts - List alerts
+router.get('/', [
+    queryValidator('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    queryValidator('status').optional().isIn([...ALERT_STATUSES, 'active']).withMessage('Invalid alert status'),
+    queryValidator('severity').optional().isIn(SEVERITIES).withMessage('Invalid severity'),
+    queryValidator('device_id').optional().isUUID().withMessage('Invalid device ID'),
+    queryValidator('group_id').optional().isUUID().withMessage('Invalid group ID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page || '1');
+        const limit = parseInt(req.query.limit || '20');
+        const offset = (page - 1) * limit;
+        const { status, severity, device_id, group_id } = req.query;
+
+        const conditions = [];
+        const params = [];
+
+        if (status === 'active') {
+            conditions.push("a.status <> 'resolved'");
+        } else if (status) {
+            params.push(status);
+            conditions.push(`a.status = $${params.length}`);
+        }
+
+        if (severity) {
+            params.push(severity);
+            conditions.push(`a.severity = $${params.length}`);
+        }
+
+        if (device_id) {
+            params.push(device_id);
+            conditions.push(`a.device_id = $${params.length}`);
+        }
+
+        if (group_id) {
+            params.push([group_id]);
+            conditions.push(memberCondition(`$${params.length}`));
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total
+             FROM alerts a
+             JOIN devices d ON a.device_id = d.id
+             ${whereClause}`,
+            params
+        );
+
+        const result = await query(
+            `SELECT a.*, d.name as device_name, d.device_id as device_identifier, d.group_id
+             FROM alerts a
+             JOIN devices d ON a.device_id = d.id
+             ${whereClause}
+             ORDER BY a.triggered_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        const total = parseInt(countResult.rows[0].total);
+
+        res.json({
+            alerts: result.rows,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving alerts:', error);
+        next(error);
+    }
+});
+
+// GET /api/alerts/:id - Get alert
+router.get('/:id', async (req, res, next) => {
+    try {
+        const alert = await getAlertWithDevice(req.params.id);
+
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+
+        res.json({
+            alert
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving alert:', error);
+        next(error);
+    }
+});
+
+// POST /api/alerts/:id/acknowledge - Acknowledge open alert
+router.post('/:id/acknowledge', managerOrAdmin, async (req, res, next) => {
+    try {
+        const alert = await acknowledgeAlert(req.params.id, req.user.id);
+
+        if (!alert) {
+            return res.status(404).json({ error: 'Open alert not found' });
+        }
+
+        logger.info(`Alert acknowledged: ${alert.id}`, { userId: req.user.id });
+
+        res.json({
+            message: 'Alert acknowledged successfully',
+            alert
+        });
+
+    } catch (error) {
+        logger.error('Error acknowledging alert:', error);
+        next(error);
+    }
+});
+
+// POST /api/alerts/:id/resolve - Resolve alert
+router.post('/:id/resolve', managerOrAdmin, async (req, res, next) => {
+    try {
+        const alert = await resolveAlert(req.params.id, req.user.id);
+
+        if (!alert) {
+            return res.status(404).json({ error: 'Unresolved alert not found' });
+        }
+
+        logger.info(`Alert resolved: ${alert.id}`, { userId: req.user.id });
+
+        res.json({
+            message: 'Alert resolved successfully',
+            alert
+        });
+
+    } catch (error) {
+        logger.error('Error resolving alert:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,21 +1,76 @@
 const express = require('express');
 const router = express.Router();
+const { query: queryValidator, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
+const db = require('../database/connection');
+const { computeUptime } = require('../services/device-status');
+const { summarizeUsage } = require('../services/application-usage');
 const logger = require('../utils/logger');
 
 // GET /api/analytics/devices - Get device analytics
-router.get('/devices', auth, async (req, res, next) => {
+router.get('/devices', auth, [
+    queryValidator('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    queryValidator('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+], async (req, res, next) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
         logger.info('Fetching device analytics');
-        // TODO: Implement device analytics logic
+
+        // Uptime defaults to the last 30 days
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+        if (from >= to) {
+            return res.status(400).json({
+                success: false,
+                message: 'From must be before to'
+            });
+        }
+
+        const statusResult = await db.query('SELECT status, COUNT(*) as count FROM devices GROUP BY status');
+        const typeResult = await db.query('SELECT device_type, COUNT(*) as count FROM devices GROUP BY device_type');
+
+        const byStatus = Object.fromEntries(statusResult.rows.map(row => [row.status, parseInt(row.count)]));
+        const devicesByType = Object.fromEntries(typeResult.rows.map(row => [row.device_type || 'unknown', parseInt(row.count)]));
+
+        const devices = await computeUptime(from, to);
+        const measured = devices.filter(d => d.availabilityPercentage !== null);
+        const resolvedOutages = devices.flatMap(d => d.outages.filter(o => !o.ongoing));
+
         res.json({
             success: true,
             data: {
-                totalDevices: 0,
-                activeDevices: 0,
-                offlineDevices: 0,
-                devicesByType: {},
-                uptime: {}
+                totalDevices: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+                activeDevices: byStatus.online || 0,
+                offlineDevices: byStatus.offline || 0,
+                devicesByType,
+                uptime: {
+                    from: from.toISOString(),
+                    to: to.toISOString(),
+                    averageAvailability: measured.length > 0
+                        ? Math.round(measured.reduce((sum, d) => sum + d.availabilityPercentage, 0) / measured.length * 100) / 100
+                        : null,
+                    outageCount: devices.reduce((sum, d) => sum + d.outageCount, 0),
+                    mttrSeconds: resolvedOutages.length > 0
+                        ? Math.round(resolvedOutages.reduce((sum, o) => sum + o.durationSeconds, 0) / resolvedOutages.length)
+                        : null,
+                    devices: devices.map(d => ({
+                        deviceId: d.deviceId,
+                        device_id: d.device_id,
+                        name: d.name,
+                        availabilityPercentage: d.availabilityPercentage,
+                        outageCount: d.outageCount,
+                        mttrSeconds: d.mttrSeconds
+                    }))
+                }
             },
             message: 'Device analytics retrieved successfully'
         });
@@ -26,17 +81,66 @@ router.get('/devices', auth, async (req, res, next) => {
 });
 
 // GET /api/analytics/applications - Get application analytics
-router.get('/applications', auth, async (req, res, next) => {
+router.get('/applications', auth, [
+    queryValidator('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    queryValidator('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+    queryValidator('application_id').optional().isUUID().withMessage('Application ID must be a UUID'),
+    queryValidator('group_id').optional().isUUID().withMessage('Group ID must be a UUID')
+], async (req, res, next) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
         logger.info('Fetching application analytics');
-        // TODO: Implement application analytics logic
+
+        // Usage is counted in whole UTC days and defaults to the last 30 days
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+        if (from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'From must not be after to'
+            });
+        }
+
+        const categoryResult = await db.query(
+            'SELECT category, COUNT(*) as count FROM applications GROUP BY category'
+        );
+        const deployedResult = await db.query(
+            "SELECT COUNT(DISTINCT application_id) as count FROM device_applications WHERE status = 'installed'"
+        );
+
+        const applicationsByCategory = Object.fromEntries(
+            categoryResult.rows.map(row => [row.category || 'uncategorized', parseInt(row.count)])
+        );
+
+        const fromDay = from.toISOString().slice(0, 10);
+        const toDay = to.toISOString().slice(0, 10);
+        const applications = await summarizeUsage({
+            fromDay,
+            toDay,
+            applicationId: req.query.application_id || null,
+            groupId: req.query.group_id || null
+        });
+
         res.json({
             success: true,
             data: {
-                totalApplications: 0,
-                deployedApplications: 0,
-                applicationsByCategory: {},
-                usage: {}
+                totalApplications: Object.values(applicationsByCategory).reduce((sum, count) => sum + count, 0),
+                deployedApplications: parseInt(deployedResult.rows[0].count),
+                applicationsByCategory,
+                usage: {
+                    from: fromDay,
+                    to: toDay,
+                    applications
+                }
             },
             message: 'Application analytics retrieved successfully'
         });
@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { auth, managerOrAdmin } = require('../middleware/auth');
+const { listCategories } = require('../services/application-catalog');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const validateCategory = [
+    body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+    body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+    body('sort_order').optional().isInt().withMessage('Sort order must be an integer')
+];
+
+// GET /api/application-categories - Catalog categories with their application counts
+router.get('/', async (req, res, next) => {
+    try {
+        res.json({
+            categories: await listCategories()
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving application categories:', error);
+        next(error);
+    }
+});
+
+// POST /api/application-categories - Create a category
+router.post('/', managerOrAdmin, [
+    body('name').exists().withMessage('Name is required'),
+    ...validateCategory
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { name, description, sort_order } = req.body;
+
+        const existing = await query('SELECT id FROM application_categories WHERE name = $1', [name]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'Category already exists' });
+        }
+
+        const result = await query(
+            `INSERT INTO application_categories (name, description, sort_order)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+            [name, description || null, sort_order !== undefined ? parseInt(sort_order) : 0]
+        );
+
+        logger.info(`Application category created: ${name}`);
+
+        res.status(201).json({
+            message: 'Category created',
+            category: result.rows[0]
+        });
+
+    } catch (error) {
+        logger.error('Error creating application category:', error);
+        next(error);
+    }
+});
+
+// PUT /api/application-categories/:id - Rename or describe a category, its applications follow a rename
+router.put('/:id', managerOrAdmin, validateCategory, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { name, description, sort_order } = req.body;
+
+        if (name) {
+            const clash = await query(
+                'SELECT id FROM application_categories WHERE name = $1 AND id <> $2',
+                [name, req.params.id]
+            );
+            if (clash.rows.length > 0) {
+                return res.status(409).json({ error: 'Category already exists' });
+            }
+        }
+
+        const result = await query(
+            `UPDATE application_categories
+             SET name = COALESCE($2, name),
+                 description = CASE WHEN $3 THEN $4 ELSE description END,
+                 sort_order = COALESCE($5, sort_order),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [
+                req.params.id,
+                name || null,
+                description !== undefined,
+                description || null,
+                sort_order !== undefined ? parseInt(sort_order) : null
+            ]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        res.json({
+            message: 'Category updated',
+            category: result.rows[0]
+        });
+
+    } catch (error) {
+        logger.error('Error updating application category:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/application-categories/:id - Delete a category, its applications become uncategorized
+router.delete('/:id', managerOrAdmin, async (req, res, next) => {
+    try {
+        const result = await query('DELETE FROM application_categories WHERE id = $1 RETURNING name', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        logger.info(`Application category deleted: ${result.rows[0].name}`);
+
+        res.json({
+            message: 'Category deleted'
+        });
+
+    } catch (error) {
+        logger.error('Error deleting application category:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
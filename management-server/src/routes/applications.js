@@ -1,25 +1,139 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { query: queryValidator, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
+const { recordEvent } = require('../services/events');
+const { artifactUpload, imageUpload, discardUnusedUpload, IMAGE_TYPES, ingestUpload, downloadPath, imagePath } = require('../services/artifacts');
+const {
+    CHANNELS,
+    getVersions,
+    getVersion,
+    getPins,
+    publishVersion,
+    promoteVersion
+} = require('../services/application-versions');
+const {
+    validateTarget,
+    resolveTargetDevices,
+    deployApplication,
+    applyAutoUpdates,
+    undeployApplication,
+    getDeploymentProgress,
+    listDeployments
+} = require('../services/deployments');
+const {
+    validateConfigSchema,
+    validateSettings,
+    schemaForWrite,
+    resolveDeviceConfig,
+    setConfigLevel,
+    deleteConfigLevel,
+    pushConfig
+} = require('../services/application-config');
+const { parseRequirements, compatibilityReport } = require('../services/compatibility');
+const {
+    SORT_FIELDS,
+    MAX_SCREENSHOTS,
+    listApplications,
+    getInstalledCount,
+    getScreenshots,
+    addScreenshot,
+    categoryExists
+} = require('../services/application-catalog');
 
-// GET /api/applications - Get all applications
-router.get('/', auth, async (req, res, next) => {
+const APPLICATION_COLUMNS = `id, name, package_name, version, description, category, icon_url,
+                   download_url, file_size, file_hash, artifact_id, icon_artifact_id, is_system_app, is_active,
+                   created_at, updated_at`;
+
+// Multipart form fields arrive as strings
+function parseBoolean(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return value === true || value === 'true';
+}
+
+// JSON sent in a multipart field arrives as a string, returns undefined when it does not parse
+function parseJsonField(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
     try {
-        logger.info('Fetching applications');
-        
-        const query = `
-            SELECT id, name, version, description, package_url, status, created_at, updated_at
-            FROM applications
-            ORDER BY created_at DESC
-        `;
-        
-        const result = await db.query(query);
-        
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Store an uploaded package and return the columns pointing at it
+async function storePackage(req) {
+    if (!req.file) {
+        return null;
+    }
+
+    const artifact = await ingestUpload(req.file, req.user.id);
+
+    return {
+        artifact_id: artifact.id,
+        download_url: downloadPath(artifact),
+        file_size: artifact.size,
+        file_hash: artifact.sha256
+    };
+}
+
+// GET /api/applications - Browse the catalog, with search, filters, sorting and pagination
+router.get('/', auth, [
+    queryValidator('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    queryValidator('search').optional().trim(),
+    queryValidator('category').optional().trim(),
+    queryValidator('is_active').optional().isBoolean().withMessage('is_active must be true or false'),
+    queryValidator('sort_by').optional().isIn(Object.keys(SORT_FIELDS))
+        .withMessage(`sort_by must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+    queryValidator('sort_order').optional().isIn(['asc', 'desc', 'ASC', 'DESC']).withMessage('sort_order must be asc or desc')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page || '1');
+        const limit = parseInt(req.query.limit || '20');
+        const { search, category, sort_by, sort_order } = req.query;
+
+        logger.info('Fetching applications', { search, category, page });
+
+        const { applications, total } = await listApplications({
+            columns: APPLICATION_COLUMNS,
+            search,
+            category,
+            isActive: parseBoolean(req.query.is_active),
+            sortBy: sort_by,
+            sortOrder: sort_order,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        const totalPages = Math.ceil(total / limit);
+
         res.json({
             success: true,
-            applications: result.rows
+            applications,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems: total,
+                itemsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPreviousPage: page > 1
+            }
         });
     } catch (error) {
         logger.error('Error fetching applications:', error);
@@ -27,30 +141,34 @@ router.get('/', auth, async (req, res, next) => {
     }
 });
 
-// GET /api/applications/:id - Get single application
+// GET /api/applications/:id - Get single application with its screenshots
 router.get('/:id', auth, async (req, res, next) => {
     try {
         const { id } = req.params;
         logger.info('Fetching application with id:', id);
-        
+
         const query = `
-            SELECT id, name, version, description, package_url, status, created_at, updated_at
+            SELECT ${APPLICATION_COLUMNS}
             FROM applications
             WHERE id = $1
         `;
-        
+
         const result = await db.query(query, [id]);
-        
+
         if (result.rows.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Application not found'
             });
         }
-        
+
         res.json({
             success: true,
-            application: result.rows[0]
+            application: {
+                ...result.rows[0],
+                installed_count: await getInstalledCount(id),
+                screenshots: await getScreenshots(id)
+            }
         });
     } catch (error) {
         logger.error('Error fetching application:', error);
@@ -58,30 +176,89 @@ router.get('/:id', auth, async (req, res, next) => {
     }
 });
 
-// POST /api/applications - Create new application
-router.post('/', auth, async (req, res, next) => {
+// POST /api/applications - Create new application.
+// Send JSON with a download_url, or multipart with the package file in the "package" field.
+router.post('/', auth, authorize(['admin', 'manager']), artifactUpload.single('package'), discardUnusedUpload, async (req, res, next) => {
     try {
-        const { name, version, description, package_url, status = 'inactive' } = req.body;
+        const { name, package_name, version, description, category, icon_url, download_url } = req.body;
         logger.info('Creating new application:', { name, version });
-        
-        if (!name || !version || !description) {
+
+        if (!name || !package_name || !version) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name, package name, and version are required'
+            });
+        }
+
+        const { requirements, error: requirementsError } = parseRequirements(req.body);
+
+        if (requirementsError) {
+            return res.status(400).json({
+                success: false,
+                message: requirementsError
+            });
+        }
+
+        if (category && !await categoryExists(category)) {
             return res.status(400).json({
                 success: false,
-                message: 'Name, version, and description are required'
+                message: `Unknown category: ${category}`
+            });
+        }
+
+        const existing = await db.query('SELECT id FROM applications WHERE package_name = $1', [package_name]);
+
+        if (existing.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'An application with this package name already exists'
             });
         }
-        
+
+        const pkg = await storePackage(req) || { download_url: download_url || null };
+
         const query = `
-            INSERT INTO applications (name, version, description, package_url, status)
-            VALUES ($1, $2, $3, $4, $5)
-            RETURNING id, name, version, description, package_url, status, created_at, updated_at
+            INSERT INTO applications (name, package_name, version, description, category, icon_url,
+                                      download_url, file_size, file_hash, artifact_id, is_active, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING ${APPLICATION_COLUMNS}
         `;
-        
-        const result = await db.query(query, [name, version, description, package_url, status]);
-        
+
+        const result = await db.query(query, [
+            name,
+            package_name,
+            version,
+            description || null,
+            category || null,
+            icon_url || null,
+            pkg.download_url,
+            pkg.file_size || null,
+            pkg.file_hash || null,
+            pkg.artifact_id || null,
+            parseBoolean(req.body.is_active) !== false,
+            req.user.id
+        ]);
+
+        // The version an application is created with is its first stable release
+        const firstVersion = await publishVersion(result.rows[0].id, {
+            version,
+            channel: 'stable',
+            changelog: req.body.changelog || null,
+            requirements,
+            pkg
+        }, req.user.id);
+
+        await recordEvent('application_created', {
+            entityType: 'application',
+            entityId: result.rows[0].id,
+            userId: req.user.id,
+            data: { name, version, file_hash: pkg.file_hash || null }
+        });
+
         res.status(201).json({
             success: true,
-            application: result.rows[0]
+            application: result.rows[0],
+            version: firstVersion
         });
     } catch (error) {
         logger.error('Error creating application:', error);
@@ -89,38 +266,69 @@ router.post('/', auth, async (req, res, next) => {
     }
 });
 
-// PUT /api/applications/:id - Update application
+// PUT /api/applications/:id - Update application details.
+// Versions and packages are published through /api/applications/:id/versions.
 router.put('/:id', auth, async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { name, version, description, package_url, status } = req.body;
+        const { name, description, category, icon_url } = req.body;
         logger.info('Updating application with id:', id);
-        
+
+        if (req.body.version !== undefined || req.body.download_url !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Publish new versions through POST /api/applications/:id/versions'
+            });
+        }
+
+        if (category && !await categoryExists(category)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown category: ${category}`
+            });
+        }
+
         // Check if application exists
         const checkQuery = 'SELECT id FROM applications WHERE id = $1';
         const checkResult = await db.query(checkQuery, [id]);
-        
+
         if (checkResult.rows.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Application not found'
             });
         }
-        
+
         const query = `
-            UPDATE applications 
+            UPDATE applications
             SET name = COALESCE($2, name),
-                version = COALESCE($3, version),
-                description = COALESCE($4, description),
-                package_url = COALESCE($5, package_url),
-                status = COALESCE($6, status),
+                description = COALESCE($3, description),
+                category = COALESCE($4, category),
+                icon_url = COALESCE($5, icon_url),
+                -- An external icon_url replaces an uploaded icon
+                icon_artifact_id = CASE WHEN $5::text IS NULL THEN icon_artifact_id END,
+                is_active = COALESCE($6, is_active),
                 updated_at = CURRENT_TIMESTAMP
             WHERE id = $1
-            RETURNING id, name, version, description, package_url, status, created_at, updated_at
+            RETURNING ${APPLICATION_COLUMNS}
         `;
-        
-        const result = await db.query(query, [id, name, version, description, package_url, status]);
-        
+
+        const result = await db.query(query, [
+            id,
+            name,
+            description,
+            category,
+            icon_url,
+            parseBoolean(req.body.is_active)
+        ]);
+
+        await recordEvent('application_updated', {
+            entityType: 'application',
+            entityId: id,
+            userId: req.user.id,
+            data: { changes: req.body }
+        });
+
         res.json({
             success: true,
             application: result.rows[0]
@@ -136,21 +344,29 @@ router.delete('/:id', auth, async (req, res, next) => {
     try {
         const { id } = req.params;
         logger.info('Deleting application with id:', id);
-        
+
         // Check if application exists
-        const checkQuery = 'SELECT id FROM applications WHERE id = $1';
+        const checkQuery = 'SELECT id, name, version FROM applications WHERE id = $1';
         const checkResult = await db.query(checkQuery, [id]);
-        
+
         if (checkResult.rows.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Application not found'
             });
         }
-        
+
+        // The package artifact stays in the store until garbage collection finds it unreferenced
         const query = 'DELETE FROM applications WHERE id = $1';
         await db.query(query, [id]);
-        
+
+        await recordEvent('application_deleted', {
+            entityType: 'application',
+            entityId: id,
+            userId: req.user.id,
+            data: { name: checkResult.rows[0].name, version: checkResult.rows[0].version }
+        });
+
         res.json({
             success: true,
             message: 'Application deleted successfully'
@@ -161,4 +377,1149 @@ router.delete('/:id', auth, async (req, res, next) => {
     }
 });
 
+// Answer 400 when the upload was not one of the accepted image types
+function requireImage(req, res) {
+    if (req.file) {
+        return true;
+    }
+    res.status(400).json({
+        success: false,
+        message: `An image file is required (${IMAGE_TYPES.join(', ')})`
+    });
+    return false;
+}
+
+// PUT /api/applications/:id/icon - Upload the catalog icon, multipart with the image in the "icon" field
+router.put('/:id/icon', auth, authorize(['admin', 'manager']), imageUpload.single('icon'), discardUnusedUpload, async (req, res, next) => {
+    try {
+        if (!requireImage(req, res)) {
+            return;
+        }
+
+        if (!await findApplication(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const artifact = await ingestUpload(req.file, req.user.id, 'image');
+
+        const result = await db.query(
+            `UPDATE applications
+             SET icon_artifact_id = $2, icon_url = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING ${APPLICATION_COLUMNS}`,
+            [req.params.id, artifact.id, imagePath(artifact)]
+        );
+
+        res.json({
+            success: true,
+            application: result.rows[0]
+        });
+    } catch (error) {
+        logger.error('Error uploading application icon:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/applications/:id/icon - Remove the icon, uploaded or external
+router.delete('/:id/icon', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const result = await db.query(
+            `UPDATE applications
+             SET icon_artifact_id = NULL, icon_url = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING ${APPLICATION_COLUMNS}`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            application: result.rows[0]
+        });
+    } catch (error) {
+        logger.error('Error removing application icon:', error);
+        next(error);
+    }
+});
+
+// POST /api/applications/:id/screenshots - Add a screenshot, multipart with the image in the "screenshot" field
+router.post('/:id/screenshots', auth, authorize(['admin', 'manager']), imageUpload.single('screenshot'), discardUnusedUpload, async (req, res, next) => {
+    try {
+        if (!requireImage(req, res)) {
+            return;
+        }
+
+        const { id } = req.params;
+
+        if (!await findApplication(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        if ((await getScreenshots(id)).length >= MAX_SCREENSHOTS) {
+            return res.status(409).json({
+                success: false,
+                message: `Applications can have at most ${MAX_SCREENSHOTS} screenshots`
+            });
+        }
+
+        const artifact = await ingestUpload(req.file, req.user.id, 'image');
+        const screenshot = await addScreenshot(id, artifact, req.body.caption || null, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            screenshot
+        });
+    } catch (error) {
+        logger.error('Error adding application screenshot:', error);
+        next(error);
+    }
+});
+
+// PUT /api/applications/:id/screenshots/:screenshotId - Change the caption or position of a screenshot
+router.put('/:id/screenshots/:screenshotId', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id, screenshotId } = req.params;
+        const { caption, sort_order } = req.body;
+
+        if (sort_order !== undefined && !Number.isInteger(sort_order)) {
+            return res.status(400).json({
+                success: false,
+                message: 'sort_order must be an integer'
+            });
+        }
+
+        const result = await db.query(
+            `UPDATE application_screenshots
+             SET caption = CASE WHEN $3 THEN $4 ELSE caption END,
+                 sort_order = COALESCE($5, sort_order)
+             WHERE id = $1 AND application_id = $2
+             RETURNING id, caption, sort_order, artifact_id, created_at`,
+            [screenshotId, id, caption !== undefined, caption || null, sort_order !== undefined ? sort_order : null]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Screenshot not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            screenshot: { ...result.rows[0], url: imagePath({ id: result.rows[0].artifact_id }) }
+        });
+    } catch (error) {
+        logger.error('Error updating application screenshot:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/applications/:id/screenshots/:screenshotId - Remove a screenshot, its image is left to artifact GC
+router.delete('/:id/screenshots/:screenshotId', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM application_screenshots WHERE id = $1 AND application_id = $2 RETURNING id',
+            [req.params.screenshotId, req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Screenshot not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Screenshot removed'
+        });
+    } catch (error) {
+        logger.error('Error removing application screenshot:', error);
+        next(error);
+    }
+});
+
+// Target selection shared by deploy and undeploy
+function deploymentTarget(body) {
+    const target = {};
+    for (const key of ['device_ids', 'group_id', 'filter']) {
+        if (body[key] !== undefined) {
+            target[key] = body[key];
+        }
+    }
+    return target;
+}
+
+// POST /api/applications/:id/deploy - Install application on devices, a group or a filter
+router.post('/:id/deploy', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const target = deploymentTarget(req.body);
+
+        const targetError = validateTarget(target);
+        if (targetError) {
+            return res.status(400).json({
+                success: false,
+                message: targetError
+            });
+        }
+
+        if (req.body.auto_update !== undefined && typeof req.body.auto_update !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'auto_update must be a boolean'
+            });
+        }
+
+        const appResult = await db.query('SELECT * FROM applications WHERE id = $1', [id]);
+
+        if (appResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const application = appResult.rows[0];
+
+        if (!application.is_active) {
+            return res.status(409).json({
+                success: false,
+                message: 'Application is not active'
+            });
+        }
+
+        // Without a version every device gets what its pin or channel resolves to
+        let version = null;
+        if (req.body.version !== undefined) {
+            version = await getVersion(id, req.body.version);
+
+            if (!version) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Version not found'
+                });
+            }
+
+            if (!version.download_url) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Version has no package to install'
+                });
+            }
+        }
+
+        logger.info('Deploying application:', { id, target, version: version ? version.version : null });
+
+        const { deployment, devices, skipped, compatibility } = await deployApplication(application, target, {
+            userId: req.user.id,
+            autoUpdate: req.body.auto_update,
+            version
+        });
+
+        if (!deployment) {
+            return res.status(skipped.length > 0 ? 409 : 400).json({
+                success: false,
+                message: skipped.length > 0
+                    ? 'None of the targeted devices have an installable version'
+                    : 'No devices match the deployment target',
+                skipped,
+                compatibility
+            });
+        }
+
+        await recordEvent('application_deployed', {
+            entityType: 'application',
+            entityId: id,
+            userId: req.user.id,
+            data: { deployment_id: deployment.id, version: deployment.version, target, device_count: devices.length }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: `Deployment queued for ${devices.length} device(s)`,
+            deployment,
+            devices,
+            skipped,
+            compatibility
+        });
+    } catch (error) {
+        logger.error('Error deploying application:', error);
+        next(error);
+    }
+});
+
+// POST /api/applications/:id/undeploy - Uninstall application from devices, a group or a filter
+router.post('/:id/undeploy', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const target = deploymentTarget(req.body);
+
+        const targetError = validateTarget(target);
+        if (targetError) {
+            return res.status(400).json({
+                success: false,
+                message: targetError
+            });
+        }
+
+        const appResult = await db.query('SELECT * FROM applications WHERE id = $1', [id]);
+
+        if (appResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const application = appResult.rows[0];
+        logger.info('Undeploying application:', { id, target });
+
+        const { deployment, devices } = await undeployApplication(application, target, { userId: req.user.id });
+
+        if (!deployment) {
+            return res.status(400).json({
+                success: false,
+                message: 'None of the targeted devices have this application'
+            });
+        }
+
+        await recordEvent('application_undeployed', {
+            entityType: 'application',
+            entityId: id,
+            userId: req.user.id,
+            data: { deployment_id: deployment.id, target, device_count: devices.length }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: `Uninstall queued for ${devices.length} device(s)`,
+            deployment,
+            devices
+        });
+    } catch (error) {
+        logger.error('Error undeploying application:', error);
+        next(error);
+    }
+});
+
+// GET /api/applications/:id/deployments - Recent deployments with progress counts
+router.get('/:id/deployments', auth, async (req, res, next) => {
+    try {
+        const deployments = await listDeployments(req.params.id);
+
+        res.json({
+            success: true,
+            deployments
+        });
+    } catch (error) {
+        logger.error('Error fetching deployments:', error);
+        next(error);
+    }
+});
+
+// GET /api/applications/:id/deployments/:deploymentId - Per device progress of a deployment
+router.get('/:id/deployments/:deploymentId', auth, async (req, res, next) => {
+    try {
+        const deployment = await getDeploymentProgress(req.params.deploymentId);
+
+        if (!deployment || deployment.application_id !== req.params.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deployment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            deployment
+        });
+    } catch (error) {
+        logger.error('Error fetching deployment:', error);
+        next(error);
+    }
+});
+
+// GET /api/applications/:id/devices - Devices the application is assigned to and their install state
+router.get('/:id/devices', auth, async (req, res, next) => {
+    try {
+        const query = `
+            SELECT da.device_id as id, d.device_id, d.name, d.status as device_status,
+                   da.version, da.status, da.auto_update, da.error_message, da.installed_at, da.updated_at,
+                   ia.version as reported_version, ia.running, ia.reported_at, dr.drift_type
+            FROM device_applications da
+            JOIN devices d ON da.device_id = d.id
+            LEFT JOIN device_installed_apps ia ON ia.device_id = da.device_id AND ia.application_id = da.application_id
+            LEFT JOIN application_drift dr ON dr.device_id = da.device_id AND dr.application_id = da.application_id
+            WHERE da.application_id = $1
+            ORDER BY d.device_id
+        `;
+
+        const result = await db.query(query, [req.params.id]);
+
+        // Devices reporting the application without an assignment
+        const unassigned = await db.query(
+            `SELECT d.id, d.device_id, d.name, d.status as device_status,
+                    ia.version as reported_version, ia.running, ia.reported_at, dr.drift_type
+             FROM device_installed_apps ia
+             JOIN devices d ON ia.device_id = d.id
+             LEFT JOIN device_applications da ON da.device_id = ia.device_id AND da.application_id = ia.application_id
+             LEFT JOIN application_drift dr ON dr.device_id = ia.device_id AND dr.application_id = ia.application_id
+             WHERE ia.application_id = $1 AND da.id IS NULL
+             ORDER BY d.device_id`,
+            [req.params.id]
+        );
+
+        res.json({
+            success: true,
+            devices: result.rows,
+            unassigned_devices: unassigned.rows
+        });
+    } catch (error) {
+        logger.error('Error fetching application devices:', error);
+        next(error);
+    }
+});
+
+async function findApplication(id) {
+    const result = await db.query('SELECT * FROM applications WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+// GET /api/applications/:id/versions - Version history with the current release of each channel
+router.get('/:id/versions', auth, async (req, res, next) => {
+    try {
+        const application = await findApplication(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const versions = await getVersions(application.id);
+        const channels = {};
+        for (const channel of CHANNELS) {
+            const latest = versions.find(v => v.channel === channel);
+            channels[channel] = latest ? latest.version : null;
+        }
+
+        res.json({
+            success: true,
+            versions,
+            channels
+        });
+    } catch (error) {
+        logger.error('Error fetching application versions:', error);
+        next(error);
+    }
+});
+
+// POST /api/applications/:id/versions - Publish a new version.
+// Send JSON with a download_url, or multipart with the package file in the "package" field.
+router.post('/:id/versions', auth, authorize(['admin', 'manager']), artifactUpload.single('package'), discardUnusedUpload, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { version, changelog, download_url } = req.body;
+        const channel = req.body.channel || 'beta';
+
+        if (!version) {
+            return res.status(400).json({
+                success: false,
+                message: 'Version is required'
+            });
+        }
+
+        if (!CHANNELS.includes(channel)) {
+            return res.status(400).json({
+                success: false,
+                message: `Channel must be one of: ${CHANNELS.join(', ')}`
+            });
+        }
+
+        if (!req.file && !download_url) {
+            return res.status(400).json({
+                success: false,
+                message: 'A package file or download_url is required'
+            });
+        }
+
+        const configSchema = req.body.config_schema ? parseJsonField(req.body.config_schema) : null;
+        const schemaError = configSchema === null ? null : validateConfigSchema(configSchema);
+
+        if (schemaError) {
+            return res.status(400).json({
+                success: false,
+                message: schemaError
+            });
+        }
+
+        const { requirements, error: requirementsError } = parseRequirements(req.body);
+
+        if (requirementsError) {
+            return res.status(400).json({
+                success: false,
+                message: requirementsError
+            });
+        }
+
+        const application = await findApplication(id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        if (await getVersion(id, version)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Version already exists'
+            });
+        }
+
+        const pkg = await storePackage(req) || { download_url };
+        const published = await publishVersion(id, {
+            version,
+            channel,
+            changelog: changelog || null,
+            configSchema,
+            requirements,
+            pkg
+        }, req.user.id);
+
+        await recordEvent('application_version_published', {
+            entityType: 'application',
+            entityId: id,
+            userId: req.user.id,
+            data: { version, channel, version_id: published.id, file_hash: published.file_hash }
+        });
+
+        const autoUpdate = await applyAutoUpdates(id, { userId: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            version: published,
+            auto_update_deployment: autoUpdate
+        });
+    } catch (error) {
+        logger.error('Error publishing application version:', error);
+        next(error);
+    }
+});
+
+// GET /api/applications/:id/versions/:versionId - Get single version
+router.get('/:id/versions/:versionId', auth, async (req, res, next) => {
+    try {
+        const version = await getVersion(req.params.id, req.params.versionId);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            version
+        });
+    } catch (error) {
+        logger.error('Error fetching application version:', error);
+        next(error);
+    }
+});
+
+// POST /api/applications/:id/versions/:versionId/promote - Move a version to another channel
+router.post('/:id/versions/:versionId/promote', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id, versionId } = req.params;
+        const channel = req.body.channel || 'stable';
+
+        if (!CHANNELS.includes(channel)) {
+            return res.status(400).json({
+                success: false,
+                message: `Channel must be one of: ${CHANNELS.join(', ')}`
+            });
+        }
+
+        const version = await getVersion(id, versionId);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        if (version.channel === channel) {
+            return res.status(409).json({
+                success: false,
+                message: `Version is already on ${channel}`
+            });
+        }
+
+        const promoted = await promoteVersion(version, channel);
+
+        await recordEvent('application_version_promoted', {
+            entityType: 'application',
+            entityId: id,
+            userId: req.user.id,
+            data: { version: version.version, version_id: version.id, from: version.channel, to: channel }
+        });
+
+        const autoUpdate = await applyAutoUpdates(id, { userId: req.user.id });
+
+        res.json({
+            success: true,
+            version: promoted,
+            auto_update_deployment: autoUpdate
+        });
+    } catch (error) {
+        logger.error('Error promoting application version:', error);
+        next(error);
+    }
+});
+
+// GET /api/applications/:id/pins - Device and group pins
+router.get('/:id/pins', auth, async (req, res, next) => {
+    try {
+        const pins = await getPins(req.params.id);
+
+        res.json({
+            success: true,
+            pins
+        });
+    } catch (error) {
+        logger.error('Error fetching application pins:', error);
+        next(error);
+    }
+});
+
+// PUT /api/applications/:id/pins - Pin a device or group to a channel or an exact version
+router.put('/:id/pins', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { device_id, group_id, channel, version } = req.body;
+
+        if (Boolean(device_id) === Boolean(group_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Exactly one of device_id or group_id is required'
+            });
+        }
+
+        if (Boolean(channel) === Boolean(version)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Exactly one of channel or version is required'
+            });
+        }
+
+        if (channel && !CHANNELS.includes(channel)) {
+            return res.status(400).json({
+                success: false,
+                message: `Channel must be one of: ${CHANNELS.join(', ')}`
+            });
+        }
+
+        const application = await findApplication(id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        let pinnedVersion = null;
+        if (version) {
+            pinnedVersion = await getVersion(id, version);
+
+            if (!pinnedVersion) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Version not found'
+                });
+            }
+        }
+
+        let targetId = group_id;
+        if (device_id) {
+            const deviceResult = await db.query('SELECT id FROM devices WHERE id::text = $1 OR device_id = $1', [String(device_id)]);
+
+            if (deviceResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Device not found'
+                });
+            }
+            targetId = deviceResult.rows[0].id;
+        } else {
+            const groupResult = await db.query('SELECT id, type FROM device_groups WHERE id = $1', [group_id]);
+
+            if (groupResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Device group not found'
+                });
+            }
+
+            // A device is in at most one static group, so its group pin is never ambiguous
+            if (groupResult.rows[0].type !== 'static') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Versions can only be pinned on static groups'
+                });
+            }
+        }
+
+        const column = device_id ? 'device_id' : 'group_id';
+        const query = `
+            INSERT INTO application_pins (application_id, ${column}, channel, version_id, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (application_id, ${column}) WHERE ${column} IS NOT NULL
+            DO UPDATE SET channel = EXCLUDED.channel, version_id = EXCLUDED.version_id
+            RETURNING *
+        `;
+
+        const result = await db.query(query, [
+            id,
+            targetId,
+            channel || null,
+            pinnedVersion ? pinnedVersion.id : null,
+            req.user.id
+        ]);
+
+        logger.info('Application pin set:', { id, [column]: targetId, channel, version });
+
+        const autoUpdate = await applyAutoUpdates(id, { userId: req.user.id });
+
+        res.json({
+            success: true,
+            pin: { ...result.rows[0], version: pinnedVersion ? pinnedVersion.version : null },
+            auto_update_deployment: autoUpdate
+        });
+    } catch (error) {
+        logger.error('Error pinning application:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/applications/:id/pins/:pinId - Remove a pin, the device or group follows stable again
+router.delete('/:id/pins/:pinId', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id, pinId } = req.params;
+
+        const result = await db.query(
+            'DELETE FROM application_pins WHERE id = $1 AND application_id = $2 RETURNING id',
+            [pinId, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pin not found'
+            });
+        }
+
+        const autoUpdate = await applyAutoUpdates(id, { userId: req.user.id });
+
+        res.json({
+            success: true,
+            message: 'Pin removed successfully',
+            auto_update_deployment: autoUpdate
+        });
+    } catch (error) {
+        logger.error('Error removing application pin:', error);
+        next(error);
+    }
+});
+
+// PUT /api/applications/:id/versions/:versionId/config-schema - Declare or replace the settings schema of a version
+router.put('/:id/versions/:versionId/config-schema', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id, versionId } = req.params;
+        const configSchema = req.body.config_schema === undefined ? null : req.body.config_schema;
+        const schemaError = configSchema === null ? null : validateConfigSchema(configSchema);
+
+        if (schemaError) {
+            return res.status(400).json({
+                success: false,
+                message: schemaError
+            });
+        }
+
+        const version = await getVersion(id, versionId);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        const result = await db.query(
+            'UPDATE application_versions SET config_schema = $2 WHERE id = $1 RETURNING *',
+            [version.id, configSchema ? JSON.stringify(configSchema) : null]
+        );
+
+        logger.info('Application config schema updated:', { id, version: version.version });
+
+        res.json({
+            success: true,
+            version: result.rows[0]
+        });
+    } catch (error) {
+        logger.error('Error updating application config schema:', error);
+        next(error);
+    }
+});
+
+// PUT /api/applications/:id/versions/:versionId/requirements - Change what a version needs from a device.
+// Fields left out keep their value, null clears a requirement.
+router.put('/:id/versions/:versionId/requirements', auth, authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id, versionId } = req.params;
+        const { requirements, error: requirementsError } = parseRequirements(req.body);
+
+        if (requirementsError) {
+            return res.status(400).json({
+                success: false,
+                message: requirementsError
+            });
+        }
+
+        const fields = Object.keys(requirements);
+
+        if (fields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No requirements to update'
+            });
+        }
+
+        const version = await getVersion(id, versionId);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+        const result = await db.query(
+            `UPDATE application_versions SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+            [version.id, ...fields.map(field => requirements[field])]
+        );
+
+        logger.info('Application version requirements updated:', { id, version: version.version, requirements });
+
+        res.json({
+            success: true,
+            version: result.rows[0]
+        });
+    } catch (error) {
+        logger.error('Error updating application version requirements:', error);
+        next(error);
+    }
+});
+
+// POST /api/applications/:id/compatibility - Check devices against a version without deploying.
+// Defaults to the latest stable version.
+router.post('/:id/compatibility', auth, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const target = deploymentTarget(req.body);
+
+        const targetError = validateTarget(target);
+        if (targetError) {
+            return res.status(400).json({
+                success: false,
+                message: targetError
+            });
+        }
+
+        if (!await findApplication(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const version = req.body.version !== undefined
+            ? await getVersion(id, req.body.version)
+            : (await getVersions(id)).find(v => v.channel === 'stable');
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        const report = compatibilityReport(version, await resolveTargetDevices(target));
+
+        res.json({
+            success: true,
+            version: version.version,
+            compatible_count: report.filter(entry => entry.compatible).length,
+            incompatible_count: report.filter(entry => !entry.compatible).length,
+            compatibility: report
+        });
+    } catch (error) {
+        logger.error('Error checking application compatibility:', error);
+        next(error);
+    }
+});
+
+// GET /api/applications/:id/config - Settings at every level
+router.get('/:id/config', auth, async (req, res, next) => {
+    try {
+        const result = await db.query(
+            `SELECT c.*, d.device_id as device_identifier, d.name as device_name, g.name as group_name
+             FROM application_configs c
+             LEFT JOIN devices d ON c.device_id = d.id
+             LEFT JOIN device_groups g ON c.group_id = g.id
+             WHERE c.application_id = $1
+             ORDER BY CASE c.scope WHEN 'default' THEN 0 WHEN 'group' THEN 1 ELSE 2 END, c.created_at`,
+            [req.params.id]
+        );
+
+        const schema = await schemaForWrite(req.params.id);
+
+        res.json({
+            success: true,
+            schema_version: schema.version ? schema.version.version : null,
+            config_schema: schema.schema,
+            default: result.rows.find(row => row.scope === 'default') || null,
+            groups: result.rows.filter(row => row.scope === 'group'),
+            devices: result.rows.filter(row => row.scope === 'device')
+        });
+    } catch (error) {
+        logger.error('Error fetching application config:', error);
+        next(error);
+    }
+});
+
+// Devices are addressed by UUID or by their device_id
+async function findDevice(deviceId) {
+    const result = await db.query(
+        'SELECT id, device_id, name, group_id FROM devices WHERE id::text = $1 OR device_id = $1',
+        [String(deviceId)]
+    );
+    return result.rows[0] || null;
+}
+
+// Resolve the level addressed by the request to its target id, sends 404 and returns undefined when missing
+async function findConfigTarget(req, res, scope) {
+    if (scope === 'default') {
+        return null;
+    }
+
+    if (scope === 'group') {
+        const result = await db.query('SELECT id FROM device_groups WHERE id::text = $1', [req.params.groupId]);
+        if (result.rows.length === 0) {
+            res.status(404).json({
+                success: false,
+                message: 'Device group not found'
+            });
+            return undefined;
+        }
+        return result.rows[0].id;
+    }
+
+    const device = await findDevice(req.params.deviceId);
+    if (!device) {
+        res.status(404).json({
+            success: false,
+            message: 'Device not found'
+        });
+        return undefined;
+    }
+    return device.id;
+}
+
+// Replace the settings of one level after checking them against the version's schema
+function setConfigRoute(scope) {
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const { settings, version } = req.body;
+
+            if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Settings must be an object'
+                });
+            }
+
+            const application = await findApplication(id);
+
+            if (!application) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Application not found'
+                });
+            }
+
+            const schema = await schemaForWrite(id, version || null);
+
+            if (!schema) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Version not found'
+                });
+            }
+
+            if (!schema.schema) {
+                return res.status(409).json({
+                    success: false,
+                    message: version
+                        ? `Version ${version} does not declare a config schema`
+                        : 'No version of this application declares a config schema'
+                });
+            }
+
+            const validation = validateSettings(schema.schema, settings, { partial: true });
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Settings do not match the config schema',
+                    errors: validation.errors
+                });
+            }
+
+            const targetId = await findConfigTarget(req, res, scope);
+            if (targetId === undefined) {
+                return;
+            }
+
+            const level = await setConfigLevel(id, scope, targetId, settings, req.user.id);
+            const notified = await pushConfig(application, scope, targetId, req.user.id);
+
+            logger.info('Application config set:', { id, scope, targetId, notified });
+
+            res.json({
+                success: true,
+                config: level,
+                schema_version: schema.version.version,
+                devices_notified: notified
+            });
+        } catch (error) {
+            logger.error('Error setting application config:', error);
+            next(error);
+        }
+    };
+}
+
+// Drop the settings of one level, affected devices fall back to the levels below
+function deleteConfigRoute(scope) {
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+
+            const application = await findApplication(id);
+
+            if (!application) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Application not found'
+                });
+            }
+
+            const targetId = await findConfigTarget(req, res, scope);
+            if (targetId === undefined) {
+                return;
+            }
+
+            const removed = await deleteConfigLevel(id, scope, targetId);
+
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No settings at this level'
+                });
+            }
+
+            const notified = await pushConfig(application, scope, targetId, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Settings removed successfully',
+                devices_notified: notified
+            });
+        } catch (error) {
+            logger.error('Error removing application config:', error);
+            next(error);
+        }
+    };
+}
+
+// PUT /api/applications/:id/config/default - App wide settings
+router.put('/:id/config/default', auth, authorize(['admin', 'manager']), setConfigRoute('default'));
+router.delete('/:id/config/default', auth, authorize(['admin', 'manager']), deleteConfigRoute('default'));
+
+// PUT /api/applications/:id/config/groups/:groupId - Settings for the devices of a group
+router.put('/:id/config/groups/:groupId', auth, authorize(['admin', 'manager']), setConfigRoute('group'));
+router.delete('/:id/config/groups/:groupId', auth, authorize(['admin', 'manager']), deleteConfigRoute('group'));
+
+// PUT /api/applications/:id/config/devices/:deviceId - Settings for one device
+router.put('/:id/config/devices/:deviceId', auth, authorize(['admin', 'manager']), setConfigRoute('device'));
+router.delete('/:id/config/devices/:deviceId', auth, authorize(['admin', 'manager']), deleteConfigRoute('device'));
+
+// GET /api/applications/:id/config/resolved?device_id= - Merged settings for a device and where each key came from
+router.get('/:id/config/resolved', auth, async (req, res, next) => {
+    try {
+        if (!req.query.device_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'device_id is required'
+            });
+        }
+
+        const application = await findApplication(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const device = await findDevice(req.query.device_id);
+
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            resolved: await resolveDeviceConfig(application, device)
+        });
+    } catch (error) {
+        logger.error('Error resolving application config:', error);
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,280 @@
+const express = require('express');
+const fs = require('fs');
+const { query } = require('../database/connection');
+const { auth, authorize, adminOnly } = require('../middleware/auth');
+const { userOrDeviceAuth } = require('../middleware/deviceAuth');
+const {
+    ARTIFACT_KINDS,
+    IMAGE_TYPES,
+    artifactUpload,
+    discardUnusedUpload,
+    resolveArtifactPath,
+    downloadPath,
+    ingestUpload,
+    isArtifactReferenced,
+    deleteArtifact,
+    collectGarbage
+} = require('../services/artifacts');
+const { ALGORITHM } = require('../services/signing');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+function withDownloadUrl(artifact) {
+    return { ...artifact, download_url: downloadPath(artifact) };
+}
+
+// GET /api/artifacts/:id/download - Fetch artifact content, devices and users alike.
+// Range, If-Range and conditional requests are handled by sendFile so
+// interrupted downloads can resume.
+router.get('/:id/download', userOrDeviceAuth, async (req, res, next) => {
+    try {
+        const result = await query('SELECT * FROM artifacts WHERE id = $1', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Artifact not found' });
+        }
+
+        const artifact = result.rows[0];
+        const filePath = resolveArtifactPath(artifact);
+
+        if (!fs.existsSync(filePath)) {
+            logger.error(`Artifact file missing from store: ${artifact.sha256}`, { artifactId: artifact.id });
+            return res.status(404).json({ error: 'Artifact content not found' });
+        }
+
+        const filename = artifact.original_filename || artifact.sha256;
+
+        res.sendFile(filePath, {
+            // The content hash is a strong validator, If-Range compares against it
+            etag: false,
+            headers: {
+                'Content-Type': artifact.content_type,
+                'Content-Disposition': `attachment; filename="${filename.replace(/"/g, '')}"`,
+                'ETag': `"${artifact.sha256}"`,
+                'X-Checksum-SHA256': artifact.sha256,
+                ...(artifact.signature ? {
+                    'X-Signature-Ed25519': artifact.signature,
+                    'X-Signature-Key-Id': artifact.signature_key_id
+                } : {}),
+                'Cache-Control': 'private, max-age=31536000, immutable'
+            }
+        }, (error) => {
+            if (error && !res.headersSent) {
+                next(error);
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error downloading artifact:', error);
+        next(error);
+    }
+});
+
+// GET /api/artifacts/:id/image - Catalog icon or screenshot, public and displayed inline.
+// Only images an application uses are served here, anything else needs /download.
+router.get('/:id/image', async (req, res, next) => {
+    try {
+        const result = await query(
+            `SELECT a.* FROM artifacts a
+             WHERE a.id::text = $1 AND a.content_type = ANY($2)
+               AND (EXISTS (SELECT 1 FROM applications WHERE icon_artifact_id = a.id)
+                    OR EXISTS (SELECT 1 FROM application_screenshots WHERE artifact_id = a.id))`,
+            [req.params.id, IMAGE_TYPES]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const artifact = result.rows[0];
+        const filePath = resolveArtifactPath(artifact);
+
+        if (!fs.existsSync(filePath)) {
+            logger.error(`Artifact file missing from store: ${artifact.sha256}`, { artifactId: artifact.id });
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        res.sendFile(filePath, {
+            etag: false,
+            headers: {
+                'Content-Type': artifact.content_type,
+                'Content-Disposition': 'inline',
+                'ETag': `"${artifact.sha256}"`,
+                'Cache-Control': 'public, max-age=31536000, immutable',
+                // The catalog may be shown from another origin than the API
+                'Cross-Origin-Resource-Policy': 'cross-origin'
+            }
+        }, (error) => {
+            if (error && !res.headersSent) {
+                next(error);
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error serving artifact image:', error);
+        next(error);
+    }
+});
+
+// GET /api/artifacts/:id/signature - Detached signature over the artifact's SHA-256 digest
+router.get('/:id/signature', userOrDeviceAuth, async (req, res, next) => {
+    try {
+        const result = await query(
+            'SELECT id, sha256, signature, signature_key_id, signed_at FROM artifacts WHERE id = $1',
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Artifact not found' });
+        }
+
+        const artifact = result.rows[0];
+
+        if (!artifact.signature) {
+            return res.status(404).json({ error: 'Artifact is not signed' });
+        }
+
+        res.json({
+            artifact_id: artifact.id,
+            sha256: artifact.sha256,
+            algorithm: ALGORITHM,
+            key_id: artifact.signature_key_id,
+            signature: artifact.signature,
+            signed_at: artifact.signed_at
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving artifact signature:', error);
+        next(error);
+    }
+});
+
+// Everything else is for dashboard users
+router.use(auth);
+
+// GET /api/artifacts - List artifacts
+router.get('/', async (req, res, next) => {
+    try {
+        const { kind } = req.query;
+
+        if (kind && !ARTIFACT_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Kind must be one of: ${ARTIFACT_KINDS.join(', ')}` });
+        }
+
+        const result = await query(
+            `SELECT a.*, u.username as created_by_username,
+                    (SELECT COUNT(*) FROM applications app WHERE app.artifact_id = a.id) as application_count
+             FROM artifacts a
+             LEFT JOIN users u ON a.created_by = u.id
+             WHERE $1::text IS NULL OR a.kind = $1
+             ORDER BY a.created_at DESC`,
+            [kind || null]
+        );
+
+        res.json({
+            artifacts: result.rows.map(withDownloadUrl)
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving artifacts:', error);
+        next(error);
+    }
+});
+
+// POST /api/artifacts - Upload a file into the artifact store (multipart field "file").
+// Application packages are usually uploaded with their application, OS images go here with kind=os_image.
+router.post('/', authorize(['admin', 'manager']), artifactUpload.single('file'), discardUnusedUpload, async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'A file is required in the "file" field' });
+        }
+
+        const kind = req.body.kind || 'application';
+
+        if (!ARTIFACT_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Kind must be one of: ${ARTIFACT_KINDS.join(', ')}` });
+        }
+
+        const artifact = await ingestUpload(req.file, req.user.id, kind);
+
+        res.status(201).json({
+            message: 'Artifact uploaded successfully',
+            artifact: withDownloadUrl(artifact)
+        });
+
+    } catch (error) {
+        if (error.name === 'ConflictError') {
+            return res.status(409).json({ error: error.message });
+        }
+
+        logger.error('Error uploading artifact:', error);
+        next(error);
+    }
+});
+
+// POST /api/artifacts/gc - Run garbage collection now
+router.post('/gc', adminOnly, async (req, res, next) => {
+    try {
+        const result = await collectGarbage();
+
+        logger.info('Artifact garbage collection run manually', { userId: req.user.id, ...result });
+
+        res.json({
+            message: 'Garbage collection completed',
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Error collecting artifact garbage:', error);
+        next(error);
+    }
+});
+
+// GET /api/artifacts/:id - Artifact metadata
+router.get('/:id', async (req, res, next) => {
+    try {
+        const result = await query('SELECT * FROM artifacts WHERE id = $1', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Artifact not found' });
+        }
+
+        res.json({
+            artifact: withDownloadUrl(result.rows[0])
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving artifact:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/artifacts/:id - Delete an unreferenced artifact
+router.delete('/:id', adminOnly, async (req, res, next) => {
+    try {
+        const result = await query('SELECT * FROM artifacts WHERE id = $1', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Artifact not found' });
+        }
+
+        if (await isArtifactReferenced(req.params.id)) {
+            return res.status(409).json({ error: 'Artifact is still referenced' });
+        }
+
+        await deleteArtifact(result.rows[0]);
+
+        logger.info(`Artifact deleted: ${result.rows[0].sha256}`, { userId: req.user.id });
+
+        res.json({
+            message: 'Artifact deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Error deleting artifact:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,391 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../database/connection');
+const { auth, managerOrAdmin } = require('../middleware/auth');
+const { recordEvent } = require('../services/events');
+const { PROFILE_COLUMNS, syncDeviceConfigs, setDeviceProfile } = require('../services/config-profiles');
+const { validateConfig, describeSchema } = require('../services/config-schema');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const validateProfile = [
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+    body('config_data').optional().isObject().withMessage('config_data must be an object of sections'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be true or false')
+];
+
+function validationFailed(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+        return true;
+    }
+    return false;
+}
+
+function invalidConfig(res, config) {
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        res.status(400).json({
+            error: 'Invalid configuration',
+            details: errors
+        });
+        return true;
+    }
+    return false;
+}
+
+async function findProfile(id) {
+    const result = await query(`SELECT ${PROFILE_COLUMNS} FROM config_profiles WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+// Make one profile the default, the partial unique index allows a single one
+async function saveProfile(client, id, fields) {
+    if (fields.is_default === true) {
+        await client.query('UPDATE config_profiles SET is_default = false WHERE is_default AND id <> $1', [id]);
+    }
+
+    const result = await client.query(
+        `UPDATE config_profiles
+         SET name = COALESCE($2, name),
+             description = CASE WHEN $3 THEN $4 ELSE description END,
+             config_data = COALESCE($5, config_data),
+             is_default = COALESCE($6, is_default),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${PROFILE_COLUMNS}`,
+        [
+            id,
+            fields.name || null,
+            fields.description !== undefined,
+            fields.description || null,
+            fields.config_data ? JSON.stringify(fields.config_data) : null,
+            fields.is_default !== undefined ? fields.is_default : null
+        ]
+    );
+    return result.rows[0];
+}
+
+// GET /api/config-profiles - Profiles with the number of devices and groups they are assigned to
+router.get('/', async (req, res, next) => {
+    try {
+        const result = await query(
+            `SELECT ${PROFILE_COLUMNS.split(', ').map(column => `p.${column}`).join(', ')},
+                    (SELECT COUNT(*) FROM device_configs dc WHERE dc.profile_id = p.id)::int as device_count,
+                    (SELECT COUNT(*) FROM device_groups g WHERE g.config_profile_id = p.id)::int as group_count
+             FROM config_profiles p
+             ORDER BY p.is_default DESC, p.name`
+        );
+
+        res.json({
+            profiles: result.rows
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving config profiles:', error);
+        next(error);
+    }
+});
+
+// GET /api/config-profiles/schema - Sections and settings a profile can carry
+router.get('/schema', (req, res) => {
+    res.json({
+        schema: describeSchema()
+    });
+});
+
+// GET /api/config-profiles/:id - Profile with the devices and groups it is assigned to
+router.get('/:id', async (req, res, next) => {
+    try {
+        const profile = await findProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Config profile not found' });
+        }
+
+        const devices = await query(
+            `SELECT d.id, d.device_id, d.name, dc.applied_at
+             FROM device_configs dc
+             JOIN devices d ON dc.device_id = d.id
+             WHERE dc.profile_id = $1
+             ORDER BY d.device_id`,
+            [profile.id]
+        );
+        const groups = await query(
+            'SELECT id, name, type, parent_id FROM device_groups WHERE config_profile_id = $1 ORDER BY name',
+            [profile.id]
+        );
+
+        res.json({
+            profile: {
+                ...profile,
+                devices: devices.rows,
+                groups: groups.rows
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving config profile:', error);
+        next(error);
+    }
+});
+
+// POST /api/config-profiles - Create a profile
+router.post('/', managerOrAdmin, [
+    body('name').exists().withMessage('Name is required'),
+    body('config_data').exists().withMessage('config_data is required'),
+    ...validateProfile
+], async (req, res, next) => {
+    try {
+        if (validationFailed(req, res) || invalidConfig(res, req.body.config_data)) {
+            return;
+        }
+
+        const { name, description, config_data, is_default } = req.body;
+
+        const profile = await transaction(async (client) => {
+            const inserted = await client.query(
+                `INSERT INTO config_profiles (name, description, config_data, is_default, created_by)
+                 VALUES ($1, $2, $3, false, $4)
+                 RETURNING id`,
+                [name, description || null, JSON.stringify(config_data), req.user.id]
+            );
+            return saveProfile(client, inserted.rows[0].id, { is_default: is_default === true });
+        });
+
+        await recordEvent('config_profile_created', {
+            entityType: 'config_profile',
+            entityId: profile.id,
+            userId: req.user.id,
+            data: { name, is_default: profile.is_default }
+        });
+
+        // A new default profile reaches every device
+        const queued = profile.is_default ? await syncDeviceConfigs(null, req.user.id) : 0;
+
+        logger.info(`Config profile created: ${name}`, { userId: req.user.id, queued });
+
+        res.status(201).json({
+            message: 'Config profile created',
+            profile,
+            queued
+        });
+
+    } catch (error) {
+        logger.error('Error creating config profile:', error);
+        next(error);
+    }
+});
+
+// PUT /api/config-profiles/:id - Update a profile, the devices using it get the new configuration
+router.put('/:id', managerOrAdmin, validateProfile, async (req, res, next) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+        if (req.body.config_data !== undefined && invalidConfig(res, req.body.config_data)) {
+            return;
+        }
+
+        if (!await findProfile(req.params.id)) {
+            return res.status(404).json({ error: 'Config profile not found' });
+        }
+
+        const profile = await transaction(client => saveProfile(client, req.params.id, req.body));
+
+        await recordEvent('config_profile_updated', {
+            entityType: 'config_profile',
+            entityId: profile.id,
+            userId: req.user.id,
+            data: { changes: Object.keys(req.body) }
+        });
+
+        const queued = await syncDeviceConfigs(null, req.user.id);
+
+        res.json({
+            message: 'Config profile updated',
+            profile,
+            queued
+        });
+
+    } catch (error) {
+        logger.error('Error updating config profile:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/config-profiles/:id - Delete a profile, its devices and groups fall back to the other levels
+router.delete('/:id', managerOrAdmin, async (req, res, next) => {
+    try {
+        const result = await query('DELETE FROM config_profiles WHERE id = $1 RETURNING name', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Config profile not found' });
+        }
+
+        await recordEvent('config_profile_deleted', {
+            entityType: 'config_profile',
+            entityId: req.params.id,
+            userId: req.user.id,
+            data: { name: result.rows[0].name }
+        });
+
+        const queued = await syncDeviceConfigs(null, req.user.id);
+
+        logger.info(`Config profile deleted: ${result.rows[0].name}`, { userId: req.user.id, queued });
+
+        res.json({
+            message: 'Config profile deleted',
+            queued
+        });
+
+    } catch (error) {
+        logger.error('Error deleting config profile:', error);
+        next(error);
+    }
+});
+
+// POST /api/config-profiles/:id/devices - Assign the profile to devices by uuid or device_id
+router.post('/:id/devices', managerOrAdmin, [
+    body('device_ids').isArray({ min: 1, max: 1000 }).withMessage('device_ids must list 1 to 1000 devices')
+], async (req, res, next) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        if (!await findProfile(req.params.id)) {
+            return res.status(404).json({ error: 'Config profile not found' });
+        }
+
+        const names = req.body.device_ids.map(String);
+        const devices = await query(
+            'SELECT id, device_id FROM devices WHERE id::text = ANY($1) OR device_id = ANY($1)',
+            [names]
+        );
+        const found = new Set(devices.rows.flatMap(row => [row.id, row.device_id]));
+
+        for (const device of devices.rows) {
+            await setDeviceProfile(device.id, { profileId: req.params.id }, req.user.id);
+        }
+
+        const queued = await syncDeviceConfigs(devices.rows.map(device => device.id), req.user.id);
+
+        res.json({
+            message: `Profile assigned to ${devices.rows.length} device(s)`,
+            assigned: devices.rows.length,
+            not_found: names.filter(name => !found.has(name)),
+            queued
+        });
+
+    } catch (error) {
+        logger.error('Error assigning config profile to devices:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/config-profiles/:id/devices/:deviceId - Remove the profile from a device
+router.delete('/:id/devices/:deviceId', managerOrAdmin, async (req, res, next) => {
+    try {
+        // The device is named by uuid or device_id, as when assigning
+        const result = await query(
+            `UPDATE device_configs dc
+             SET profile_id = NULL, applied_at = CURRENT_TIMESTAMP, applied_by = $3
+             FROM devices d
+             WHERE dc.device_id = d.id AND dc.profile_id::text = $1
+               AND (d.id::text = $2 OR d.device_id = $2)
+             RETURNING dc.device_id`,
+            [req.params.id, req.params.deviceId, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Profile is not assigned to this device' });
+        }
+
+        const queued = await syncDeviceConfigs(result.rows.map(row => row.device_id), req.user.id);
+
+        res.json({
+            message: 'Profile removed from device',
+            queued
+        });
+
+    } catch (error) {
+        logger.error('Error removing config profile from device:', error);
+        next(error);
+    }
+});
+
+// POST /api/config-profiles/:id/groups - Assign the profile to device groups, replacing their current profile
+router.post('/:id/groups', managerOrAdmin, [
+    body('group_ids').isArray({ min: 1 }).withMessage('group_ids must be a non-empty list'),
+    body('group_ids.*').isUUID().withMessage('Invalid group ID')
+], async (req, res, next) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        if (!await findProfile(req.params.id)) {
+            return res.status(404).json({ error: 'Config profile not found' });
+        }
+
+        const result = await query(
+            `UPDATE device_groups
+             SET config_profile_id = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ANY($2)
+             RETURNING id`,
+            [req.params.id, req.body.group_ids]
+        );
+        const updated = new Set(result.rows.map(row => row.id));
+
+        const queued = await syncDeviceConfigs(null, req.user.id);
+
+        res.json({
+            message: `Profile assigned to ${result.rows.length} group(s)`,
+            assigned: result.rows.length,
+            not_found: req.body.group_ids.filter(id => !updated.has(id)),
+            queued
+        });
+
+    } catch (error) {
+        logger.error('Error assigning config profile to groups:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/config-profiles/:id/groups/:groupId - Remove the profile from a group
+router.delete('/:id/groups/:groupId', managerOrAdmin, async (req, res, next) => {
+    try {
+        const result = await query(
+            `UPDATE device_groups
+             SET config_profile_id = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id::text = $2 AND config_profile_id::text = $1
+             RETURNING id`,
+            [req.params.id, req.params.groupId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Profile is not assigned to this group' });
+        }
+
+        const queued = await syncDeviceConfigs(null, req.user.id);
+
+        res.json({
+            message: 'Profile removed from group',
+            queued
+        });
+
+    } catch (error) {
+        logger.error('Error removing config profile from group:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
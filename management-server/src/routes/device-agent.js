@@ -0,0 +1,391 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../database/connection');
+const { deviceAuth } = require('../middleware/deviceAuth');
+const logger = require('../utils/logger');
+const { setCache } = require('../services/redis');
+const { consumeEnrollmentToken, issueCredential } = require('../services/device-credentials');
+const { toAgentCommand, claimPendingCommands, completeCommand } = require('../services/device-commands');
+const { recordInitialStatus, recordStatusTransition } = require('../services/device-status');
+const { refreshDeviceMemberships } = require('../services/device-groups');
+const { syncDeviceConfigsSafely } = require('../services/config-profiles');
+const { extractMetrics, recordMetrics } = require('../services/metrics');
+const { evaluateAlerts } = require('../services/alerts');
+const { reconcileInventory } = require('../services/application-inventory');
+const { recordSessions } = require('../services/application-usage');
+
+// Endpoints called by the kiosk agent. Mounted ahead of the device routes so
+// these are authenticated with device credentials instead of user tokens.
+const router = express.Router();
+
+// Rate limiting for enrollment
+const registerLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // 20 enrollments per window per IP
+    message: { error: 'Too many registration attempts, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+const validateRegistration = [
+    body('enrollment_token').trim().isLength({ min: 1 }).withMessage('Enrollment token is required'),
+    body('device_id').trim().isLength({ min: 1, max: 100 }).withMessage('Device ID is required'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Device name must be between 1 and 100 characters'),
+    body('device_type').optional().isIn(['kiosk', 'tablet', 'display', 'signage']).withMessage('Invalid device type'),
+    body('hardware_info').optional().isObject().withMessage('Hardware info must be an object')
+];
+
+// Error carrying the HTTP status to answer with, thrown to abort a transaction
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Store log entries sent by a device
+async function insertDeviceLogs(deviceId, logs) {
+    for (const log of logs.slice(0, 50)) { // Limit to 50 logs per request
+        if (log.message && log.level) {
+            await query(
+                `INSERT INTO device_logs (device_id, level, message, category, metadata, timestamp)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [
+                    deviceId,
+                    log.level || 'info',
+                    log.message,
+                    log.category || 'device',
+                    log.metadata ? JSON.stringify(log.metadata) : null,
+                    log.timestamp ? new Date(log.timestamp) : new Date()
+                ]
+            );
+        }
+    }
+}
+
+// Run one part of heartbeat processing, a failure is logged so it cannot keep the device from its commands
+async function heartbeatStep(device, name, step) {
+    try {
+        await step();
+    } catch (error) {
+        logger.error(`Error processing ${name} from the heartbeat of device ${device.device_id}:`, error);
+    }
+}
+
+// Keys of the flat system info posted by the kiosk agent, by the device column they belong to
+const HARDWARE_KEYS = ['cpu_model', 'memory_total', 'memory_available', 'disk_total', 'disk_free', 'disk_used', 'temperature', 'capabilities'];
+const SOFTWARE_KEYS = ['hostname', 'kernel', 'architecture', 'load_average', 'agent_version', 'os_version'];
+
+function pick(source, keys) {
+    const picked = {};
+    for (const key of keys) {
+        if (source[key] !== undefined) {
+            picked[key] = source[key];
+        }
+    }
+    return Object.keys(picked).length > 0 ? picked : null;
+}
+
+/**
+ * Split a heartbeat body into hardware, software and network info.
+ * Nested objects win, the agent's flat get_system_info() keys fill in the rest.
+ */
+function normalizeHeartbeat(heartbeat) {
+    const networkInterfaces = heartbeat.network_interfaces ? { interfaces: heartbeat.network_interfaces } : null;
+
+    return {
+        hardwareInfo: heartbeat.hardware_info || pick(heartbeat, HARDWARE_KEYS),
+        softwareInfo: heartbeat.software_info || heartbeat.system_info || pick(heartbeat, SOFTWARE_KEYS),
+        networkInfo: heartbeat.network_info || networkInterfaces
+    };
+}
+
+// POST /api/devices/register - Exchange an enrollment token for a device credential
+router.post('/register', registerLimiter, validateRegistration, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { enrollment_token, device_id, name, device_type, hardware_info } = req.body;
+
+        const { device, apiKey, created } = await transaction(async (client) => {
+            const { enrollmentToken, error } = await consumeEnrollmentToken(client, enrollment_token);
+            if (error) {
+                throw httpError(401, error);
+            }
+
+            const existing = await client.query(
+                'SELECT * FROM devices WHERE device_id = $1 FOR UPDATE',
+                [device_id]
+            );
+
+            let device;
+            let created = false;
+
+            if (existing.rows.length > 0) {
+                // Pre-provisioned device claiming its credential
+                device = existing.rows[0];
+
+                const active = await client.query(
+                    'SELECT id FROM device_credentials WHERE device_id = $1 AND revoked_at IS NULL',
+                    [device.id]
+                );
+                if (active.rows.length > 0) {
+                    throw httpError(409, 'Device is already enrolled');
+                }
+
+                if (enrollmentToken.group_id && !device.group_id) {
+                    const updated = await client.query(
+                        'UPDATE devices SET group_id = $2 WHERE id = $1 RETURNING *',
+                        [device.id, enrollmentToken.group_id]
+                    );
+                    device = updated.rows[0];
+                }
+            } else {
+                const inserted = await client.query(
+                    `INSERT INTO devices (device_id, name, device_type, group_id, hardware_info, created_by)
+                     VALUES ($1, $2, $3, $4, $5, $6)
+                     RETURNING *`,
+                    [
+                        device_id,
+                        name || device_id,
+                        device_type || 'kiosk',
+                        enrollmentToken.group_id,
+                        hardware_info ? JSON.stringify(hardware_info) : null,
+                        enrollmentToken.created_by
+                    ]
+                );
+                device = inserted.rows[0];
+                created = true;
+
+                await recordInitialStatus(device, { client });
+            }
+
+            const { apiKey } = await issueCredential(device.id, {
+                enrollmentTokenId: enrollmentToken.id,
+                client
+            });
+
+            await client.query(
+                `INSERT INTO device_logs (device_id, level, message, category, metadata)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [
+                    device.id,
+                    'info',
+                    'Device enrolled',
+                    'system',
+                    JSON.stringify({ enrollment_token_id: enrollmentToken.id, ip: req.ip })
+                ]
+            );
+
+            return { device, apiKey, created };
+        });
+
+        logger.info(`Device enrolled: ${device.device_id}`, {
+            deviceId: device.id,
+            created
+        });
+
+        await refreshDeviceMemberships(device.id);
+        await syncDeviceConfigsSafely([device.id]);
+
+        res.status(201).json({
+            message: 'Device registered successfully',
+            device: {
+                id: device.id,
+                device_id: device.device_id,
+                name: device.name,
+                group_id: device.group_id
+            },
+            api_key: apiKey
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+
+        logger.error('Error registering device:', error);
+        next(error);
+    }
+});
+
+// POST /api/devices/:id/heartbeat - Device heartbeat endpoint
+router.post('/:id/heartbeat', deviceAuth, async (req, res, next) => {
+    try {
+        const { id } = req.device;
+        const { logs } = req.body;
+        const { hardwareInfo, softwareInfo, networkInfo } = normalizeHeartbeat(req.body);
+        const heartbeatInterval = parseInt(req.body.heartbeat_interval) > 0 ? parseInt(req.body.heartbeat_interval) : null;
+
+        // Update device heartbeat and info
+        const result = await query(
+            `UPDATE devices d
+             SET last_heartbeat = CURRENT_TIMESTAMP,
+                 last_seen = CURRENT_TIMESTAMP,
+                 status = CASE WHEN d.status = 'offline' THEN 'online' ELSE d.status END,
+                 hardware_info = COALESCE($2, d.hardware_info),
+                 software_info = COALESCE($3, d.software_info),
+                 network_info = COALESCE($4, d.network_info),
+                 heartbeat_interval = COALESCE($5, d.heartbeat_interval)
+             FROM (SELECT id, status as previous_status FROM devices WHERE id = $1 FOR UPDATE) prev
+             WHERE d.id = prev.id
+             RETURNING d.id, d.device_id, d.name, d.group_id, d.status, prev.previous_status`,
+            [id, hardwareInfo ? JSON.stringify(hardwareInfo) : null,
+             softwareInfo ? JSON.stringify(softwareInfo) : null,
+             networkInfo ? JSON.stringify(networkInfo) : null,
+             heartbeatInterval]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const device = result.rows[0];
+
+        await heartbeatStep(device, 'status transition', () => recordStatusTransition(device, device.previous_status, device.status, {
+            reason: 'heartbeat'
+        }));
+
+        // Reported info and status can move the device in or out of dynamic groups
+        await heartbeatStep(device, 'group memberships', () => refreshDeviceMemberships(id));
+
+        await heartbeatStep(device, 'metrics', async () => {
+            const samples = extractMetrics(hardwareInfo, softwareInfo);
+            await recordMetrics(id, samples);
+            await evaluateAlerts(device, samples);
+        });
+
+        // Process any logs sent with heartbeat
+        if (logs && Array.isArray(logs)) {
+            await heartbeatStep(device, 'logs', () => insertDeviceLogs(id, logs));
+        }
+
+        // Compare the reported apps with the device's assignments
+        if (Array.isArray(req.body.installed_apps)) {
+            await heartbeatStep(device, 'installed apps', () => reconcileInventory(device, req.body.installed_apps));
+        }
+
+        // Application sessions that ended since the last heartbeat
+        if (Array.isArray(req.body.app_sessions) && req.body.app_sessions.length > 0) {
+            await heartbeatStep(device, 'app sessions', () => recordSessions(device, req.body.app_sessions));
+        }
+
+        // Cache device status in Redis for quick access
+        await heartbeatStep(device, 'status cache', () => setCache(`device:${id}:status`, {
+            status: device.status,
+            last_seen: new Date().toISOString()
+        }, 300));
+
+        // Hand out any commands queued while the device was away
+        const commands = await claimPendingCommands(id);
+
+        res.json({
+            message: 'Heartbeat received',
+            device_id: device.device_id,
+            status: device.status,
+            commands: commands.map(toAgentCommand)
+        });
+
+    } catch (error) {
+        logger.error('Error processing device heartbeat:', error);
+        next(error);
+    }
+});
+
+// POST /api/devices/:id/logs - Upload a batch of device logs
+router.post('/:id/logs', deviceAuth, [
+    body('logs').isArray({ min: 1 }).withMessage('Logs must be a non-empty array')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        await insertDeviceLogs(req.device.id, req.body.logs);
+
+        res.json({
+            message: 'Logs received'
+        });
+
+    } catch (error) {
+        logger.error('Error storing device logs:', error);
+        next(error);
+    }
+});
+
+// POST /api/devices/:id/app-sessions - Upload a batch of ended application sessions
+router.post('/:id/app-sessions', deviceAuth, [
+    body('sessions').isArray({ min: 1 }).withMessage('Sessions must be a non-empty array')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { accepted, ignored } = await recordSessions(req.device, req.body.sessions);
+
+        res.json({
+            message: 'Sessions received',
+            accepted,
+            ignored
+        });
+
+    } catch (error) {
+        logger.error('Error storing application sessions:', error);
+        next(error);
+    }
+});
+
+// POST /api/devices/:id/commands/:commandId/result - Device reports command outcome
+router.post('/:id/commands/:commandId/result', deviceAuth, [
+    body('status').isIn(['succeeded', 'failed']).withMessage('Status must be succeeded or failed'),
+    body('result').optional().isObject().withMessage('Result must be an object'),
+    body('error').optional().isString().withMessage('Error must be a string')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { commandId } = req.params;
+        const { status, result, error } = req.body;
+
+        const command = await completeCommand(req.device.id, commandId, status, { result, error });
+        if (!command) {
+            return res.status(404).json({ error: 'Pending command not found' });
+        }
+
+        logger.info(`Command ${command.command_type} ${status} on device ${req.device.device_id}`, {
+            commandId
+        });
+
+        res.json({
+            message: 'Command result recorded',
+            command
+        });
+
+    } catch (error) {
+        logger.error('Error recording command result:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
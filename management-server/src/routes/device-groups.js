@@ -1,21 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, managerOrAdmin } = require('../middleware/auth');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
+const { parseMetricsQuery, queryMetricSeries } = require('../services/metrics');
+const { recordEvent } = require('../services/events');
+const {
+    GROUP_COLUMNS,
+    getDescendantIds,
+    getAncestors,
+    getDescendants,
+    getGroupTree,
+    getGroupSummary,
+    moveGroup,
+    refreshGroupMembership,
+    memberCondition
+} = require('../services/device-groups');
+const { syncDeviceConfigsSafely } = require('../services/config-profiles');
+const { parseRules } = require('../services/device-group-rules');
 
-// GET /api/device-groups - Get all device groups
+async function findGroup(id) {
+    const result = await db.query(`SELECT ${GROUP_COLUMNS} FROM device_groups WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+// GET /api/device-groups - Get all device groups, ?parent_id= lists the children of one group
+// and ?parent_id=root the top level
 router.get('/', auth, async (req, res, next) => {
     try {
         logger.info('Fetching device groups');
         
+        const { parent_id } = req.query;
+        const condition = parent_id === 'root' ? 'WHERE parent_id IS NULL' : parent_id ? 'WHERE parent_id = $1' : '';
+        
         const query = `
-            SELECT id, name, description, created_at, updated_at
+            SELECT ${GROUP_COLUMNS}
             FROM device_groups
+            ${condition}
             ORDER BY name
         `;
         
-        const result = await db.query(query);
+        const result = await db.query(query, parent_id && parent_id !== 'root' ? [parent_id] : []);
         
         res.json({
             success: true,
@@ -27,30 +52,47 @@ router.get('/', auth, async (req, res, next) => {
     }
 });
 
-// GET /api/device-groups/:id - Get single device group
+// GET /api/device-groups/tree - All groups nested under their parents, with rolled-up device counts
+router.get('/tree', auth, async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            tree: await getGroupTree()
+        });
+    } catch (error) {
+        logger.error('Error fetching device group tree:', error);
+        next(error);
+    }
+});
+
+// GET /api/device-groups/:id - Get single device group with its path, children and device counts
 router.get('/:id', auth, async (req, res, next) => {
     try {
         const { id } = req.params;
         logger.info('Fetching device group with id:', id);
         
-        const query = `
-            SELECT id, name, description, created_at, updated_at
-            FROM device_groups
-            WHERE id = $1
-        `;
-        
-        const result = await db.query(query, [id]);
+        const group = await findGroup(id);
         
-        if (result.rows.length === 0) {
+        if (!group) {
             return res.status(404).json({
                 success: false,
                 message: 'Device group not found'
             });
         }
         
+        const children = await db.query(
+            `SELECT ${GROUP_COLUMNS} FROM device_groups WHERE parent_id = $1 ORDER BY name`,
+            [id]
+        );
+        
         res.json({
             success: true,
-            group: result.rows[0]
+            group: {
+                ...group,
+                ancestors: await getAncestors(id),
+                children: children.rows,
+                ...await getGroupSummary(id)
+            }
         });
     } catch (error) {
         logger.error('Error fetching device group:', error);
@@ -58,11 +100,108 @@ router.get('/:id', auth, async (req, res, next) => {
     }
 });
 
-// POST /api/device-groups - Create new device group
-router.post('/', auth, async (req, res, next) => {
+// GET /api/device-groups/:id/ancestors - Groups above this one, from the top level down
+router.get('/:id/ancestors', auth, async (req, res, next) => {
+    try {
+        if (!await findGroup(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device group not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            ancestors: await getAncestors(req.params.id)
+        });
+    } catch (error) {
+        logger.error('Error fetching device group ancestors:', error);
+        next(error);
+    }
+});
+
+// GET /api/device-groups/:id/descendants - Every group below this one, with its depth
+router.get('/:id/descendants', auth, async (req, res, next) => {
+    try {
+        if (!await findGroup(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device group not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            descendants: await getDescendants(req.params.id)
+        });
+    } catch (error) {
+        logger.error('Error fetching device group descendants:', error);
+        next(error);
+    }
+});
+
+// GET /api/device-groups/:id/metrics - Fleet metrics aggregated over the group's devices,
+// ?include_descendants=true adds the devices of its subgroups
+router.get('/:id/metrics', auth, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { metrics, from, to, step, aggregate, error } = parseMetricsQuery(req.query);
+        
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        const groupResult = await db.query('SELECT id FROM device_groups WHERE id = $1', [id]);
+        
+        if (groupResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device group not found'
+            });
+        }
+        
+        const groupIds = req.query.include_descendants === 'true' ? await getDescendantIds(id) : [id];
+        const devicesResult = await db.query(`SELECT d.id FROM devices d WHERE ${memberCondition('$1')}`, [groupIds]);
+        const deviceIds = devicesResult.rows.map(row => row.id);
+        
+        const { source, timestamps, series } = await queryMetricSeries({
+            deviceIds, metrics, from, to, step, aggregate
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                group_id: id,
+                device_count: deviceIds.length,
+                from: from.toISOString(),
+                to: to.toISOString(),
+                step,
+                aggregate,
+                source,
+                timestamps,
+                series
+            }
+        });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Error fetching device group metrics:', error);
+        next(error);
+    }
+});
+
+// POST /api/device-groups - Create new device group, a dynamic group takes its members from rules
+router.post('/', auth, managerOrAdmin, async (req, res, next) => {
     try {
-        const { name, description } = req.body;
-        logger.info('Creating new device group:', { name });
+        const { name, description, parent_id, type = 'static', rules } = req.body;
+        logger.info('Creating new device group:', { name, parent_id, type });
         
         if (!name) {
             return res.status(400).json({
@@ -71,17 +210,64 @@ router.post('/', auth, async (req, res, next) => {
             });
         }
         
+        if (!['static', 'dynamic'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Type must be static or dynamic'
+            });
+        }
+        
+        if (type === 'static' && rules !== undefined && rules !== null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only dynamic groups have rules'
+            });
+        }
+        
+        const parsed = type === 'dynamic' ? parseRules(rules) : {};
+        
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                message: rules === undefined ? 'Rules are required for a dynamic group' : parsed.error
+            });
+        }
+        
+        if (parent_id && !await findGroup(parent_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parent group not found'
+            });
+        }
+        
         const query = `
-            INSERT INTO device_groups (name, description)
-            VALUES ($1, $2)
-            RETURNING id, name, description, created_at, updated_at
+            INSERT INTO device_groups (name, description, parent_id, type, rules, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING ${GROUP_COLUMNS}
         `;
         
-        const result = await db.query(query, [name, description]);
+        const result = await db.query(query, [
+            name,
+            description,
+            parent_id || null,
+            type,
+            parsed.rules ? JSON.stringify(parsed.rules) : null,
+            req.user.id
+        ]);
+        const group = result.rows[0];
+        
+        await recordEvent('group_created', {
+            entityType: 'device_group',
+            entityId: group.id,
+            userId: req.user.id,
+            data: { name, parent_id: parent_id || null, type }
+        });
+        
+        const { added } = await refreshGroupMembership(group);
         
         res.status(201).json({
             success: true,
-            group: result.rows[0]
+            group: { ...group, device_count: added.length }
         });
     } catch (error) {
         logger.error('Error creating device group:', error);
@@ -90,33 +276,90 @@ router.post('/', auth, async (req, res, next) => {
 });
 
 // PUT /api/device-groups/:id - Update device group
-router.put('/:id', auth, async (req, res, next) => {
+router.put('/:id', auth, managerOrAdmin, async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { name, description } = req.body;
+        const { name, description, parent_id, type, rules } = req.body;
         logger.info('Updating device group with id:', id);
         
         // Check if device group exists
-        const checkQuery = 'SELECT id FROM device_groups WHERE id = $1';
-        const checkResult = await db.query(checkQuery, [id]);
+        const existing = await findGroup(id);
         
-        if (checkResult.rows.length === 0) {
+        if (!existing) {
             return res.status(404).json({
                 success: false,
                 message: 'Device group not found'
             });
         }
         
+        if (type !== undefined && type !== existing.type) {
+            return res.status(400).json({
+                success: false,
+                message: 'The type of a group cannot be changed'
+            });
+        }
+        
+        // New rules replace the old ones and the members are evaluated again
+        const parsed = rules !== undefined ? parseRules(rules) : {};
+        
+        if (rules !== undefined && existing.type !== 'dynamic') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only dynamic groups have rules'
+            });
+        }
+        
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                message: parsed.error
+            });
+        }
+        
+        // parent_id moves the group with its subtree, null moves it to the top level
+        if (parent_id !== undefined && parent_id !== existing.parent_id) {
+            if (parent_id && !await findGroup(parent_id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parent group not found'
+                });
+            }
+            
+            const moved = await moveGroup(id, parent_id);
+            
+            if (moved.error) {
+                return res.status(409).json({
+                    success: false,
+                    message: moved.error
+                });
+            }
+            
+            // The subtree now inherits the profiles of its new ancestors
+            await syncDeviceConfigsSafely(null, req.user.id);
+        }
+        
         const query = `
             UPDATE device_groups 
             SET name = COALESCE($2, name),
                 description = COALESCE($3, description),
+                rules = COALESCE($4, rules),
                 updated_at = CURRENT_TIMESTAMP
             WHERE id = $1
-            RETURNING id, name, description, created_at, updated_at
+            RETURNING ${GROUP_COLUMNS}
         `;
         
-        const result = await db.query(query, [id, name, description]);
+        const result = await db.query(query, [id, name, description, parsed.rules ? JSON.stringify(parsed.rules) : null]);
+        
+        if (parsed.rules) {
+            await refreshGroupMembership(result.rows[0]);
+        }
+        
+        await recordEvent('group_updated', {
+            entityType: 'device_group',
+            entityId: id,
+            userId: req.user.id,
+            data: { changes: req.body }
+        });
         
         res.json({
             success: true,
@@ -129,7 +372,7 @@ router.put('/:id', auth, async (req, res, next) => {
 });
 
 // DELETE /api/device-groups/:id - Delete device group
-router.delete('/:id', auth, async (req, res, next) => {
+router.delete('/:id', auth, managerOrAdmin, async (req, res, next) => {
     try {
         const { id } = req.params;
         logger.info('Deleting device group with id:', id);
@@ -156,8 +399,29 @@ router.delete('/:id', auth, async (req, res, next) => {
             });
         }
         
-        const query = 'DELETE FROM device_groups WHERE id = $1';
-        await db.query(query, [id]);
+        const childrenResult = await db.query('SELECT COUNT(*) FROM device_groups WHERE parent_id = $1', [id]);
+        
+        if (parseInt(childrenResult.rows[0].count) > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete device group that contains subgroups'
+            });
+        }
+        
+        const query = 'DELETE FROM device_groups WHERE id = $1 RETURNING name, config_profile_id';
+        const result = await db.query(query, [id]);
+        
+        // Members of a dynamic group lose its profile
+        if (result.rows[0].config_profile_id) {
+            await syncDeviceConfigsSafely(null, req.user.id);
+        }
+        
+        await recordEvent('group_deleted', {
+            entityType: 'device_group',
+            entityId: id,
+            userId: req.user.id,
+            data: { name: result.rows[0].name }
+        });
         
         res.json({
             success: true,
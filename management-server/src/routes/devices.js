@@ -4,6 +4,27 @@ const { query, transaction } = require('../database/connection');
 const { auth, authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { getRedisClient } = require('../services/redis');
+const { COMMAND_TYPES, COMMAND_STATUSES, enqueueCommand, cancelCommand } = require('../services/device-commands');
+const { issueCredential, revokeCredential } = require('../services/device-credentials');
+const { isDeviceConnected } = require('../services/device-socket');
+const { recordInitialStatus, recordStatusTransition, computeUptime } = require('../services/device-status');
+const { parseMetricsQuery, queryMetricSeries } = require('../services/metrics');
+const { recordEvent } = require('../services/events');
+const { resolveDeviceConfig } = require('../services/application-config');
+const { getApplicationInventory, remediateDrift } = require('../services/application-inventory');
+const { downloadPath } = require('../services/artifacts');
+const { getDescendantIds, memberCondition, refreshDeviceMemberships, isStaticGroup } = require('../services/device-groups');
+const {
+    normalizeTags,
+    normalizeLabelKeys,
+    normalizeLabels,
+    tagConditions,
+    updateTags,
+    getTagCounts,
+    getLabelCounts
+} = require('../services/device-tags');
+const { resolveDeviceProfile, syncDeviceConfigs, syncDeviceConfigsSafely, setDeviceProfile } = require('../services/config-profiles');
+const { validateConfig, renderIni } = require('../services/config-schema');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
@@ -18,7 +39,9 @@ const validateDevice = [
     body('description').optional().trim(),
     body('device_type').optional().isIn(['kiosk', 'tablet', 'display', 'signage']).withMessage('Invalid device type'),
     body('group_id').optional().isUUID().withMessage('Invalid group ID'),
-    body('location').optional().isObject().withMessage('Location must be an object')
+    body('location').optional().isObject().withMessage('Location must be an object'),
+    body('tags').optional().isArray().withMessage('Tags must be a list'),
+    body('labels').optional().isObject().withMessage('Labels must be an object')
 ];
 
 const validateDeviceUpdate = [
@@ -27,15 +50,59 @@ const validateDeviceUpdate = [
     body('device_type').optional().isIn(['kiosk', 'tablet', 'display', 'signage']).withMessage('Invalid device type'),
     body('group_id').optional().isUUID().withMessage('Invalid group ID'),
     body('location').optional().isObject().withMessage('Location must be an object'),
-    body('status').optional().isIn(['online', 'offline', 'maintenance', 'error']).withMessage('Invalid status')
+    body('status').optional().isIn(['online', 'offline', 'maintenance', 'error']).withMessage('Invalid status'),
+    body('tags').optional().isArray().withMessage('Tags must be a list'),
+    body('labels').optional().isObject().withMessage('Labels must be an object')
 ];
 
+/**
+ * Tag and label filters of a device list query, tag=a&tag=b and label.<key>=<value>.
+ * Returns { filters } or { error }.
+ */
+function parseTagFilters(reqQuery) {
+    const tagValues = reqQuery.tag === undefined ? [] : [].concat(reqQuery.tag);
+    const { tags, error } = normalizeTags(tagValues);
+    if (error) {
+        return { error };
+    }
+
+    const labels = {};
+    for (const [param, value] of Object.entries(reqQuery)) {
+        if (!param.startsWith('label.')) {
+            continue;
+        }
+        const { keys, error: keyError } = normalizeLabelKeys([param.slice('label.'.length)]);
+        if (keyError) {
+            return { error: keyError };
+        }
+        // label.vendor= only asks for the key, repeating a label accepts any of its values
+        labels[keys[0]] = [].concat(value).map(String).filter(item => item !== '');
+    }
+
+    return { filters: { tags, labels } };
+}
+
+// Devices named by uuid or device_id, with the names that matched nothing
+async function findDevices(identifiers) {
+    const names = identifiers.map(String);
+    const result = await query(
+        'SELECT id, device_id FROM devices WHERE id::text = ANY($1) OR device_id = ANY($1)',
+        [names]
+    );
+    const found = new Set(result.rows.flatMap(row => [row.id, row.device_id]));
+    return {
+        ids: result.rows.map(row => row.id),
+        notFound: names.filter(name => !found.has(name))
+    };
+}
+
 // GET /api/devices - Get all devices with filtering and pagination
 router.get('/', [
     queryValidator('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     queryValidator('status').optional().isIn(['online', 'offline', 'maintenance', 'error']).withMessage('Invalid status filter'),
     queryValidator('group_id').optional().isUUID().withMessage('Invalid group ID'),
+    queryValidator('include_descendants').optional().isBoolean().withMessage('include_descendants must be true or false'),
     queryValidator('search').optional().trim()
 ], async (req, res, next) => {
     try {
@@ -47,6 +114,11 @@ router.get('/', [
             });
         }
 
+        const { filters, error } = parseTagFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
         const page = parseInt(req.query.page || '1');
         const limit = parseInt(req.query.limit || '20');
         const offset = (page - 1) * limit;
@@ -63,9 +135,10 @@ router.get('/', [
             paramIndex++;
         }
 
+        // With include_descendants the devices of every subgroup are listed too
         if (group_id) {
-            whereConditions.push(`d.group_id = $${paramIndex}`);
-            queryParams.push(group_id);
+            whereConditions.push(memberCondition(`$${paramIndex}`));
+            queryParams.push(req.query.include_descendants === 'true' ? await getDescendantIds(group_id) : [group_id]);
             paramIndex++;
         }
 
@@ -75,6 +148,9 @@ router.get('/', [
             paramIndex++;
         }
 
+        whereConditions.push(...tagConditions(filters, queryParams));
+        paramIndex = queryParams.length + 1;
+
         const whereClause = whereConditions.join(' AND ');
 
         // Get total count
@@ -92,6 +168,7 @@ router.get('/', [
             SELECT 
                 d.id, d.device_id, d.name, d.description, d.device_type, d.status,
                 d.location, d.hardware_info, d.software_info, d.network_info,
+                d.tags, d.labels,
                 d.last_seen, d.last_heartbeat, d.created_at, d.updated_at,
                 dg.name as group_name, dg.id as group_id,
                 u.username as created_by_username
@@ -113,7 +190,7 @@ router.get('/', [
 
         logger.info(`Retrieved devices: page ${page}, total: ${total}`, { 
             userId: req.user.id,
-            filters: { status, group_id, search }
+            filters: { status, group_id, search, ...filters }
         });
 
         res.json({
@@ -134,6 +211,116 @@ router.get('/', [
     }
 });
 
+// GET /api/devices/tags - Tags in use with their device counts
+router.get('/tags', async (req, res, next) => {
+    try {
+        res.json({
+            tags: await getTagCounts()
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving device tags:', error);
+        next(error);
+    }
+});
+
+// GET /api/devices/labels - Label keys in use with their values and device counts
+router.get('/labels', async (req, res, next) => {
+    try {
+        res.json({
+            labels: await getLabelCounts()
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving device labels:', error);
+        next(error);
+    }
+});
+
+const validateBulk = [
+    body('device_ids').isArray({ min: 1, max: 1000 }).withMessage('device_ids must list 1 to 1000 devices')
+];
+
+/**
+ * Apply a bulk tag or label change to the devices named in the body.
+ * parse turns the body into the updateTags changes or returns { error }.
+ */
+function bulkTagRoute(parse) {
+    return async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const { changes, error } = parse(req.body);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const { ids, notFound } = await findDevices(req.body.device_ids);
+            const { devices, rejected } = ids.length > 0
+                ? await updateTags(ids, changes)
+                : { devices: [], rejected: [] };
+
+            for (const device of devices) {
+                await recordEvent('device_updated', {
+                    entityType: 'device',
+                    entityId: device.id,
+                    userId: req.user.id,
+                    data: { changes: { tags: device.tags, labels: device.labels } }
+                });
+                await refreshDeviceMemberships(device.id);
+            }
+
+            logger.info(`Tags updated on ${devices.length} device(s)`, {
+                userId: req.user.id,
+                changes
+            });
+
+            res.json({
+                message: `Updated ${devices.length} device(s)`,
+                devices,
+                rejected,
+                not_found: notFound
+            });
+
+        } catch (error) {
+            logger.error('Error updating device tags:', error);
+            next(error);
+        }
+    };
+}
+
+// POST /api/devices/tags - Add and remove tags on many devices
+router.post('/tags', authorize(['admin', 'manager']), validateBulk, bulkTagRoute((body) => {
+    const add = normalizeTags(body.add || []);
+    const remove = normalizeTags(body.remove || []);
+    if (add.error || remove.error) {
+        return { error: add.error || remove.error };
+    }
+    if (add.tags.length === 0 && remove.tags.length === 0) {
+        return { error: 'Nothing to add or remove' };
+    }
+    return { changes: { addTags: add.tags, removeTags: remove.tags } };
+}));
+
+// POST /api/devices/labels - Set and remove labels on many devices
+router.post('/labels', authorize(['admin', 'manager']), validateBulk, bulkTagRoute((body) => {
+    const set = normalizeLabels(body.set || {});
+    const remove = normalizeLabelKeys(body.remove || []);
+    if (set.error || remove.error) {
+        return { error: set.error || remove.error };
+    }
+    if (Object.keys(set.labels).length === 0 && remove.keys.length === 0) {
+        return { error: 'Nothing to set or remove' };
+    }
+    return { changes: { setLabels: set.labels, removeLabels: remove.keys } };
+}));
+
 // GET /api/devices/:id - Get single device
 router.get('/:id', async (req, res, next) => {
     try {
@@ -179,15 +366,26 @@ router.get('/:id', async (req, res, next) => {
             [id]
         );
 
+        // Settings each installed application runs with
+        for (const app of appsResult.rows) {
+            const resolved = await resolveDeviceConfig(app, device);
+            app.config = resolved.config;
+            app.config_sources = resolved.sources;
+        }
+
         logger.info(`Retrieved device details: ${device.device_id}`, { 
             userId: req.user.id,
             deviceId: id
         });
 
         res.json({
-            device,
+            device: {
+                ...device,
+                websocket_connected: isDeviceConnected(device.id)
+            },
             recentLogs: logsResult.rows,
-            installedApplications: appsResult.rows
+            installedApplications: appsResult.rows,
+            applicationInventory: await getApplicationInventory(id)
         });
 
     } catch (error) {
@@ -209,6 +407,12 @@ router.post('/', validateDevice, async (req, res, next) => {
 
         const { device_id, name, description, device_type, group_id, location } = req.body;
 
+        const tags = normalizeTags(req.body.tags || []);
+        const labels = normalizeLabels(req.body.labels || {});
+        if (tags.error || labels.error) {
+            return res.status(400).json({ error: tags.error || labels.error });
+        }
+
         // Check if device_id already exists
         const existing = await query(
             'SELECT id FROM devices WHERE device_id = $1',
@@ -219,16 +423,35 @@ router.post('/', validateDevice, async (req, res, next) => {
             return res.status(409).json({ error: 'Device ID already exists' });
         }
 
+        // Dynamic groups pick their members by rules
+        if (group_id && !await isStaticGroup(group_id)) {
+            return res.status(400).json({ error: 'Devices can only be assigned to an existing static group' });
+        }
+
         // Create device
         const result = await query(
-            `INSERT INTO devices (device_id, name, description, device_type, group_id, location, created_by)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `INSERT INTO devices (device_id, name, description, device_type, group_id, location, tags, labels, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
              RETURNING *`,
-            [device_id, name, description || null, device_type || 'kiosk', group_id || null, location || null, req.user.id]
+            [
+                device_id,
+                name,
+                description || null,
+                device_type || 'kiosk',
+                group_id || null,
+                location || null,
+                tags.tags,
+                JSON.stringify(labels.labels),
+                req.user.id
+            ]
         );
 
         const device = result.rows[0];
 
+        await recordInitialStatus(device, { userId: req.user.id });
+        await refreshDeviceMemberships(device.id);
+        await syncDeviceConfigsSafely([device.id], req.user.id);
+
         // Log device creation
         await query(
             `INSERT INTO device_logs (device_id, level, message, category, metadata)
@@ -242,6 +465,13 @@ router.post('/', validateDevice, async (req, res, next) => {
             ]
         );
 
+        await recordEvent('device_created', {
+            entityType: 'device',
+            entityId: device.id,
+            userId: req.user.id,
+            data: { device_id, name }
+        });
+
         logger.info(`Device created: ${device_id}`, { 
             userId: req.user.id,
             deviceId: device.id
@@ -278,6 +508,10 @@ router.put('/:id', validateDeviceUpdate, async (req, res, next) => {
             return res.status(404).json({ error: 'Device not found' });
         }
 
+        if (group_id && !await isStaticGroup(group_id)) {
+            return res.status(400).json({ error: 'Devices can only be assigned to an existing static group' });
+        }
+
         // Build update query dynamically
         const updates = [];
         const values = [];
@@ -313,6 +547,25 @@ router.put('/:id', validateDeviceUpdate, async (req, res, next) => {
             values.push(status);
             paramIndex++;
         }
+        // Tags and labels given here replace the device's current ones
+        if (req.body.tags !== undefined) {
+            const { tags, error } = normalizeTags(req.body.tags);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            updates.push(`tags = $${paramIndex}`);
+            values.push(tags);
+            paramIndex++;
+        }
+        if (req.body.labels !== undefined) {
+            const { labels, error } = normalizeLabels(req.body.labels);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            updates.push(`labels = $${paramIndex}`);
+            values.push(JSON.stringify(labels));
+            paramIndex++;
+        }
 
         if (updates.length === 0) {
             return res.status(400).json({ error: 'No valid fields to update' });
@@ -332,6 +585,16 @@ router.put('/:id', validateDeviceUpdate, async (req, res, next) => {
         const result = await query(updateQuery, values);
         const device = result.rows[0];
 
+        if (status !== undefined) {
+            await recordStatusTransition(device, existing.rows[0].status, device.status, {
+                reason: 'manual',
+                userId: req.user.id
+            });
+        }
+
+        await refreshDeviceMemberships(device.id);
+        await syncDeviceConfigsSafely([device.id], req.user.id);
+
         // Log device update
         await query(
             `INSERT INTO device_logs (device_id, level, message, category, metadata)
@@ -348,6 +611,13 @@ router.put('/:id', validateDeviceUpdate, async (req, res, next) => {
             ]
         );
 
+        await recordEvent('device_updated', {
+            entityType: 'device',
+            entityId: device.id,
+            userId: req.user.id,
+            data: { changes: req.body }
+        });
+
         logger.info(`Device updated: ${device.device_id}`, { 
             userId: req.user.id,
             deviceId: id,
@@ -381,6 +651,13 @@ router.delete('/:id', authorize(['admin']), async (req, res, next) => {
         // Delete device (cascade will handle related records)
         await query('DELETE FROM devices WHERE id = $1', [id]);
 
+        await recordEvent('device_deleted', {
+            entityType: 'device',
+            entityId: id,
+            userId: req.user.id,
+            data: { device_id: device.device_id, name: device.name }
+        });
+
         logger.info(`Device deleted: ${device.device_id}`, { 
             userId: req.user.id,
             deviceId: id
@@ -396,71 +673,97 @@ router.delete('/:id', authorize(['admin']), async (req, res, next) => {
     }
 });
 
-// POST /api/devices/:id/heartbeat - Device heartbeat endpoint
-router.post('/:id/heartbeat', async (req, res, next) => {
+// GET /api/devices/:id/config - Effective configuration from the device's profiles and custom_config,
+// ?format=ini renders it as management.conf sections
+router.get('/:id/config', [
+    queryValidator('format').optional().isIn(['json', 'ini']).withMessage('Format must be json or ini')
+], async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const { hardware_info, software_info, network_info, logs } = req.body;
-
-        // Update device heartbeat and info
-        const result = await query(
-            `UPDATE devices 
-             SET last_heartbeat = CURRENT_TIMESTAMP,
-                 last_seen = CURRENT_TIMESTAMP,
-                 status = CASE WHEN status = 'offline' THEN 'online' ELSE status END,
-                 hardware_info = COALESCE($2, hardware_info),
-                 software_info = COALESCE($3, software_info),
-                 network_info = COALESCE($4, network_info)
-             WHERE id = $1
-             RETURNING device_id, status`,
-            [id, hardware_info ? JSON.stringify(hardware_info) : null, 
-             software_info ? JSON.stringify(software_info) : null,
-             network_info ? JSON.stringify(network_info) : null]
-        );
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
 
-        if (result.rows.length === 0) {
+        const existing = await query('SELECT id, device_id, group_id FROM devices WHERE id = $1', [req.params.id]);
+        if (existing.rows.length === 0) {
             return res.status(404).json({ error: 'Device not found' });
         }
 
-        const device = result.rows[0];
+        const config = await resolveDeviceProfile(existing.rows[0]);
+
+        if (req.query.format === 'ini') {
+            const layers = config.layers.map(layer => layer.profile ? `${layer.source} (${layer.profile.name})` : layer.source);
+            return res.type('text/plain').send(renderIni(config.config, [
+                `Kiosk settings for ${existing.rows[0].device_id}`,
+                `Layers: ${layers.length > 0 ? layers.join(', ') : 'none'}`,
+                'The [server] section stays as set on the device'
+            ]));
+        }
+
+        res.json({ config });
+
+    } catch (error) {
+        logger.error('Error resolving device configuration:', error);
+        next(error);
+    }
+});
 
-        // Process any logs sent with heartbeat
-        if (logs && Array.isArray(logs)) {
-            for (const log of logs.slice(0, 50)) { // Limit to 50 logs per heartbeat
-                if (log.message && log.level) {
-                    await query(
-                        `INSERT INTO device_logs (device_id, level, message, category, metadata, timestamp)
-                         VALUES ($1, $2, $3, $4, $5, $6)`,
-                        [
-                            id,
-                            log.level || 'info',
-                            log.message,
-                            log.category || 'device',
-                            log.metadata ? JSON.stringify(log.metadata) : null,
-                            log.timestamp ? new Date(log.timestamp) : new Date()
-                        ]
-                    );
-                }
+// PUT /api/devices/:id/config - Assign a profile and custom settings, null clears either
+router.put('/:id/config', authorize(['admin', 'manager']), [
+    body('profile_id').optional({ nullable: true }).isUUID().withMessage('Invalid profile ID'),
+    body('custom_config').optional({ nullable: true }).isObject().withMessage('custom_config must be an object of sections')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { profile_id, custom_config } = req.body;
+
+        if (profile_id === undefined && custom_config === undefined) {
+            return res.status(400).json({ error: 'Nothing to update, pass profile_id or custom_config' });
+        }
+
+        if (custom_config) {
+            const configErrors = validateConfig(custom_config);
+            if (configErrors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid configuration',
+                    details: configErrors
+                });
             }
         }
 
-        // Cache device status in Redis for quick access
-        const redis = getRedisClient();
-        if (redis) {
-            await redis.setex(`device:${id}:status`, 300, JSON.stringify({
-                status: device.status,
-                last_seen: new Date().toISOString()
-            }));
+        const existing = await query('SELECT id, group_id FROM devices WHERE id = $1', [req.params.id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        if (profile_id) {
+            const profile = await query('SELECT id FROM config_profiles WHERE id = $1', [profile_id]);
+            if (profile.rows.length === 0) {
+                return res.status(404).json({ error: 'Config profile not found' });
+            }
         }
 
+        await setDeviceProfile(req.params.id, { profileId: profile_id, customConfig: custom_config }, req.user.id);
+        const queued = await syncDeviceConfigs([req.params.id], req.user.id);
+
         res.json({
-            message: 'Heartbeat received',
-            device_id: device.device_id,
-            status: device.status
+            message: 'Device configuration updated',
+            config: await resolveDeviceProfile(existing.rows[0]),
+            queued: queued > 0
         });
 
     } catch (error) {
-        logger.error('Error processing device heartbeat:', error);
+        logger.error('Error updating device configuration:', error);
         next(error);
     }
 });
@@ -541,6 +844,392 @@ router.get('/:id/logs', [
     }
 });
 
+// GET /api/devices/:id/uptime - Availability, outages and MTTR over a time range
+router.get('/:id/uptime', [
+    queryValidator('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    queryValidator('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const { id } = req.params;
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+        if (from >= to) {
+            return res.status(400).json({ error: 'From must be before to' });
+        }
+
+        const existing = await query('SELECT id FROM devices WHERE id = $1', [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const [uptime] = await computeUptime(from, to, [id]);
+        if (!uptime) {
+            return res.status(400).json({ error: 'Device did not exist in the requested range' });
+        }
+
+        res.json({
+            uptime
+        });
+
+    } catch (error) {
+        logger.error('Error computing device uptime:', error);
+        next(error);
+    }
+});
+
+// GET /api/devices/:id/metrics - Heartbeat metrics as step-aligned time series
+router.get('/:id/metrics', async (req, res, next) => {
+    try {
+        const { metrics, from, to, step, aggregate, error } = parseMetricsQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { id } = req.params;
+
+        const existing = await query('SELECT id FROM devices WHERE id = $1', [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const { source, timestamps, series } = await queryMetricSeries({
+            deviceIds: [id], metrics, from, to, step, aggregate
+        });
+
+        res.json({
+            device_id: id,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            step,
+            aggregate,
+            source,
+            timestamps,
+            series
+        });
+
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Error retrieving device metrics:', error);
+        next(error);
+    }
+});
+
+// GET /api/devices/:id/commands - Get device command history
+router.get('/:id/commands', [
+    queryValidator('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    queryValidator('status').optional().isIn(COMMAND_STATUSES).withMessage('Invalid command status')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const { id } = req.params;
+        const page = parseInt(req.query.page || '1');
+        const limit = parseInt(req.query.limit || '20');
+        const offset = (page - 1) * limit;
+        const { status } = req.query;
+
+        let whereConditions = ['dc.device_id = $1'];
+        let queryParams = [id];
+        let paramIndex = 2;
+
+        if (status) {
+            whereConditions.push(`dc.status = $${paramIndex}`);
+            queryParams.push(status);
+            paramIndex++;
+        }
+
+        const whereClause = whereConditions.join(' AND ');
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total FROM device_commands dc WHERE ${whereClause}`,
+            queryParams
+        );
+        const total = parseInt(countResult.rows[0].total);
+
+        const commandsQuery = `
+            SELECT 
+                dc.id, dc.command_type, dc.payload, dc.status, dc.result, dc.error_message,
+                dc.delivered_at, dc.completed_at, dc.created_at, dc.updated_at,
+                u.username as created_by_username
+            FROM device_commands dc
+            LEFT JOIN users u ON dc.created_by = u.id
+            WHERE ${whereClause}
+            ORDER BY dc.created_at DESC
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `;
+        queryParams.push(limit, offset);
+
+        const commandsResult = await query(commandsQuery, queryParams);
+
+        res.json({
+            commands: commandsResult.rows,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving device commands:', error);
+        next(error);
+    }
+});
+
+// POST /api/devices/:id/commands - Queue a command for a device
+router.post('/:id/commands', authorize(['admin', 'manager']), [
+    body('type').isIn(COMMAND_TYPES).withMessage('Invalid command type'),
+    body('data').optional().isObject().withMessage('Command data must be an object')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const { id } = req.params;
+        const { type, data } = req.body;
+
+        const existing = await query('SELECT id, device_id FROM devices WHERE id = $1', [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        let payload = data || {};
+
+        // OS updates name an os_image artifact, the agent gets where to fetch it and how to verify it
+        if (type === 'update' && payload.artifact_id) {
+            const artifactResult = await query(
+                "SELECT * FROM artifacts WHERE id::text = $1 AND kind = 'os_image'",
+                [String(payload.artifact_id)]
+            );
+            if (artifactResult.rows.length === 0) {
+                return res.status(404).json({ error: 'OS image not found' });
+            }
+
+            const image = artifactResult.rows[0];
+            payload = {
+                ...payload,
+                url: downloadPath(image),
+                sha256: image.sha256,
+                size: parseInt(image.size),
+                signature: image.signature,
+                signature_key_id: image.signature_key_id
+            };
+        }
+
+        const command = await enqueueCommand(id, type, payload, req.user.id);
+
+        await query(
+            `INSERT INTO device_logs (device_id, level, message, category, metadata)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                id,
+                'info',
+                `Command queued: ${type}`,
+                'command',
+                JSON.stringify({ command_id: command.id, queued_by: req.user.username })
+            ]
+        );
+
+        logger.info(`Command ${type} queued for device ${existing.rows[0].device_id}`, { 
+            userId: req.user.id,
+            deviceId: id,
+            commandId: command.id
+        });
+
+        res.status(201).json({
+            message: 'Command queued successfully',
+            command
+        });
+
+    } catch (error) {
+        logger.error('Error queueing device command:', error);
+        next(error);
+    }
+});
+
+// POST /api/devices/:id/commands/:commandId/cancel - Cancel a command that has no result yet
+router.post('/:id/commands/:commandId/cancel', authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id, commandId } = req.params;
+
+        const command = await cancelCommand(id, commandId);
+        if (!command) {
+            return res.status(409).json({ error: 'Only queued or delivered commands can be cancelled' });
+        }
+
+        logger.info(`Command ${command.command_type} cancelled for device ${id}`, { 
+            userId: req.user.id,
+            commandId
+        });
+
+        res.json({
+            message: 'Command cancelled successfully',
+            command
+        });
+
+    } catch (error) {
+        logger.error('Error cancelling device command:', error);
+        next(error);
+    }
+});
+
+// POST /api/devices/:id/applications/remediate - Queue installs and uninstalls for the device's drifted applications
+router.post('/:id/applications/remediate', authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const existing = await query('SELECT id, device_id, name, group_id FROM devices WHERE id = $1', [req.params.id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const device = existing.rows[0];
+        const commands = await remediateDrift(device, { userId: req.user.id });
+
+        logger.info(`Queued ${commands.length} corrective command(s) for device ${device.device_id}`, {
+            userId: req.user.id,
+            deviceId: device.id
+        });
+
+        res.json({
+            message: commands.length > 0 ? 'Corrective commands queued' : 'No drift to correct',
+            commands
+        });
+
+    } catch (error) {
+        logger.error('Error remediating device applications:', error);
+        next(error);
+    }
+});
+
+// GET /api/devices/:id/credentials - List API credentials issued to a device
+router.get('/:id/credentials', authorize(['admin', 'manager']), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const result = await query(
+            `SELECT 
+                dc.id, dc.key_prefix, dc.enrollment_token_id, dc.last_used_at,
+                dc.revoked_at, dc.created_at, u.username as issued_by_username
+             FROM device_credentials dc
+             LEFT JOIN users u ON dc.issued_by = u.id
+             WHERE dc.device_id = $1
+             ORDER BY dc.created_at DESC`,
+            [id]
+        );
+
+        res.json({
+            credentials: result.rows
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving device credentials:', error);
+        next(error);
+    }
+});
+
+// POST /api/devices/:id/credentials - Issue or rotate a device API key (admin only)
+router.post('/:id/credentials', authorize(['admin']), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const existing = await query('SELECT id, device_id FROM devices WHERE id = $1', [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const { credential, apiKey } = await transaction(async (client) => {
+            return issueCredential(id, { issuedBy: req.user.id, client });
+        });
+
+        await query(
+            `INSERT INTO device_logs (device_id, level, message, category, metadata)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                id,
+                'info',
+                'Device credential rotated',
+                'security',
+                JSON.stringify({ credential_id: credential.id, issued_by: req.user.username })
+            ]
+        );
+
+        logger.info(`Device credential issued: ${existing.rows[0].device_id}`, { 
+            userId: req.user.id,
+            deviceId: id
+        });
+
+        res.status(201).json({
+            message: 'Device credential issued successfully',
+            credential,
+            api_key: apiKey
+        });
+
+    } catch (error) {
+        logger.error('Error issuing device credential:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/devices/:id/credentials - Revoke the active device API key (admin only)
+router.delete('/:id/credentials', authorize(['admin']), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const revoked = await revokeCredential(id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'No active credential for this device' });
+        }
+
+        await query(
+            `INSERT INTO device_logs (device_id, level, message, category, metadata)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                id,
+                'warn',
+                'Device credential revoked',
+                'security',
+                JSON.stringify({ revoked_by: req.user.username })
+            ]
+        );
+
+        logger.info(`Device credential revoked for device ${id}`, { 
+            userId: req.user.id,
+            deviceId: id
+        });
+
+        res.json({
+            message: 'Device credential revoked successfully'
+        });
+
+    } catch (error) {
+        logger.error('Error revoking device credential:', error);
+        next(error);
+    }
+});
+
 module.exports = router;
 
 // Get all devices with filtering and pagination
@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { auth, adminOnly } = require('../middleware/auth');
+const { createEnrollmentToken } = require('../services/device-credentials');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Enrollment tokens are admin only
+router.use(auth, adminOnly);
+
+const validateEnrollmentToken = [
+    body('description').optional().trim(),
+    body('group_id').optional({ nullable: true }).isUUID().withMessage('Invalid group ID'),
+    body('max_uses').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max uses must be a positive integer'),
+    body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Expiry must be an ISO 8601 date')
+];
+
+// GET /api/enrollment-tokens - List enrollment tokens
+router.get('/', async (req, res, next) => {
+    try {
+        const result = await query(
+            `SELECT
+                et.id, et.token_prefix, et.description, et.group_id, et.max_uses, et.use_count,
+                et.expires_at, et.revoked_at, et.created_at,
+                dg.name as group_name,
+                u.username as created_by_username
+             FROM enrollment_tokens et
+             LEFT JOIN device_groups dg ON et.group_id = dg.id
+             LEFT JOIN users u ON et.created_by = u.id
+             ORDER BY et.created_at DESC`
+        );
+
+        res.json({
+            enrollmentTokens: result.rows
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving enrollment tokens:', error);
+        next(error);
+    }
+});
+
+// POST /api/enrollment-tokens - Create enrollment token
+router.post('/', validateEnrollmentToken, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { description, group_id, max_uses, expires_at } = req.body;
+
+        if (group_id) {
+            const group = await query('SELECT id, type FROM device_groups WHERE id = $1', [group_id]);
+            if (group.rows.length === 0) {
+                return res.status(404).json({ error: 'Device group not found' });
+            }
+            if (group.rows[0].type !== 'static') {
+                return res.status(400).json({ error: 'Enrollment tokens can only place devices in a static group' });
+            }
+        }
+
+        const { enrollmentToken, token } = await createEnrollmentToken({
+            description: description || null,
+            groupId: group_id || null,
+            maxUses: max_uses || null,
+            expiresAt: expires_at || null,
+            createdBy: req.user.id
+        });
+
+        logger.info(`Enrollment token created: ${enrollmentToken.token_prefix}`, {
+            userId: req.user.id,
+            groupId: group_id
+        });
+
+        // The plaintext token is only ever shown in this response
+        res.status(201).json({
+            message: 'Enrollment token created successfully',
+            enrollmentToken,
+            token
+        });
+
+    } catch (error) {
+        logger.error('Error creating enrollment token:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/enrollment-tokens/:id - Revoke enrollment token
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const result = await query(
+            `UPDATE enrollment_tokens SET revoked_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND revoked_at IS NULL
+             RETURNING id, token_prefix`,
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Active enrollment token not found' });
+        }
+
+        logger.info(`Enrollment token revoked: ${result.rows[0].token_prefix}`, {
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Enrollment token revoked successfully'
+        });
+
+    } catch (error) {
+        logger.error('Error revoking enrollment token:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
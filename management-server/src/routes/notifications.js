@@ -0,0 +1,294 @@
+const express = require('express');
+const { body, validationResult, query: queryValidator } = require('express-validator');
+const { query } = require('../database/connection');
+const { auth, adminOnly } = require('../middleware/auth');
+const { CHANNEL_TYPES } = require('../services/notification-channels');
+const { SEVERITY_LEVELS, NOTIFICATION_EVENTS, sendTestNotification, attemptDelivery } = require('../services/notifications');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Notification channels are admin only
+router.use(auth, adminOnly);
+
+const validateChannel = [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Channel name must be between 1 and 100 characters'),
+    body('type').isIn(Object.keys(CHANNEL_TYPES)).withMessage('Invalid channel type'),
+    body('config').isObject().withMessage('Config must be an object'),
+    body('min_severity').optional().isIn(SEVERITY_LEVELS).withMessage('Invalid minimum severity'),
+    body('event_types').optional().isArray().withMessage('Event types must be an array'),
+    body('event_types.*').isIn(NOTIFICATION_EVENTS).withMessage('Invalid event type'),
+    body('group_ids').optional().isArray().withMessage('Group IDs must be an array'),
+    body('group_ids.*').isUUID().withMessage('Invalid group ID'),
+    body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean')
+];
+
+// Webhook headers may carry credentials, only show their names
+function redactChannel(channel) {
+    if (channel.type !== 'webhook' || !channel.config.headers) {
+        return channel;
+    }
+
+    const headers = Object.fromEntries(Object.keys(channel.config.headers).map(name => [name, '********']));
+    return { ...channel, config: { ...channel.config, headers } };
+}
+
+// GET /api/notifications/channels - List notification channels
+router.get('/channels', async (req, res, next) => {
+    try {
+        const result = await query('SELECT * FROM notification_channels ORDER BY name');
+
+        res.json({
+            channels: result.rows.map(redactChannel)
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving notification channels:', error);
+        next(error);
+    }
+});
+
+// POST /api/notifications/channels - Create notification channel
+router.post('/channels', validateChannel, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { name, type, config, min_severity, event_types, group_ids, enabled } = req.body;
+
+        const configError = CHANNEL_TYPES[type].validate(config);
+        if (configError) {
+            return res.status(400).json({ error: configError });
+        }
+
+        const result = await query(
+            `INSERT INTO notification_channels (name, type, config, min_severity, event_types, group_ids, enabled, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [
+                name,
+                type,
+                JSON.stringify(config),
+                min_severity || 'warning',
+                event_types || [],
+                group_ids || [],
+                enabled !== false,
+                req.user.id
+            ]
+        );
+
+        logger.info(`Notification channel created: ${name} (${type})`, { userId: req.user.id });
+
+        res.status(201).json({
+            message: 'Notification channel created successfully',
+            channel: redactChannel(result.rows[0])
+        });
+
+    } catch (error) {
+        logger.error('Error creating notification channel:', error);
+        next(error);
+    }
+});
+
+// PUT /api/notifications/channels/:id - Update notification channel
+router.put('/channels/:id', validateChannel, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { name, type, config, min_severity, event_types, group_ids, enabled } = req.body;
+
+        const configError = CHANNEL_TYPES[type].validate(config);
+        if (configError) {
+            return res.status(400).json({ error: configError });
+        }
+
+        const result = await query(
+            `UPDATE notification_channels
+             SET name = $2, type = $3, config = $4, min_severity = $5, event_types = $6, group_ids = $7, enabled = $8
+             WHERE id = $1
+             RETURNING *`,
+            [
+                id,
+                name,
+                type,
+                JSON.stringify(config),
+                min_severity || 'warning',
+                event_types || [],
+                group_ids || [],
+                enabled !== false
+            ]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Notification channel not found' });
+        }
+
+        logger.info(`Notification channel updated: ${name}`, { userId: req.user.id, channelId: id });
+
+        res.json({
+            message: 'Notification channel updated successfully',
+            channel: redactChannel(result.rows[0])
+        });
+
+    } catch (error) {
+        logger.error('Error updating notification channel:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/notifications/channels/:id - Delete notification channel and its delivery log
+router.delete('/channels/:id', async (req, res, next) => {
+    try {
+        const result = await query('DELETE FROM notification_channels WHERE id = $1 RETURNING name', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Notification channel not found' });
+        }
+
+        logger.info(`Notification channel deleted: ${result.rows[0].name}`, { userId: req.user.id });
+
+        res.json({
+            message: 'Notification channel deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Error deleting notification channel:', error);
+        next(error);
+    }
+});
+
+// POST /api/notifications/channels/:id/test - Send a test notification
+router.post('/channels/:id/test', async (req, res, next) => {
+    try {
+        const channelResult = await query('SELECT * FROM notification_channels WHERE id = $1', [req.params.id]);
+
+        if (channelResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Notification channel not found' });
+        }
+
+        const delivery = await sendTestNotification(channelResult.rows[0], req.user);
+
+        res.json({
+            message: delivery.status === 'sent' ? 'Test notification sent' : 'Test notification failed, it will be retried',
+            delivery
+        });
+
+    } catch (error) {
+        logger.error('Error sending test notification:', error);
+        next(error);
+    }
+});
+
+// GET /api/notifications/deliveries - Delivery log
+router.get('/deliveries', [
+    queryValidator('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    queryValidator('channel_id').optional().isUUID().withMessage('Invalid channel ID'),
+    queryValidator('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Invalid delivery status')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page || '1');
+        const limit = parseInt(req.query.limit || '20');
+        const offset = (page - 1) * limit;
+        const { channel_id, status } = req.query;
+
+        const conditions = [];
+        const params = [];
+
+        if (channel_id) {
+            params.push(channel_id);
+            conditions.push(`nd.channel_id = $${params.length}`);
+        }
+
+        if (status) {
+            params.push(status);
+            conditions.push(`nd.status = $${params.length}`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total FROM notification_deliveries nd ${whereClause}`,
+            params
+        );
+
+        const result = await query(
+            `SELECT nd.*, nc.name as channel_name, nc.type as channel_type
+             FROM notification_deliveries nd
+             JOIN notification_channels nc ON nd.channel_id = nc.id
+             ${whereClause}
+             ORDER BY nd.created_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        const total = parseInt(countResult.rows[0].total);
+
+        res.json({
+            deliveries: result.rows,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving notification deliveries:', error);
+        next(error);
+    }
+});
+
+// POST /api/notifications/deliveries/:id/retry - Send a failed delivery again
+router.post('/deliveries/:id/retry', async (req, res, next) => {
+    try {
+        const deliveryResult = await query(
+            `UPDATE notification_deliveries
+             SET status = 'pending', attempts = 0, next_attempt_at = NOW() + interval '2 minutes'
+             WHERE id = $1 AND status = 'failed'
+             RETURNING *`,
+            [req.params.id]
+        );
+
+        if (deliveryResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Failed delivery not found' });
+        }
+
+        const delivery = deliveryResult.rows[0];
+        const channelResult = await query('SELECT * FROM notification_channels WHERE id = $1', [delivery.channel_id]);
+
+        const updated = await attemptDelivery(delivery, channelResult.rows[0]);
+
+        res.json({
+            message: updated.status === 'sent' ? 'Notification sent' : 'Notification failed, it will be retried',
+            delivery: updated
+        });
+
+    } catch (error) {
+        logger.error('Error retrying notification delivery:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,340 @@
+const express = require('express');
+const { body, validationResult, query: queryValidator } = require('express-validator');
+const { query } = require('../database/connection');
+const { auth, managerOrAdmin } = require('../middleware/auth');
+const { getVersion } = require('../services/application-versions');
+const { validateTarget } = require('../services/deployments');
+const {
+    ROLLOUT_STATUSES,
+    validateWaves,
+    getRollout,
+    createRollout,
+    pauseRollout,
+    resumeRollout,
+    abortRollout
+} = require('../services/rollouts');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+// GET /api/rollouts - List rollouts
+router.get('/', [
+    queryValidator('status').optional().isIn(ROLLOUT_STATUSES).withMessage('Invalid rollout status'),
+    queryValidator('application_id').optional().isUUID().withMessage('Invalid application ID')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { status, application_id } = req.query;
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            params.push(status);
+            conditions.push(`r.status = $${params.length}`);
+        }
+
+        if (application_id) {
+            params.push(application_id);
+            conditions.push(`r.application_id = $${params.length}`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await query(
+            `SELECT r.id, r.application_id, a.name as application_name, v.version, r.status,
+                    r.waves, r.current_wave, r.wave_started_at, r.soak_minutes, r.failure_threshold,
+                    r.paused_reason, r.created_at, r.completed_at,
+                    (SELECT COUNT(*) FROM rollout_devices rd WHERE rd.rollout_id = r.id) as device_count
+             FROM rollouts r
+             JOIN applications a ON r.application_id = a.id
+             JOIN application_versions v ON r.version_id = v.id
+             ${whereClause}
+             ORDER BY r.created_at DESC`,
+            params
+        );
+
+        res.json({
+            rollouts: result.rows
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving rollouts:', error);
+        next(error);
+    }
+});
+
+// POST /api/rollouts - Start a staged rollout of an application version
+router.post('/', managerOrAdmin, [
+    body('application_id').isUUID().withMessage('Invalid application ID'),
+    body('version').isString().notEmpty().withMessage('Version is required'),
+    body('waves').optional().isArray({ min: 1 }).withMessage('Waves must be an array of percentages'),
+    body('soak_minutes').optional().isInt({ min: 0 }).withMessage('Soak minutes must be a non-negative integer'),
+    body('failure_threshold').optional().isFloat({ min: 0, max: 100 }).withMessage('Failure threshold must be a percentage'),
+    body('seed').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Seed must be between 1 and 100 characters')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { application_id, version: versionNumber, waves, soak_minutes, failure_threshold, seed } = req.body;
+
+        const target = {};
+        for (const key of ['device_ids', 'group_id', 'filter']) {
+            if (req.body[key] !== undefined) {
+                target[key] = req.body[key];
+            }
+        }
+
+        const targetError = validateTarget(target);
+        if (targetError) {
+            return res.status(400).json({ error: targetError });
+        }
+
+        if (waves !== undefined) {
+            const wavesError = validateWaves(waves);
+            if (wavesError) {
+                return res.status(400).json({ error: wavesError });
+            }
+        }
+
+        const appResult = await query('SELECT * FROM applications WHERE id = $1', [application_id]);
+        if (appResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+
+        const version = await getVersion(application_id, versionNumber);
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        if (!version.download_url) {
+            return res.status(409).json({ error: 'Version has no package to install' });
+        }
+
+        const active = await query(
+            "SELECT id FROM rollouts WHERE application_id = $1 AND status IN ('running', 'paused')",
+            [application_id]
+        );
+        if (active.rows.length > 0) {
+            return res.status(409).json({
+                error: 'The application already has an active rollout',
+                rollout_id: active.rows[0].id
+            });
+        }
+
+        const { rollout, compatibility } = await createRollout(appResult.rows[0], version, target, {
+            waves,
+            soakMinutes: soak_minutes !== undefined ? parseInt(soak_minutes) : undefined,
+            failureThreshold: failure_threshold !== undefined ? parseFloat(failure_threshold) : undefined,
+            seed
+        }, req.user.id);
+
+        if (!rollout) {
+            return compatibility.length > 0
+                ? res.status(409).json({ error: 'None of the targeted devices are compatible with this version', compatibility })
+                : res.status(400).json({ error: 'No devices match the rollout target' });
+        }
+
+        res.status(201).json({
+            message: 'Rollout started',
+            rollout,
+            compatibility
+        });
+
+    } catch (error) {
+        logger.error('Error creating rollout:', error);
+        next(error);
+    }
+});
+
+// GET /api/rollouts/:id - Rollout with progress per wave
+router.get('/:id', async (req, res, next) => {
+    try {
+        const rollout = await getRollout(req.params.id);
+
+        if (!rollout) {
+            return res.status(404).json({ error: 'Rollout not found' });
+        }
+
+        res.json({
+            rollout
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving rollout:', error);
+        next(error);
+    }
+});
+
+// GET /api/rollouts/:id/devices - Targeted devices with their wave and install status
+router.get('/:id/devices', [
+    queryValidator('wave').optional().isInt({ min: 0 }).withMessage('Wave must be a non-negative integer')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const params = [req.params.id];
+        let waveCondition = '';
+        if (req.query.wave !== undefined) {
+            params.push(parseInt(req.query.wave));
+            waveCondition = `AND rd.wave = $${params.length}`;
+        }
+
+        const result = await query(
+            `SELECT d.id, d.device_id, d.name, d.location, dg.name as group_name,
+                    rd.wave, rd.rank, rd.started_at,
+                    da.status as app_status, da.version as installed_version, da.error_message
+             FROM rollout_devices rd
+             JOIN rollouts r ON rd.rollout_id = r.id
+             JOIN devices d ON rd.device_id = d.id
+             LEFT JOIN device_groups dg ON d.group_id = dg.id
+             LEFT JOIN device_applications da ON da.device_id = d.id AND da.application_id = r.application_id
+             WHERE rd.rollout_id = $1 ${waveCondition}
+             ORDER BY rd.rank`,
+            params
+        );
+
+        res.json({
+            devices: result.rows
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving rollout devices:', error);
+        next(error);
+    }
+});
+
+async function findRollout(req, res) {
+    const result = await query('SELECT * FROM rollouts WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+        res.status(404).json({ error: 'Rollout not found' });
+        return null;
+    }
+    return result.rows[0];
+}
+
+// POST /api/rollouts/:id/pause - Hold the rollout at its current wave
+router.post('/:id/pause', managerOrAdmin, [
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const rollout = await findRollout(req, res);
+        if (!rollout) {
+            return;
+        }
+
+        const paused = await pauseRollout(rollout, req.user.id, req.body.reason);
+        if (!paused) {
+            return res.status(409).json({ error: `Cannot pause a ${rollout.status} rollout` });
+        }
+
+        logger.info(`Rollout ${rollout.id} paused`, { userId: req.user.id });
+
+        res.json({
+            message: 'Rollout paused',
+            rollout: await getRollout(rollout.id)
+        });
+
+    } catch (error) {
+        logger.error('Error pausing rollout:', error);
+        next(error);
+    }
+});
+
+// POST /api/rollouts/:id/resume - Continue a paused rollout
+router.post('/:id/resume', managerOrAdmin, [
+    body('failure_threshold').optional().isFloat({ min: 0, max: 100 }).withMessage('Failure threshold must be a percentage')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const rollout = await findRollout(req, res);
+        if (!rollout) {
+            return;
+        }
+
+        if (rollout.status !== 'paused') {
+            return res.status(409).json({ error: `Cannot resume a ${rollout.status} rollout` });
+        }
+
+        const { failure_threshold } = req.body;
+        const resumed = await resumeRollout(rollout, req.user.id, {
+            failureThreshold: failure_threshold !== undefined ? parseFloat(failure_threshold) : undefined
+        });
+
+        if (!resumed) {
+            return res.status(409).json({ error: 'Rollout is no longer paused' });
+        }
+
+        logger.info(`Rollout ${rollout.id} resumed`, { userId: req.user.id });
+
+        res.json({
+            message: 'Rollout resumed',
+            rollout: await getRollout(rollout.id)
+        });
+
+    } catch (error) {
+        logger.error('Error resuming rollout:', error);
+        next(error);
+    }
+});
+
+// POST /api/rollouts/:id/abort - Stop the rollout and cancel installs not yet delivered
+router.post('/:id/abort', managerOrAdmin, async (req, res, next) => {
+    try {
+        const rollout = await findRollout(req, res);
+        if (!rollout) {
+            return;
+        }
+
+        const aborted = await abortRollout(rollout, req.user.id);
+        if (!aborted) {
+            return res.status(409).json({ error: `Cannot abort a ${rollout.status} rollout` });
+        }
+
+        res.json({
+            message: 'Rollout aborted',
+            rollout: await getRollout(rollout.id)
+        });
+
+    } catch (error) {
+        logger.error('Error aborting rollout:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
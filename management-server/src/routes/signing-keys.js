@@ -0,0 +1,107 @@
+const express = require('express');
+const { auth, adminOnly } = require('../middleware/auth');
+const { recordEvent } = require('../services/events');
+const {
+    getSigningKey,
+    listSigningKeys,
+    getPublicKeySet,
+    rotateSigningKey,
+    revokeSigningKey
+} = require('../services/signing');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// GET /api/signing-keys/public - Public keys devices accept package signatures from.
+// Public by nature, agents fetch it without credentials to bootstrap trust.
+router.get('/public', async (req, res, next) => {
+    try {
+        res.json({
+            keys: await getPublicKeySet()
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving public key set:', error);
+        next(error);
+    }
+});
+
+// Managing keys is admin only
+router.use(auth, adminOnly);
+
+// GET /api/signing-keys - All keys, including revoked ones
+router.get('/', async (req, res, next) => {
+    try {
+        res.json({
+            keys: await listSigningKeys()
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving signing keys:', error);
+        next(error);
+    }
+});
+
+// POST /api/signing-keys/rotate - Sign with a new key from now on, the current one is retired
+router.post('/rotate', async (req, res, next) => {
+    try {
+        const { key, previous } = await rotateSigningKey(req.user.id);
+
+        await recordEvent('signing_key_rotated', {
+            entityType: 'signing_key',
+            entityId: key.id,
+            userId: req.user.id,
+            data: { key_id: key.key_id, previous_key_id: previous ? previous.key_id : null }
+        });
+
+        res.status(201).json({
+            message: 'Signing key rotated',
+            key,
+            retired_key_id: previous ? previous.key_id : null
+        });
+
+    } catch (error) {
+        logger.error('Error rotating signing key:', error);
+        next(error);
+    }
+});
+
+// POST /api/signing-keys/:keyId/revoke - Stop trusting a retired key, its artifacts are signed again
+router.post('/:keyId/revoke', async (req, res, next) => {
+    try {
+        const key = await getSigningKey(req.params.keyId);
+
+        if (!key) {
+            return res.status(404).json({ error: 'Signing key not found' });
+        }
+
+        if (key.status !== 'retired') {
+            return res.status(409).json({
+                error: key.status === 'active'
+                    ? 'The active key cannot be revoked, rotate first'
+                    : 'Signing key is already revoked'
+            });
+        }
+
+        const { key: revoked, resigned } = await revokeSigningKey(key);
+
+        await recordEvent('signing_key_revoked', {
+            entityType: 'signing_key',
+            entityId: key.id,
+            userId: req.user.id,
+            data: { key_id: key.key_id, resigned_artifacts: resigned }
+        });
+
+        res.json({
+            message: 'Signing key revoked',
+            key: revoked,
+            resigned_artifacts: resigned
+        });
+
+    } catch (error) {
+        logger.error('Error revoking signing key:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, validationResult, query: queryValidator } = require('express-validator');
+const { query } = require('../database/connection');
+const { auth, adminOnly } = require('../middleware/auth');
+const { EVENT_TYPES } = require('../services/events');
+const { generateSecret, redeliver } = require('../services/webhooks');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Webhook subscriptions are admin only
+router.use(auth, adminOnly);
+
+const validateSubscription = [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be an http or https URL'),
+    body('event_types').optional().isArray().withMessage('Event types must be an array'),
+    body('event_types.*').isIn(EVENT_TYPES).withMessage('Invalid event type'),
+    body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean')
+];
+
+// The secret is only ever returned when it is created or rotated
+const SUBSCRIPTION_COLUMNS = 'id, name, url, event_types, enabled, created_by, created_at, updated_at';
+
+// GET /api/webhooks/event-types - Event types a subscription can filter on
+router.get('/event-types', (req, res) => {
+    res.json({
+        eventTypes: EVENT_TYPES
+    });
+});
+
+// GET /api/webhooks - List webhook subscriptions
+router.get('/', async (req, res, next) => {
+    try {
+        const result = await query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions ORDER BY created_at DESC`);
+
+        res.json({
+            webhooks: result.rows
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving webhooks:', error);
+        next(error);
+    }
+});
+
+// POST /api/webhooks - Register webhook endpoint
+router.post('/', validateSubscription, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { name, url, event_types, enabled } = req.body;
+        const secret = generateSecret();
+
+        const result = await query(
+            `INSERT INTO webhook_subscriptions (name, url, secret, event_types, enabled, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [name, url, secret, event_types || [], enabled !== false, req.user.id]
+        );
+
+        logger.info(`Webhook registered: ${name}`, { userId: req.user.id, webhookId: result.rows[0].id });
+
+        res.status(201).json({
+            message: 'Webhook created successfully',
+            webhook: result.rows[0],
+            secret
+        });
+
+    } catch (error) {
+        logger.error('Error creating webhook:', error);
+        next(error);
+    }
+});
+
+// GET /api/webhooks/:id - Get webhook subscription
+router.get('/:id', async (req, res, next) => {
+    try {
+        const result = await query(
+            `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({
+            webhook: result.rows[0]
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving webhook:', error);
+        next(error);
+    }
+});
+
+// PUT /api/webhooks/:id - Update webhook subscription
+router.put('/:id', validateSubscription, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { name, url, event_types, enabled } = req.body;
+
+        const result = await query(
+            `UPDATE webhook_subscriptions
+             SET name = $2, url = $3, event_types = $4, enabled = $5
+             WHERE id = $1
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [req.params.id, name, url, event_types || [], enabled !== false]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        logger.info(`Webhook updated: ${name}`, { userId: req.user.id, webhookId: req.params.id });
+
+        res.json({
+            message: 'Webhook updated successfully',
+            webhook: result.rows[0]
+        });
+
+    } catch (error) {
+        logger.error('Error updating webhook:', error);
+        next(error);
+    }
+});
+
+// DELETE /api/webhooks/:id - Delete webhook subscription and its delivery history
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const result = await query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING name', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        logger.info(`Webhook deleted: ${result.rows[0].name}`, { userId: req.user.id });
+
+        res.json({
+            message: 'Webhook deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Error deleting webhook:', error);
+        next(error);
+    }
+});
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+router.post('/:id/rotate-secret', async (req, res, next) => {
+    try {
+        const secret = generateSecret();
+
+        const result = await query(
+            `UPDATE webhook_subscriptions SET secret = $2 WHERE id = $1 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [req.params.id, secret]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        logger.info(`Webhook secret rotated: ${result.rows[0].name}`, { userId: req.user.id });
+
+        res.json({
+            message: 'Webhook secret rotated successfully',
+            webhook: result.rows[0],
+            secret
+        });
+
+    } catch (error) {
+        logger.error('Error rotating webhook secret:', error);
+        next(error);
+    }
+});
+
+// GET /api/webhooks/:id/deliveries - Delivery history
+router.get('/:id/deliveries', [
+    queryValidator('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    queryValidator('status').optional().isIn(['pending', 'succeeded', 'failed']).withMessage('Invalid delivery status'),
+    queryValidator('event_type').optional().isIn(EVENT_TYPES).withMessage('Invalid event type')
+], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const page = parseInt(req.query.page || '1');
+        const limit = parseInt(req.query.limit || '20');
+        const offset = (page - 1) * limit;
+        const { status, event_type } = req.query;
+
+        const conditions = ['subscription_id = $1'];
+        const params = [id];
+
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+
+        if (event_type) {
+            params.push(event_type);
+            conditions.push(`event_type = $${params.length}`);
+        }
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        const countResult = await query(
+            `SELECT COUNT(*) as total FROM webhook_deliveries ${whereClause}`,
+            params
+        );
+
+        const result = await query(
+            `SELECT id, event_id, event_type, status, attempt_count, next_attempt_at,
+                    redelivery_of, completed_at, created_at
+             FROM webhook_deliveries
+             ${whereClause}
+             ORDER BY created_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        const total = parseInt(countResult.rows[0].total);
+
+        res.json({
+            deliveries: result.rows,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving webhook deliveries:', error);
+        next(error);
+    }
+});
+
+// GET /api/webhooks/:id/deliveries/:deliveryId - Delivery with its attempt history
+router.get('/:id/deliveries/:deliveryId', async (req, res, next) => {
+    try {
+        const { id, deliveryId } = req.params;
+
+        const deliveryResult = await query(
+            'SELECT * FROM webhook_deliveries WHERE id = $1 AND subscription_id = $2',
+            [deliveryId, id]
+        );
+
+        if (deliveryResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        const attempts = await query(
+            `SELECT attempt_number, response_status, response_body, error_message, duration_ms, attempted_at
+             FROM webhook_delivery_attempts
+             WHERE delivery_id = $1
+             ORDER BY attempt_number`,
+            [deliveryId]
+        );
+
+        res.json({
+            delivery: {
+                ...deliveryResult.rows[0],
+                attempts: attempts.rows
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error retrieving webhook delivery:', error);
+        next(error);
+    }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery's payload again
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+    try {
+        const { id, deliveryId } = req.params;
+
+        const subscription = await query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+        if (subscription.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const original = await query(
+            'SELECT * FROM webhook_deliveries WHERE id = $1 AND subscription_id = $2',
+            [deliveryId, id]
+        );
+        if (original.rows.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        const delivery = await redeliver(original.rows[0], subscription.rows[0]);
+
+        logger.info(`Webhook delivery ${deliveryId} redelivered as ${delivery.id}`, { userId: req.user.id });
+
+        res.status(201).json({
+            message: delivery.status === 'succeeded' ? 'Delivery succeeded' : 'Delivery failed, it will be retried',
+            delivery
+        });
+
+    } catch (error) {
+        logger.error('Error redelivering webhook:', error);
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -11,8 +11,18 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const deviceRoutes = require('./routes/devices');
+const deviceAgentRoutes = require('./routes/device-agent');
+const enrollmentTokenRoutes = require('./routes/enrollment-tokens');
+const alertRoutes = require('./routes/alerts');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
 const applicationRoutes = require('./routes/applications');
+const applicationCategoryRoutes = require('./routes/application-categories');
+const artifactRoutes = require('./routes/artifacts');
+const rolloutRoutes = require('./routes/rollouts');
+const signingKeyRoutes = require('./routes/signing-keys');
 const deviceGroupRoutes = require('./routes/device-groups');
+const configProfileRoutes = require('./routes/config-profiles');
 const userRoutes = require('./routes/users');
 const analyticsRoutes = require('./routes/analytics');
 const configRoutes = require('./routes/config');
@@ -20,7 +30,12 @@ const configRoutes = require('./routes/config');
 const { initDatabase } = require('./database/connection');
 const { initRedis } = require('./services/redis');
 const { setupWebSocket } = require('./services/websocket');
+const { setupDeviceSocket, closeDeviceSocket } = require('./services/device-socket');
 const { startCronJobs } = require('./services/cron');
+const { startNotifications } = require('./services/notifications');
+const { startWebhooks } = require('./services/webhooks');
+const { startDeployments } = require('./services/deployments');
+const { initSigning } = require('./services/signing');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 
@@ -32,7 +47,9 @@ class KioskManagementServer {
             cors: {
                 origin: process.env.NODE_ENV === 'production' ? false : "*",
                 methods: ["GET", "POST"]
-            }
+            },
+            // Upgrades on /ws/devices/* belong to the device WebSocket endpoint
+            destroyUpgrade: false
         });
         this.port = process.env.PORT || 3001;
         this.host = process.env.HOST || '0.0.0.0';
@@ -44,6 +61,10 @@ class KioskManagementServer {
             await initDatabase();
             logger.info('Database initialized successfully');
 
+            // Generate the package signing key on first run
+            await initSigning();
+            logger.info('Package signing initialized successfully');
+
             // Initialize Redis
             await initRedis();
             logger.info('Redis initialized successfully');
@@ -56,11 +77,21 @@ class KioskManagementServer {
 
             // Setup WebSocket
             setupWebSocket(this.io);
+            setupDeviceSocket(this.server);
             logger.info('WebSocket initialized successfully');
 
             // Setup error handling
             this.setupErrorHandling();
 
+            // Route alerts and status changes to notification channels
+            startNotifications();
+
+            // Push system events to webhook subscriptions
+            startWebhooks();
+
+            // Track application installs as devices report command results
+            startDeployments();
+
             // Start cron jobs
             startCronJobs();
             logger.info('Cron jobs started successfully');
@@ -123,9 +154,19 @@ class KioskManagementServer {
     setupRoutes() {
         // API routes
         this.app.use('/api/auth', authRoutes);
+        this.app.use('/api/devices', deviceAgentRoutes);
         this.app.use('/api/devices', deviceRoutes);
+        this.app.use('/api/enrollment-tokens', enrollmentTokenRoutes);
+        this.app.use('/api/alerts', alertRoutes);
+        this.app.use('/api/notifications', notificationRoutes);
+        this.app.use('/api/webhooks', webhookRoutes);
         this.app.use('/api/device-groups', deviceGroupRoutes);
+        this.app.use('/api/config-profiles', configProfileRoutes);
         this.app.use('/api/applications', applicationRoutes);
+        this.app.use('/api/application-categories', applicationCategoryRoutes);
+        this.app.use('/api/artifacts', artifactRoutes);
+        this.app.use('/api/rollouts', rolloutRoutes);
+        this.app.use('/api/signing-keys', signingKeyRoutes);
         this.app.use('/api/users', userRoutes);
         this.app.use('/api/analytics', analyticsRoutes);
         this.app.use('/api/config', configRoutes);
@@ -186,6 +227,8 @@ class KioskManagementServer {
     async shutdown() {
         logger.info('Shutting down server gracefully...');
         
+        closeDeviceSocket();
+
         this.server.close(() => {
             logger.info('Server closed');
             process.exit(0);
@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { getIO, broadcastToAdmins } = require('./websocket');
+const { recordEvent } = require('./events');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const SEVERITIES = ['warning', 'critical'];
+
+// Emits 'opened', 'escalated', 'acknowledged' and 'resolved' with the alert row,
+// so notification channels can follow alerts without polling
+const alertEvents = new EventEmitter();
+
+// Dashboard event for each alert lifecycle change
+const SOCKET_EVENTS = {
+    opened: 'alert:new',
+    escalated: 'alert:updated',
+    acknowledged: 'alert:updated',
+    resolved: 'alert:resolved'
+};
+
+async function publish(change, alert, device, userId = null) {
+    const payload = {
+        ...alert,
+        device_name: device ? device.name : alert.device_name,
+        device_identifier: device ? device.device_id : alert.device_identifier
+    };
+
+    alertEvents.emit(change, payload);
+
+    const io = getIO();
+    if (io) {
+        broadcastToAdmins(io, SOCKET_EVENTS[change], payload);
+    }
+
+    await recordEvent(`alert_${change}`, {
+        entityType: 'alert',
+        entityId: alert.id,
+        userId,
+        data: payload
+    });
+}
+
+/**
+ * Enabled rules for a device, global ones and those of its static and dynamic groups.
+ * A rule defined on a group replaces the global rules for the same metric.
+ */
+async function getApplicableRules(deviceId) {
+    const result = await query(
+        `SELECT * FROM alert_rules
+         WHERE enabled = true
+           AND (group_id IS NULL OR group_id IN (SELECT group_id FROM device_group_membership WHERE device_id = $1))
+         ORDER BY created_at`,
+        [deviceId]
+    );
+
+    const groupMetrics = new Set(result.rows.filter(r => r.group_id).map(r => r.metric));
+
+    return result.rows.filter(rule => rule.group_id || !groupMetrics.has(rule.metric));
+}
+
+/**
+ * Severity a value breaches for a rule, or null when it is within limits
+ */
+function classify(rule, value) {
+    if (rule.critical_threshold !== null && value >= rule.critical_threshold) {
+        return { severity: 'critical', threshold: rule.critical_threshold };
+    }
+    if (rule.warning_threshold !== null && value >= rule.warning_threshold) {
+        return { severity: 'warning', threshold: rule.warning_threshold };
+    }
+    return null;
+}
+
+// Value an alert has to drop below before it resolves itself
+function clearLevel(rule) {
+    const lowest = rule.warning_threshold !== null ? rule.warning_threshold : rule.critical_threshold;
+    return lowest - rule.hysteresis;
+}
+
+function describe(rule, device, value, breach) {
+    return `${rule.name} on ${device.name || device.device_id}: ${rule.metric} is ${value} (${breach.severity} threshold ${breach.threshold})`;
+}
+
+/**
+ * Evaluate the alert rules against the metric samples of one heartbeat.
+ * Alerts open on the first breach, escalate from warning to critical but
+ * never step back down, and resolve once the value is back under the
+ * warning threshold minus the rule's hysteresis.
+ */
+async function evaluateAlerts(device, samples) {
+    const rules = await getApplicableRules(device.id);
+    if (rules.length === 0 || samples.length === 0) {
+        return;
+    }
+
+    const values = new Map(samples.map(s => [s.metric, s.value]));
+
+    const activeResult = await query(
+        "SELECT * FROM alerts WHERE device_id = $1 AND status <> 'resolved'",
+        [device.id]
+    );
+    const active = new Map(activeResult.rows.map(a => [a.rule_id, a]));
+
+    for (const rule of rules) {
+        const value = values.get(rule.metric);
+        if (value === undefined) {
+            continue;
+        }
+
+        const breach = classify(rule, value);
+        const existing = active.get(rule.id);
+
+        if (!existing) {
+            if (!breach) {
+                continue;
+            }
+
+            const inserted = await query(
+                `INSERT INTO alerts (rule_id, device_id, metric, severity, threshold, value, peak_value, message)
+                 VALUES ($1, $2, $3, $4, $5, $6, $6, $7)
+                 ON CONFLICT (rule_id, device_id) WHERE status <> 'resolved' DO NOTHING
+                 RETURNING *`,
+                [rule.id, device.id, rule.metric, breach.severity, breach.threshold, value, describe(rule, device, value, breach)]
+            );
+
+            if (inserted.rows.length > 0) {
+                logger.warn(`Alert opened: ${inserted.rows[0].message}`, { deviceId: device.id, ruleId: rule.id });
+                await publish('opened', inserted.rows[0], device);
+            }
+            continue;
+        }
+
+        if (breach && breach.severity === 'critical' && existing.severity === 'warning') {
+            // Escalation reopens an acknowledged alert, the new severity needs a look
+            const updated = await query(
+                `UPDATE alerts
+                 SET severity = $2, threshold = $3, value = $4, peak_value = GREATEST(peak_value, $4),
+                     message = $5, status = 'open', acknowledged_by = NULL, acknowledged_at = NULL,
+                     last_evaluated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1
+                 RETURNING *`,
+                [existing.id, breach.severity, breach.threshold, value, describe(rule, device, value, breach)]
+            );
+
+            logger.warn(`Alert escalated: ${updated.rows[0].message}`, { deviceId: device.id, ruleId: rule.id });
+            await publish('escalated', updated.rows[0], device);
+        } else if (!breach && value < clearLevel(rule)) {
+            const resolved = await query(
+                `UPDATE alerts
+                 SET status = 'resolved', value = $2, resolved_at = CURRENT_TIMESTAMP,
+                     last_evaluated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status <> 'resolved'
+                 RETURNING *`,
+                [existing.id, value]
+            );
+
+            if (resolved.rows.length > 0) {
+                logger.info(`Alert resolved: ${rule.name} on ${device.device_id}`, { alertId: existing.id });
+                await publish('resolved', resolved.rows[0], device);
+            }
+        } else {
+            await query(
+                `UPDATE alerts
+                 SET value = $2, peak_value = GREATEST(peak_value, $2), last_evaluated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [existing.id, value]
+            );
+        }
+    }
+}
+
+async function getAlertWithDevice(alertId) {
+    const result = await query(
+        `SELECT a.*, d.name as device_name, d.device_id as device_identifier
+         FROM alerts a
+         JOIN devices d ON a.device_id = d.id
+         WHERE a.id = $1`,
+        [alertId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Acknowledge an open alert. Returns null when there is no open alert with that id.
+ */
+async function acknowledgeAlert(alertId, userId) {
+    const result = await query(
+        `UPDATE alerts
+         SET status = 'acknowledged', acknowledged_by = $2, acknowledged_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'open'
+         RETURNING id`,
+        [alertId, userId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const alert = await getAlertWithDevice(alertId);
+    await publish('acknowledged', alert, null, userId);
+    return alert;
+}
+
+/**
+ * Resolve an alert by hand. If the condition persists the next heartbeat opens a new alert.
+ */
+async function resolveAlert(alertId, userId) {
+    const result = await query(
+        `UPDATE alerts
+         SET status = 'resolved', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status <> 'resolved'
+         RETURNING id`,
+        [alertId, userId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const alert = await getAlertWithDevice(alertId);
+    await publish('resolved', alert, null, userId);
+    return alert;
+}
+
+module.exports = {
+    ALERT_STATUSES,
+    SEVERITIES,
+    alertEvents,
+    getApplicableRules,
+    evaluateAlerts,
+    getAlertWithDevice,
+    acknowledgeAlert,
+    resolveAlert
+};
@@ -0,0 +1,138 @@
+const { query } = require('../database/connection');
+const { imagePath } = require('./artifacts');
+
+// Sort keys accepted by the catalog listing, relevance needs a search
+const SORT_FIELDS = {
+    name: 'a.name',
+    created_at: 'a.created_at',
+    updated_at: 'a.updated_at',
+    installed_count: 'installed_count',
+    relevance: 'rank'
+};
+
+const MAX_SCREENSHOTS = 10;
+
+// Devices an application is installed on
+const INSTALLED_COUNT = `(SELECT COUNT(*) FROM device_applications da
+                          WHERE da.application_id = a.id AND da.status = 'installed')::int as installed_count`;
+
+/**
+ * Turn free text into a prefix tsquery, "pay term" matches "payment terminal".
+ * Returns null when the text has nothing searchable.
+ */
+function searchQuery(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+    return words ? words.map(word => `${word}:*`).join(' & ') : null;
+}
+
+/**
+ * One page of the catalog. Filters are search (name, package name and
+ * description), category and isActive. Returns { applications, total }.
+ */
+async function listApplications({ columns, search, category, isActive, sortBy, sortOrder = 'asc', limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const tsquery = searchQuery(search);
+    if (tsquery) {
+        params.push(tsquery);
+        conditions.push(`a.search_vector @@ to_tsquery('english', $${params.length})`);
+    }
+
+    if (category) {
+        params.push(category);
+        conditions.push(`a.category = $${params.length}`);
+    }
+
+    if (isActive !== null && isActive !== undefined) {
+        params.push(isActive);
+        conditions.push(`a.is_active = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM applications a ${whereClause}`, params);
+
+    // Without a search there is nothing to rank by
+    const sortField = sortBy === 'relevance' && !tsquery ? 'name' : sortBy || (tsquery ? 'relevance' : 'name');
+    const direction = sortOrder.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+    const rank = tsquery ? `ts_rank(a.search_vector, to_tsquery('english', $1))` : '0';
+
+    const result = await query(
+        `SELECT ${columns}, ${INSTALLED_COUNT}, ${rank} as rank
+         FROM applications a
+         ${whereClause}
+         ORDER BY ${SORT_FIELDS[sortField]} ${sortField === 'relevance' ? 'DESC' : direction}, a.id
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+
+    return {
+        applications: result.rows.map(({ rank: _rank, ...application }) => application),
+        total: parseInt(countResult.rows[0].total)
+    };
+}
+
+async function getInstalledCount(applicationId) {
+    const result = await query(
+        "SELECT COUNT(*) as count FROM device_applications WHERE application_id = $1 AND status = 'installed'",
+        [applicationId]
+    );
+    return parseInt(result.rows[0].count);
+}
+
+async function getScreenshots(applicationId) {
+    const result = await query(
+        `SELECT s.id, s.caption, s.sort_order, s.artifact_id, s.created_at
+         FROM application_screenshots s
+         WHERE s.application_id = $1
+         ORDER BY s.sort_order, s.created_at`,
+        [applicationId]
+    );
+    return result.rows.map(row => ({ ...row, url: imagePath({ id: row.artifact_id }) }));
+}
+
+/**
+ * Append a screenshot after the application's existing ones
+ */
+async function addScreenshot(applicationId, artifact, caption = null, userId = null) {
+    const result = await query(
+        `INSERT INTO application_screenshots (application_id, artifact_id, caption, sort_order, created_by)
+         SELECT $1, $2, $3, COALESCE(MAX(sort_order) + 1, 0), $4
+         FROM application_screenshots WHERE application_id = $1
+         RETURNING id, caption, sort_order, artifact_id, created_at`,
+        [applicationId, artifact.id, caption, userId]
+    );
+    return { ...result.rows[0], url: imagePath(artifact) };
+}
+
+/**
+ * Categories in display order with the number of applications in each
+ */
+async function listCategories() {
+    const result = await query(
+        `SELECT c.*, COUNT(a.id)::int as application_count
+         FROM application_categories c
+         LEFT JOIN applications a ON a.category = c.name
+         GROUP BY c.id
+         ORDER BY c.sort_order, c.name`
+    );
+    return result.rows;
+}
+
+async function categoryExists(name) {
+    const result = await query('SELECT 1 FROM application_categories WHERE name = $1', [name]);
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    SORT_FIELDS,
+    MAX_SCREENSHOTS,
+    searchQuery,
+    listApplications,
+    getInstalledCount,
+    getScreenshots,
+    addScreenshot,
+    listCategories,
+    categoryExists
+};
@@ -0,0 +1,295 @@
+const Ajv = require('ajv');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { enqueueCommand } = require('./device-commands');
+const { getVersions, getPins, resolveDesiredVersion } = require('./application-versions');
+const { memberCondition } = require('./device-groups');
+
+const CONFIG_SCOPES = ['default', 'group', 'device'];
+
+// Merge order, later levels override earlier ones key by key
+const SOURCE_ORDER = ['schema', 'default', 'group', 'device'];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Compiled validators by schema text, schemas are re-read from the database on every request
+const validators = new Map();
+
+function compile(schema) {
+    const key = JSON.stringify(schema);
+    if (!validators.has(key)) {
+        validators.set(key, ajv.compile(schema));
+    }
+    return validators.get(key);
+}
+
+/**
+ * Check that a config schema is a valid JSON Schema describing an object.
+ * Returns an error message or null.
+ */
+function validateConfigSchema(schema) {
+    if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+        return 'Config schema must be a JSON Schema object';
+    }
+
+    if (schema.type !== undefined && schema.type !== 'object') {
+        return 'Config schema must describe an object';
+    }
+
+    if (!ajv.validateSchema(schema)) {
+        return `Invalid config schema: ${ajv.errorsText(ajv.errors)}`;
+    }
+
+    try {
+        compile(schema);
+    } catch (error) {
+        return `Invalid config schema: ${error.message}`;
+    }
+
+    return null;
+}
+
+function formatErrors(errors) {
+    return (errors || []).map(error => ({
+        path: error.params && error.params.missingProperty
+            ? `${error.instancePath}/${error.params.missingProperty}`
+            : error.instancePath || '/',
+        message: error.message
+    }));
+}
+
+/**
+ * Validate settings against a schema. A single level only holds some of the
+ * keys, so partial validation ignores the top level required list.
+ */
+function validateSettings(schema, settings, { partial = false } = {}) {
+    const effective = { ...schema };
+    if (partial) {
+        delete effective.required;
+    }
+
+    const validate = compile(effective);
+    const valid = validate(settings);
+
+    return { valid, errors: valid ? [] : formatErrors(validate.errors) };
+}
+
+// Top level defaults declared in the schema
+function schemaDefaults(schema) {
+    const defaults = {};
+    const properties = (schema && schema.properties) || {};
+
+    for (const [key, property] of Object.entries(properties)) {
+        if (property && property.default !== undefined) {
+            defaults[key] = property.default;
+        }
+    }
+
+    return defaults;
+}
+
+/**
+ * Schema that settings writes are checked against: the requested version's,
+ * else the one of the newest version declaring a schema
+ */
+async function schemaForWrite(applicationId, versionRef = null) {
+    const versions = await getVersions(applicationId);
+
+    if (versionRef) {
+        const version = versions.find(v => v.id === versionRef || v.version === versionRef);
+        return version ? { version, schema: version.config_schema } : null;
+    }
+
+    const version = versions.find(v => v.config_schema);
+    return version ? { version, schema: version.config_schema } : { version: null, schema: null };
+}
+
+/**
+ * Load every settings level of an application once and return a function
+ * resolving the merged settings for a device ({ id, group_id }) on a version.
+ * The group level merges the settings of the device's dynamic groups in name
+ * order, then those of its static group.
+ */
+async function createConfigResolver(applicationId) {
+    const result = await query('SELECT * FROM application_configs WHERE application_id = $1', [applicationId]);
+
+    const defaults = result.rows.find(row => row.scope === 'default');
+    const groups = new Map(result.rows.filter(row => row.scope === 'group').map(row => [row.group_id, row]));
+    const devices = new Map(result.rows.filter(row => row.scope === 'device').map(row => [row.device_id, row]));
+
+    const members = groups.size === 0 ? { rows: [] } : await query(
+        `SELECT m.device_id, m.group_id
+         FROM device_group_members m
+         JOIN device_groups g ON m.group_id = g.id
+         WHERE m.group_id = ANY($1)
+         ORDER BY g.name`,
+        [[...groups.keys()]]
+    );
+
+    const dynamicGroups = new Map();
+    for (const row of members.rows) {
+        dynamicGroups.set(row.device_id, [...(dynamicGroups.get(row.device_id) || []), row.group_id]);
+    }
+
+    return (device, version) => {
+        const groupIds = [...(dynamicGroups.get(device.id) || []), device.group_id].filter(id => groups.has(id));
+
+        const layers = {
+            schema: schemaDefaults(version && version.config_schema),
+            default: defaults ? defaults.settings : {},
+            group: Object.assign({}, ...groupIds.map(id => groups.get(id).settings)),
+            device: devices.has(device.id) ? devices.get(device.id).settings : {}
+        };
+
+        const config = {};
+        const sources = {};
+
+        for (const source of SOURCE_ORDER) {
+            for (const [key, value] of Object.entries(layers[source] || {})) {
+                config[key] = value;
+                sources[key] = source;
+            }
+        }
+
+        return { config, sources };
+    };
+}
+
+/**
+ * Merged settings of one application for one device, with the level each key
+ * came from and whether the result satisfies the schema of the device's version
+ */
+async function resolveDeviceConfig(application, device) {
+    const installed = await query(
+        'SELECT version FROM device_applications WHERE device_id = $1 AND application_id = $2',
+        [device.id, application.id]
+    );
+
+    const versions = await getVersions(application.id);
+    let version = installed.rows.length > 0
+        ? versions.find(v => v.version === installed.rows[0].version)
+        : null;
+
+    if (!version) {
+        const desired = resolveDesiredVersion(device, versions, await getPins(application.id));
+        version = desired ? desired.version : null;
+    }
+
+    const resolve = await createConfigResolver(application.id);
+    const { config, sources } = resolve(device, version);
+
+    const schema = version && version.config_schema;
+    const validation = schema ? validateSettings(schema, config) : { valid: true, errors: [] };
+
+    return {
+        application_id: application.id,
+        device_id: device.id,
+        version: version ? version.version : null,
+        installed: installed.rows.length > 0,
+        config,
+        sources,
+        valid: validation.valid,
+        errors: validation.errors
+    };
+}
+
+/**
+ * Replace the settings of one level
+ */
+async function setConfigLevel(applicationId, scope, targetId, settings, userId = null) {
+    const conflict = {
+        default: "(application_id) WHERE scope = 'default'",
+        group: "(application_id, group_id) WHERE scope = 'group'",
+        device: "(application_id, device_id) WHERE scope = 'device'"
+    }[scope];
+
+    const result = await query(
+        `INSERT INTO application_configs (application_id, scope, group_id, device_id, settings, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT ${conflict}
+         DO UPDATE SET settings = EXCLUDED.settings, updated_by = EXCLUDED.updated_by
+         RETURNING *`,
+        [
+            applicationId,
+            scope,
+            scope === 'group' ? targetId : null,
+            scope === 'device' ? targetId : null,
+            JSON.stringify(settings),
+            userId
+        ]
+    );
+
+    return result.rows[0];
+}
+
+async function deleteConfigLevel(applicationId, scope, targetId = null) {
+    const result = await query(
+        `DELETE FROM application_configs
+         WHERE application_id = $1 AND scope = $2
+           AND ($3::uuid IS NULL OR group_id = $3 OR device_id = $3)
+         RETURNING *`,
+        [applicationId, scope, targetId]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Send the resolved settings to the devices that have the application
+ * installed and are affected by a change at the given level
+ */
+async function pushConfig(application, scope, targetId = null, userId = null) {
+    const conditions = ['da.application_id = $1', "da.status = 'installed'"];
+    const params = [application.id];
+
+    if (scope === 'group') {
+        params.push([targetId]);
+        conditions.push(memberCondition(`$${params.length}`));
+    } else if (scope === 'device') {
+        params.push(targetId);
+        conditions.push(`d.id = $${params.length}`);
+    }
+
+    const devices = await query(
+        `SELECT d.id, d.group_id, da.version
+         FROM device_applications da
+         JOIN devices d ON da.device_id = d.id
+         WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+
+    if (devices.rows.length === 0) {
+        return 0;
+    }
+
+    const versions = await getVersions(application.id);
+    const resolve = await createConfigResolver(application.id);
+
+    for (const device of devices.rows) {
+        const version = versions.find(v => v.version === device.version) || null;
+        const { config } = resolve(device, version);
+
+        await enqueueCommand(device.id, 'configure', {
+            application_id: application.id,
+            package_name: application.package_name,
+            config
+        }, userId);
+    }
+
+    logger.info(`Pushed ${application.name} settings to ${devices.rows.length} device(s)`, { scope, targetId });
+
+    return devices.rows.length;
+}
+
+module.exports = {
+    CONFIG_SCOPES,
+    validateConfigSchema,
+    validateSettings,
+    schemaDefaults,
+    schemaForWrite,
+    createConfigResolver,
+    resolveDeviceConfig,
+    setConfigLevel,
+    deleteConfigLevel,
+    pushConfig
+};
@@ -0,0 +1,389 @@
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const { enqueueCommand } = require('./device-commands');
+const { recordEvent } = require('./events');
+const { getVersion } = require('./application-versions');
+const { createConfigResolver } = require('./application-config');
+const { DEPLOY_COMMANDS, installPayload, uninstallPayload } = require('./deployments');
+
+const DRIFT_TYPES = ['missing', 'extra', 'wrong_version'];
+
+// Queue corrective installs and uninstalls as soon as drift is found
+const AUTO_REMEDIATE = process.env.APP_DRIFT_REMEDIATION === 'true';
+
+// Assignments with a command still on its way are not compared
+const IN_FLIGHT_STATUSES = ['installing', 'uninstalling'];
+
+const PENDING_COMMAND_STATUSES = ['queued', 'delivered'];
+
+const MAX_REPORTED_APPS = 500;
+
+/**
+ * Clean up the installed_apps list of a heartbeat. Entries are
+ * { package_name (or name), name, version, running }, one per package.
+ */
+function normalizeInventory(installedApps) {
+    const apps = new Map();
+
+    for (const entry of installedApps.slice(0, MAX_REPORTED_APPS)) {
+        if (!entry || typeof entry !== 'object') {
+            continue;
+        }
+
+        const packageName = String(entry.package_name || entry.name || '').trim().slice(0, 100);
+        if (!packageName) {
+            continue;
+        }
+
+        apps.set(packageName, {
+            package_name: packageName,
+            name: entry.name ? String(entry.name).slice(0, 100) : null,
+            version: entry.version !== undefined && entry.version !== null ? String(entry.version).slice(0, 20) : null,
+            running: typeof entry.running === 'boolean' ? entry.running : null
+        });
+    }
+
+    return [...apps.values()];
+}
+
+/**
+ * Replace the stored inventory of a device with its latest report
+ */
+async function recordInventory(deviceId, apps) {
+    await transaction(async (client) => {
+        await client.query('DELETE FROM device_installed_apps WHERE device_id = $1', [deviceId]);
+
+        if (apps.length > 0) {
+            await client.query(
+                `INSERT INTO device_installed_apps (device_id, package_name, name, version, running, application_id)
+                 SELECT $1, r.package_name, r.name, r.version, r.running, a.id
+                 FROM unnest($2::text[], $3::text[], $4::text[], $5::boolean[]) AS r(package_name, name, version, running)
+                 LEFT JOIN applications a ON a.package_name = r.package_name`,
+                [
+                    deviceId,
+                    apps.map(app => app.package_name),
+                    apps.map(app => app.name),
+                    apps.map(app => app.version),
+                    apps.map(app => app.running)
+                ]
+            );
+        }
+
+        await client.query('UPDATE devices SET inventory_reported_at = CURRENT_TIMESTAMP WHERE id = $1', [deviceId]);
+    });
+}
+
+/**
+ * Compare a device's assignments (device_applications rows with the package
+ * name and the type of their last command) with its reported apps. Reported
+ * packages of known, non system applications without an assignment are extra.
+ * Returns the drift and the applications left alone because a command is in flight.
+ */
+function computeDrift(assignments, reported, applications) {
+    const reportedByPackage = new Map(reported.map(app => [app.package_name, app]));
+    const assigned = new Set();
+    const inFlight = new Set();
+    const drift = [];
+
+    for (const row of assignments) {
+        assigned.add(row.application_id);
+
+        if (IN_FLIGHT_STATUSES.includes(row.status)) {
+            inFlight.add(row.application_id);
+            continue;
+        }
+
+        const actual = reportedByPackage.get(row.package_name);
+        // A failed uninstall still means the application should go
+        const wanted = !(row.status === 'failed' && row.command_type === DEPLOY_COMMANDS.uninstall);
+        const entry = {
+            application_id: row.application_id,
+            package_name: row.package_name,
+            desired_version: wanted ? row.version : null,
+            actual_version: actual ? actual.version : null
+        };
+
+        if (wanted && !actual) {
+            drift.push({ ...entry, drift_type: 'missing' });
+        } else if (wanted && row.version && actual.version !== row.version) {
+            drift.push({ ...entry, drift_type: 'wrong_version' });
+        } else if (!wanted && actual) {
+            drift.push({ ...entry, drift_type: 'extra' });
+        }
+    }
+
+    for (const application of applications) {
+        const actual = reportedByPackage.get(application.package_name);
+        if (!actual || assigned.has(application.id) || application.is_system_app) {
+            continue;
+        }
+
+        drift.push({
+            application_id: application.id,
+            package_name: application.package_name,
+            drift_type: 'extra',
+            desired_version: null,
+            actual_version: actual.version
+        });
+    }
+
+    return { drift, inFlight };
+}
+
+async function getDeviceDrift(deviceId) {
+    const result = await query(
+        `SELECT dr.*, a.name as application_name, a.package_name, c.status as command_status
+         FROM application_drift dr
+         JOIN applications a ON dr.application_id = a.id
+         LEFT JOIN device_commands c ON dr.command_id = c.id
+         WHERE dr.device_id = $1
+         ORDER BY a.name`,
+        [deviceId]
+    );
+    return result.rows;
+}
+
+/**
+ * Store the drift found for a device. Unchanged drift keeps its detection time
+ * and corrective command, drift that went away is removed.
+ */
+async function saveDrift(device, drift, inFlight) {
+    const existing = new Map((await getDeviceDrift(device.id)).map(row => [row.application_id, row]));
+    const keep = new Set([...drift.map(entry => entry.application_id), ...inFlight]);
+
+    for (const entry of drift) {
+        const previous = existing.get(entry.application_id);
+        const unchanged = previous && previous.drift_type === entry.drift_type &&
+            previous.desired_version === entry.desired_version;
+
+        if (unchanged && previous.actual_version === entry.actual_version) {
+            continue;
+        }
+
+        await query(
+            `INSERT INTO application_drift (device_id, application_id, drift_type, desired_version, actual_version, command_id, detected_at)
+             VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP))
+             ON CONFLICT (device_id, application_id) DO UPDATE
+             SET drift_type = EXCLUDED.drift_type, desired_version = EXCLUDED.desired_version,
+                 actual_version = EXCLUDED.actual_version, command_id = EXCLUDED.command_id,
+                 detected_at = EXCLUDED.detected_at`,
+            [
+                device.id,
+                entry.application_id,
+                entry.drift_type,
+                entry.desired_version,
+                entry.actual_version,
+                unchanged ? previous.command_id : null,
+                unchanged ? previous.detected_at : null
+            ]
+        );
+
+        if (!unchanged) {
+            logger.warn(`Application ${entry.package_name} drift on device ${device.device_id}: ${entry.drift_type}`, {
+                desired: entry.desired_version,
+                actual: entry.actual_version
+            });
+
+            await recordEvent('application_drift_detected', {
+                entityType: 'device',
+                entityId: device.id,
+                data: { ...entry, device_id: device.device_id }
+            });
+        }
+    }
+
+    const resolved = [...existing.values()].filter(row => !keep.has(row.application_id));
+
+    if (resolved.length > 0) {
+        await query(
+            'DELETE FROM application_drift WHERE device_id = $1 AND application_id = ANY($2)',
+            [device.id, resolved.map(row => row.application_id)]
+        );
+
+        for (const row of resolved) {
+            await recordEvent('application_drift_resolved', {
+                entityType: 'device',
+                entityId: device.id,
+                data: { application_id: row.application_id, package_name: row.package_name, drift_type: row.drift_type, device_id: device.device_id }
+            });
+        }
+    }
+}
+
+/**
+ * Queue the install or uninstall that brings a drifted application back in line.
+ * Returns the command, or null when there is no package to install.
+ */
+async function correctDrift(device, row, userId = null) {
+    const appResult = await query('SELECT * FROM applications WHERE id = $1', [row.application_id]);
+    const application = appResult.rows[0];
+    let command;
+
+    if (row.drift_type === 'extra') {
+        await query(
+            `UPDATE device_applications
+             SET status = 'uninstalling', error_message = NULL, command_id = NULL
+             WHERE device_id = $1 AND application_id = $2`,
+            [device.id, application.id]
+        );
+
+        command = await enqueueCommand(device.id, DEPLOY_COMMANDS.uninstall, uninstallPayload(application), userId);
+    } else {
+        const version = row.desired_version ? await getVersion(application.id, row.desired_version) : null;
+
+        if (!version || !version.download_url) {
+            logger.warn(`Cannot correct ${application.name} on device ${device.device_id}, version ${row.desired_version} has no package`);
+            return null;
+        }
+
+        await query(
+            `UPDATE device_applications
+             SET status = 'installing', error_message = NULL, command_id = NULL
+             WHERE device_id = $1 AND application_id = $2`,
+            [device.id, application.id]
+        );
+
+        const resolveConfig = await createConfigResolver(application.id);
+        const { config } = resolveConfig(device, version);
+        command = await enqueueCommand(device.id, DEPLOY_COMMANDS.install, installPayload(application, version, config), userId);
+    }
+
+    await query(
+        'UPDATE device_applications SET command_id = $3 WHERE device_id = $1 AND application_id = $2',
+        [device.id, application.id, command.id]
+    );
+    await query('UPDATE application_drift SET command_id = $2 WHERE id = $1', [row.id, command.id]);
+
+    logger.info(`Queued ${command.command_type} to correct ${row.drift_type} ${application.name} on device ${device.device_id}`, {
+        commandId: command.id
+    });
+
+    return command;
+}
+
+/**
+ * Send corrective commands for a device's drift. Drift with a command still
+ * pending is skipped, and unless retry is set so is drift that already had one.
+ */
+async function remediateDrift(device, { userId = null, retry = true } = {}) {
+    const rows = await getDeviceDrift(device.id);
+    const commands = [];
+
+    for (const row of rows) {
+        if (PENDING_COMMAND_STATUSES.includes(row.command_status) || (row.command_id && !retry)) {
+            continue;
+        }
+
+        const command = await correctDrift(device, row, userId);
+        if (command) {
+            commands.push(command);
+        }
+    }
+
+    return commands;
+}
+
+/**
+ * Store a device's reported apps, flag drift against its assignments and,
+ * when APP_DRIFT_REMEDIATION is on, queue corrective commands once per drift
+ */
+async function reconcileInventory(device, installedApps) {
+    const reported = normalizeInventory(installedApps);
+    await recordInventory(device.id, reported);
+
+    const assignments = await query(
+        `SELECT da.application_id, da.version, da.status, a.package_name, c.command_type
+         FROM device_applications da
+         JOIN applications a ON da.application_id = a.id
+         LEFT JOIN device_commands c ON da.command_id = c.id
+         WHERE da.device_id = $1`,
+        [device.id]
+    );
+
+    const applications = await query(
+        'SELECT id, package_name, is_system_app FROM applications WHERE package_name = ANY($1)',
+        [reported.map(app => app.package_name)]
+    );
+
+    const { drift, inFlight } = computeDrift(assignments.rows, reported, applications.rows);
+    await saveDrift(device, drift, inFlight);
+
+    if (AUTO_REMEDIATE && drift.length > 0) {
+        await remediateDrift(device, { retry: false });
+    }
+
+    return drift;
+}
+
+/**
+ * Assignments and reported apps of a device side by side, one entry per package
+ */
+async function getApplicationInventory(deviceId) {
+    const assigned = await query(
+        `SELECT da.application_id, a.name, a.package_name, da.version, da.status, da.auto_update, da.error_message
+         FROM device_applications da
+         JOIN applications a ON da.application_id = a.id
+         WHERE da.device_id = $1`,
+        [deviceId]
+    );
+
+    const reported = await query(
+        `SELECT package_name, name, version, running, application_id, reported_at
+         FROM device_installed_apps
+         WHERE device_id = $1`,
+        [deviceId]
+    );
+
+    const drift = await getDeviceDrift(deviceId);
+    const driftByApplication = new Map(drift.map(row => [row.application_id, row]));
+    const entries = new Map();
+
+    for (const row of assigned.rows) {
+        entries.set(row.package_name, {
+            application_id: row.application_id,
+            name: row.name,
+            package_name: row.package_name,
+            desired: {
+                version: row.version,
+                status: row.status,
+                auto_update: row.auto_update,
+                error_message: row.error_message
+            },
+            actual: null
+        });
+    }
+
+    for (const row of reported.rows) {
+        const entry = entries.get(row.package_name) || {
+            application_id: row.application_id,
+            name: row.name,
+            package_name: row.package_name,
+            desired: null
+        };
+
+        entry.actual = { version: row.version, running: row.running, reported_at: row.reported_at };
+        entries.set(row.package_name, entry);
+    }
+
+    return [...entries.values()]
+        .map(entry => {
+            const drift = entry.application_id ? driftByApplication.get(entry.application_id) : null;
+            return {
+                ...entry,
+                drift: drift ? drift.drift_type : null,
+                drift_detected_at: drift ? drift.detected_at : null,
+                corrective_command_id: drift ? drift.command_id : null
+            };
+        })
+        .sort((a, b) => a.package_name.localeCompare(b.package_name));
+}
+
+module.exports = {
+    DRIFT_TYPES,
+    normalizeInventory,
+    computeDrift,
+    getDeviceDrift,
+    reconcileInventory,
+    remediateDrift,
+    getApplicationInventory
+};
@@ -0,0 +1,250 @@
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Raw sessions older than this are only available as daily rollups
+const SESSION_RETENTION_DAYS = parseInt(process.env.APP_SESSION_RETENTION_DAYS) || 30;
+const USAGE_RETENTION_DAYS = parseInt(process.env.APP_USAGE_RETENTION_DAYS) || 365;
+
+const MAX_SESSIONS_PER_REPORT = 100;
+
+// Reports from devices whose clock runs ahead are still accepted within this margin
+const CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Clean up the sessions a device reports. Entries are { session_id, package_name,
+ * version, started_at, ended_at, foreground_seconds, crashed, exit_code }.
+ * Foreground time defaults to the session length, a non-zero exit code counts as a crash.
+ * Sessions too old to be rolled up again, or ending before they start, are dropped.
+ */
+function normalizeSessions(sessions, now = new Date()) {
+    const oldest = now.getTime() - (SESSION_RETENTION_DAYS - 1) * DAY_MS;
+    const normalized = [];
+
+    for (const entry of sessions.slice(0, MAX_SESSIONS_PER_REPORT)) {
+        if (!entry || typeof entry !== 'object') {
+            continue;
+        }
+
+        const sessionId = String(entry.session_id || '').trim().slice(0, 100);
+        const packageName = String(entry.package_name || '').trim().slice(0, 100);
+        const startedAt = toDate(entry.started_at);
+        const endedAt = toDate(entry.ended_at);
+
+        if (!sessionId || !packageName || !startedAt || !endedAt || endedAt < startedAt) {
+            continue;
+        }
+        if (startedAt.getTime() < oldest || endedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+            continue;
+        }
+
+        const length = Math.round((endedAt - startedAt) / 1000);
+        const foreground = parseInt(entry.foreground_seconds);
+        const exitCode = Number.isInteger(entry.exit_code) ? entry.exit_code : null;
+
+        normalized.push({
+            session_id: sessionId,
+            package_name: packageName,
+            version: entry.version !== undefined && entry.version !== null ? String(entry.version).slice(0, 50) : null,
+            started_at: startedAt,
+            ended_at: endedAt,
+            foreground_seconds: foreground >= 0 ? Math.min(foreground, length) : length,
+            crashed: typeof entry.crashed === 'boolean' ? entry.crashed : exitCode !== null && exitCode !== 0,
+            exit_code: exitCode
+        });
+    }
+
+    return normalized;
+}
+
+/**
+ * Store the sessions reported by a device ({ id, group_id }). Sessions of
+ * packages the server does not know and sessions already stored are ignored.
+ * Returns { accepted, ignored }.
+ */
+async function recordSessions(device, sessions) {
+    const normalized = normalizeSessions(sessions);
+
+    if (normalized.length === 0) {
+        return { accepted: 0, ignored: sessions.length };
+    }
+
+    const result = await query(
+        `INSERT INTO application_sessions (device_id, application_id, session_id, version, group_id,
+                                           started_at, ended_at, foreground_seconds, crashed, exit_code)
+         SELECT $1, a.id, s.session_id, s.version, $2, s.started_at, s.ended_at, s.foreground_seconds, s.crashed, s.exit_code
+         FROM unnest($3::text[], $4::text[], $5::text[], $6::timestamptz[], $7::timestamptz[], $8::int[], $9::boolean[], $10::int[])
+              AS s(session_id, package_name, version, started_at, ended_at, foreground_seconds, crashed, exit_code)
+         JOIN applications a ON a.package_name = s.package_name
+         ON CONFLICT (device_id, session_id) DO NOTHING`,
+        [
+            device.id,
+            device.group_id || null,
+            normalized.map(s => s.session_id),
+            normalized.map(s => s.package_name),
+            normalized.map(s => s.version),
+            normalized.map(s => s.started_at),
+            normalized.map(s => s.ended_at),
+            normalized.map(s => s.foreground_seconds),
+            normalized.map(s => s.crashed),
+            normalized.map(s => s.exit_code)
+        ]
+    );
+
+    return { accepted: result.rowCount, ignored: sessions.length - result.rowCount };
+}
+
+/**
+ * Recompute the daily rollups of every UTC day that received sessions in the
+ * last few hours, so sessions reported late are picked up
+ */
+async function rollupApplicationUsage(hours = 3) {
+    const touched = await query(
+        `SELECT DISTINCT to_char(started_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') as day
+         FROM application_sessions
+         WHERE received_at >= NOW() - make_interval(hours => $1)`,
+        [hours]
+    );
+
+    const days = touched.rows.map(row => row.day);
+    if (days.length === 0) {
+        return 0;
+    }
+
+    const rows = await transaction(async (client) => {
+        await client.query('DELETE FROM application_usage_daily WHERE day = ANY($1::date[])', [days]);
+
+        // A device's group is the one it had at its last session of the day
+        const result = await client.query(
+            `INSERT INTO application_usage_daily (day, device_id, application_id, version, group_id,
+                                                  session_count, crash_count, session_seconds, foreground_seconds)
+             SELECT (started_at AT TIME ZONE 'UTC')::date, device_id, application_id, COALESCE(version, ''),
+                    (array_agg(group_id ORDER BY started_at DESC))[1],
+                    COUNT(*), COUNT(*) FILTER (WHERE crashed),
+                    SUM(EXTRACT(EPOCH FROM ended_at - started_at))::bigint, SUM(foreground_seconds)
+             FROM application_sessions
+             WHERE (started_at AT TIME ZONE 'UTC')::date = ANY($1::date[])
+             GROUP BY 1, device_id, application_id, COALESCE(version, '')`,
+            [days]
+        );
+        return result.rowCount;
+    });
+
+    logger.debug(`Rolled up application usage of ${days.length} day(s) into ${rows} rows`);
+    return rows;
+}
+
+/**
+ * Drop raw sessions and daily rollups past their retention period
+ */
+async function pruneApplicationUsage() {
+    const sessions = await query(
+        'DELETE FROM application_sessions WHERE started_at < NOW() - make_interval(days => $1)',
+        [SESSION_RETENTION_DAYS]
+    );
+    const daily = await query(
+        'DELETE FROM application_usage_daily WHERE day < CURRENT_DATE - $1::int',
+        [USAGE_RETENTION_DAYS]
+    );
+
+    return { sessions: sessions.rowCount, daily: daily.rowCount };
+}
+
+// Usage figures of one row of totals over a range of days
+function usageStats(row, days) {
+    const sessions = parseInt(row.session_count) || 0;
+    const crashes = parseInt(row.crash_count) || 0;
+
+    return {
+        activeDevices: parseInt(row.active_devices) || 0,
+        dailyActiveDevices: Math.round((parseInt(row.device_days) || 0) / days * 100) / 100,
+        sessions,
+        crashes,
+        averageSessionSeconds: sessions > 0 ? Math.round(parseFloat(row.session_seconds) / sessions) : null,
+        averageForegroundSeconds: sessions > 0 ? Math.round(parseFloat(row.foreground_seconds) / sessions) : null,
+        crashFreeRate: sessions > 0 ? Math.round((sessions - crashes) / sessions * 10000) / 100 : null
+    };
+}
+
+/**
+ * Usage of each application from the daily rollups over the UTC days
+ * [fromDay, toDay], in total and broken down by version and device group.
+ * Applications without sessions in the range are listed with zero usage.
+ * A static group matches the group devices were in when they reported,
+ * a dynamic group its current members.
+ */
+async function summarizeUsage({ fromDay, toDay, applicationId = null, groupId = null }) {
+    const days = Math.round((new Date(toDay) - new Date(fromDay)) / DAY_MS) + 1;
+    const params = [fromDay, toDay, applicationId, groupId];
+    const where = `WHERE u.day >= $1 AND u.day <= $2
+                     AND ($3::uuid IS NULL OR u.application_id = $3)
+                     AND ($4::uuid IS NULL OR u.group_id = $4
+                          OR u.device_id IN (SELECT device_id FROM device_group_members WHERE group_id = $4))`;
+
+    // Distinct (device, day) pairs give the device days behind the daily active average
+    const totals = `COUNT(DISTINCT u.device_id) as active_devices,
+                    COUNT(DISTINCT (u.device_id, u.day)) as device_days,
+                    SUM(u.session_count) as session_count,
+                    SUM(u.crash_count) as crash_count,
+                    SUM(u.session_seconds) as session_seconds,
+                    SUM(u.foreground_seconds) as foreground_seconds`;
+
+    const [applications, byApplication, byVersion, byGroup] = await Promise.all([
+        query(
+            `SELECT id, name, package_name
+             FROM applications
+             WHERE ($1::uuid IS NULL OR id = $1)
+             ORDER BY name`,
+            [applicationId]
+        ),
+        query(`SELECT u.application_id, ${totals} FROM application_usage_daily u ${where} GROUP BY u.application_id`, params),
+        query(
+            `SELECT u.application_id, u.version, ${totals}
+             FROM application_usage_daily u ${where}
+             GROUP BY u.application_id, u.version
+             ORDER BY session_count DESC`,
+            params
+        ),
+        query(
+            `SELECT u.application_id, u.group_id, g.name as group_name, ${totals}
+             FROM application_usage_daily u
+             LEFT JOIN device_groups g ON u.group_id = g.id
+             ${where}
+             GROUP BY u.application_id, u.group_id, g.name
+             ORDER BY g.name NULLS LAST`,
+            params
+        )
+    ]);
+
+    const totalsByApplication = new Map(byApplication.rows.map(row => [row.application_id, row]));
+
+    return applications.rows
+        .map(app => ({
+            applicationId: app.id,
+            name: app.name,
+            packageName: app.package_name,
+            ...usageStats(totalsByApplication.get(app.id) || {}, days),
+            versions: byVersion.rows
+                .filter(row => row.application_id === app.id)
+                .map(row => ({ version: row.version || null, ...usageStats(row, days) })),
+            groups: byGroup.rows
+                .filter(row => row.application_id === app.id)
+                .map(row => ({ groupId: row.group_id, name: row.group_name, ...usageStats(row, days) }))
+        }))
+        .sort((a, b) => b.dailyActiveDevices - a.dailyActiveDevices || b.sessions - a.sessions);
+}
+
+module.exports = {
+    SESSION_RETENTION_DAYS,
+    normalizeSessions,
+    recordSessions,
+    rollupApplicationUsage,
+    pruneApplicationUsage,
+    summarizeUsage
+};
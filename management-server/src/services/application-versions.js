@@ -0,0 +1,196 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Same names as app_update_channel in management.conf
+const CHANNELS = ['stable', 'beta'];
+
+// Releases a device following each channel receives
+const CHANNEL_RELEASES = {
+    stable: ['stable'],
+    beta: ['stable', 'beta']
+};
+
+const DEFAULT_CHANNEL = 'stable';
+
+// Versions carry the signature of their stored package, if they have one
+const VERSION_SELECT = `
+    SELECT v.*, a.signature, a.signature_key_id
+    FROM application_versions v
+    LEFT JOIN artifacts a ON v.artifact_id = a.id`;
+
+/**
+ * All versions of an application, newest first
+ */
+async function getVersions(applicationId) {
+    const result = await query(
+        `${VERSION_SELECT}
+         WHERE v.application_id = $1
+         ORDER BY v.created_at DESC`,
+        [applicationId]
+    );
+    return result.rows;
+}
+
+async function getVersion(applicationId, versionIdOrNumber) {
+    const result = await query(
+        `${VERSION_SELECT}
+         WHERE v.application_id = $1 AND (v.id::text = $2 OR v.version = $2)`,
+        [applicationId, String(versionIdOrNumber)]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Newest version a device on the channel would get, versions newest first
+ */
+function latestInChannel(versions, channel) {
+    const releases = CHANNEL_RELEASES[channel] || CHANNEL_RELEASES[DEFAULT_CHANNEL];
+    return versions.find(v => releases.includes(v.channel)) || null;
+}
+
+async function getPins(applicationId) {
+    const result = await query(
+        `SELECT p.*, v.version, d.device_id as device_identifier, d.name as device_name, g.name as group_name
+         FROM application_pins p
+         LEFT JOIN application_versions v ON p.version_id = v.id
+         LEFT JOIN devices d ON p.device_id = d.id
+         LEFT JOIN device_groups g ON p.group_id = g.id
+         WHERE p.application_id = $1
+         ORDER BY p.created_at`,
+        [applicationId]
+    );
+    return result.rows;
+}
+
+/**
+ * Version a device should run: its own pin, else its group's pin, else the newest stable release.
+ * Returns { version, source, channel, exact } or null when nothing qualifies.
+ * exact is true when a pin names the version, auto update then also moves devices back to it.
+ */
+function resolveDesiredVersion(device, versions, pins) {
+    const pin = pins.find(p => p.device_id === device.id) ||
+        (device.group_id ? pins.find(p => p.group_id === device.group_id) : null);
+    const source = pin ? (pin.device_id ? 'device' : 'group') : 'default';
+
+    if (pin && pin.version_id) {
+        const version = versions.find(v => v.id === pin.version_id) || null;
+        return version ? { version, source, channel: null, exact: true } : null;
+    }
+
+    const channel = pin ? pin.channel : DEFAULT_CHANNEL;
+    const version = latestInChannel(versions, channel);
+
+    return version ? { version, source, channel, exact: false } : null;
+}
+
+/**
+ * Desired version for each device ({ id, group_id }) of one application, keyed by device id
+ */
+async function resolveDesiredVersions(applicationId, devices) {
+    const versions = await getVersions(applicationId);
+    const pins = await getPins(applicationId);
+
+    const desired = new Map();
+    for (const device of devices) {
+        desired.set(device.id, resolveDesiredVersion(device, versions, pins));
+    }
+    return { desired, versions, pins };
+}
+
+/**
+ * Copy the newest stable release onto the application row, which is what
+ * the application list and older clients read
+ */
+async function syncCurrentVersion(applicationId) {
+    await query(
+        `UPDATE applications a
+         SET version = v.version, download_url = v.download_url, file_size = v.file_size,
+             file_hash = v.file_hash, artifact_id = v.artifact_id, updated_at = CURRENT_TIMESTAMP
+         FROM (
+             SELECT * FROM application_versions
+             WHERE application_id = $1 AND channel = 'stable'
+             ORDER BY created_at DESC
+             LIMIT 1
+         ) v
+         WHERE a.id = v.application_id`,
+        [applicationId]
+    );
+}
+
+/**
+ * Add a version to an application. pkg carries download_url, file_size, file_hash and artifact_id,
+ * requirements the compatibility fields (supported_architectures, min_agent_version,
+ * min_os_version, required_capabilities).
+ */
+async function publishVersion(applicationId, { version, channel = 'beta', changelog = null, configSchema = null, requirements = {}, pkg = {} }, userId = null) {
+    const result = await query(
+        `INSERT INTO application_versions (application_id, version, channel, changelog, config_schema, artifact_id,
+                                           download_url, file_size, file_hash, supported_architectures,
+                                           min_agent_version, min_os_version, required_capabilities,
+                                           created_by, promoted_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+                 CASE WHEN $3 = 'stable' THEN CURRENT_TIMESTAMP END)
+         RETURNING *`,
+        [
+            applicationId,
+            version,
+            channel,
+            changelog,
+            configSchema ? JSON.stringify(configSchema) : null,
+            pkg.artifact_id || null,
+            pkg.download_url || null,
+            pkg.file_size || null,
+            pkg.file_hash || null,
+            requirements.supported_architectures || null,
+            requirements.min_agent_version || null,
+            requirements.min_os_version || null,
+            requirements.required_capabilities || null,
+            userId
+        ]
+    );
+
+    await syncCurrentVersion(applicationId);
+
+    logger.info(`Application version ${version} published to ${channel}`, {
+        applicationId,
+        versionId: result.rows[0].id
+    });
+
+    return result.rows[0];
+}
+
+/**
+ * Move a version to another channel
+ */
+async function promoteVersion(version, channel) {
+    const result = await query(
+        `UPDATE application_versions
+         SET channel = $2, promoted_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [version.id, channel]
+    );
+
+    await syncCurrentVersion(version.application_id);
+
+    logger.info(`Application version ${version.version} moved from ${version.channel} to ${channel}`, {
+        applicationId: version.application_id,
+        versionId: version.id
+    });
+
+    return result.rows[0];
+}
+
+module.exports = {
+    CHANNELS,
+    DEFAULT_CHANNEL,
+    getVersions,
+    getVersion,
+    latestInChannel,
+    getPins,
+    resolveDesiredVersion,
+    resolveDesiredVersions,
+    syncCurrentVersion,
+    publishVersion,
+    promoteVersion
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { signArtifact } = require('./signing');
+
+const ARTIFACT_ROOT = path.resolve(process.env.ARTIFACT_PATH || './artifacts');
+
+// Uploads land here first, on the same filesystem so ingest is a rename
+const TMP_DIR = path.join(ARTIFACT_ROOT, 'tmp');
+
+const MAX_ARTIFACT_SIZE = parseInt(process.env.ARTIFACT_MAX_SIZE) || 1024 * 1024 * 1024;
+
+// Unreferenced artifacts younger than this survive GC, so an upload is never
+// collected before the record pointing at it is written
+const GC_GRACE_HOURS = parseInt(process.env.ARTIFACT_GC_GRACE_HOURS) || 24;
+
+const ARTIFACT_KINDS = ['application', 'os_image', 'image'];
+
+// Catalog icons and screenshots
+const MAX_IMAGE_SIZE = parseInt(process.env.ARTIFACT_MAX_IMAGE_SIZE) || 5 * 1024 * 1024;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Columns referencing artifacts, anything referenced from here is kept by GC
+const ARTIFACT_REFERENCES = [
+    { table: 'applications', column: 'artifact_id' },
+    { table: 'application_versions', column: 'artifact_id' },
+    { table: 'applications', column: 'icon_artifact_id' },
+    { table: 'application_screenshots', column: 'artifact_id' }
+];
+
+/**
+ * Multer storage engine writing uploads to the temp directory while
+ * computing their SHA-256 and size in the same pass
+ */
+function hashingStorage() {
+    return {
+        _handleFile(req, file, cb) {
+            fs.mkdir(TMP_DIR, { recursive: true }, (mkdirError) => {
+                if (mkdirError) {
+                    return cb(mkdirError);
+                }
+
+                const tmpPath = path.join(TMP_DIR, uuidv4());
+                const hash = crypto.createHash('sha256');
+                let size = 0;
+
+                file.stream.on('data', (chunk) => {
+                    hash.update(chunk);
+                    size += chunk.length;
+                });
+
+                pipeline(file.stream, fs.createWriteStream(tmpPath), (error) => {
+                    if (error) {
+                        fs.unlink(tmpPath, () => cb(error));
+                        return;
+                    }
+                    cb(null, { path: tmpPath, size, sha256: hash.digest('hex') });
+                });
+            });
+        },
+
+        _removeFile(req, file, cb) {
+            fs.unlink(file.path, () => cb(null));
+        }
+    };
+}
+
+// Single file upload middleware storing into the artifact temp directory
+const artifactUpload = multer({
+    storage: hashingStorage(),
+    limits: { fileSize: MAX_ARTIFACT_SIZE, files: 1 }
+});
+
+// Single image upload middleware, files of other types are skipped and leave req.file unset
+const imageUpload = multer({
+    storage: hashingStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+    fileFilter(req, file, cb) {
+        cb(null, IMAGE_TYPES.includes(file.mimetype));
+    }
+});
+
+// Follows an upload middleware: once the response is done, an upload that was
+// not moved into the store is deleted, whichever way the request ended
+function discardUnusedUpload(req, res, next) {
+    res.on('close', () => {
+        if (req.file && req.file.path) {
+            fs.unlink(req.file.path, () => {});
+        }
+    });
+    next();
+}
+
+function storagePathFor(sha256) {
+    return path.join(sha256.substring(0, 2), sha256);
+}
+
+function resolveArtifactPath(artifact) {
+    return path.join(ARTIFACT_ROOT, artifact.storage_path);
+}
+
+function downloadPath(artifact) {
+    return `/api/artifacts/${artifact.id}/download`;
+}
+
+// Catalog images are served inline and without authentication, for <img> tags
+function imagePath(artifact) {
+    return `/api/artifacts/${artifact.id}/image`;
+}
+
+/**
+ * Move an uploaded file into the store, record it and sign it.
+ * Uploading content that is already stored returns the existing artifact,
+ * or throws a ConflictError when it is stored as another kind.
+ */
+async function ingestUpload(file, createdBy = null, kind = 'application') {
+    const storagePath = storagePathFor(file.sha256);
+    const target = path.join(ARTIFACT_ROOT, storagePath);
+
+    const existing = await query('SELECT * FROM artifacts WHERE sha256 = $1', [file.sha256]);
+
+    if (existing.rows.length > 0 && existing.rows[0].kind !== kind) {
+        const error = new Error(`This file is already stored as ${existing.rows[0].kind} artifact ${existing.rows[0].id}`);
+        error.name = 'ConflictError';
+        throw error;
+    }
+
+    if (existing.rows.length > 0 && fs.existsSync(resolveArtifactPath(existing.rows[0]))) {
+        await fs.promises.unlink(file.path);
+        return existing.rows[0].signature ? existing.rows[0] : signArtifact(existing.rows[0]);
+    }
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.rename(file.path, target);
+
+    if (existing.rows.length > 0) {
+        // The row survived but its file went missing, the upload restores it
+        logger.warn(`Restored missing artifact file ${file.sha256}`);
+        return existing.rows[0].signature ? existing.rows[0] : signArtifact(existing.rows[0]);
+    }
+
+    const result = await query(
+        `INSERT INTO artifacts (sha256, size, content_type, original_filename, storage_path, kind, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (sha256) DO UPDATE SET sha256 = EXCLUDED.sha256
+         RETURNING *`,
+        [
+            file.sha256,
+            file.size,
+            file.mimetype || 'application/octet-stream',
+            file.originalname || null,
+            storagePath,
+            kind,
+            createdBy
+        ]
+    );
+
+    const artifact = await signArtifact(result.rows[0]);
+    logger.info(`Artifact stored: ${artifact.sha256} (${artifact.size} bytes)`, {
+        artifactId: artifact.id,
+        keyId: artifact.signature_key_id
+    });
+
+    return artifact;
+}
+
+function unreferencedCondition(alias) {
+    return ARTIFACT_REFERENCES
+        .map(({ table, column }) => `NOT EXISTS (SELECT 1 FROM ${table} WHERE ${table}.${column} = ${alias}.id)`)
+        .join(' AND ');
+}
+
+async function isArtifactReferenced(artifactId) {
+    const result = await query(
+        `SELECT NOT (${unreferencedCondition('a')}) as referenced FROM artifacts a WHERE a.id = $1`,
+        [artifactId]
+    );
+    return result.rows.length > 0 && result.rows[0].referenced;
+}
+
+async function removeFile(filePath) {
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Delete a single artifact and its file
+ */
+async function deleteArtifact(artifact) {
+    await query('DELETE FROM artifacts WHERE id = $1', [artifact.id]);
+    await removeFile(resolveArtifactPath(artifact));
+}
+
+/**
+ * Delete artifacts nothing references anymore, plus abandoned temp uploads.
+ * OS images are only referenced by the update commands sent with them, they
+ * stay until deleted by hand.
+ */
+async function collectGarbage({ graceHours = GC_GRACE_HOURS } = {}) {
+    const result = await query(
+        `DELETE FROM artifacts a
+         WHERE a.created_at < NOW() - make_interval(hours => $1)
+           AND a.kind <> 'os_image'
+           AND ${unreferencedCondition('a')}
+         RETURNING *`,
+        [graceHours]
+    );
+
+    let bytes = 0;
+    for (const artifact of result.rows) {
+        await removeFile(resolveArtifactPath(artifact));
+        bytes += parseInt(artifact.size);
+    }
+
+    let tmpFiles = 0;
+    if (fs.existsSync(TMP_DIR)) {
+        const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+        for (const name of await fs.promises.readdir(TMP_DIR)) {
+            const tmpPath = path.join(TMP_DIR, name);
+            const stats = await fs.promises.stat(tmpPath);
+            if (stats.mtimeMs < cutoff) {
+                await removeFile(tmpPath);
+                tmpFiles++;
+            }
+        }
+    }
+
+    if (result.rows.length > 0 || tmpFiles > 0) {
+        logger.info(`Artifact GC removed ${result.rows.length} artifact(s), ${bytes} bytes, and ${tmpFiles} stale upload(s)`);
+    }
+
+    return { deleted: result.rows.length, bytes, tmpFiles };
+}
+
+module.exports = {
+    MAX_ARTIFACT_SIZE,
+    ARTIFACT_KINDS,
+    IMAGE_TYPES,
+    ARTIFACT_REFERENCES,
+    artifactUpload,
+    imageUpload,
+    discardUnusedUpload,
+    resolveArtifactPath,
+    downloadPath,
+    imagePath,
+    ingestUpload,
+    isArtifactReferenced,
+    deleteArtifact,
+    collectGarbage
+};
@@ -0,0 +1,200 @@
+// Architectures of the kiosk OS builds, kiosk_<arch>_defconfig
+const ARCHITECTURES = ['x86_64', 'arm64'];
+
+// uname -m names for the same architectures
+const ARCHITECTURE_ALIASES = {
+    amd64: 'x86_64',
+    aarch64: 'arm64'
+};
+
+// Hardware the agent reports, as enabled in the [hardware] and [display] sections of management.conf
+const CAPABILITIES = ['touch', 'gpio', 'i2c', 'spi', 'uart'];
+
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+
+function normalizeArchitecture(architecture) {
+    if (!architecture) {
+        return null;
+    }
+    const name = String(architecture).toLowerCase();
+    return ARCHITECTURE_ALIASES[name] || name;
+}
+
+/**
+ * Compare dotted numeric versions such as 1.2.0 or 2023.08.1, missing parts count as 0
+ */
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(part => parseInt(part) || 0);
+    const right = String(b).split('.').map(part => parseInt(part) || 0);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) {
+            return diff < 0 ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+// Lists may arrive as arrays, JSON or comma separated multipart fields
+function parseList(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(text);
+            return Array.isArray(parsed) ? parsed.map(String) : undefined;
+        } catch (error) {
+            return undefined;
+        }
+    }
+    return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the requirement fields of a request body.
+ * Returns { requirements, error }, absent fields are left out of requirements.
+ */
+function parseRequirements(body) {
+    const requirements = {};
+
+    for (const field of ['supported_architectures', 'required_capabilities']) {
+        if (body[field] === undefined) {
+            continue;
+        }
+
+        const list = parseList(body[field]);
+        if (list === undefined) {
+            return { error: `${field} must be a list` };
+        }
+        requirements[field] = list && list.length > 0 ? [...new Set(list.map(item => item.toLowerCase()))] : null;
+    }
+
+    if (requirements.supported_architectures) {
+        requirements.supported_architectures = requirements.supported_architectures.map(normalizeArchitecture);
+        const unknown = requirements.supported_architectures.filter(arch => !ARCHITECTURES.includes(arch));
+        if (unknown.length > 0) {
+            return { error: `Unknown architecture: ${unknown.join(', ')}. Supported: ${ARCHITECTURES.join(', ')}` };
+        }
+    }
+
+    if (requirements.required_capabilities) {
+        const unknown = requirements.required_capabilities.filter(cap => !CAPABILITIES.includes(cap));
+        if (unknown.length > 0) {
+            return { error: `Unknown capability: ${unknown.join(', ')}. Supported: ${CAPABILITIES.join(', ')}` };
+        }
+    }
+
+    for (const field of ['min_agent_version', 'min_os_version']) {
+        if (body[field] === undefined) {
+            continue;
+        }
+
+        const value = body[field] === null || body[field] === '' ? null : String(body[field]).trim();
+        if (value !== null && !VERSION_PATTERN.test(value)) {
+            return { error: `${field} must be a dotted version number` };
+        }
+        requirements[field] = value;
+    }
+
+    return { requirements };
+}
+
+/**
+ * What a device last reported about itself in its heartbeats
+ */
+function deviceFacts(device) {
+    const software = device.software_info || {};
+    const hardware = device.hardware_info || {};
+    const capabilities = hardware.capabilities || software.capabilities;
+
+    return {
+        architecture: normalizeArchitecture(software.architecture || hardware.architecture),
+        agent_version: software.agent_version || null,
+        os_version: software.os_version || null,
+        capabilities: Array.isArray(capabilities) ? capabilities.map(cap => String(cap).toLowerCase()) : null
+    };
+}
+
+/**
+ * Check one device against a version's requirements. A requirement the device
+ * has not reported the facts for fails, so old agents are never guessed compatible.
+ */
+function checkCompatibility(version, device) {
+    const facts = deviceFacts(device);
+    const reasons = [];
+
+    if (version.supported_architectures && version.supported_architectures.length > 0) {
+        if (!facts.architecture) {
+            reasons.push('Architecture unknown');
+        } else if (!version.supported_architectures.includes(facts.architecture)) {
+            reasons.push(`Architecture ${facts.architecture} not supported (${version.supported_architectures.join(', ')})`);
+        }
+    }
+
+    if (version.min_agent_version) {
+        if (!facts.agent_version) {
+            reasons.push('Agent version unknown');
+        } else if (compareVersions(facts.agent_version, version.min_agent_version) < 0) {
+            reasons.push(`Agent ${facts.agent_version} older than ${version.min_agent_version}`);
+        }
+    }
+
+    if (version.min_os_version) {
+        if (!facts.os_version) {
+            reasons.push('OS version unknown');
+        } else if (compareVersions(facts.os_version, version.min_os_version) < 0) {
+            reasons.push(`OS ${facts.os_version} older than ${version.min_os_version}`);
+        }
+    }
+
+    if (version.required_capabilities && version.required_capabilities.length > 0) {
+        if (!facts.capabilities) {
+            reasons.push('Capabilities unknown');
+        } else {
+            const missing = version.required_capabilities.filter(cap => !facts.capabilities.includes(cap));
+            if (missing.length > 0) {
+                reasons.push(`Missing capabilities: ${missing.join(', ')}`);
+            }
+        }
+    }
+
+    return { compatible: reasons.length === 0, reasons, facts };
+}
+
+// One entry of a compatibility report
+function compatibilityEntry(device, version, check) {
+    return {
+        id: device.id,
+        device_id: device.device_id,
+        name: device.name,
+        version: version ? version.version : null,
+        compatible: check.compatible,
+        reasons: check.reasons,
+        facts: check.facts
+    };
+}
+
+/**
+ * Pre-flight a list of devices against one version
+ */
+function compatibilityReport(version, devices) {
+    return devices.map(device => compatibilityEntry(device, version, checkCompatibility(version, device)));
+}
+
+module.exports = {
+    ARCHITECTURES,
+    CAPABILITIES,
+    normalizeArchitecture,
+    compareVersions,
+    parseRequirements,
+    deviceFacts,
+    checkCompatibility,
+    compatibilityEntry,
+    compatibilityReport
+};
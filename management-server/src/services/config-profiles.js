@@ -0,0 +1,258 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { enqueueCommand } = require('./device-commands');
+
+const PROFILE_COLUMNS = 'id, name, description, config_data, is_default, created_by, created_at, updated_at';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge source into target section by section. Nested objects merge, anything
+ * else replaces. sources records the level of every leaf as "section.key".
+ */
+function mergeInto(target, source, level, sources, prefix = '') {
+    for (const [key, value] of Object.entries(source || {})) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            if (!isPlainObject(target[key])) {
+                target[key] = {};
+            }
+            mergeInto(target[key], value, level, sources, path);
+        } else {
+            target[key] = value;
+            sources[path] = level;
+        }
+    }
+}
+
+// JSON with sorted keys, two configurations are equal when these are
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function profileRef(profile) {
+    return profile ? { id: profile.id, name: profile.name } : null;
+}
+
+/**
+ * Load profiles, group assignments and device settings once and return a
+ * function resolving the effective configuration of a device ({ id, group_id }).
+ * Levels merge in the order default profile, group profiles, device profile,
+ * custom_config, later levels override earlier ones key by key.
+ * The group level applies the profiles along the device's static group and
+ * its ancestors, top level first, after those of its dynamic groups in name order.
+ * Pass deviceIds to only load the device settings of those devices.
+ */
+async function createProfileResolver(deviceIds = null) {
+    const [profiles, groups, members, deviceConfigs] = await Promise.all([
+        query('SELECT id, name, config_data, is_default FROM config_profiles'),
+        query('SELECT id, name, parent_id, config_profile_id FROM device_groups'),
+        query(
+            `SELECT m.device_id, m.group_id
+             FROM device_group_members m
+             JOIN device_groups g ON m.group_id = g.id
+             ${deviceIds ? 'WHERE m.device_id = ANY($1)' : ''}
+             ORDER BY g.name`,
+            deviceIds ? [deviceIds] : []
+        ),
+        query(
+            `SELECT device_id, profile_id, custom_config, applied_at, pushed_config, pushed_at
+             FROM device_configs
+             ${deviceIds ? 'WHERE device_id = ANY($1)' : ''}`,
+            deviceIds ? [deviceIds] : []
+        )
+    ]);
+
+    const profileById = new Map(profiles.rows.map(profile => [profile.id, profile]));
+    const defaultProfile = profiles.rows.find(profile => profile.is_default) || null;
+    const groupById = new Map(groups.rows.map(group => [group.id, group]));
+    const configs = new Map(deviceConfigs.rows.map(row => [row.device_id, row]));
+
+    const dynamicGroups = new Map();
+    for (const row of members.rows) {
+        dynamicGroups.set(row.device_id, [...(dynamicGroups.get(row.device_id) || []), row.group_id]);
+    }
+
+    // A group and its ancestors, top level first
+    const lineage = (groupId) => {
+        const path = [];
+        let group = groupById.get(groupId);
+        while (group && !path.includes(group)) {
+            path.unshift(group);
+            group = group.parent_id ? groupById.get(group.parent_id) : null;
+        }
+        return path;
+    };
+
+    const resolve = (device) => {
+        const deviceConfig = configs.get(device.id) || null;
+        const layers = [];
+
+        if (defaultProfile) {
+            layers.push({ source: 'default', profile: defaultProfile });
+        }
+
+        // A group reached twice only applies at its last position
+        const path = [...(dynamicGroups.get(device.id) || []), device.group_id]
+            .filter(Boolean)
+            .flatMap(lineage);
+        path.filter((group, index) => path.lastIndexOf(group) === index).forEach(group => {
+            const profile = group.config_profile_id ? profileById.get(group.config_profile_id) : null;
+            if (profile) {
+                layers.push({ source: 'group', group, profile });
+            }
+        });
+
+        if (deviceConfig && deviceConfig.profile_id && profileById.has(deviceConfig.profile_id)) {
+            layers.push({ source: 'device', profile: profileById.get(deviceConfig.profile_id) });
+        }
+        if (deviceConfig && isPlainObject(deviceConfig.custom_config)) {
+            layers.push({ source: 'custom', config: deviceConfig.custom_config });
+        }
+
+        const config = {};
+        const sources = {};
+        for (const layer of layers) {
+            mergeInto(config, layer.profile ? layer.profile.config_data : layer.config, layer.source, sources);
+        }
+
+        return {
+            config,
+            sources,
+            layers: layers.map(layer => ({
+                source: layer.source,
+                ...(layer.group ? { group: { id: layer.group.id, name: layer.group.name } } : {}),
+                ...(layer.profile ? { profile: profileRef(layer.profile) } : {})
+            })),
+            profile: deviceConfig ? profileRef(profileById.get(deviceConfig.profile_id)) : null,
+            custom_config: deviceConfig ? deviceConfig.custom_config : null,
+            applied_at: deviceConfig ? deviceConfig.applied_at : null,
+            pushed_config: deviceConfig ? deviceConfig.pushed_config : null,
+            pushed_at: deviceConfig ? deviceConfig.pushed_at : null
+        };
+    };
+
+    return resolve;
+}
+
+/**
+ * Effective configuration of one device, with the level each key came from
+ */
+async function resolveDeviceProfile(device) {
+    const resolve = await createProfileResolver([device.id]);
+    const { pushed_config: pushed, ...resolved } = resolve(device);
+
+    return {
+        device_id: device.id,
+        ...resolved,
+        in_sync: canonical(resolved.config) === canonical(pushed || {})
+    };
+}
+
+/**
+ * Queue a configure command for every device whose effective configuration
+ * differs from the one it was last sent, all devices when deviceIds is null.
+ * An older configuration still waiting in the queue is cancelled.
+ * Returns the number of devices a command was queued for.
+ */
+async function syncDeviceConfigs(deviceIds = null, userId = null) {
+    if (deviceIds && deviceIds.length === 0) {
+        return 0;
+    }
+
+    const devices = await query(
+        `SELECT id, group_id FROM devices ${deviceIds ? 'WHERE id = ANY($1)' : ''}`,
+        deviceIds ? [deviceIds] : []
+    );
+    const resolve = await createProfileResolver(deviceIds);
+
+    let queued = 0;
+    for (const device of devices.rows) {
+        const { config, pushed_config: pushed } = resolve(device);
+
+        // Nothing to send to a device that never had a configuration
+        if (canonical(config) === canonical(pushed || {})) {
+            continue;
+        }
+
+        await query(
+            `UPDATE device_commands
+             SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+             WHERE device_id = $1 AND command_type = 'configure' AND status = 'queued' AND payload ? 'system_config'`,
+            [device.id]
+        );
+
+        await enqueueCommand(device.id, 'configure', { system_config: config }, userId);
+
+        await query(
+            `INSERT INTO device_configs (device_id, pushed_config, pushed_at)
+             VALUES ($1, $2, CURRENT_TIMESTAMP)
+             ON CONFLICT (device_id) DO UPDATE SET pushed_config = EXCLUDED.pushed_config, pushed_at = EXCLUDED.pushed_at`,
+            [device.id, JSON.stringify(config)]
+        );
+
+        queued++;
+    }
+
+    if (queued > 0) {
+        logger.info(`Queued configuration for ${queued} device(s)`);
+    }
+
+    return queued;
+}
+
+/**
+ * Same as syncDeviceConfigs, but failures are logged instead of failing the caller
+ */
+async function syncDeviceConfigsSafely(deviceIds = null, userId = null) {
+    try {
+        return await syncDeviceConfigs(deviceIds, userId);
+    } catch (error) {
+        logger.error('Failed to send device configuration:', error);
+        return 0;
+    }
+}
+
+/**
+ * Assign a profile to a device, or clear it with null. custom_config is
+ * only replaced when given. Returns the device_configs row.
+ */
+async function setDeviceProfile(deviceId, { profileId, customConfig }, userId = null) {
+    const result = await query(
+        `INSERT INTO device_configs (device_id, profile_id, custom_config, applied_at, applied_by)
+         VALUES ($1, $2, $4, CURRENT_TIMESTAMP, $5)
+         ON CONFLICT (device_id) DO UPDATE SET
+             profile_id = CASE WHEN $3 THEN EXCLUDED.profile_id ELSE device_configs.profile_id END,
+             custom_config = CASE WHEN $6 THEN EXCLUDED.custom_config ELSE device_configs.custom_config END,
+             applied_at = CURRENT_TIMESTAMP,
+             applied_by = EXCLUDED.applied_by
+         RETURNING device_id, profile_id, custom_config, applied_at, applied_by`,
+        [
+            deviceId,
+            profileId || null,
+            profileId !== undefined,
+            customConfig ? JSON.stringify(customConfig) : null,
+            userId,
+            customConfig !== undefined
+        ]
+    );
+    return result.rows[0];
+}
+
+module.exports = {
+    PROFILE_COLUMNS,
+    canonical,
+    createProfileResolver,
+    resolveDeviceProfile,
+    syncDeviceConfigs,
+    syncDeviceConfigsSafely,
+    setDeviceProfile
+};
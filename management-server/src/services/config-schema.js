@@ -0,0 +1,308 @@
+// Text formats string and list settings are checked against
+const FORMATS = {
+    interface: { pattern: /^[a-z][a-z0-9]{0,14}$/, description: 'a network interface name such as eth0' },
+    ipv4: {
+        pattern: /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+        description: 'an IPv4 address'
+    },
+    host: { pattern: /^[A-Za-z0-9*]([A-Za-z0-9.*-]{0,252})$/, description: 'a host name or IP address' },
+    url: { pattern: /^https?:\/\/[^\s]+$/, description: 'an http:// or https:// URL' },
+    path: { pattern: /^\/[^\s]*$/, description: 'an absolute path' },
+    size: { pattern: /^\d+[KMG]?$/, description: 'a size such as 512M' },
+    time_window: {
+        pattern: /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/,
+        description: 'a time window such as 02:00-04:00'
+    },
+    tty: { pattern: /^tty[A-Za-z0-9]+$/, description: 'a serial device such as ttyS0' }
+};
+
+const PORT = { min: 1, max: 65535 };
+
+const bool = value => ({ type: 'boolean', default: value });
+const int = (value, min, max) => ({ type: 'integer', default: value, min, max });
+const oneOf = (value, values) => ({ type: 'enum', default: value, values });
+const text = (value, options = {}) => ({ type: 'string', default: value, max_length: 255, ...options });
+const list = (value, item) => ({ type: 'list', default: value, items: item });
+
+/**
+ * The settings of management.conf a profile can carry, section by section in
+ * file order, with their defaults. [server] is not here, it stays on the device.
+ * An empty string default means the setting can be left empty.
+ */
+const CONFIG_SCHEMA = {
+    network: {
+        use_ethernet: bool(true),
+        ethernet_interface: text('eth0', { format: 'interface' }),
+        wifi_ssid: text('', { max_length: 32 }),
+        wifi_password: text('', { max_length: 63 }),
+        wifi_interface: text('wlan0', { format: 'interface' }),
+        use_dhcp: bool(true),
+        static_ip: text('', { format: 'ipv4' }),
+        static_netmask: text('', { format: 'ipv4' }),
+        static_gateway: text('', { format: 'ipv4' }),
+        dns_servers: list(['8.8.8.8', '8.8.4.4'], 'ipv4'),
+        http_proxy: text('', { format: 'url' }),
+        https_proxy: text('', { format: 'url' }),
+        no_proxy: list(['localhost', '127.0.0.1'], 'host')
+    },
+    security: {
+        enable_secure_boot: bool(true),
+        verify_signatures: bool(true),
+        encrypt_storage: bool(true),
+        encryption_key_file: text('/etc/kiosk/encryption.key', { format: 'path' }),
+        auto_update: bool(true),
+        update_channel: oneOf('stable', ['stable', 'beta']),
+        update_check_interval: int(3600, 300, 604800),
+        allow_rollback: bool(true),
+        ca_cert_file: text('/etc/ssl/certs/ca-certificates.crt', { format: 'path' }),
+        client_cert_file: text('', { format: 'path' }),
+        client_key_file: text('', { format: 'path' }),
+        enable_firewall: bool(true),
+        allowed_ports: list([22, 80, 443, 8080], 'port')
+    },
+    hardware: {
+        enable_monitoring: bool(true),
+        monitor_interval: int(30, 5, 3600),
+        temp_warning_threshold: int(70, 30, 120),
+        temp_critical_threshold: int(85, 30, 120),
+        disk_warning_threshold: int(80, 1, 100),
+        disk_critical_threshold: int(90, 1, 100),
+        memory_warning_threshold: int(80, 1, 100),
+        memory_critical_threshold: int(90, 1, 100),
+        enable_gpio: bool(true),
+        enable_i2c: bool(true),
+        enable_spi: bool(true),
+        enable_uart: bool(true)
+    },
+    display: {
+        screen_width: int(1920, 320, 7680),
+        screen_height: int(1080, 240, 4320),
+        screen_rotation: oneOf(0, [0, 90, 180, 270]),
+        screen_brightness: int(80, 0, 100),
+        // Seconds of inactivity before the screen saver, 0 never blanks
+        screen_timeout: int(300, 0, 86400),
+        screen_saver: oneOf('blank', ['blank', 'none']),
+        auto_sleep: bool(false),
+        enable_touch: bool(true),
+        touch_calibration: oneOf('auto', ['auto', 'manual'])
+    },
+    applications: {
+        container_runtime: oneOf('docker', ['docker', 'none']),
+        max_containers: int(10, 1, 100),
+        container_memory_limit: text('512M', { format: 'size' }),
+        app_directory: text('/opt/kiosk/apps', { format: 'path' }),
+        data_directory: text('/var/lib/kiosk/data', { format: 'path' }),
+        log_directory: text('/var/log/kiosk', { format: 'path' }),
+        config_dir: text('/etc/kiosk/apps', { format: 'path' }),
+        default_app: text('kiosk-browser', { max_length: 100 }),
+        auto_start_apps: bool(true),
+        app_update_channel: oneOf('stable', ['stable', 'beta']),
+        auto_update_apps: bool(true)
+    },
+    logging: {
+        log_level: oneOf('INFO', ['DEBUG', 'INFO', 'WARNING', 'ERROR', 'CRITICAL']),
+        log_to_file: bool(true),
+        log_to_syslog: bool(true),
+        log_to_remote: bool(true),
+        log_file: text('/var/log/kiosk/kiosk-agent.log', { format: 'path' }),
+        max_log_size: text('10M', { format: 'size' }),
+        max_log_files: int(5, 1, 100),
+        remote_log_server: text('', { format: 'host' }),
+        remote_log_port: int(514, PORT.min, PORT.max),
+        remote_log_protocol: oneOf('udp', ['udp', 'tcp'])
+    },
+    maintenance: {
+        enable_auto_maintenance: bool(true),
+        maintenance_window: text('02:00-04:00', { format: 'time_window' }),
+        maintenance_day: oneOf('sunday', ['daily', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']),
+        auto_cleanup: bool(true),
+        cleanup_logs_days: int(30, 1, 365),
+        cleanup_cache_days: int(7, 1, 365),
+        cleanup_temp_days: int(1, 1, 365),
+        enable_health_checks: bool(true),
+        health_check_interval: int(300, 30, 86400),
+        enable_watchdog: bool(true),
+        watchdog_timeout: int(60, 10, 600)
+    },
+    developer: {
+        debug_mode: bool(false),
+        verbose_logging: bool(false),
+        enable_ssh: bool(false),
+        ssh_port: int(22, PORT.min, PORT.max),
+        ssh_key_file: text('/root/.ssh/authorized_keys', { format: 'path' }),
+        enable_local_api: bool(true),
+        local_api_port: int(8080, PORT.min, PORT.max),
+        local_api_bind: text('127.0.0.1', { format: 'ipv4' }),
+        enable_console: bool(false),
+        console_port: text('ttyS0', { format: 'tty' }),
+        console_baud: oneOf(115200, [9600, 19200, 38400, 57600, 115200])
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkText(value, spec) {
+    if (typeof value !== 'string') {
+        return 'must be a string';
+    }
+    // Anything else on the line is kept as is, % included: the agent reads
+    // management.conf without interpolation
+    if (/[\r\n]/.test(value)) {
+        return 'must be a single line';
+    }
+    if (value.length > spec.max_length) {
+        return `must be at most ${spec.max_length} characters`;
+    }
+    if (value === '' && spec.default === '') {
+        return null;
+    }
+    if (spec.format && !FORMATS[spec.format].pattern.test(value)) {
+        return `must be ${FORMATS[spec.format].description}`;
+    }
+    return null;
+}
+
+function checkItem(item, format) {
+    if (format === 'port') {
+        return Number.isInteger(item) && item >= PORT.min && item <= PORT.max ? null : `must be a port between ${PORT.min} and ${PORT.max}`;
+    }
+    return typeof item === 'string' && FORMATS[format].pattern.test(item) ? null : `must be ${FORMATS[format].description}`;
+}
+
+// Why a value does not fit its setting, null when it does
+function checkValue(value, spec) {
+    switch (spec.type) {
+    case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'integer':
+        if (!Number.isInteger(value)) {
+            return 'must be an integer';
+        }
+        return value >= spec.min && value <= spec.max ? null : `must be between ${spec.min} and ${spec.max}`;
+    case 'enum':
+        return spec.values.includes(value) ? null : `must be one of ${spec.values.join(', ')}`;
+    case 'list': {
+        if (!Array.isArray(value)) {
+            return 'must be a list';
+        }
+        for (const item of value) {
+            const error = checkItem(item, spec.items);
+            if (error) {
+                return `has an invalid entry ${JSON.stringify(item)}, each ${error}`;
+            }
+        }
+        return null;
+    }
+    default:
+        return checkText(value, spec);
+    }
+}
+
+/**
+ * Check profile settings ({ section: { key: value } }) against the schema.
+ * Every section and key is optional, unknown ones are rejected.
+ * Returns a list of { path, message }, empty when the settings are valid.
+ */
+function validateConfig(config) {
+    if (!isPlainObject(config)) {
+        return [{ path: '', message: 'Configuration must be an object of sections' }];
+    }
+
+    const errors = [];
+    for (const [section, values] of Object.entries(config)) {
+        const settings = CONFIG_SCHEMA[section];
+        if (!settings) {
+            errors.push({
+                path: section,
+                message: section === 'server'
+                    ? 'The [server] section is set on the device and cannot be part of a profile'
+                    : `Unknown section ${section}. Use one of ${Object.keys(CONFIG_SCHEMA).join(', ')}`
+            });
+            continue;
+        }
+        if (!isPlainObject(values)) {
+            errors.push({ path: section, message: `${section} must be an object of settings` });
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(values)) {
+            const path = `${section}.${key}`;
+            if (!Object.prototype.hasOwnProperty.call(settings, key)) {
+                errors.push({ path, message: `Unknown setting ${key} in [${section}]` });
+                continue;
+            }
+            const error = checkValue(value, settings[key]);
+            if (error) {
+                errors.push({ path, message: `${path} ${error}` });
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Same conversions the agent applies when it writes management.conf
+function formatValue(value) {
+    if (typeof value === 'boolean') {
+        return value ? 'true' : 'false';
+    }
+    if (Array.isArray(value)) {
+        return value.join(',');
+    }
+    return String(value === null || value === undefined ? '' : value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Render settings as management.conf sections. Sections and keys follow the
+ * order of the schema, anything it does not know comes after them.
+ * comments are written at the top of the file.
+ */
+function renderIni(config, comments = []) {
+    const lines = comments.map(comment => `# ${comment}`);
+    const known = Object.keys(CONFIG_SCHEMA);
+    const sections = [
+        ...known.filter(section => isPlainObject(config[section])),
+        ...Object.keys(config).filter(section => !known.includes(section) && isPlainObject(config[section]))
+    ];
+
+    for (const section of sections) {
+        const values = config[section];
+        const order = Object.keys(CONFIG_SCHEMA[section] || {});
+        const keys = [
+            ...order.filter(key => key in values),
+            ...Object.keys(values).filter(key => !order.includes(key))
+        ];
+
+        if (lines.length > 0) {
+            lines.push('');
+        }
+        lines.push(`[${section}]`);
+        for (const key of keys) {
+            lines.push(`${key} = ${formatValue(values[key])}`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The schema as plain data, formats spelled out for API clients
+ */
+function describeSchema() {
+    return {
+        sections: CONFIG_SCHEMA,
+        formats: Object.fromEntries(Object.entries(FORMATS).map(([name, format]) => [name, {
+            pattern: format.pattern.source,
+            description: format.description
+        }]))
+    };
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    validateConfig,
+    renderIni,
+    describeSchema
+};
@@ -1,20 +1,37 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
+const { markMissingDevicesOffline, pruneDeviceLogs } = require('./device-status');
+const { expireDeliveredCommands } = require('./device-commands');
+const { rollupHourlyMetrics, pruneMetrics } = require('./metrics');
+const { rollupApplicationUsage, pruneApplicationUsage } = require('./application-usage');
+const { processPendingNotifications } = require('./notifications');
+const { processPendingWebhooks } = require('./webhooks');
+const { collectGarbage } = require('./artifacts');
+const { processRollouts } = require('./rollouts');
 
 function startCronJobs() {
     logger.info('Starting cron jobs');
 
-    // Device health check - every 5 minutes
-    cron.schedule('*/5 * * * *', () => {
+    // Device health check - every minute
+    cron.schedule('* * * * *', () => {
         logger.debug('Running device health check');
-        // TODO: Implement device health check logic
         checkDeviceHealth();
     });
 
+    // Notification and webhook retries - every minute
+    cron.schedule('* * * * *', () => {
+        retryNotifications();
+        retryWebhooks();
+    });
+
+    // Rollout failure checks and wave progression - every minute
+    cron.schedule('* * * * *', () => {
+        advanceRollouts();
+    });
+
     // System cleanup - daily at 2 AM
     cron.schedule('0 2 * * *', () => {
         logger.info('Running daily system cleanup');
-        // TODO: Implement system cleanup logic
         performSystemCleanup();
     });
 
@@ -28,7 +45,6 @@ function startCronJobs() {
     // Analytics aggregation - every hour
     cron.schedule('0 * * * *', () => {
         logger.debug('Running analytics aggregation');
-        // TODO: Implement analytics aggregation logic
         aggregateAnalytics();
     });
 
@@ -44,22 +60,65 @@ function startCronJobs() {
 
 async function checkDeviceHealth() {
     try {
-        // TODO: Implement device health check
-        // - Check device last seen timestamps
-        // - Verify device connectivity
-        // - Update device status
+        const offlineDevices = await markMissingDevicesOffline();
+        if (offlineDevices.length > 0) {
+            logger.warn(`Marked ${offlineDevices.length} device(s) offline after missed heartbeats`);
+        }
+
+        const expired = await expireDeliveredCommands();
+        if (expired.requeued > 0 || expired.failed > 0) {
+            logger.warn(`Requeued ${expired.requeued} and failed ${expired.failed} command(s) delivered without a result`);
+        }
         logger.debug('Device health check completed');
     } catch (error) {
         logger.error('Error during device health check:', error);
     }
 }
 
+async function retryNotifications() {
+    try {
+        const retried = await processPendingNotifications();
+        if (retried > 0) {
+            logger.info(`Retried ${retried} pending notification(s)`);
+        }
+    } catch (error) {
+        logger.error('Error retrying notifications:', error);
+    }
+}
+
+async function retryWebhooks() {
+    try {
+        const retried = await processPendingWebhooks();
+        if (retried > 0) {
+            logger.info(`Retried ${retried} pending webhook deliveries`);
+        }
+    } catch (error) {
+        logger.error('Error retrying webhooks:', error);
+    }
+}
+
+async function advanceRollouts() {
+    try {
+        await processRollouts();
+    } catch (error) {
+        logger.error('Error processing rollouts:', error);
+    }
+}
+
 async function performSystemCleanup() {
     try {
-        // TODO: Implement system cleanup
-        // - Clean up old logs
-        // - Remove temporary files
-        // - Clean up old analytics data
+        const prunedMetrics = await pruneMetrics();
+        logger.info(`Pruned ${prunedMetrics.raw} raw and ${prunedMetrics.hourly} hourly metric rows`);
+
+        const prunedUsage = await pruneApplicationUsage();
+        logger.info(`Pruned ${prunedUsage.sessions} application sessions and ${prunedUsage.daily} daily usage rows`);
+
+        // Unreferenced package artifacts and abandoned uploads
+        await collectGarbage();
+
+        const prunedLogs = await pruneDeviceLogs();
+        logger.info(`Pruned ${prunedLogs} device log entries`);
+
         logger.info('System cleanup completed');
     } catch (error) {
         logger.error('Error during system cleanup:', error);
@@ -80,10 +139,12 @@ async function performBackup() {
 
 async function aggregateAnalytics() {
     try {
-        // TODO: Implement analytics aggregation
-        // - Collect device metrics
-        // - Aggregate usage statistics
-        // - Update analytics database
+        // Downsample device metrics into hourly buckets
+        await rollupHourlyMetrics();
+
+        // Roll application sessions up into daily usage
+        await rollupApplicationUsage();
+
         logger.debug('Analytics aggregation completed');
     } catch (error) {
         logger.error('Error during analytics aggregation:', error);
@@ -105,6 +166,9 @@ async function rotateLogFiles() {
 module.exports = {
     startCronJobs,
     checkDeviceHealth,
+    retryNotifications,
+    retryWebhooks,
+    advanceRollouts,
     performSystemCleanup,
     performBackup,
     aggregateAnalytics,
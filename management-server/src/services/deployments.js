@@ -0,0 +1,562 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { commandEvents, enqueueCommand } = require('./device-commands');
+const { getIO, broadcastToAdmins } = require('./websocket');
+const { resolveDesiredVersions } = require('./application-versions');
+const { createConfigResolver } = require('./application-config');
+const { checkCompatibility, compatibilityEntry } = require('./compatibility');
+const { getDescendantIds, memberCondition } = require('./device-groups');
+const { normalizeTags, normalizeLabels, tagConditions } = require('./device-tags');
+
+// Command sent to the device for each deployment action
+const DEPLOY_COMMANDS = {
+    install: 'install_app',
+    uninstall: 'uninstall_app'
+};
+
+const DEVICE_STATUSES = ['online', 'offline', 'maintenance', 'error'];
+
+// Filter fields that narrow the targeted devices, a filter needs one of them or all: true
+const FILTER_CRITERIA = ['status', 'group_id', 'search', 'location', 'tags', 'labels'];
+
+function hasCriterion(filter, key) {
+    const value = filter[key];
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.keys(value).length > 0;
+    }
+    return Boolean(value);
+}
+
+/**
+ * Check a deployment target, exactly one of device_ids, group_id or filter.
+ * A filter selecting nothing in particular has to say all: true, the whole fleet
+ * is never targeted by accident. Returns an error message or null.
+ */
+function validateTarget(target) {
+    const selectors = ['device_ids', 'group_id', 'filter'].filter(key => target[key] !== undefined);
+
+    if (selectors.length !== 1) {
+        return 'Exactly one of device_ids, group_id or filter is required';
+    }
+
+    if (target.device_ids !== undefined && (!Array.isArray(target.device_ids) || target.device_ids.length === 0)) {
+        return 'device_ids must be a non-empty array';
+    }
+
+    if (target.filter !== undefined) {
+        if (typeof target.filter !== 'object' || target.filter === null || Array.isArray(target.filter)) {
+            return 'filter must be an object';
+        }
+        if (target.filter.all !== undefined && target.filter.all !== true) {
+            return 'filter.all can only be true';
+        }
+        if (target.filter.all !== true && !FILTER_CRITERIA.some(key => hasCriterion(target.filter, key))) {
+            return `filter needs at least one of ${FILTER_CRITERIA.join(', ')}, or "all": true to target every device`;
+        }
+        if (target.filter.status && !DEVICE_STATUSES.includes(target.filter.status)) {
+            return 'Invalid status in filter';
+        }
+        if (target.filter.tags !== undefined && normalizeTags(target.filter.tags).error) {
+            return normalizeTags(target.filter.tags).error;
+        }
+        if (target.filter.labels !== undefined && normalizeLabels(target.filter.labels).error) {
+            return normalizeLabels(target.filter.labels).error;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Devices selected by a deployment target. The filter takes the same
+ * status, group_id, include_descendants and search fields as the device list, plus location,
+ * tags (every one required) and labels ({ key: value }).
+ */
+async function resolveTargetDevices(target) {
+    const conditions = [];
+    const params = [];
+
+    if (target.device_ids) {
+        params.push(target.device_ids.map(String));
+        conditions.push(`(d.id::text = ANY($${params.length}) OR d.device_id = ANY($${params.length}))`);
+    } else if (target.group_id) {
+        params.push([target.group_id]);
+        conditions.push(memberCondition(`$${params.length}`));
+    } else {
+        const { status, group_id, include_descendants, search, location, tags, labels } = target.filter;
+
+        if (status) {
+            params.push(status);
+            conditions.push(`d.status = $${params.length}`);
+        }
+
+        if (group_id) {
+            params.push(include_descendants === true ? await getDescendantIds(group_id) : [group_id]);
+            conditions.push(memberCondition(`$${params.length}`));
+        }
+
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`(d.name ILIKE $${params.length} OR d.device_id ILIKE $${params.length} OR d.description ILIKE $${params.length})`);
+        }
+
+        if (location) {
+            params.push(`%${location}%`);
+            conditions.push(`d.location::text ILIKE $${params.length}`);
+        }
+
+        const labelValues = Object.entries(labels ? normalizeLabels(labels).labels : {})
+            .map(([key, value]) => [key, [value]]);
+        conditions.push(...tagConditions({
+            tags: tags ? normalizeTags(tags).tags : [],
+            labels: Object.fromEntries(labelValues)
+        }, params));
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+        `SELECT d.id, d.device_id, d.name, d.status, d.group_id, d.hardware_info, d.software_info
+         FROM devices d
+         ${whereClause}
+         ORDER BY d.device_id`,
+        params
+    );
+
+    return result.rows;
+}
+
+/**
+ * What the agent's install_application needs to fetch and verify the package.
+ * Artifact URLs are relative to the management server. Packages from the
+ * artifact store carry an Ed25519 signature over their SHA-256 digest.
+ */
+function installPayload(application, version, config = {}) {
+    return {
+        application_id: application.id,
+        version_id: version.id,
+        name: application.name,
+        package_name: application.package_name,
+        version: version.version,
+        url: version.download_url,
+        sha256: version.file_hash,
+        size: version.file_size !== null && version.file_size !== undefined
+            ? parseInt(version.file_size)
+            : null,
+        signature: version.signature || null,
+        signature_key_id: version.signature_key_id || null,
+        config
+    };
+}
+
+function uninstallPayload(application) {
+    return {
+        application_id: application.id,
+        name: application.name,
+        package_name: application.package_name
+    };
+}
+
+async function createDeployment(application, action, target, userId, version = null, client = { query }) {
+    const result = await client.query(
+        `INSERT INTO deployments (application_id, action, version, version_id, target, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [application.id, action, version ? version.version : null, version ? version.id : null, JSON.stringify(target), userId]
+    );
+    return result.rows[0];
+}
+
+async function linkCommand(deployment, device, command, client = { query }) {
+    await client.query(
+        `INSERT INTO deployment_devices (deployment_id, device_id, command_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (deployment_id, device_id) DO UPDATE SET command_id = EXCLUDED.command_id`,
+        [deployment.id, device.id, command.id]
+    );
+
+    await client.query(
+        `UPDATE device_applications
+         SET command_id = $3
+         WHERE device_id = $1 AND application_id = $2`,
+        [device.id, deployment.application_id, command.id]
+    );
+}
+
+/**
+ * Queue installs for a plan of { device, version } entries as one deployment.
+ * Each device gets its device_applications row set to installing and an install_app command.
+ * With a transaction client the writes go through it and the queued commands
+ * are pushed onto commands, for the caller to announce after commit.
+ */
+async function installOnDevices(application, plan, target, { userId = null, autoUpdate, client = null, commands = [] } = {}) {
+    const db = client || { query };
+    const versionIds = new Set(plan.map(entry => entry.version.id));
+    const deployment = await createDeployment(application, 'install', target, userId, versionIds.size === 1 ? plan[0].version : null, db);
+    const resolveConfig = await createConfigResolver(application.id);
+
+    for (const { device, version } of plan) {
+        await db.query(
+            `INSERT INTO device_applications (device_id, application_id, version, status, auto_update)
+             VALUES ($1, $2, $3, 'installing', COALESCE($4, true))
+             ON CONFLICT (device_id, application_id) DO UPDATE
+             SET status = 'installing', error_message = NULL, command_id = NULL,
+                 auto_update = COALESCE($4, device_applications.auto_update)`,
+            [device.id, application.id, version.version, autoUpdate === undefined ? null : autoUpdate]
+        );
+
+        const { config } = resolveConfig(device, version);
+        const command = await enqueueCommand(device.id, DEPLOY_COMMANDS.install, installPayload(application, version, config), userId, client);
+        await linkCommand(deployment, device, command, db);
+        commands.push(command);
+        device.command_id = command.id;
+        device.version = version.version;
+    }
+
+    logger.info(`Application ${application.name} deploying to ${plan.length} device(s)`, {
+        deploymentId: deployment.id,
+        version: deployment.version
+    });
+
+    return deployment;
+}
+
+// Device fields returned to API clients, the reported info stays out of deployment responses
+function deviceSummary({ id, device_id, name, status, group_id }) {
+    return { id, device_id, name, status, group_id };
+}
+
+/**
+ * Install an application on every device of the target. Without an explicit
+ * version each device gets the version its pin or channel resolves to.
+ * Each device is checked against its version's requirements first, the
+ * per-device result is returned in compatibility. Devices with nothing
+ * installable or that fail the check are returned in skipped.
+ */
+async function deployApplication(application, target, { userId = null, autoUpdate, version = null } = {}) {
+    const devices = await resolveTargetDevices(target);
+    const { desired } = version ? { desired: null } : await resolveDesiredVersions(application.id, devices);
+
+    const plan = [];
+    const skipped = [];
+    const compatibility = [];
+
+    for (const device of devices) {
+        const match = version ? { version } : desired.get(device.id);
+
+        if (!match) {
+            skipped.push({ ...deviceSummary(device), reason: 'No version available on the device\'s channel' });
+            continue;
+        }
+
+        const check = checkCompatibility(match.version, device);
+        compatibility.push(compatibilityEntry(device, match.version, check));
+
+        if (!match.version.download_url) {
+            skipped.push({ ...deviceSummary(device), reason: `Version ${match.version.version} has no package` });
+        } else if (!check.compatible) {
+            skipped.push({ ...deviceSummary(device), reason: `Incompatible with ${match.version.version}: ${check.reasons.join('; ')}` });
+        } else {
+            plan.push({ device, version: match.version });
+        }
+    }
+
+    if (plan.length === 0) {
+        return { deployment: null, devices: [], skipped, compatibility };
+    }
+
+    const deployment = await installOnDevices(application, plan, target, { userId, autoUpdate });
+
+    return {
+        deployment,
+        devices: plan.map(entry => ({ ...deviceSummary(entry.device), command_id: entry.device.command_id, version: entry.device.version })),
+        skipped,
+        compatibility
+    };
+}
+
+/**
+ * Move installed devices with auto_update on to the version their pin or channel resolves to.
+ * Following a channel only ever moves a device forward, an exact version pin also moves it back.
+ */
+async function applyAutoUpdates(applicationId, { userId = null } = {}) {
+    const appResult = await query('SELECT * FROM applications WHERE id = $1 AND is_active = true', [applicationId]);
+    if (appResult.rows.length === 0) {
+        return null;
+    }
+
+    const application = appResult.rows[0];
+
+    const installed = await query(
+        `SELECT d.id, d.device_id, d.name, d.status, d.group_id, d.hardware_info, d.software_info,
+                da.version as installed_version
+         FROM device_applications da
+         JOIN devices d ON da.device_id = d.id
+         WHERE da.application_id = $1 AND da.auto_update = true AND da.status = 'installed'`,
+        [applicationId]
+    );
+
+    const { desired, versions } = await resolveDesiredVersions(applicationId, installed.rows);
+    const plan = [];
+
+    for (const device of installed.rows) {
+        const match = desired.get(device.id);
+        if (!match || !match.version.download_url || match.version.version === device.installed_version) {
+            continue;
+        }
+
+        const current = versions.find(v => v.version === device.installed_version);
+        if (!match.exact && current && new Date(current.created_at) >= new Date(match.version.created_at)) {
+            continue;
+        }
+
+        const check = checkCompatibility(match.version, device);
+        if (!check.compatible) {
+            logger.warn(`Auto update of ${application.name} to ${match.version.version} skipped on ${device.device_id}: ${check.reasons.join('; ')}`);
+            continue;
+        }
+
+        plan.push({ device, version: match.version });
+    }
+
+    if (plan.length === 0) {
+        return null;
+    }
+
+    logger.info(`Auto update moving ${plan.length} device(s) of ${application.name}`, { applicationId });
+
+    return installOnDevices(application, plan, {
+        device_ids: plan.map(entry => entry.device.id),
+        auto_update: true
+    }, { userId });
+}
+
+/**
+ * Uninstall an application from the devices of the target that have it
+ */
+async function undeployApplication(application, target, { userId = null } = {}) {
+    const targeted = await resolveTargetDevices(target);
+
+    const assigned = await query(
+        'SELECT device_id FROM device_applications WHERE application_id = $1 AND device_id = ANY($2)',
+        [application.id, targeted.map(d => d.id)]
+    );
+    const assignedIds = new Set(assigned.rows.map(r => r.device_id));
+    const devices = targeted.filter(d => assignedIds.has(d.id));
+
+    if (devices.length === 0) {
+        return { deployment: null, devices: [] };
+    }
+
+    const deployment = await createDeployment(application, 'uninstall', target, userId);
+    const payload = uninstallPayload(application);
+
+    for (const device of devices) {
+        await query(
+            `UPDATE device_applications
+             SET status = 'uninstalling', error_message = NULL, command_id = NULL
+             WHERE device_id = $1 AND application_id = $2`,
+            [device.id, application.id]
+        );
+
+        const command = await enqueueCommand(device.id, DEPLOY_COMMANDS.uninstall, payload, userId);
+        await linkCommand(deployment, device, command);
+        device.command_id = command.id;
+    }
+
+    logger.info(`Application ${application.name} uninstalling from ${devices.length} device(s)`, {
+        deploymentId: deployment.id
+    });
+
+    return { deployment, devices: devices.map(device => ({ ...deviceSummary(device), command_id: device.command_id })) };
+}
+
+function summarize(rows) {
+    const summary = { total: rows.length, queued: 0, delivered: 0, succeeded: 0, failed: 0, cancelled: 0 };
+
+    for (const row of rows) {
+        if (row.command_status && summary[row.command_status] !== undefined) {
+            summary[row.command_status]++;
+        }
+    }
+
+    const pending = summary.queued + summary.delivered;
+    if (pending > 0) {
+        summary.state = 'in_progress';
+    } else if (summary.failed > 0 || summary.cancelled > 0) {
+        summary.state = 'completed_with_errors';
+    } else {
+        summary.state = 'completed';
+    }
+
+    return summary;
+}
+
+/**
+ * Deployment with its per-device command status and progress counts
+ */
+async function getDeploymentProgress(deploymentId) {
+    const deploymentResult = await query(
+        `SELECT dep.*, u.username as created_by_username
+         FROM deployments dep
+         LEFT JOIN users u ON dep.created_by = u.id
+         WHERE dep.id = $1`,
+        [deploymentId]
+    );
+
+    if (deploymentResult.rows.length === 0) {
+        return null;
+    }
+
+    const deployment = deploymentResult.rows[0];
+
+    const devices = await query(
+        `SELECT d.id, d.device_id, d.name,
+                c.id as command_id, c.status as command_status, c.error_message,
+                c.delivered_at, c.completed_at,
+                da.status as app_status, da.version as installed_version
+         FROM deployment_devices dd
+         JOIN devices d ON dd.device_id = d.id
+         LEFT JOIN device_commands c ON dd.command_id = c.id
+         LEFT JOIN device_applications da ON da.device_id = d.id AND da.application_id = $2
+         WHERE dd.deployment_id = $1
+         ORDER BY d.device_id`,
+        [deploymentId, deployment.application_id]
+    );
+
+    return {
+        ...deployment,
+        progress: summarize(devices.rows),
+        devices: devices.rows
+    };
+}
+
+/**
+ * Recent deployments of an application with their progress counts
+ */
+async function listDeployments(applicationId, limit = 20) {
+    const result = await query(
+        `SELECT dep.*, u.username as created_by_username,
+                COUNT(dd.device_id) as total,
+                COUNT(*) FILTER (WHERE c.status IN ('queued', 'delivered')) as pending,
+                COUNT(*) FILTER (WHERE c.status = 'succeeded') as succeeded,
+                COUNT(*) FILTER (WHERE c.status IN ('failed', 'cancelled')) as failed
+         FROM deployments dep
+         LEFT JOIN users u ON dep.created_by = u.id
+         LEFT JOIN deployment_devices dd ON dd.deployment_id = dep.id
+         LEFT JOIN device_commands c ON dd.command_id = c.id
+         WHERE dep.application_id = $1
+         GROUP BY dep.id, u.username
+         ORDER BY dep.created_at DESC
+         LIMIT $2`,
+        [applicationId, limit]
+    );
+
+    return result.rows.map(row => ({
+        ...row,
+        total: parseInt(row.total),
+        pending: parseInt(row.pending),
+        succeeded: parseInt(row.succeeded),
+        failed: parseInt(row.failed)
+    }));
+}
+
+/**
+ * Move a device's application state along once its install or uninstall command completes.
+ * Only the command currently driving the row counts, a superseded command finishing late is ignored.
+ */
+async function applyCommandOutcome(command) {
+    if (!Object.values(DEPLOY_COMMANDS).includes(command.command_type)) {
+        return;
+    }
+
+    const applicationId = command.payload && command.payload.application_id;
+    if (!applicationId) {
+        // Sent by hand through the command endpoint, not by a deployment
+        return;
+    }
+
+    // A command can complete before the deployment links it to the row
+    const current = 'device_id = $1 AND application_id = $2 AND (command_id = $3 OR command_id IS NULL)';
+    const params = [command.device_id, applicationId, command.id];
+    const error = command.status === 'cancelled' ? 'Command cancelled' : command.error_message;
+    let result;
+
+    if (command.status === 'succeeded' && command.command_type === DEPLOY_COMMANDS.uninstall) {
+        result = await query(
+            `DELETE FROM device_applications WHERE ${current} AND status = 'uninstalling' RETURNING *`,
+            params
+        );
+        if (result.rows.length > 0) {
+            result.rows[0].status = 'uninstalled';
+        }
+    } else if (command.status === 'succeeded') {
+        result = await query(
+            `UPDATE device_applications
+             SET status = 'installed', version = $4, error_message = NULL,
+                 command_id = $3, installed_at = CURRENT_TIMESTAMP
+             WHERE ${current} AND status = 'installing'
+             RETURNING *`,
+            [...params, command.payload.version]
+        );
+    } else {
+        result = await query(
+            `UPDATE device_applications
+             SET status = 'failed', error_message = $4, command_id = $3
+             WHERE ${current} AND status IN ('installing', 'uninstalling')
+             RETURNING *`,
+            [...params, error || 'Command failed']
+        );
+    }
+
+    if (result.rows.length === 0) {
+        return;
+    }
+
+    const row = result.rows[0];
+    logger.info(`Application ${command.payload.name} ${row.status} on device ${command.device_id}`, {
+        commandId: command.id
+    });
+
+    const io = getIO();
+    if (io) {
+        broadcastToAdmins(io, 'application:status', {
+            deviceId: command.device_id,
+            applicationId,
+            status: row.status,
+            version: row.version,
+            error: row.error_message || null,
+            commandId: command.id
+        });
+    }
+}
+
+/**
+ * Follow command completions to keep device_applications up to date
+ */
+function startDeployments() {
+    commandEvents.on('completed', (command) => {
+        applyCommandOutcome(command).catch((error) => {
+            logger.error(`Failed to apply outcome of command ${command.id}:`, error);
+        });
+    });
+}
+
+module.exports = {
+    DEPLOY_COMMANDS,
+    validateTarget,
+    resolveTargetDevices,
+    installPayload,
+    uninstallPayload,
+    installOnDevices,
+    deployApplication,
+    applyAutoUpdates,
+    undeployApplication,
+    getDeploymentProgress,
+    listDeployments,
+    applyCommandOutcome,
+    startDeployments
+};
@@ -0,0 +1,200 @@
+const EventEmitter = require('events');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Command types understood by process_commands in the kiosk agent
+const COMMAND_TYPES = ['restart', 'update', 'install_app', 'uninstall_app', 'configure'];
+
+const COMMAND_STATUSES = ['queued', 'delivered', 'succeeded', 'failed', 'cancelled'];
+
+// Maximum number of commands handed out in a single heartbeat response
+const MAX_COMMANDS_PER_DELIVERY = 20;
+
+// Minutes a delivered command may go without a result before it is delivered again
+const DELIVERY_TIMEOUT_MINUTES = parseInt(process.env.COMMAND_DELIVERY_TIMEOUT_MINUTES) || 30;
+
+// Deliveries without a result after which a command is failed instead
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.COMMAND_MAX_DELIVERY_ATTEMPTS) || 3;
+
+// Emits 'queued' with the command row whenever a command is queued,
+// so live transports can push it without waiting for the next heartbeat.
+// Emits 'completed' with the row once it succeeded, failed or was cancelled.
+const commandEvents = new EventEmitter();
+
+/**
+ * Shape a command row the way the kiosk agent expects it
+ */
+function toAgentCommand(command) {
+    return {
+        id: command.id,
+        type: command.command_type,
+        data: command.payload || {}
+    };
+}
+
+/**
+ * Queue a command for a device. Inside a transaction pass its client, the
+ * command is then only announced once the caller calls announceCommands after commit.
+ */
+async function enqueueCommand(deviceId, commandType, payload = {}, createdBy = null, client = null) {
+    if (!COMMAND_TYPES.includes(commandType)) {
+        throw new Error(`Unknown command type: ${commandType}`);
+    }
+
+    const result = await (client || { query }).query(
+        `INSERT INTO device_commands (device_id, command_type, payload, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [deviceId, commandType, JSON.stringify(payload || {}), createdBy]
+    );
+
+    const command = result.rows[0];
+    logger.info(`Command queued: ${commandType} for device ${deviceId}`, { commandId: command.id });
+
+    if (!client) {
+        commandEvents.emit('queued', command);
+    }
+
+    return command;
+}
+
+/**
+ * Announce commands queued inside a transaction that has committed
+ */
+function announceCommands(commands) {
+    for (const command of commands) {
+        commandEvents.emit('queued', command);
+    }
+}
+
+/**
+ * Mark queued commands for a device as delivered and return them, oldest first
+ */
+async function claimPendingCommands(deviceId, limit = MAX_COMMANDS_PER_DELIVERY) {
+    const result = await query(
+        `UPDATE device_commands
+         SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP,
+             delivery_attempts = delivery_attempts + 1
+         WHERE id IN (
+             SELECT id FROM device_commands
+             WHERE device_id = $1 AND status = 'queued'
+             ORDER BY created_at
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [deviceId, limit]
+    );
+
+    return result.rows.sort((a, b) => a.created_at - b.created_at);
+}
+
+/**
+ * Put a delivered command back in the queue when the transport failed to hand it over
+ */
+async function requeueCommand(commandId) {
+    await query(
+        `UPDATE device_commands
+         SET status = 'queued', delivered_at = NULL,
+             delivery_attempts = GREATEST(delivery_attempts - 1, 0)
+         WHERE id = $1 AND status = 'delivered'`,
+        [commandId]
+    );
+}
+
+/**
+ * Deal with delivered commands the device never reported a result for, its
+ * heartbeat response was lost or the agent died while running them. They go
+ * back to the queue, or fail once they were delivered MAX_DELIVERY_ATTEMPTS times.
+ * Returns { requeued, failed }, the numbers of commands.
+ */
+async function expireDeliveredCommands() {
+    const stale = `status = 'delivered' AND delivered_at < NOW() - make_interval(mins => $1)`;
+
+    const failed = await query(
+        `UPDATE device_commands
+         SET status = 'failed',
+             error_message = 'No result from the device after ' || delivery_attempts || ' deliveries',
+             completed_at = CURRENT_TIMESTAMP
+         WHERE ${stale} AND delivery_attempts >= $2
+         RETURNING *`,
+        [DELIVERY_TIMEOUT_MINUTES, MAX_DELIVERY_ATTEMPTS]
+    );
+
+    const requeued = await query(
+        `UPDATE device_commands
+         SET status = 'queued', delivered_at = NULL
+         WHERE ${stale}
+         RETURNING id`,
+        [DELIVERY_TIMEOUT_MINUTES]
+    );
+
+    for (const command of failed.rows) {
+        logger.warn(`Command ${command.command_type} failed on device ${command.device_id}: ${command.error_message}`, {
+            commandId: command.id
+        });
+        commandEvents.emit('completed', command);
+    }
+
+    return { requeued: requeued.rowCount, failed: failed.rowCount };
+}
+
+/**
+ * Record the outcome reported by the device for a delivered command
+ */
+async function completeCommand(deviceId, commandId, status, { result = null, error = null } = {}) {
+    if (!['succeeded', 'failed'].includes(status)) {
+        throw new Error(`Invalid completion status: ${status}`);
+    }
+
+    const updateResult = await query(
+        `UPDATE device_commands
+         SET status = $3,
+             result = $4,
+             error_message = $5,
+             completed_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND device_id = $1 AND status IN ('queued', 'delivered')
+         RETURNING *`,
+        [deviceId, commandId, status, result ? JSON.stringify(result) : null, error]
+    );
+
+    if (updateResult.rows.length > 0) {
+        commandEvents.emit('completed', updateResult.rows[0]);
+    }
+
+    return updateResult.rows[0] || null;
+}
+
+/**
+ * Cancel a command the device has not reported a result for. A delivered
+ * command may already be running on the device, a result it reports later is ignored.
+ */
+async function cancelCommand(deviceId, commandId) {
+    const result = await query(
+        `UPDATE device_commands
+         SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND device_id = $1 AND status IN ('queued', 'delivered')
+         RETURNING *`,
+        [deviceId, commandId]
+    );
+
+    if (result.rows.length > 0) {
+        commandEvents.emit('completed', result.rows[0]);
+    }
+
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    COMMAND_TYPES,
+    COMMAND_STATUSES,
+    commandEvents,
+    toAgentCommand,
+    enqueueCommand,
+    announceCommands,
+    claimPendingCommands,
+    requeueCommand,
+    expireDeliveredCommands,
+    completeCommand,
+    cancelCommand
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Length of the plaintext prefix kept for identifying a key in listings
+const PREFIX_LENGTH = 8;
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Secrets are 256-bit random values, so a plain SHA-256 digest is enough
+ * and keeps lookups on every heartbeat cheap
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Create an enrollment token, the plaintext token is only returned here
+ */
+async function createEnrollmentToken({ description = null, groupId = null, maxUses = null, expiresAt = null, createdBy = null }) {
+    const token = generateSecret();
+
+    const result = await query(
+        `INSERT INTO enrollment_tokens (token_hash, token_prefix, description, group_id, max_uses, expires_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, token_prefix, description, group_id, max_uses, use_count, expires_at, created_at`,
+        [hashSecret(token), token.substring(0, PREFIX_LENGTH), description, groupId, maxUses, expiresAt, createdBy]
+    );
+
+    return { enrollmentToken: result.rows[0], token };
+}
+
+/**
+ * Validate an enrollment token and count one use of it.
+ * Must run inside a transaction, the row stays locked until commit.
+ */
+async function consumeEnrollmentToken(client, token) {
+    const result = await client.query(
+        'SELECT * FROM enrollment_tokens WHERE token_hash = $1 FOR UPDATE',
+        [hashSecret(token)]
+    );
+
+    if (result.rows.length === 0) {
+        return { error: 'Invalid enrollment token' };
+    }
+
+    const enrollmentToken = result.rows[0];
+
+    if (enrollmentToken.revoked_at) {
+        return { error: 'Enrollment token has been revoked' };
+    }
+    if (enrollmentToken.expires_at && new Date(enrollmentToken.expires_at) <= new Date()) {
+        return { error: 'Enrollment token has expired' };
+    }
+    if (enrollmentToken.max_uses !== null && enrollmentToken.use_count >= enrollmentToken.max_uses) {
+        return { error: 'Enrollment token has been used up' };
+    }
+
+    await client.query(
+        'UPDATE enrollment_tokens SET use_count = use_count + 1 WHERE id = $1',
+        [enrollmentToken.id]
+    );
+
+    return { enrollmentToken };
+}
+
+/**
+ * Issue a new API key for a device, revoking whatever key it had before.
+ * Pass a transaction client to make this part of a larger unit of work.
+ */
+async function issueCredential(deviceId, { enrollmentTokenId = null, issuedBy = null, client = null } = {}) {
+    const db = client || { query };
+    const apiKey = generateSecret();
+
+    await db.query(
+        `UPDATE device_credentials SET revoked_at = CURRENT_TIMESTAMP
+         WHERE device_id = $1 AND revoked_at IS NULL`,
+        [deviceId]
+    );
+
+    const result = await db.query(
+        `INSERT INTO device_credentials (device_id, secret_hash, key_prefix, enrollment_token_id, issued_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, device_id, key_prefix, created_at`,
+        [deviceId, hashSecret(apiKey), apiKey.substring(0, PREFIX_LENGTH), enrollmentTokenId, issuedBy]
+    );
+
+    logger.info(`Issued API credential for device ${deviceId}`, { credentialId: result.rows[0].id });
+
+    return { credential: result.rows[0], apiKey };
+}
+
+/**
+ * Revoke the active API key of a device, returns whether one existed
+ */
+async function revokeCredential(deviceId) {
+    const result = await query(
+        `UPDATE device_credentials SET revoked_at = CURRENT_TIMESTAMP
+         WHERE device_id = $1 AND revoked_at IS NULL
+         RETURNING id`,
+        [deviceId]
+    );
+
+    return result.rows.length > 0;
+}
+
+/**
+ * Resolve the device owning an API key, or null when the key is unknown or revoked
+ */
+async function findDeviceByCredential(apiKey) {
+    const result = await query(
+        `SELECT d.id, d.device_id, d.name, d.group_id, d.status, dc.id as credential_id
+         FROM device_credentials dc
+         JOIN devices d ON dc.device_id = d.id
+         WHERE dc.secret_hash = $1 AND dc.revoked_at IS NULL`,
+        [hashSecret(apiKey)]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const device = result.rows[0];
+
+    await query(
+        'UPDATE device_credentials SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [device.credential_id]
+    );
+
+    return device;
+}
+
+module.exports = {
+    hashSecret,
+    createEnrollmentToken,
+    consumeEnrollmentToken,
+    issueCredential,
+    revokeCredential,
+    findDeviceByCredential
+};
@@ -0,0 +1,207 @@
+// Device columns a rule can test directly
+const COLUMN_FIELDS = ['device_id', 'name', 'description', 'device_type', 'status', 'group_id', 'tags'];
+
+// JSON columns a rule can reach into with a dotted path, hardware_info.architecture
+const JSON_FIELDS = ['location', 'hardware_info', 'software_info', 'network_info', 'labels'];
+
+const OPERATORS = ['eq', 'neq', 'in', 'not_in', 'contains', 'starts_with', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+const PATH_SEGMENT = /^[A-Za-z0-9_-]+$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function checkField(field) {
+    if (typeof field !== 'string' || field === '') {
+        return 'field must be a string';
+    }
+
+    const [root, ...path] = field.split('.');
+    if (COLUMN_FIELDS.includes(root) && path.length === 0) {
+        return null;
+    }
+    if (JSON_FIELDS.includes(root) && path.length > 0 && path.every(segment => PATH_SEGMENT.test(segment))) {
+        return null;
+    }
+
+    return `Unknown field ${field}. Use one of ${COLUMN_FIELDS.join(', ')} or a path into ${JSON_FIELDS.join(', ')}`;
+}
+
+function checkCondition({ field, op, value }) {
+    const fieldError = checkField(field);
+    if (fieldError) {
+        return fieldError;
+    }
+
+    if (!OPERATORS.includes(op)) {
+        return `Unknown operator ${op}. Supported: ${OPERATORS.join(', ')}`;
+    }
+
+    if (op === 'exists') {
+        return typeof value === 'boolean' ? null : `${field}: exists takes true or false`;
+    }
+    if (op === 'in' || op === 'not_in') {
+        return Array.isArray(value) && value.length > 0 && value.every(isScalar)
+            ? null
+            : `${field}: ${op} takes a non-empty list of values`;
+    }
+    if (['gt', 'gte', 'lt', 'lte'].includes(op)) {
+        return typeof value === 'number' || typeof value === 'string' ? null : `${field}: ${op} takes a number or a string`;
+    }
+
+    return isScalar(value) ? null : `${field}: ${op} takes a string, number or boolean`;
+}
+
+/**
+ * Check the rules of a dynamic group. A rule is a condition
+ * { field, op, value } or one of { all: [...] }, { any: [...] } and { not: rule }.
+ * Returns { rules } or { error }.
+ */
+function parseRules(rules) {
+    let conditions = 0;
+
+    const check = (node, depth) => {
+        if (!isPlainObject(node)) {
+            return 'Each rule must be an object';
+        }
+        if (depth > MAX_DEPTH) {
+            return `Rules can be nested at most ${MAX_DEPTH} levels deep`;
+        }
+
+        const keys = Object.keys(node);
+
+        if (keys.length === 1 && (keys[0] === 'all' || keys[0] === 'any')) {
+            const children = node[keys[0]];
+            if (!Array.isArray(children) || children.length === 0) {
+                return `${keys[0]} must be a non-empty list of rules`;
+            }
+            for (const child of children) {
+                const error = check(child, depth + 1);
+                if (error) {
+                    return error;
+                }
+            }
+            return null;
+        }
+
+        if (keys.length === 1 && keys[0] === 'not') {
+            return check(node.not, depth + 1);
+        }
+
+        conditions++;
+        if (conditions > MAX_CONDITIONS) {
+            return `Rules can hold at most ${MAX_CONDITIONS} conditions`;
+        }
+        return checkCondition(node);
+    };
+
+    const error = check(rules, 1);
+    return error ? { error } : { rules };
+}
+
+function fieldValue(device, field) {
+    let value = device;
+    for (const segment of field.split('.')) {
+        if (!isPlainObject(value)) {
+            return undefined;
+        }
+        value = value[segment];
+    }
+    return value;
+}
+
+function same(actual, expected) {
+    if (typeof actual === 'number' && typeof expected === 'number') {
+        return actual === expected;
+    }
+    return String(actual) === String(expected);
+}
+
+// Numbers compare as numbers when both sides are numeric, everything else as text
+function compare(actual, expected) {
+    const left = Number(actual);
+    const right = Number(expected);
+    if (actual !== '' && expected !== '' && !Number.isNaN(left) && !Number.isNaN(right)) {
+        return left - right;
+    }
+    return String(actual).localeCompare(String(expected));
+}
+
+/**
+ * Whether a condition holds for a device. A field the device never reported
+ * fails every operator except exists: false.
+ */
+function testCondition(device, { field, op, value }) {
+    const actual = fieldValue(device, field);
+    const missing = actual === undefined || actual === null;
+
+    if (op === 'exists') {
+        return missing !== value;
+    }
+    if (missing || (isPlainObject(actual) && op !== 'contains')) {
+        return false;
+    }
+
+    switch (op) {
+    case 'eq':
+        return same(actual, value);
+    case 'neq':
+        return !same(actual, value);
+    case 'in':
+        return value.some(item => same(actual, item));
+    case 'not_in':
+        return !value.some(item => same(actual, item));
+    case 'contains':
+        if (Array.isArray(actual)) {
+            return actual.some(item => same(item, value));
+        }
+        if (isPlainObject(actual)) {
+            return Object.prototype.hasOwnProperty.call(actual, String(value));
+        }
+        return String(actual).includes(String(value));
+    case 'starts_with':
+        return String(actual).startsWith(String(value));
+    case 'gt':
+        return compare(actual, value) > 0;
+    case 'gte':
+        return compare(actual, value) >= 0;
+    case 'lt':
+        return compare(actual, value) < 0;
+    case 'lte':
+        return compare(actual, value) <= 0;
+    default:
+        return false;
+    }
+}
+
+/**
+ * Whether a device matches checked rules
+ */
+function matchesRules(device, rules) {
+    if (rules.all) {
+        return rules.all.every(rule => matchesRules(device, rule));
+    }
+    if (rules.any) {
+        return rules.any.some(rule => matchesRules(device, rule));
+    }
+    if (rules.not) {
+        return !matchesRules(device, rules.not);
+    }
+    return testCondition(device, rules);
+}
+
+module.exports = {
+    COLUMN_FIELDS,
+    JSON_FIELDS,
+    OPERATORS,
+    parseRules,
+    matchesRules
+};
@@ -0,0 +1,338 @@
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const { recordEvent } = require('./events');
+const { matchesRules } = require('./device-group-rules');
+const { syncDeviceConfigsSafely } = require('./config-profiles');
+
+const GROUP_COLUMNS = 'id, name, description, parent_id, type, rules, config_profile_id, evaluated_at, created_at, updated_at';
+
+// Device fields dynamic group rules are evaluated against
+const RULE_COLUMNS = 'id, device_id, name, description, device_type, status, group_id, tags, labels, location, hardware_info, software_info, network_info';
+
+const DEVICE_STATUSES = ['online', 'offline', 'maintenance', 'error'];
+
+/**
+ * Ids of a group and every group below it
+ */
+async function getDescendantIds(groupId, { includeSelf = true } = {}) {
+    const result = await query(
+        `WITH RECURSIVE subtree AS (
+             SELECT id FROM device_groups WHERE id = $1
+             UNION
+             SELECT g.id FROM device_groups g JOIN subtree s ON g.parent_id = s.id
+         )
+         SELECT id FROM subtree`,
+        [groupId]
+    );
+
+    const ids = result.rows.map(row => row.id);
+    return includeSelf ? ids : ids.filter(id => id !== groupId);
+}
+
+/**
+ * Groups above a group, from the root down to its parent
+ */
+async function getAncestors(groupId) {
+    const result = await query(
+        `WITH RECURSIVE ancestry AS (
+             SELECT g.id, g.parent_id, 0 as depth FROM device_groups g WHERE g.id = $1
+             UNION
+             SELECT p.id, p.parent_id, a.depth + 1 FROM device_groups p JOIN ancestry a ON p.id = a.parent_id
+         )
+         SELECT ${GROUP_COLUMNS.split(', ').map(column => `g.${column}`).join(', ')}
+         FROM ancestry a
+         JOIN device_groups g ON g.id = a.id
+         WHERE a.depth > 0
+         ORDER BY a.depth DESC`,
+        [groupId]
+    );
+    return result.rows;
+}
+
+/**
+ * Groups below a group, each with its depth relative to it (children are 1)
+ */
+async function getDescendants(groupId) {
+    const result = await query(
+        `WITH RECURSIVE subtree AS (
+             SELECT id, 0 as depth FROM device_groups WHERE id = $1
+             UNION
+             SELECT g.id, s.depth + 1 FROM device_groups g JOIN subtree s ON g.parent_id = s.id
+         )
+         SELECT ${GROUP_COLUMNS.split(', ').map(column => `g.${column}`).join(', ')}, s.depth
+         FROM subtree s
+         JOIN device_groups g ON g.id = s.id
+         WHERE s.depth > 0
+         ORDER BY s.depth, g.name`,
+        [groupId]
+    );
+    return result.rows;
+}
+
+/**
+ * SQL condition selecting the devices of the groups in the given uuid[]
+ * parameter, static members through group_id and dynamic ones by their rules
+ */
+function memberCondition(param, alias = 'd') {
+    return `${alias}.id IN (SELECT device_id FROM device_group_membership WHERE group_id = ANY(${param}))`;
+}
+
+function emptyCounts() {
+    return Object.fromEntries(DEVICE_STATUSES.map(status => [status, 0]));
+}
+
+/**
+ * Every group as a tree, returned as the list of top-level groups. Each node has
+ * device_count (its own devices), and total_device_count and status_counts
+ * rolled up over its subtree.
+ */
+async function getGroupTree() {
+    const groups = await query(`SELECT ${GROUP_COLUMNS} FROM device_groups ORDER BY name`);
+    const members = await query(
+        `SELECT m.group_id, d.id, d.status
+         FROM device_group_membership m
+         JOIN devices d ON m.device_id = d.id`
+    );
+
+    const nodes = new Map(groups.rows.map(group => [group.id, {
+        ...group,
+        device_count: 0,
+        total_device_count: 0,
+        status_counts: emptyCounts(),
+        children: []
+    }]));
+
+    // A device can sit in a static group and in dynamic ones below it,
+    // so subtrees collect device ids to count each device once
+    const devices = new Map(groups.rows.map(group => [group.id, new Map()]));
+    for (const row of members.rows) {
+        if (devices.has(row.group_id)) {
+            devices.get(row.group_id).set(row.id, row.status);
+            nodes.get(row.group_id).device_count++;
+        }
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+        (parent ? parent.children : roots).push(node);
+    }
+
+    // Children first, each node merges the complete device sets of its subgroups
+    const rollUp = (node) => {
+        const subtree = devices.get(node.id);
+        for (const child of node.children) {
+            for (const [id, status] of rollUp(child)) {
+                subtree.set(id, status);
+            }
+        }
+
+        node.total_device_count = subtree.size;
+        for (const status of subtree.values()) {
+            node.status_counts[status] = (node.status_counts[status] || 0) + 1;
+        }
+        return subtree;
+    };
+    roots.forEach(rollUp);
+
+    return roots;
+}
+
+/**
+ * Device counts of a group on its own and over its subtree
+ */
+async function getGroupSummary(groupId) {
+    const ids = await getDescendantIds(groupId);
+    const result = await query(
+        `SELECT d.status, COUNT(*) as count, COUNT(*) FILTER (WHERE ${memberCondition('ARRAY[$2::uuid]')}) as direct
+         FROM devices d
+         WHERE ${memberCondition('$1')}
+         GROUP BY d.status`,
+        [ids, groupId]
+    );
+
+    const statusCounts = emptyCounts();
+    let direct = 0;
+    let total = 0;
+    for (const row of result.rows) {
+        statusCounts[row.status] = parseInt(row.count);
+        direct += parseInt(row.direct);
+        total += parseInt(row.count);
+    }
+
+    return {
+        device_count: direct,
+        total_device_count: total,
+        subgroup_count: ids.length - 1,
+        status_counts: statusCounts
+    };
+}
+
+/**
+ * Move a group under another one, or to the top level with a null parent.
+ * Returns { group } or { error } when the move would put the group inside its own subtree.
+ * The table is locked for the check so two concurrent moves cannot form a cycle.
+ */
+async function moveGroup(groupId, parentId) {
+    return transaction(async (client) => {
+        await client.query('LOCK TABLE device_groups IN SHARE ROW EXCLUSIVE MODE');
+
+        if (parentId) {
+            const cycle = await client.query(
+                `WITH RECURSIVE subtree AS (
+                     SELECT id FROM device_groups WHERE id = $1
+                     UNION
+                     SELECT g.id FROM device_groups g JOIN subtree s ON g.parent_id = s.id
+                 )
+                 SELECT 1 FROM subtree WHERE id = $2`,
+                [groupId, parentId]
+            );
+
+            if (cycle.rows.length > 0) {
+                return { error: 'A group cannot be moved under itself or one of its subgroups' };
+            }
+        }
+
+        const result = await client.query(
+            `UPDATE device_groups
+             SET parent_id = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING ${GROUP_COLUMNS}`,
+            [groupId, parentId || null]
+        );
+
+        return { group: result.rows[0] };
+    });
+}
+
+async function recordMembershipEvents(eventType, group, devices) {
+    for (const device of devices) {
+        await recordEvent(eventType, {
+            entityType: 'device_group',
+            entityId: group.id,
+            data: {
+                group_name: group.name,
+                device: { id: device.id, device_id: device.device_id, name: device.name }
+            }
+        });
+    }
+}
+
+/**
+ * Add and remove members of a dynamic group so they match a fresh evaluation
+ * of its rules. Only the devices whose membership changed get an event.
+ * Returns the added and removed devices.
+ */
+async function applyMembership(group, matching, current) {
+    const toAdd = matching.filter(device => !current.has(device.id));
+    const matchingIds = new Set(matching.map(device => device.id));
+    const toRemove = [...current.keys()].filter(id => !matchingIds.has(id));
+
+    const added = toAdd.length === 0 ? [] : (await query(
+        `INSERT INTO device_group_members (group_id, device_id)
+         SELECT $1, unnest($2::uuid[])
+         ON CONFLICT DO NOTHING
+         RETURNING device_id`,
+        [group.id, toAdd.map(device => device.id)]
+    )).rows.map(row => toAdd.find(device => device.id === row.device_id));
+
+    const removed = toRemove.length === 0 ? [] : (await query(
+        `DELETE FROM device_group_members
+         WHERE group_id = $1 AND device_id = ANY($2)
+         RETURNING device_id`,
+        [group.id, toRemove]
+    )).rows.map(row => current.get(row.device_id));
+
+    await recordMembershipEvents('group_member_added', group, added);
+    await recordMembershipEvents('group_member_removed', group, removed);
+
+    // Joining or leaving a group can change the profiles a device gets
+    if (added.length > 0 || removed.length > 0) {
+        await syncDeviceConfigsSafely([...added, ...removed].map(device => device.id));
+    }
+
+    return { added, removed };
+}
+
+/**
+ * Evaluate a dynamic group's rules against the whole fleet
+ */
+async function refreshGroupMembership(group) {
+    if (group.type !== 'dynamic') {
+        return { added: [], removed: [] };
+    }
+
+    const devices = await query(`SELECT ${RULE_COLUMNS} FROM devices`);
+    const current = await query(
+        `SELECT d.id, d.device_id, d.name
+         FROM device_group_members m
+         JOIN devices d ON m.device_id = d.id
+         WHERE m.group_id = $1`,
+        [group.id]
+    );
+
+    const matching = group.rules ? devices.rows.filter(device => matchesRules(device, group.rules)) : [];
+    const result = await applyMembership(group, matching, new Map(current.rows.map(device => [device.id, device])));
+
+    await query('UPDATE device_groups SET evaluated_at = CURRENT_TIMESTAMP WHERE id = $1', [group.id]);
+
+    if (result.added.length > 0 || result.removed.length > 0) {
+        logger.info(`Dynamic group ${group.name}: ${result.added.length} device(s) joined, ${result.removed.length} left`);
+    }
+
+    return result;
+}
+
+/**
+ * Evaluate every dynamic group's rules against one device, after it reported
+ * in or was edited. Failures are logged, they never fail the caller.
+ */
+async function refreshDeviceMemberships(deviceId) {
+    try {
+        const device = (await query(`SELECT ${RULE_COLUMNS} FROM devices WHERE id = $1`, [deviceId])).rows[0];
+        if (!device) {
+            return;
+        }
+
+        const groups = await query(`SELECT id, name, rules FROM device_groups WHERE type = 'dynamic' AND rules IS NOT NULL`);
+        if (groups.rows.length === 0) {
+            return;
+        }
+
+        const current = new Set((await query(
+            'SELECT group_id FROM device_group_members WHERE device_id = $1',
+            [deviceId]
+        )).rows.map(row => row.group_id));
+
+        for (const group of groups.rows) {
+            const matches = matchesRules(device, group.rules);
+            if (matches !== current.has(group.id)) {
+                await applyMembership(group, matches ? [device] : [], matches ? new Map() : new Map([[device.id, device]]));
+            }
+        }
+    } catch (error) {
+        logger.error(`Failed to evaluate dynamic groups for device ${deviceId}:`, error);
+    }
+}
+
+/**
+ * Whether a group exists and takes devices through group_id
+ */
+async function isStaticGroup(groupId) {
+    const result = await query('SELECT type FROM device_groups WHERE id = $1', [groupId]);
+    return result.rows.length > 0 && result.rows[0].type === 'static';
+}
+
+module.exports = {
+    GROUP_COLUMNS,
+    memberCondition,
+    getDescendantIds,
+    getAncestors,
+    getDescendants,
+    getGroupTree,
+    getGroupSummary,
+    moveGroup,
+    refreshGroupMembership,
+    refreshDeviceMemberships,
+    isStaticGroup
+};
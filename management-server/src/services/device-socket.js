@@ -0,0 +1,224 @@
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const { query } = require('../database/connection');
+const { findDeviceByCredential } = require('./device-credentials');
+const {
+    commandEvents,
+    toAgentCommand,
+    claimPendingCommands,
+    requeueCommand
+} = require('./device-commands');
+
+// Native WebSocket endpoint used by connect_websocket in the kiosk agent.
+// Socket.IO keeps serving the dashboard on the same HTTP server.
+const DEVICE_PATH = /^\/ws\/devices\/([^/]+)\/?$/;
+
+const PING_INTERVAL = parseInt(process.env.DEVICE_WS_PING_INTERVAL) || 30000;
+
+let wss = null;
+let pingTimer = null;
+
+// Live connections keyed by device UUID
+const connections = new Map();
+
+function rejectUpgrade(socket, statusCode, message) {
+    socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+function sendMessage(ws, message) {
+    return new Promise((resolve, reject) => {
+        ws.send(JSON.stringify(message), (error) => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * Push every queued command of a connected device over its socket.
+ * Commands that cannot be written go back to the queue for the next heartbeat.
+ */
+async function deliverPendingCommands(deviceId) {
+    const ws = connections.get(deviceId);
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+        return 0;
+    }
+
+    const commands = await claimPendingCommands(deviceId);
+    let delivered = 0;
+
+    for (const command of commands) {
+        try {
+            await sendMessage(ws, { type: 'command', data: toAgentCommand(command) });
+            delivered++;
+        } catch (error) {
+            logger.warn(`Failed to push command ${command.id} to device ${deviceId}, requeueing`);
+            await requeueCommand(command.id);
+        }
+    }
+
+    if (delivered > 0) {
+        logger.info(`Pushed ${delivered} command(s) to device ${deviceId} over WebSocket`);
+    }
+
+    return delivered;
+}
+
+async function authenticateUpgrade(req, requestedId) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { statusCode: 401, message: 'Unauthorized' };
+    }
+
+    const device = await findDeviceByCredential(authHeader.substring(7));
+    if (!device) {
+        return { statusCode: 401, message: 'Unauthorized' };
+    }
+
+    if (requestedId !== device.id && requestedId !== device.device_id) {
+        return { statusCode: 403, message: 'Forbidden' };
+    }
+
+    return { device };
+}
+
+function handleConnection(ws, device) {
+    const previous = connections.get(device.id);
+    if (previous) {
+        previous.close(4000, 'Replaced by new connection');
+    }
+
+    ws.isAlive = true;
+    connections.set(device.id, ws);
+
+    logger.info(`Device WebSocket connected: ${device.device_id}`);
+
+    query(
+        'UPDATE devices SET last_seen = CURRENT_TIMESTAMP WHERE id = $1',
+        [device.id]
+    ).catch((error) => logger.error('Failed to update device last_seen:', error));
+
+    ws.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            logger.warn(`Invalid WebSocket message from device ${device.device_id}`);
+            return;
+        }
+
+        if (message.type === 'pong') {
+            ws.isAlive = true;
+        } else {
+            logger.debug(`Unhandled WebSocket message from device ${device.device_id}: ${message.type}`);
+        }
+    });
+
+    ws.on('close', () => {
+        if (connections.get(device.id) === ws) {
+            connections.delete(device.id);
+        }
+        logger.info(`Device WebSocket disconnected: ${device.device_id}`);
+    });
+
+    ws.on('error', (error) => {
+        logger.error(`Device WebSocket error for ${device.device_id}:`, error);
+    });
+
+    // Anything queued while the device was offline goes out right away
+    deliverPendingCommands(device.id).catch((error) => {
+        logger.error(`Failed to deliver pending commands to ${device.device_id}:`, error);
+    });
+}
+
+/**
+ * Liveness check, the agent answers {type: 'ping'} with {type: 'pong'}.
+ * Sockets that missed the previous ping are terminated.
+ */
+function checkConnections() {
+    for (const [deviceId, ws] of connections) {
+        if (!ws.isAlive) {
+            logger.warn(`Device WebSocket timed out: ${deviceId}`);
+            ws.terminate();
+            connections.delete(deviceId);
+            continue;
+        }
+
+        ws.isAlive = false;
+        ws.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
+    }
+}
+
+function setupDeviceSocket(server) {
+    logger.info('Setting up device WebSocket endpoint');
+
+    wss = new WebSocket.Server({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const match = pathname.match(DEVICE_PATH);
+
+        // Leave other upgrades (Socket.IO) to their own handlers
+        if (!match) {
+            return;
+        }
+
+        try {
+            const { device, statusCode, message } = await authenticateUpgrade(req, decodeURIComponent(match[1]));
+            if (!device) {
+                logger.warn(`Rejected device WebSocket for ${match[1]}: ${message}`);
+                return rejectUpgrade(socket, statusCode, message);
+            }
+
+            wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, device));
+        } catch (error) {
+            logger.error('Device WebSocket upgrade error:', error);
+            rejectUpgrade(socket, 500, 'Internal Server Error');
+        }
+    });
+
+    commandEvents.on('queued', (command) => {
+        if (!connections.has(command.device_id)) {
+            return;
+        }
+        deliverPendingCommands(command.device_id).catch((error) => {
+            logger.error(`Failed to push command ${command.id}:`, error);
+        });
+    });
+
+    pingTimer = setInterval(checkConnections, PING_INTERVAL);
+
+    return wss;
+}
+
+function closeDeviceSocket() {
+    if (pingTimer) {
+        clearInterval(pingTimer);
+        pingTimer = null;
+    }
+
+    for (const ws of connections.values()) {
+        ws.close(1001, 'Server shutting down');
+    }
+    connections.clear();
+
+    if (wss) {
+        wss.close();
+        wss = null;
+    }
+}
+
+function isDeviceConnected(deviceId) {
+    const ws = connections.get(deviceId);
+    return Boolean(ws && ws.readyState === WebSocket.OPEN);
+}
+
+function getConnectedDeviceIds() {
+    return Array.from(connections.keys());
+}
+
+module.exports = {
+    setupDeviceSocket,
+    closeDeviceSocket,
+    deliverPendingCommands,
+    isDeviceConnected,
+    getConnectedDeviceIds
+};
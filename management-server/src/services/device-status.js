@@ -0,0 +1,254 @@
+const EventEmitter = require('events');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { getIO, broadcastToAdmins } = require('./websocket');
+const { recordEvent } = require('./events');
+const { refreshDeviceMemberships } = require('./device-groups');
+
+const LOG_RETENTION_DAYS = parseInt(process.env.DEVICE_LOG_RETENTION_DAYS) || 90;
+
+// Emits 'transition' with { device, previousStatus, status, reason, userId, changedAt }
+const statusEvents = new EventEmitter();
+
+/**
+ * Start the status history of a new device from the status it was created with,
+ * uptime reports have nothing to measure from otherwise
+ */
+async function recordInitialStatus(device, { userId = null, client = { query } } = {}) {
+    await client.query(
+        `INSERT INTO device_status_history (device_id, previous_status, status, reason, changed_by, changed_at)
+         VALUES ($1, NULL, $2, 'initial', $3, $4)`,
+        [device.id, device.status, userId, device.created_at || new Date()]
+    );
+}
+
+/**
+ * Record a device status transition and tell the dashboard about it.
+ * No-op when the status did not actually change.
+ */
+async function recordStatusTransition(device, previousStatus, status, { reason = null, userId = null, changedAt = new Date() } = {}) {
+    if (!previousStatus || previousStatus === status) {
+        return false;
+    }
+
+    await query(
+        `INSERT INTO device_status_history (device_id, previous_status, status, reason, changed_by, changed_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [device.id, previousStatus, status, reason, userId, changedAt]
+    );
+
+    await query(
+        `INSERT INTO device_logs (device_id, level, message, category, metadata, timestamp)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+            device.id,
+            ['offline', 'error'].includes(status) ? 'warn' : 'info',
+            `Status changed from ${previousStatus} to ${status}`,
+            'status',
+            JSON.stringify({ previous_status: previousStatus, status, reason, changed_by: userId }),
+            changedAt
+        ]
+    );
+
+    logger.info(`Device ${device.device_id} status: ${previousStatus} -> ${status}`, { deviceId: device.id, reason });
+
+    const io = getIO();
+    if (io) {
+        broadcastToAdmins(io, 'device:status:update', {
+            deviceId: device.id,
+            device_id: device.device_id,
+            previous_status: previousStatus,
+            status,
+            reason,
+            timestamp: changedAt.toISOString()
+        });
+    }
+
+    statusEvents.emit('transition', { device, previousStatus, status, reason, userId, changedAt });
+
+    await recordEvent('device_status_changed', {
+        entityType: 'device',
+        entityId: device.id,
+        userId,
+        data: { device_id: device.device_id, previous_status: previousStatus, status, reason }
+    });
+
+    return true;
+}
+
+/**
+ * Flip devices that missed their heartbeats to offline.
+ * A device is considered gone once no heartbeat arrived for
+ * heartbeat_interval * graceMultiplier seconds.
+ */
+async function markMissingDevicesOffline({
+    defaultInterval = parseInt(process.env.DEFAULT_HEARTBEAT_INTERVAL) || 60,
+    graceMultiplier = parseFloat(process.env.HEARTBEAT_GRACE_MULTIPLIER) || 3
+} = {}) {
+    const result = await query(
+        `UPDATE devices d
+         SET status = 'offline'
+         FROM (
+             SELECT id, status as previous_status
+             FROM devices
+             WHERE status IN ('online', 'error')
+               AND COALESCE(last_heartbeat, last_seen, created_at)
+                   < NOW() - make_interval(secs => COALESCE(heartbeat_interval, $1) * $2::float)
+             FOR UPDATE
+         ) stale
+         WHERE d.id = stale.id
+         RETURNING d.id, d.device_id, d.last_heartbeat, stale.previous_status`,
+        [defaultInterval, graceMultiplier]
+    );
+
+    for (const device of result.rows) {
+        await recordStatusTransition(device, device.previous_status, 'offline', {
+            reason: 'missed_heartbeat'
+        });
+        await refreshDeviceMemberships(device.id);
+    }
+
+    return result.rows;
+}
+
+// Statuses that count as an outage, maintenance is planned and excluded from availability
+const DOWN_STATUSES = ['offline', 'error'];
+
+/**
+ * Walk a device's status timeline between start and end.
+ * transitions must be ordered by changed_at and fall inside the window.
+ */
+function summarizeStatusTimeline(initialStatus, transitions, start, end) {
+    const durations = { online: 0, offline: 0, maintenance: 0, error: 0 };
+    const outages = [];
+
+    let status = initialStatus;
+    let since = start;
+    let outage = DOWN_STATUSES.includes(status) ? { start, status } : null;
+
+    for (const transition of transitions) {
+        const at = new Date(transition.changed_at);
+        durations[status] += at - since;
+
+        const isDown = DOWN_STATUSES.includes(transition.status);
+        if (!outage && isDown) {
+            outage = { start: at, status: transition.status };
+        } else if (outage && !isDown) {
+            outages.push({ ...outage, end: at, ongoing: false });
+            outage = null;
+        }
+
+        status = transition.status;
+        since = at;
+    }
+
+    durations[status] += end - since;
+
+    if (outage) {
+        outages.push({ ...outage, end, ongoing: true });
+    }
+
+    const monitored = end - start - durations.maintenance;
+    const resolved = outages.filter(o => !o.ongoing);
+    const toSeconds = (ms) => Math.round(ms / 1000);
+
+    return {
+        availabilityPercentage: monitored > 0 ? Math.round(durations.online / monitored * 10000) / 100 : null,
+        durations: Object.fromEntries(Object.entries(durations).map(([key, ms]) => [key, toSeconds(ms)])),
+        outages: outages.map(o => ({
+            start: o.start.toISOString(),
+            end: o.ongoing ? null : o.end.toISOString(),
+            status: o.status,
+            durationSeconds: toSeconds(o.end - o.start),
+            ongoing: o.ongoing
+        })),
+        outageCount: outages.length,
+        mttrSeconds: resolved.length > 0
+            ? toSeconds(resolved.reduce((sum, o) => sum + (o.end - o.start), 0) / resolved.length)
+            : null
+    };
+}
+
+/**
+ * Availability, outages and MTTR per device over [from, to].
+ * Outages that began before the window are clipped to it.
+ */
+async function computeUptime(from, to, deviceIds = null) {
+    const devicesResult = await query(
+        `SELECT d.id, d.device_id, d.name, d.status, d.created_at
+         FROM devices d
+         WHERE d.created_at <= $1 AND ($2::uuid[] IS NULL OR d.id = ANY($2))
+         ORDER BY d.name`,
+        [to, deviceIds]
+    );
+
+    if (devicesResult.rows.length === 0) {
+        return [];
+    }
+
+    const ids = devicesResult.rows.map(d => d.id);
+
+    // Status each device had when the window opened
+    const baselineResult = await query(
+        `SELECT DISTINCT ON (device_id) device_id, status
+         FROM device_status_history
+         WHERE device_id = ANY($1) AND changed_at <= $2
+         ORDER BY device_id, changed_at DESC`,
+        [ids, from]
+    );
+    const baseline = new Map(baselineResult.rows.map(row => [row.device_id, row.status]));
+
+    const transitionsResult = await query(
+        `SELECT device_id, previous_status, status, changed_at
+         FROM device_status_history
+         WHERE device_id = ANY($1) AND changed_at > $2 AND changed_at <= $3
+         ORDER BY device_id, changed_at`,
+        [ids, from, to]
+    );
+    const transitions = new Map();
+    for (const row of transitionsResult.rows) {
+        if (!transitions.has(row.device_id)) {
+            transitions.set(row.device_id, []);
+        }
+        transitions.get(row.device_id).push(row);
+    }
+
+    return devicesResult.rows.map(device => {
+        const deviceTransitions = transitions.get(device.id) || [];
+        const start = new Date(Math.max(from, new Date(device.created_at)));
+        const initialStatus = baseline.get(device.id)
+            || deviceTransitions[0]?.previous_status
+            || deviceTransitions[0]?.status
+            || device.status;
+
+        return {
+            deviceId: device.id,
+            device_id: device.device_id,
+            name: device.name,
+            from: start.toISOString(),
+            to: to.toISOString(),
+            ...summarizeStatusTimeline(initialStatus, deviceTransitions, start, to)
+        };
+    });
+}
+
+/**
+ * Delete device log entries older than the retention period
+ */
+async function pruneDeviceLogs() {
+    const result = await query(
+        'DELETE FROM device_logs WHERE timestamp < NOW() - make_interval(days => $1)',
+        [LOG_RETENTION_DAYS]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    statusEvents,
+    recordInitialStatus,
+    recordStatusTransition,
+    markMissingDevicesOffline,
+    summarizeStatusTimeline,
+    computeUptime,
+    pruneDeviceLogs
+};
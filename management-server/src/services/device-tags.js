@@ -0,0 +1,217 @@
+const { query } = require('../database/connection');
+
+const MAX_TAGS = 50;
+const MAX_LABELS = 50;
+const MAX_VALUE_LENGTH = 255;
+
+// Tags are stored lowercase, so "Pilot" and "pilot" are the same tag
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_.:/-]{0,49}$/;
+const LABEL_KEY_PATTERN = /^[a-z0-9]([a-z0-9_./-]{0,61}[a-z0-9])?$/;
+
+/**
+ * Check a list of tags. Returns { tags } without duplicates, or { error }.
+ */
+function normalizeTags(value) {
+    if (!Array.isArray(value)) {
+        return { error: 'Tags must be a list' };
+    }
+
+    const tags = [...new Set(value.map(tag => String(tag).trim().toLowerCase()))];
+    const invalid = tags.filter(tag => !TAG_PATTERN.test(tag));
+    if (invalid.length > 0) {
+        return { error: `Invalid tag: ${invalid.join(', ')}. Tags are up to 50 letters, digits and _ . : / -` };
+    }
+    if (tags.length > MAX_TAGS) {
+        return { error: `A device can have at most ${MAX_TAGS} tags` };
+    }
+
+    return { tags };
+}
+
+/**
+ * Check a list of label keys. Returns { keys } or { error }.
+ */
+function normalizeLabelKeys(value) {
+    if (!Array.isArray(value)) {
+        return { error: 'Label keys must be a list' };
+    }
+
+    const keys = [...new Set(value.map(key => String(key).trim().toLowerCase()))];
+    const invalid = keys.filter(key => !LABEL_KEY_PATTERN.test(key));
+    if (invalid.length > 0) {
+        return { error: `Invalid label key: ${invalid.join(', ')}. Keys are up to 63 letters, digits and _ . / -` };
+    }
+
+    return { keys };
+}
+
+/**
+ * Check a { key: value } object of labels. Values are kept as strings.
+ * Returns { labels } or { error }.
+ */
+function normalizeLabels(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'Labels must be an object of key/value pairs' };
+    }
+
+    const { keys, error } = normalizeLabelKeys(Object.keys(value));
+    if (error) {
+        return { error };
+    }
+    if (keys.length > MAX_LABELS) {
+        return { error: `A device can have at most ${MAX_LABELS} labels` };
+    }
+
+    const labels = {};
+    for (const [key, labelValue] of Object.entries(value)) {
+        if (!['string', 'number', 'boolean'].includes(typeof labelValue)) {
+            return { error: `Label ${key} must have a string value` };
+        }
+        const text = String(labelValue).trim();
+        if (text.length > MAX_VALUE_LENGTH) {
+            return { error: `Label ${key} is longer than ${MAX_VALUE_LENGTH} characters` };
+        }
+        labels[key.trim().toLowerCase()] = text;
+    }
+
+    return { labels };
+}
+
+/**
+ * SQL conditions for tag and label filters on the devices table aliased d.
+ * Every tag has to be present. labels maps a key to the accepted values,
+ * an empty list only asks for the key. Pushes onto params and returns the conditions.
+ */
+function tagConditions({ tags = [], labels = {} }, params) {
+    const conditions = [];
+
+    if (tags.length > 0) {
+        params.push(tags);
+        conditions.push(`d.tags @> $${params.length}::text[]`);
+    }
+
+    for (const [key, values] of Object.entries(labels)) {
+        if (values.length === 0) {
+            params.push(key);
+            conditions.push(`d.labels ? $${params.length}`);
+        } else {
+            const alternatives = values.map(value => {
+                params.push(JSON.stringify({ [key]: value }));
+                return `d.labels @> $${params.length}::jsonb`;
+            });
+            conditions.push(`(${alternatives.join(' OR ')})`);
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Add and remove tags and labels on many devices in one statement.
+ * Devices that would end up over MAX_TAGS or MAX_LABELS are left unchanged.
+ * Returns { devices, rejected }, the updated devices ({ id, device_id, name,
+ * tags, labels }) and the left out ones ({ id, device_id, name, error }).
+ */
+async function updateTags(deviceIds, { addTags = [], removeTags = [], setLabels = {}, removeLabels = [] }) {
+    const result = await query(
+        `WITH changed AS (
+             SELECT id,
+                    ARRAY(
+                        SELECT DISTINCT tag FROM unnest(tags || $2::text[]) tag
+                        WHERE tag <> ALL($3::text[])
+                        ORDER BY tag
+                    ) as tags,
+                    (labels || $4::jsonb) - $5::text[] as labels
+             FROM devices
+             WHERE id = ANY($1)
+             FOR UPDATE
+         ), counted AS (
+             SELECT id, tags, labels, cardinality(tags) as tag_count,
+                    (SELECT COUNT(*)::int FROM jsonb_object_keys(labels)) as label_count
+             FROM changed
+         ), updated AS (
+             UPDATE devices d
+             SET tags = c.tags,
+                 labels = c.labels,
+                 updated_at = CURRENT_TIMESTAMP
+             FROM counted c
+             WHERE d.id = c.id AND c.tag_count <= $6 AND c.label_count <= $7
+             RETURNING d.id, d.device_id, d.name, d.tags, d.labels
+         )
+         SELECT id, device_id, name, tags, labels, NULL::int as tag_count, NULL::int as label_count
+         FROM updated
+         UNION ALL
+         SELECT d.id, d.device_id, d.name, d.tags, d.labels, c.tag_count, c.label_count
+         FROM counted c
+         JOIN devices d ON d.id = c.id
+         WHERE c.tag_count > $6 OR c.label_count > $7`,
+        [deviceIds, addTags, removeTags, JSON.stringify(setLabels), removeLabels, MAX_TAGS, MAX_LABELS]
+    );
+
+    const devices = [];
+    const rejected = [];
+    for (const { tag_count: tagCount, label_count: labelCount, ...device } of result.rows) {
+        if (tagCount === null) {
+            devices.push(device);
+        } else {
+            rejected.push({
+                id: device.id,
+                device_id: device.device_id,
+                name: device.name,
+                error: tagCount > MAX_TAGS
+                    ? `Would have ${tagCount} tags, a device can have at most ${MAX_TAGS}`
+                    : `Would have ${labelCount} labels, a device can have at most ${MAX_LABELS}`
+            });
+        }
+    }
+
+    return { devices, rejected };
+}
+
+/**
+ * Every tag in use with the number of devices carrying it
+ */
+async function getTagCounts() {
+    const result = await query(
+        `SELECT tag, COUNT(*)::int as device_count
+         FROM devices, unnest(tags) tag
+         GROUP BY tag
+         ORDER BY device_count DESC, tag`
+    );
+    return result.rows;
+}
+
+/**
+ * Every label key in use with its values and how many devices have each
+ */
+async function getLabelCounts() {
+    const result = await query(
+        `SELECT label.key, label.value, COUNT(*)::int as device_count
+         FROM devices, jsonb_each_text(labels) label
+         GROUP BY label.key, label.value
+         ORDER BY label.key, device_count DESC, label.value`
+    );
+
+    const keys = new Map();
+    for (const row of result.rows) {
+        if (!keys.has(row.key)) {
+            keys.set(row.key, { key: row.key, device_count: 0, values: [] });
+        }
+        const entry = keys.get(row.key);
+        entry.device_count += row.device_count;
+        entry.values.push({ value: row.value, device_count: row.device_count });
+    }
+    return [...keys.values()];
+}
+
+module.exports = {
+    MAX_TAGS,
+    MAX_LABELS,
+    normalizeTags,
+    normalizeLabelKeys,
+    normalizeLabels,
+    tagConditions,
+    updateTags,
+    getTagCounts,
+    getLabelCounts
+};
@@ -0,0 +1,72 @@
+const EventEmitter = require('events');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Event types written to system_events and offered to webhook subscriptions
+const EVENT_TYPES = [
+    'device_created',
+    'device_updated',
+    'device_deleted',
+    'device_status_changed',
+    'application_created',
+    'application_updated',
+    'application_deleted',
+    'application_deployed',
+    'application_undeployed',
+    'application_version_published',
+    'application_version_promoted',
+    'application_drift_detected',
+    'application_drift_resolved',
+    'rollout_started',
+    'rollout_wave_started',
+    'rollout_paused',
+    'rollout_resumed',
+    'rollout_completed',
+    'rollout_aborted',
+    'signing_key_rotated',
+    'signing_key_revoked',
+    'group_created',
+    'group_updated',
+    'group_deleted',
+    'group_member_added',
+    'group_member_removed',
+    'config_profile_created',
+    'config_profile_updated',
+    'config_profile_deleted',
+    'alert_opened',
+    'alert_escalated',
+    'alert_acknowledged',
+    'alert_resolved'
+];
+
+// Emits 'event' with every system_events row once it is stored
+const systemEvents = new EventEmitter();
+
+/**
+ * Store a system event and hand it to the listeners on the bus.
+ * Recording an event never fails the operation it describes.
+ */
+async function recordEvent(eventType, { entityType = null, entityId = null, userId = null, data = {} } = {}) {
+    try {
+        const result = await query(
+            `INSERT INTO system_events (event_type, entity_type, entity_id, user_id, data)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [eventType, entityType, entityId, userId, JSON.stringify(data)]
+        );
+
+        const event = result.rows[0];
+        systemEvents.emit('event', event);
+
+        return event;
+    } catch (error) {
+        logger.error(`Failed to record system event ${eventType}:`, error);
+        return null;
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    systemEvents,
+    recordEvent
+};
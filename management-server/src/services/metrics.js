@@ -0,0 +1,257 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Metrics extracted from the system info the kiosk agent sends with every heartbeat
+const METRIC_NAMES = [
+    'memory_total',
+    'memory_available',
+    'memory_used_percent',
+    'disk_total',
+    'disk_used',
+    'disk_free',
+    'disk_used_percent',
+    'load_1min',
+    'load_5min',
+    'load_15min',
+    'temperature'
+];
+
+const AGGREGATES = ['avg', 'min', 'max'];
+
+// Raw samples older than this are only available as hourly rollups
+const RAW_RETENTION_DAYS = parseInt(process.env.METRICS_RAW_RETENTION_DAYS) || 7;
+const ROLLUP_RETENTION_DAYS = parseInt(process.env.METRICS_ROLLUP_RETENTION_DAYS) || 365;
+
+// Upper bound on the number of buckets a single query may return
+const MAX_POINTS = 2000;
+
+function toNumber(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+function percentage(part, total) {
+    return part !== null && total ? Math.round(part / total * 10000) / 100 : null;
+}
+
+/**
+ * Turn heartbeat hardware/software info into metric samples
+ */
+function extractMetrics(hardwareInfo = {}, softwareInfo = {}) {
+    const hardware = hardwareInfo || {};
+    const loadAverage = (softwareInfo || {}).load_average || hardware.load_average || {};
+
+    const memoryTotal = toNumber(hardware.memory_total);
+    const memoryAvailable = toNumber(hardware.memory_available);
+    const diskTotal = toNumber(hardware.disk_total);
+    const diskUsed = toNumber(hardware.disk_used);
+    const diskFree = toNumber(hardware.disk_free);
+
+    const values = {
+        memory_total: memoryTotal,
+        memory_available: memoryAvailable,
+        memory_used_percent: memoryAvailable !== null ? percentage(memoryTotal - memoryAvailable, memoryTotal) : null,
+        disk_total: diskTotal,
+        disk_used: diskUsed,
+        disk_free: diskFree,
+        disk_used_percent: percentage(diskUsed, diskTotal),
+        load_1min: toNumber(loadAverage['1min']),
+        load_5min: toNumber(loadAverage['5min']),
+        load_15min: toNumber(loadAverage['15min']),
+        temperature: toNumber(hardware.temperature)
+    };
+
+    return Object.entries(values)
+        .filter(([, value]) => value !== null)
+        .map(([metric, value]) => ({ metric, value }));
+}
+
+/**
+ * Persist the samples carried by one heartbeat
+ */
+async function recordMetrics(deviceId, samples, recordedAt = new Date()) {
+    if (samples.length === 0) {
+        return;
+    }
+
+    await query(
+        `INSERT INTO device_metrics (device_id, metric, value, recorded_at)
+         SELECT $1, metric, value, $4
+         FROM unnest($2::text[], $3::float8[]) AS sample(metric, value)`,
+        [deviceId, samples.map(s => s.metric), samples.map(s => s.value), recordedAt]
+    );
+}
+
+/**
+ * Downsample raw samples into hourly buckets.
+ * Recomputes the last few completed hours so late samples are picked up.
+ */
+async function rollupHourlyMetrics(hours = 3) {
+    const result = await query(
+        `INSERT INTO device_metrics_hourly (device_id, metric, bucket, avg_value, min_value, max_value, sample_count)
+         SELECT device_id, metric, date_trunc('hour', recorded_at), AVG(value), MIN(value), MAX(value), COUNT(*)
+         FROM device_metrics
+         WHERE recorded_at >= date_trunc('hour', NOW()) - make_interval(hours => $1)
+           AND recorded_at < date_trunc('hour', NOW())
+         GROUP BY device_id, metric, date_trunc('hour', recorded_at)
+         ON CONFLICT (device_id, metric, bucket) DO UPDATE
+         SET avg_value = EXCLUDED.avg_value,
+             min_value = EXCLUDED.min_value,
+             max_value = EXCLUDED.max_value,
+             sample_count = EXCLUDED.sample_count`,
+        [hours]
+    );
+
+    logger.debug(`Rolled up ${result.rowCount} hourly metric buckets`);
+    return result.rowCount;
+}
+
+/**
+ * Drop raw samples and rollups past their retention period
+ */
+async function pruneMetrics() {
+    const raw = await query(
+        'DELETE FROM device_metrics WHERE recorded_at < NOW() - make_interval(days => $1)',
+        [RAW_RETENTION_DAYS]
+    );
+    const hourly = await query(
+        'DELETE FROM device_metrics_hourly WHERE bucket < NOW() - make_interval(days => $1)',
+        [ROLLUP_RETENTION_DAYS]
+    );
+
+    return { raw: raw.rowCount, hourly: hourly.rowCount };
+}
+
+/**
+ * Parse a step such as 300, "300s", "5m", "1h" or "1d" into seconds
+ */
+function parseStep(step) {
+    const match = String(step).trim().match(/^(\d+)([smhd]?)$/);
+    if (!match) {
+        return null;
+    }
+
+    const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+    const seconds = parseInt(match[1]) * multipliers[match[2]];
+
+    return seconds > 0 ? seconds : null;
+}
+
+// Steps picked when the caller does not ask for one
+const DEFAULT_STEPS = [60, 300, 900, 3600, 6 * 3600, 86400];
+const DEFAULT_POINTS = 200;
+
+/**
+ * Validate the metric, from, to, step and aggregate query parameters
+ * shared by the device and group metrics endpoints
+ */
+function parseMetricsQuery(params) {
+    const metrics = params.metric ? String(params.metric).split(',').map(m => m.trim()) : METRIC_NAMES;
+    const unknown = metrics.filter(m => !METRIC_NAMES.includes(m));
+    if (unknown.length > 0) {
+        return { error: `Unknown metric: ${unknown.join(', ')}` };
+    }
+
+    const to = params.to ? new Date(params.to) : new Date();
+    const from = params.from ? new Date(params.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'From and to must be ISO 8601 dates' };
+    }
+    if (from >= to) {
+        return { error: 'From must be before to' };
+    }
+
+    let step;
+    if (params.step) {
+        step = parseStep(params.step);
+        if (!step) {
+            return { error: 'Step must be a number of seconds or a duration such as 5m, 1h or 1d' };
+        }
+    } else {
+        const rangeSeconds = (to - from) / 1000;
+        step = DEFAULT_STEPS.find(s => rangeSeconds / s <= DEFAULT_POINTS) || DEFAULT_STEPS[DEFAULT_STEPS.length - 1];
+    }
+
+    const aggregate = params.aggregate || 'avg';
+    if (!AGGREGATES.includes(aggregate)) {
+        return { error: `Aggregate must be one of ${AGGREGATES.join(', ')}` };
+    }
+
+    return { metrics, from, to, step, aggregate };
+}
+
+/**
+ * Query metric series aligned on step-sized buckets over [from, to).
+ * Samples of all given devices are combined per bucket with the aggregate,
+ * so a single device gives its own series and a list gives a fleet series.
+ * Ranges reaching past the raw retention are served from hourly rollups up to
+ * the first full hour still kept raw, and from raw samples after it, so
+ * recent buckets, the current hour included, keep their full resolution.
+ */
+async function queryMetricSeries({ deviceIds, metrics, from, to, step, aggregate = 'avg' }) {
+    const stepMs = step * 1000;
+    const start = Math.floor(from.getTime() / stepMs) * stepMs;
+    const bucketCount = Math.ceil((to.getTime() - start) / stepMs);
+
+    if (bucketCount > MAX_POINTS) {
+        throw new RangeError(`Query would return ${bucketCount} points per series, the maximum is ${MAX_POINTS}`);
+    }
+
+    const hourMs = 60 * 60 * 1000;
+    const rawCutoff = Date.now() - RAW_RETENTION_DAYS * 24 * hourMs;
+    const rawFrom = from.getTime() >= rawCutoff
+        ? start
+        : Math.min(Math.ceil(rawCutoff / hourMs) * hourMs, to.getTime());
+    const source = rawFrom > start ? 'hourly' : 'raw';
+
+    // Rollups carry their sample count so buckets mixing both are weighted
+    const sql = `SELECT metric,
+                        floor(extract(epoch from at) / $5) * $5 as bucket,
+                        SUM(total) / SUM(samples) as avg, MIN(low) as min, MAX(high) as max
+                 FROM (
+                     SELECT metric, bucket as at, avg_value * sample_count as total,
+                            sample_count as samples, min_value as low, max_value as high
+                     FROM device_metrics_hourly
+                     WHERE device_id = ANY($1) AND metric = ANY($2)
+                       AND bucket >= $3 AND bucket < $6
+                     UNION ALL
+                     SELECT metric, recorded_at, value, 1, value, value
+                     FROM device_metrics
+                     WHERE device_id = ANY($1) AND metric = ANY($2)
+                       AND recorded_at >= $6 AND recorded_at < $4
+                 ) samples
+                 GROUP BY metric, 2`;
+
+    const result = await query(sql, [deviceIds, metrics, new Date(start), to, step, new Date(rawFrom)]);
+
+    const values = new Map();
+    for (const row of result.rows) {
+        values.set(`${row.metric}:${parseFloat(row.bucket) * 1000}`, parseFloat(row[aggregate]));
+    }
+
+    const buckets = Array.from({ length: bucketCount }, (_, i) => start + i * stepMs);
+
+    return {
+        source,
+        timestamps: buckets.map(t => new Date(t).toISOString()),
+        series: metrics.map(metric => ({
+            metric,
+            values: buckets.map(t => {
+                const value = values.get(`${metric}:${t}`);
+                return value === undefined ? null : value;
+            })
+        }))
+    };
+}
+
+module.exports = {
+    METRIC_NAMES,
+    AGGREGATES,
+    extractMetrics,
+    recordMetrics,
+    rollupHourlyMetrics,
+    pruneMetrics,
+    parseStep,
+    parseMetricsQuery,
+    queryMetricSeries
+};
@@ -0,0 +1,151 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Timeout for webhook requests
+const WEBHOOK_TIMEOUT = 10000;
+
+let transporter = null;
+
+/**
+ * Look up a dotted path such as "device.name" in the notification
+ */
+function lookup(context, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * Replace {{path}} placeholders in a string. A string that is nothing but a
+ * single placeholder keeps the value's type, so JSON templates can embed
+ * numbers and objects.
+ */
+function renderString(template, context) {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+        const value = lookup(context, whole[1]);
+        return value === undefined ? null : value;
+    }
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = lookup(context, path);
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
+
+/**
+ * Render a template, recursing through arrays and objects
+ */
+function renderTemplate(template, context) {
+    if (typeof template === 'string') {
+        return renderString(template, context);
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, context));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+    }
+    return template;
+}
+
+function getTransporter() {
+    if (!transporter) {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is not configured');
+        }
+
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            // Local SMTP sinks usually run without authentication
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transporter;
+}
+
+const DEFAULT_SUBJECT = '[{{severity}}] {{title}}';
+const DEFAULT_TEXT = '{{message}}\n\nEvent: {{event}}\nDevice: {{device.name}} ({{device.device_id}})\nTime: {{timestamp}}';
+
+const email = {
+    validate(config) {
+        const recipients = Array.isArray(config.to) ? config.to : [];
+        if (recipients.length === 0) {
+            return 'Email channels need a non-empty "to" list';
+        }
+        if (recipients.some(address => typeof address !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(address))) {
+            return 'Email channel recipients must be email addresses';
+        }
+        for (const key of ['subject', 'text']) {
+            if (config[key] !== undefined && typeof config[key] !== 'string') {
+                return `Email channel "${key}" template must be a string`;
+            }
+        }
+        return null;
+    },
+
+    async send(config, notification) {
+        const info = await getTransporter().sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER || 'kiosk-management@localhost',
+            to: config.to.join(', '),
+            subject: renderString(config.subject || DEFAULT_SUBJECT, notification),
+            text: renderString(config.text || DEFAULT_TEXT, notification)
+        });
+
+        return { message_id: info.messageId };
+    }
+};
+
+const webhook = {
+    validate(config) {
+        let url;
+        try {
+            url = new URL(config.url);
+        } catch (error) {
+            return 'Webhook channels need a valid "url"';
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'Webhook URL must use http or https';
+        }
+        if (config.method !== undefined && !['POST', 'PUT'].includes(config.method)) {
+            return 'Webhook method must be POST or PUT';
+        }
+        if (config.headers !== undefined && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+            return 'Webhook headers must be an object';
+        }
+        return null;
+    },
+
+    async send(config, notification) {
+        // Without a body template the notification itself is posted
+        const body = config.body !== undefined ? renderTemplate(config.body, notification) : notification;
+
+        const response = await axios({
+            method: config.method || 'POST',
+            url: config.url,
+            headers: {
+                'User-Agent': 'KioskManagementServer/1.0',
+                ...(config.headers || {})
+            },
+            data: body,
+            timeout: WEBHOOK_TIMEOUT
+        });
+
+        return { status: response.status };
+    }
+};
+
+// Channel implementations by type, each validates its config and sends a notification
+const CHANNEL_TYPES = {
+    email,
+    webhook
+};
+
+module.exports = {
+    CHANNEL_TYPES,
+    renderTemplate
+};
@@ -0,0 +1,270 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { CHANNEL_TYPES } = require('./notification-channels');
+const { alertEvents } = require('./alerts');
+const { statusEvents } = require('./device-status');
+
+const SEVERITY_LEVELS = ['info', 'warning', 'critical'];
+
+// A device going offline pages, an error reported by a device warns and a recovery informs
+const STATUS_SEVERITIES = {
+    'device.offline': 'critical',
+    'device.error': 'warning',
+    'device.recovered': 'info'
+};
+
+const NOTIFICATION_EVENTS = [
+    'alert.opened',
+    'alert.escalated',
+    'alert.acknowledged',
+    'alert.resolved',
+    'device.offline',
+    'device.error',
+    'device.recovered'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+
+// First retry after this many seconds, doubling on every further failure
+const RETRY_BASE_DELAY = parseInt(process.env.NOTIFICATION_RETRY_DELAY) || 30;
+
+// A delivery being sent is leased for this long so the retry job leaves it alone
+const SEND_LEASE_SECONDS = 120;
+
+function retryDelaySeconds(attempts) {
+    return RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+}
+
+/**
+ * Whether a channel's routing rules accept a notification
+ */
+function channelMatches(channel, notification) {
+    if (!channel.enabled) {
+        return false;
+    }
+    if (SEVERITY_LEVELS.indexOf(notification.severity) < SEVERITY_LEVELS.indexOf(channel.min_severity)) {
+        return false;
+    }
+    if (channel.event_types.length > 0 && !channel.event_types.includes(notification.event)) {
+        return false;
+    }
+    if (channel.group_ids.length > 0) {
+        // Static and dynamic groups of the device, older payloads only carry group_id
+        const device = notification.device || {};
+        const groupIds = device.group_ids || [device.group_id].filter(Boolean);
+        if (!groupIds.some(groupId => channel.group_ids.includes(groupId))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Send one delivery through its channel and record the outcome
+ */
+async function attemptDelivery(delivery, channel) {
+    const attempts = delivery.attempts + 1;
+
+    try {
+        const result = await CHANNEL_TYPES[channel.type].send(channel.config, delivery.notification);
+
+        const updated = await query(
+            `UPDATE notification_deliveries
+             SET status = 'sent', attempts = $2, sent_at = CURRENT_TIMESTAMP, last_error = NULL, next_attempt_at = NULL
+             WHERE id = $1
+             RETURNING *`,
+            [delivery.id, attempts]
+        );
+
+        logger.info(`Notification ${delivery.event_type} sent via ${channel.type} channel ${channel.name}`, {
+            deliveryId: delivery.id,
+            ...result
+        });
+
+        return updated.rows[0];
+    } catch (error) {
+        const failed = attempts >= MAX_ATTEMPTS;
+
+        const updated = await query(
+            `UPDATE notification_deliveries
+             SET status = $3, attempts = $2, last_error = $4,
+                 next_attempt_at = CASE WHEN $3 = 'pending' THEN NOW() + make_interval(secs => $5) ELSE NULL END
+             WHERE id = $1
+             RETURNING *`,
+            [delivery.id, attempts, failed ? 'failed' : 'pending', error.message, retryDelaySeconds(attempts)]
+        );
+
+        logger.warn(`Notification ${delivery.event_type} via channel ${channel.name} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`, {
+            deliveryId: delivery.id
+        });
+
+        return updated.rows[0];
+    }
+}
+
+async function createDelivery(channel, notification) {
+    const result = await query(
+        `INSERT INTO notification_deliveries (channel_id, event_type, severity, notification, next_attempt_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+         RETURNING *`,
+        [channel.id, notification.event, notification.severity, JSON.stringify(notification), SEND_LEASE_SECONDS]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Route a notification to every matching channel and send it right away.
+ * Failed sends stay pending and are retried by processPendingNotifications.
+ */
+async function notify(notification) {
+    const channels = await query('SELECT * FROM notification_channels WHERE enabled = true');
+    const matching = channels.rows.filter(channel => channelMatches(channel, notification));
+
+    for (const channel of matching) {
+        const delivery = await createDelivery(channel, notification);
+        await attemptDelivery(delivery, channel);
+    }
+
+    return matching.length;
+}
+
+/**
+ * Send a test notification through a single channel, bypassing its routing rules
+ */
+async function sendTestNotification(channel, user) {
+    const delivery = await createDelivery(channel, {
+        event: 'test',
+        severity: 'info',
+        title: `Test notification for ${channel.name}`,
+        message: `Test notification sent by ${user.username}`,
+        device: null,
+        data: {},
+        timestamp: new Date().toISOString()
+    });
+
+    return attemptDelivery(delivery, channel);
+}
+
+/**
+ * Retry pending deliveries that are due. Called by the cron job.
+ */
+async function processPendingNotifications(limit = 50) {
+    const result = await query(
+        `UPDATE notification_deliveries
+         SET next_attempt_at = NOW() + make_interval(secs => $2)
+         WHERE id IN (
+             SELECT id FROM notification_deliveries
+             WHERE status = 'pending' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit, SEND_LEASE_SECONDS]
+    );
+
+    for (const delivery of result.rows) {
+        const channelResult = await query('SELECT * FROM notification_channels WHERE id = $1', [delivery.channel_id]);
+        if (channelResult.rows.length > 0) {
+            await attemptDelivery(delivery, channelResult.rows[0]);
+        }
+    }
+
+    return result.rows.length;
+}
+
+async function getDevice(deviceId) {
+    const result = await query(
+        `SELECT d.id, d.device_id, d.name, d.group_id,
+                ARRAY(SELECT group_id FROM device_group_membership WHERE device_id = d.id) as group_ids
+         FROM devices d
+         WHERE d.id = $1`,
+        [deviceId]
+    );
+    return result.rows[0] || null;
+}
+
+async function notifyAlert(change, alert) {
+    const device = await getDevice(alert.device_id);
+    const deviceName = device ? device.name : alert.device_id;
+
+    const titles = {
+        opened: `${alert.severity === 'critical' ? 'Critical' : 'Warning'} alert on ${deviceName}`,
+        escalated: `Alert escalated to critical on ${deviceName}`,
+        acknowledged: `Alert acknowledged on ${deviceName}`,
+        resolved: `Alert resolved on ${deviceName}`
+    };
+
+    // Follow-ups carry the alert's severity so whoever got the alert hears the outcome
+    await notify({
+        event: `alert.${change}`,
+        severity: alert.severity,
+        title: titles[change],
+        message: alert.message,
+        device,
+        data: alert,
+        timestamp: new Date().toISOString()
+    });
+}
+
+async function notifyStatusTransition({ device: transitioned, previousStatus, status, reason, changedAt }) {
+    let event;
+    if (status === 'offline' || status === 'error') {
+        event = `device.${status}`;
+    } else if (status === 'online' && ['offline', 'error'].includes(previousStatus)) {
+        event = 'device.recovered';
+    } else {
+        return;
+    }
+
+    const device = await getDevice(transitioned.id);
+    const deviceName = device ? device.name : transitioned.device_id;
+
+    const titles = {
+        'device.offline': `${deviceName} is offline`,
+        'device.error': `${deviceName} reported an error`,
+        'device.recovered': `${deviceName} is back online`
+    };
+
+    await notify({
+        event,
+        severity: STATUS_SEVERITIES[event],
+        title: titles[event],
+        message: `Status changed from ${previousStatus} to ${status}${reason ? ` (${reason})` : ''}`,
+        device,
+        data: { previous_status: previousStatus, status, reason },
+        timestamp: changedAt.toISOString()
+    });
+}
+
+/**
+ * Subscribe to alert and device status events
+ */
+function startNotifications() {
+    for (const change of ['opened', 'escalated', 'acknowledged', 'resolved']) {
+        alertEvents.on(change, (alert) => {
+            notifyAlert(change, alert).catch((error) => {
+                logger.error(`Failed to send alert.${change} notifications:`, error);
+            });
+        });
+    }
+
+    statusEvents.on('transition', (transition) => {
+        notifyStatusTransition(transition).catch((error) => {
+            logger.error('Failed to send device status notifications:', error);
+        });
+    });
+
+    logger.info('Notification channels listening for alerts and status changes');
+}
+
+module.exports = {
+    SEVERITY_LEVELS,
+    NOTIFICATION_EVENTS,
+    channelMatches,
+    notify,
+    sendTestNotification,
+    attemptDelivery,
+    processPendingNotifications,
+    startNotifications
+};
@@ -0,0 +1,463 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const { recordEvent } = require('./events');
+const { cancelCommand, announceCommands } = require('./device-commands');
+const { resolveTargetDevices, installOnDevices } = require('./deployments');
+const { getVersion } = require('./application-versions');
+const { compatibilityReport } = require('./compatibility');
+
+const ROLLOUT_STATUSES = ['running', 'paused', 'completed', 'aborted'];
+
+const DEFAULT_WAVES = [1, 10, 50, 100];
+
+const DEFAULT_SOAK_MINUTES = 60;
+
+// Percent of started devices with a failed install
+const DEFAULT_FAILURE_THRESHOLD = 5;
+
+/**
+ * Waves are cumulative percentages, strictly increasing and ending at 100.
+ * Returns an error message or null.
+ */
+function validateWaves(waves) {
+    if (!Array.isArray(waves) || waves.length === 0) {
+        return 'Waves must be a non-empty array of percentages';
+    }
+
+    for (let i = 0; i < waves.length; i++) {
+        const pct = waves[i];
+        if (typeof pct !== 'number' || !(pct > 0) || pct > 100) {
+            return 'Each wave must be a percentage above 0 and at most 100';
+        }
+        if (i > 0 && pct <= waves[i - 1]) {
+            return 'Wave percentages must be increasing';
+        }
+    }
+
+    if (waves[waves.length - 1] !== 100) {
+        return 'The last wave must be 100';
+    }
+
+    return null;
+}
+
+function hashRank(seed, device) {
+    return crypto.createHash('sha256').update(`${seed}:${device.id}`).digest('hex');
+}
+
+/**
+ * Order devices by a hash of seed and device id and cut the order at each wave's percentage.
+ * The same seed and devices always give the same waves, and a device's place
+ * in the order does not depend on which other devices are targeted.
+ */
+function assignWaves(devices, waves, seed) {
+    const ordered = devices
+        .map(device => ({ device, hash: hashRank(seed, device) }))
+        .sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0));
+
+    const cutoffs = waves.map(pct => Math.ceil(pct * ordered.length / 100));
+
+    return ordered.map(({ device }, rank) => ({
+        device,
+        rank,
+        wave: cutoffs.findIndex(cutoff => rank < cutoff)
+    }));
+}
+
+async function getRolloutStats(rollout) {
+    const result = await query(
+        `SELECT COUNT(*) as total,
+                COUNT(*) FILTER (WHERE rd.started_at IS NOT NULL) as started,
+                COUNT(*) FILTER (WHERE rd.started_at IS NOT NULL AND da.status = 'failed') as failed,
+                COUNT(*) FILTER (WHERE rd.started_at IS NOT NULL AND da.status = 'installing') as installing,
+                COUNT(*) FILTER (WHERE rd.started_at IS NOT NULL AND da.status = 'installed' AND da.version = v.version) as installed,
+                COUNT(*) FILTER (WHERE rd.wave = $2) as current_wave_devices
+         FROM rollout_devices rd
+         JOIN rollouts r ON rd.rollout_id = r.id
+         JOIN application_versions v ON r.version_id = v.id
+         LEFT JOIN device_applications da ON da.device_id = rd.device_id AND da.application_id = r.application_id
+         WHERE rd.rollout_id = $1`,
+        [rollout.id, rollout.current_wave]
+    );
+
+    const row = result.rows[0];
+    const stats = {
+        total: parseInt(row.total),
+        started: parseInt(row.started),
+        installed: parseInt(row.installed),
+        installing: parseInt(row.installing),
+        failed: parseInt(row.failed),
+        current_wave_devices: parseInt(row.current_wave_devices)
+    };
+    stats.failure_rate = stats.started > 0 ? Math.round(stats.failed * 10000 / stats.started) / 100 : 0;
+
+    return stats;
+}
+
+/**
+ * Rollout with its application, version, progress and per wave counts
+ */
+async function getRollout(rolloutId) {
+    const result = await query(
+        `SELECT r.*, a.name as application_name, v.version, v.channel,
+                u.username as created_by_username
+         FROM rollouts r
+         JOIN applications a ON r.application_id = a.id
+         JOIN application_versions v ON r.version_id = v.id
+         LEFT JOIN users u ON r.created_by = u.id
+         WHERE r.id = $1`,
+        [rolloutId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const rollout = result.rows[0];
+
+    const waves = await query(
+        `SELECT rd.wave, COUNT(*) as devices,
+                MIN(rd.started_at) as started_at,
+                COUNT(*) FILTER (WHERE da.status = 'installed' AND da.version = $2) as installed,
+                COUNT(*) FILTER (WHERE rd.started_at IS NOT NULL AND da.status = 'installing') as installing,
+                COUNT(*) FILTER (WHERE rd.started_at IS NOT NULL AND da.status = 'failed') as failed
+         FROM rollout_devices rd
+         LEFT JOIN device_applications da ON da.device_id = rd.device_id AND da.application_id = $3
+         WHERE rd.rollout_id = $1
+         GROUP BY rd.wave`,
+        [rollout.id, rollout.version, rollout.application_id]
+    );
+    const byWave = new Map(waves.rows.map(w => [w.wave, w]));
+
+    rollout.wave_progress = rollout.waves.map((percentage, index) => {
+        const wave = byWave.get(index);
+        return {
+            wave: index,
+            percentage,
+            devices: wave ? parseInt(wave.devices) : 0,
+            started_at: wave ? wave.started_at : null,
+            installed: wave ? parseInt(wave.installed) : 0,
+            installing: wave ? parseInt(wave.installing) : 0,
+            failed: wave ? parseInt(wave.failed) : 0
+        };
+    });
+
+    rollout.stats = await getRolloutStats(rollout);
+
+    if (rollout.status === 'running' && rollout.current_wave < rollout.waves.length - 1 && rollout.wave_started_at) {
+        rollout.next_wave_at = new Date(new Date(rollout.wave_started_at).getTime() + rollout.soak_minutes * 60000);
+    } else {
+        rollout.next_wave_at = null;
+    }
+
+    return rollout;
+}
+
+/**
+ * Claim a wave and queue the installs of its devices through a transaction
+ * client, so a failed install also releases the claim and the wave is tried
+ * again. The queued commands are pushed onto commands.
+ * Returns the number of devices, or null when the wave was already claimed.
+ */
+async function installWave(client, rollout, wave, userId, commands) {
+    const claimed = await client.query(
+        `UPDATE rollouts
+         SET current_wave = $2, wave_started_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'running' AND (current_wave = $2 - 1 OR ($2 = 0 AND wave_started_at IS NULL))
+         RETURNING *`,
+        [rollout.id, wave]
+    );
+
+    if (claimed.rows.length === 0) {
+        return null;
+    }
+
+    const members = await client.query(
+        `SELECT d.id, d.device_id, d.name, d.status, d.group_id
+         FROM rollout_devices rd
+         JOIN devices d ON rd.device_id = d.id
+         WHERE rd.rollout_id = $1 AND rd.wave = $2
+         ORDER BY rd.rank`,
+        [rollout.id, wave]
+    );
+
+    if (members.rows.length > 0) {
+        const application = (await query('SELECT * FROM applications WHERE id = $1', [rollout.application_id])).rows[0];
+        const version = await getVersion(rollout.application_id, rollout.version_id);
+
+        const plan = members.rows.map(device => ({ device, version }));
+        const deployment = await installOnDevices(application, plan, { rollout_id: rollout.id, wave }, { userId, client, commands });
+
+        await client.query(
+            `UPDATE rollout_devices
+             SET deployment_id = $3, started_at = CURRENT_TIMESTAMP
+             WHERE rollout_id = $1 AND wave = $2`,
+            [rollout.id, wave, deployment.id]
+        );
+    }
+
+    return members.rows.length;
+}
+
+async function waveStarted(rollout, wave, deviceCount, commands, userId) {
+    announceCommands(commands);
+
+    logger.info(`Rollout ${rollout.id} wave ${wave + 1}/${rollout.waves.length} started with ${deviceCount} device(s)`);
+
+    await recordEvent('rollout_wave_started', {
+        entityType: 'rollout',
+        entityId: rollout.id,
+        userId,
+        data: { wave, percentage: rollout.waves[wave], device_count: deviceCount }
+    });
+}
+
+/**
+ * Install the version on the devices of one wave.
+ * Claims the wave first, so a wave is only ever started once.
+ */
+async function startWave(rollout, wave, userId = null) {
+    const commands = [];
+    const deviceCount = await transaction(client => installWave(client, rollout, wave, userId, commands));
+
+    if (deviceCount === null) {
+        return false;
+    }
+
+    await waveStarted(rollout, wave, deviceCount, commands, userId);
+
+    return true;
+}
+
+/**
+ * Create a rollout over the target's compatible devices and start its first wave.
+ * Returns { rollout, compatibility }, rollout is null when no device qualifies.
+ */
+async function createRollout(application, version, target, options = {}, userId = null) {
+    const waves = options.waves || DEFAULT_WAVES;
+    const soakMinutes = options.soakMinutes !== undefined ? options.soakMinutes : DEFAULT_SOAK_MINUTES;
+    const failureThreshold = options.failureThreshold !== undefined ? options.failureThreshold : DEFAULT_FAILURE_THRESHOLD;
+    // Seeding with the application keeps the same stores as its canaries release after release
+    const seed = options.seed || application.id;
+
+    const targeted = await resolveTargetDevices(target);
+
+    // Incompatible devices are left out before waves are drawn, so wave sizes match what gets installed
+    const compatibility = compatibilityReport(version, targeted);
+    const compatibleIds = new Set(compatibility.filter(entry => entry.compatible).map(entry => entry.id));
+    const devices = targeted.filter(device => compatibleIds.has(device.id));
+
+    if (devices.length === 0) {
+        return { rollout: null, compatibility };
+    }
+
+    const members = assignWaves(devices, waves, seed);
+
+    // The rollout only exists once its first wave is queued
+    const commands = [];
+    const { rollout, firstWave } = await transaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO rollouts (application_id, version_id, target, waves, soak_minutes, failure_threshold, seed, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [application.id, version.id, JSON.stringify(target), JSON.stringify(waves), soakMinutes, failureThreshold, seed, userId]
+        );
+
+        const rollout = result.rows[0];
+
+        await client.query(
+            `INSERT INTO rollout_devices (rollout_id, device_id, wave, rank)
+             SELECT $1, * FROM unnest($2::uuid[], $3::int[], $4::int[])`,
+            [rollout.id, members.map(m => m.device.id), members.map(m => m.wave), members.map(m => m.rank)]
+        );
+
+        return { rollout, firstWave: await installWave(client, rollout, 0, userId, commands) };
+    });
+
+    logger.info(`Rollout of ${application.name} ${version.version} created over ${devices.length} device(s)`, {
+        rolloutId: rollout.id,
+        waves
+    });
+
+    await recordEvent('rollout_started', {
+        entityType: 'rollout',
+        entityId: rollout.id,
+        userId,
+        data: {
+            application_id: application.id,
+            version: version.version,
+            waves,
+            device_count: devices.length,
+            skipped_incompatible: targeted.length - devices.length
+        }
+    });
+
+    await waveStarted(rollout, 0, firstWave, commands, userId);
+
+    return { rollout: await getRollout(rollout.id), compatibility };
+}
+
+async function setStatus(rollout, fromStatuses, status, { reason = null, userId = null, eventType, data = {} }) {
+    const result = await query(
+        `UPDATE rollouts
+         SET status = $3, paused_reason = $4,
+             completed_at = CASE WHEN $3 IN ('completed', 'aborted') THEN CURRENT_TIMESTAMP ELSE completed_at END
+         WHERE id = $1 AND status = ANY($2)
+         RETURNING *`,
+        [rollout.id, fromStatuses, status, reason]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    await recordEvent(eventType, {
+        entityType: 'rollout',
+        entityId: rollout.id,
+        userId,
+        data: { application_id: rollout.application_id, wave: rollout.current_wave, reason, ...data }
+    });
+
+    return result.rows[0];
+}
+
+/**
+ * Check a running rollout: pause it when the failure rate crosses the
+ * threshold, otherwise start the next wave once the current one has soaked
+ */
+async function evaluateRollout(rollout) {
+    const stats = await getRolloutStats(rollout);
+
+    if (stats.failure_rate > parseFloat(rollout.failure_threshold)) {
+        const reason = `Failure rate ${stats.failure_rate}% exceeded threshold ${parseFloat(rollout.failure_threshold)}%`;
+        const paused = await setStatus(rollout, ['running'], 'paused', {
+            reason,
+            eventType: 'rollout_paused',
+            data: { automatic: true, failed: stats.failed, started: stats.started }
+        });
+
+        if (paused) {
+            logger.warn(`Rollout ${rollout.id} paused: ${reason}`);
+        }
+        return;
+    }
+
+    // The first wave was never queued, start it instead of moving past it
+    if (!rollout.wave_started_at) {
+        await startWave(rollout, 0);
+        return;
+    }
+
+    const soakEnds = new Date(rollout.wave_started_at).getTime() + rollout.soak_minutes * 60000;
+    if (stats.current_wave_devices > 0 && Date.now() < soakEnds) {
+        return;
+    }
+
+    if (rollout.current_wave >= rollout.waves.length - 1) {
+        if (stats.installing > 0) {
+            // The last wave is done once its installs have settled
+            return;
+        }
+
+        const completed = await setStatus(rollout, ['running'], 'completed', {
+            eventType: 'rollout_completed',
+            data: { installed: stats.installed, failed: stats.failed }
+        });
+
+        if (completed) {
+            logger.info(`Rollout ${rollout.id} completed`);
+        }
+        return;
+    }
+
+    await startWave(rollout, rollout.current_wave + 1);
+}
+
+/**
+ * Evaluate every running rollout. Called by the cron job.
+ */
+async function processRollouts() {
+    const result = await query("SELECT * FROM rollouts WHERE status = 'running' ORDER BY created_at");
+
+    for (const rollout of result.rows) {
+        try {
+            await evaluateRollout(rollout);
+        } catch (error) {
+            logger.error(`Error evaluating rollout ${rollout.id}:`, error);
+        }
+    }
+
+    return result.rows.length;
+}
+
+async function pauseRollout(rollout, userId, reason = null) {
+    return setStatus(rollout, ['running'], 'paused', {
+        reason: reason || 'Paused by operator',
+        userId,
+        eventType: 'rollout_paused',
+        data: { automatic: false }
+    });
+}
+
+/**
+ * Resume a paused rollout. A new failure threshold can be given, otherwise a
+ * failure rate still above the threshold pauses it again on the next check.
+ */
+async function resumeRollout(rollout, userId, { failureThreshold } = {}) {
+    if (failureThreshold !== undefined) {
+        await query('UPDATE rollouts SET failure_threshold = $2 WHERE id = $1', [rollout.id, failureThreshold]);
+    }
+
+    return setStatus(rollout, ['paused'], 'running', {
+        userId,
+        eventType: 'rollout_resumed',
+        data: failureThreshold !== undefined ? { failure_threshold: failureThreshold } : {}
+    });
+}
+
+/**
+ * Stop a rollout for good. Installs not yet handed to devices are cancelled,
+ * devices that already installed the version keep it.
+ */
+async function abortRollout(rollout, userId) {
+    const aborted = await setStatus(rollout, ['running', 'paused'], 'aborted', {
+        userId,
+        eventType: 'rollout_aborted'
+    });
+
+    if (!aborted) {
+        return null;
+    }
+
+    const queued = await query(
+        `SELECT c.id, c.device_id
+         FROM rollout_devices rd
+         JOIN deployment_devices dd ON dd.deployment_id = rd.deployment_id AND dd.device_id = rd.device_id
+         JOIN device_commands c ON dd.command_id = c.id
+         WHERE rd.rollout_id = $1 AND c.status = 'queued'`,
+        [rollout.id]
+    );
+
+    for (const command of queued.rows) {
+        await cancelCommand(command.device_id, command.id);
+    }
+
+    logger.info(`Rollout ${rollout.id} aborted, ${queued.rows.length} queued install(s) cancelled`);
+
+    return aborted;
+}
+
+module.exports = {
+    ROLLOUT_STATUSES,
+    DEFAULT_WAVES,
+    validateWaves,
+    assignWaves,
+    getRollout,
+    createRollout,
+    evaluateRollout,
+    processRollouts,
+    pauseRollout,
+    resumeRollout,
+    abortRollout
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+
+const SIGNING_KEY_ROOT = path.resolve(process.env.SIGNING_KEY_PATH || './keys');
+
+const ALGORITHM = 'ed25519';
+
+// Statuses published in the key set, revoked keys drop out of it
+const TRUSTED_STATUSES = ['active', 'retired'];
+
+// Private keys by key_id, read from disk once
+const privateKeys = new Map();
+
+function privateKeyPath(keyId) {
+    return path.join(SIGNING_KEY_ROOT, `${keyId}.pem`);
+}
+
+// Raw 32 byte key, the last bytes of its SPKI encoding
+function rawPublicKey(publicKey) {
+    return publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+}
+
+function keyIdFor(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex').slice(0, 16);
+}
+
+/**
+ * Generate a key pair, write the private half under SIGNING_KEY_PATH and
+ * record the public half. The key is inserted with the given status, through
+ * client when it is part of a transaction.
+ */
+async function createKey(status, userId = null, client = { query }) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(ALGORITHM);
+    const raw = rawPublicKey(publicKey);
+    const keyId = keyIdFor(raw);
+
+    await fs.promises.mkdir(SIGNING_KEY_ROOT, { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(
+        privateKeyPath(keyId),
+        privateKey.export({ format: 'pem', type: 'pkcs8' }),
+        { mode: 0o600, flag: 'wx' }
+    );
+
+    let result;
+    try {
+        result = await client.query(
+            `INSERT INTO signing_keys (key_id, algorithm, public_key, status, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [keyId, ALGORITHM, raw.toString('base64'), status, userId]
+        );
+    } catch (error) {
+        await fs.promises.unlink(privateKeyPath(keyId)).catch(() => {});
+        throw error;
+    }
+
+    privateKeys.set(keyId, privateKey);
+    logger.info(`Signing key ${keyId} created`);
+
+    return result.rows[0];
+}
+
+function loadPrivateKey(keyId) {
+    if (!privateKeys.has(keyId)) {
+        privateKeys.set(keyId, crypto.createPrivateKey(fs.readFileSync(privateKeyPath(keyId))));
+    }
+    return privateKeys.get(keyId);
+}
+
+async function getActiveKey() {
+    const result = await query("SELECT * FROM signing_keys WHERE status = 'active'");
+    return result.rows[0] || null;
+}
+
+async function getSigningKey(keyId) {
+    const result = await query('SELECT * FROM signing_keys WHERE key_id = $1', [keyId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Signing keys with the number of artifacts each one signed
+ */
+async function listSigningKeys() {
+    const result = await query(
+        `SELECT k.id, k.key_id, k.algorithm, k.public_key, k.status, k.created_at, k.retired_at, k.revoked_at,
+                u.username as created_by_username,
+                (SELECT COUNT(*) FROM artifacts a WHERE a.signature_key_id = k.key_id) as artifact_count
+         FROM signing_keys k
+         LEFT JOIN users u ON k.created_by = u.id
+         ORDER BY k.created_at DESC`
+    );
+
+    return result.rows.map(row => ({ ...row, artifact_count: parseInt(row.artifact_count) }));
+}
+
+/**
+ * Public keys devices should accept signatures from
+ */
+async function getPublicKeySet() {
+    const result = await query(
+        `SELECT key_id, algorithm, public_key, status, created_at
+         FROM signing_keys
+         WHERE status = ANY($1)
+         ORDER BY created_at DESC`,
+        [TRUSTED_STATUSES]
+    );
+    return result.rows;
+}
+
+/**
+ * Sign the SHA-256 digest of a file with the active key.
+ * Returns { signature (base64), key_id }.
+ */
+async function signDigest(sha256) {
+    const key = await getActiveKey();
+    if (!key) {
+        throw new Error('No active signing key');
+    }
+
+    const signature = crypto.sign(null, Buffer.from(sha256, 'hex'), loadPrivateKey(key.key_id));
+
+    return { signature: signature.toString('base64'), key_id: key.key_id };
+}
+
+/**
+ * Store a detached signature for an artifact, replacing any earlier one
+ */
+async function signArtifact(artifact) {
+    const { signature, key_id } = await signDigest(artifact.sha256);
+
+    const result = await query(
+        `UPDATE artifacts
+         SET signature = $2, signature_key_id = $3, signed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [artifact.id, signature, key_id]
+    );
+
+    return result.rows[0] || { ...artifact, signature, signature_key_id: key_id };
+}
+
+async function signArtifacts(condition, params = []) {
+    const result = await query(`SELECT * FROM artifacts WHERE ${condition}`, params);
+
+    for (const artifact of result.rows) {
+        await signArtifact(artifact);
+    }
+
+    return result.rows.length;
+}
+
+/**
+ * Make the next active key and retire the current one. Artifacts signed by the
+ * retired key stay valid, it remains in the key set until revoked.
+ * Both happen in one transaction, a failed rotation leaves the current key active.
+ */
+async function rotateSigningKey(userId = null) {
+    const { key, previous } = await transaction(async (client) => {
+        const current = await client.query("SELECT * FROM signing_keys WHERE status = 'active' FOR UPDATE");
+        const previous = current.rows[0] || null;
+
+        if (previous) {
+            await client.query(
+                "UPDATE signing_keys SET status = 'retired', retired_at = CURRENT_TIMESTAMP WHERE id = $1",
+                [previous.id]
+            );
+        }
+
+        return { key: await createKey('active', userId, client), previous };
+    });
+
+    logger.info(`Signing key rotated from ${previous ? previous.key_id : 'none'} to ${key.key_id}`);
+
+    return { key, previous };
+}
+
+/**
+ * Stop trusting a retired key. Its artifacts are signed again with the
+ * active key first, so devices refreshing their key set keep installing them.
+ */
+async function revokeSigningKey(key) {
+    const resigned = await signArtifacts('signature_key_id = $1', [key.key_id]);
+
+    const result = await query(
+        "UPDATE signing_keys SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+        [key.id]
+    );
+
+    privateKeys.delete(key.key_id);
+    try {
+        await fs.promises.unlink(privateKeyPath(key.key_id));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    logger.info(`Signing key ${key.key_id} revoked, ${resigned} artifact(s) signed again`);
+
+    return { key: result.rows[0], resigned };
+}
+
+/**
+ * Make sure there is an active key whose private half is on disk, generating
+ * one on first run, and sign artifacts stored before signing was set up
+ */
+async function initSigning() {
+    const active = await getActiveKey();
+
+    if (!active) {
+        await createKey('active');
+    } else if (!fs.existsSync(privateKeyPath(active.key_id))) {
+        logger.error(`Private key of signing key ${active.key_id} is missing from ${SIGNING_KEY_ROOT}, rotating`);
+        await rotateSigningKey();
+    }
+
+    const signed = await signArtifacts('signature IS NULL');
+    if (signed > 0) {
+        logger.info(`Signed ${signed} existing artifact(s)`);
+    }
+}
+
+module.exports = {
+    ALGORITHM,
+    getActiveKey,
+    getSigningKey,
+    listSigningKeys,
+    getPublicKeySet,
+    signDigest,
+    signArtifact,
+    rotateSigningKey,
+    revokeSigningKey,
+    initSigning
+};
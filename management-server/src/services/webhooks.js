@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { systemEvents } = require('./events');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// First retry after this many seconds, doubling on every further failure
+const RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30;
+
+const REQUEST_TIMEOUT = 10000;
+
+// A delivery being sent is leased for this long so the retry job leaves it alone
+const SEND_LEASE_SECONDS = 120;
+
+// Response bodies are kept in the attempt history up to this length
+const MAX_RESPONSE_BODY = 2048;
+
+const SIGNATURE_HEADER = 'X-Kiosk-Signature';
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", receivers recompute it with the
+ * subscription secret and reject stale timestamps to stop replays
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+function retryDelaySeconds(attempts) {
+    return RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+}
+
+function toPayload(event) {
+    return {
+        id: event.id,
+        event: event.event_type,
+        entity_type: event.entity_type,
+        entity_id: event.entity_id,
+        user_id: event.user_id,
+        data: event.data || {},
+        timestamp: new Date(event.timestamp).toISOString()
+    };
+}
+
+function responseBody(data) {
+    if (data === undefined || data === null) {
+        return null;
+    }
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text.slice(0, MAX_RESPONSE_BODY);
+}
+
+/**
+ * POST a delivery to its subscription, record the attempt and schedule a retry on failure
+ */
+async function attemptDelivery(delivery, subscription) {
+    const attemptNumber = delivery.attempt_count + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let responseStatus = null;
+    let responseText = null;
+    let errorMessage = null;
+
+    try {
+        const response = await axios.post(subscription.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'KioskManagementServer/1.0',
+                'X-Kiosk-Event': delivery.event_type,
+                'X-Kiosk-Delivery': delivery.id,
+                'X-Kiosk-Timestamp': String(timestamp),
+                [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body)
+            },
+            timeout: REQUEST_TIMEOUT,
+            // Keep the raw body for the attempt history
+            transformResponse: [(data) => data]
+        });
+        responseStatus = response.status;
+        responseText = responseBody(response.data);
+    } catch (error) {
+        errorMessage = error.message;
+        if (error.response) {
+            responseStatus = error.response.status;
+            responseText = responseBody(error.response.data);
+        }
+    }
+
+    await query(
+        `INSERT INTO webhook_delivery_attempts (delivery_id, attempt_number, response_status, response_body, error_message, duration_ms)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [delivery.id, attemptNumber, responseStatus, responseText, errorMessage, Date.now() - started]
+    );
+
+    let status = 'succeeded';
+    if (errorMessage) {
+        status = attemptNumber >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    }
+
+    const updated = await query(
+        `UPDATE webhook_deliveries
+         SET status = $2, attempt_count = $3,
+             next_attempt_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $4) ELSE NULL END,
+             completed_at = CASE WHEN $2 = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+         WHERE id = $1
+         RETURNING *`,
+        [delivery.id, status, attemptNumber, retryDelaySeconds(attemptNumber)]
+    );
+
+    if (errorMessage) {
+        logger.warn(`Webhook ${delivery.event_type} to ${subscription.name} failed (attempt ${attemptNumber}/${MAX_ATTEMPTS}): ${errorMessage}`, {
+            deliveryId: delivery.id
+        });
+    } else {
+        logger.debug(`Webhook ${delivery.event_type} delivered to ${subscription.name}`, { deliveryId: delivery.id });
+    }
+
+    return updated.rows[0];
+}
+
+async function createDelivery(subscription, { eventId, eventType, payload, redeliveryOf = null }) {
+    const result = await query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, redelivery_of, next_attempt_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+         RETURNING *`,
+        [subscription.id, eventId, eventType, JSON.stringify(payload), redeliveryOf, SEND_LEASE_SECONDS]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Queue and send a system event to every enabled subscription that wants it
+ */
+async function dispatchEvent(event) {
+    const subscriptions = await query(
+        `SELECT * FROM webhook_subscriptions
+         WHERE enabled = true AND (cardinality(event_types) = 0 OR $1 = ANY(event_types))`,
+        [event.event_type]
+    );
+
+    const payload = toPayload(event);
+
+    for (const subscription of subscriptions.rows) {
+        const delivery = await createDelivery(subscription, {
+            eventId: event.id,
+            eventType: event.event_type,
+            payload
+        });
+        await attemptDelivery(delivery, subscription);
+    }
+}
+
+/**
+ * Send an earlier delivery's payload again as a new delivery
+ */
+async function redeliver(delivery, subscription) {
+    const copy = await createDelivery(subscription, {
+        eventId: delivery.event_id,
+        eventType: delivery.event_type,
+        payload: delivery.payload,
+        redeliveryOf: delivery.id
+    });
+
+    return attemptDelivery(copy, subscription);
+}
+
+/**
+ * Retry pending deliveries that are due. Called by the cron job.
+ */
+async function processPendingWebhooks(limit = 50) {
+    const result = await query(
+        `UPDATE webhook_deliveries
+         SET next_attempt_at = NOW() + make_interval(secs => $2)
+         WHERE id IN (
+             SELECT id FROM webhook_deliveries
+             WHERE status = 'pending' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit, SEND_LEASE_SECONDS]
+    );
+
+    for (const delivery of result.rows) {
+        const subscription = await query('SELECT * FROM webhook_subscriptions WHERE id = $1', [delivery.subscription_id]);
+        if (subscription.rows.length > 0) {
+            await attemptDelivery(delivery, subscription.rows[0]);
+        }
+    }
+
+    return result.rows.length;
+}
+
+/**
+ * Forward every system event on the bus to the webhook subscriptions
+ */
+function startWebhooks() {
+    systemEvents.on('event', (event) => {
+        dispatchEvent(event).catch((error) => {
+            logger.error(`Failed to dispatch webhooks for ${event.event_type}:`, error);
+        });
+    });
+
+    logger.info('Webhook dispatcher listening for system events');
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    generateSecret,
+    signPayload,
+    dispatchEvent,
+    redeliver,
+    processPendingWebhooks,
+    startWebhooks
+};
@@ -1,63 +1,191 @@
 const logger = require('../utils/logger');
+const { verifyUserToken } = require('../middleware/auth');
+const { findDeviceByCredential } = require('./device-credentials');
+
+// Roles allowed to send each admin-originated event
+const EVENT_ROLES = {
+    'admin:join': ['admin', 'manager', 'user'],
+    'device:command': ['admin', 'manager'],
+    'app:deploy': ['admin', 'manager'],
+    'config:update': ['admin']
+};
+
+let ioInstance = null;
+
+/**
+ * Pull the credential out of the handshake.
+ * Clients pass { token } (user JWT) or { apiKey } (device credential) as Socket.IO auth,
+ * an Authorization header is accepted as a user token as well.
+ */
+function getHandshakeCredentials(handshake) {
+    const { token, apiKey } = handshake.auth || {};
+    if (apiKey) {
+        return { apiKey };
+    }
+    if (token) {
+        return { token };
+    }
+
+    const authHeader = handshake.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return { token: authHeader.substring(7) };
+    }
+
+    return {};
+}
+
+async function authenticateSocket(socket, next) {
+    try {
+        const { token, apiKey } = getHandshakeCredentials(socket.handshake);
+
+        if (apiKey) {
+            const device = await findDeviceByCredential(apiKey);
+            if (!device) {
+                logger.warn(`WebSocket device authentication failed from ${socket.handshake.address}`);
+                return next(new Error('Invalid device credential'));
+            }
+            socket.data.device = device;
+            return next();
+        }
+
+        if (token) {
+            const { user, error } = await verifyUserToken(token);
+            if (error) {
+                logger.warn(`WebSocket user authentication failed from ${socket.handshake.address}: ${error}`);
+                return next(new Error(error));
+            }
+            socket.data.user = user;
+            return next();
+        }
+
+        next(new Error('Authentication required'));
+    } catch (error) {
+        logger.error('WebSocket authentication error:', error);
+        next(new Error('Internal server error'));
+    }
+}
+
+/**
+ * Check the socket's user may send an event, answering the client when it may not
+ */
+function isAllowed(socket, event, ack) {
+    const user = socket.data.user;
+    const roles = EVENT_ROLES[event] || [];
+
+    if (user && roles.includes(user.role)) {
+        return true;
+    }
+
+    logger.warn(`WebSocket ${event} refused for ${user ? user.username : `device ${socket.data.device?.device_id}`}`);
+
+    const response = { success: false, error: 'Insufficient permissions' };
+    if (typeof ack === 'function') {
+        ack(response);
+    } else {
+        socket.emit('error:forbidden', { event, ...response });
+    }
+
+    return false;
+}
 
 function setupWebSocket(io) {
     logger.info('Setting up WebSocket server');
 
+    ioInstance = io;
+
     // Middleware for WebSocket authentication
-    io.use((socket, next) => {
-        // TODO: Implement WebSocket authentication
-        logger.info(`WebSocket connection attempt from ${socket.handshake.address}`);
-        next();
-    });
+    io.use(authenticateSocket);
 
     io.on('connection', (socket) => {
-        logger.info(`Client connected: ${socket.id}`);
+        const { user, device } = socket.data;
 
-        // Handle device registration
-        socket.on('device:register', (data) => {
-            logger.info(`Device registration: ${JSON.stringify(data)}`);
+        if (device) {
+            // Devices only ever get their own room
             socket.join('devices');
-            socket.emit('device:registered', { success: true });
+            socket.join(`device:${device.id}`);
+            logger.info(`Device connected: ${device.device_id} (${socket.id})`);
+        } else {
+            logger.info(`User connected: ${user.username} (${socket.id})`);
+        }
+
+        // Handle device registration
+        socket.on('device:register', () => {
+            if (!device) {
+                return;
+            }
+            socket.emit('device:registered', { success: true, deviceId: device.id });
         });
 
         // Handle device heartbeat
-        socket.on('device:heartbeat', (data) => {
-            logger.debug(`Device heartbeat: ${JSON.stringify(data)}`);
+        socket.on('device:heartbeat', () => {
+            if (!device) {
+                return;
+            }
+            logger.debug(`Device heartbeat: ${device.device_id}`);
             socket.emit('device:heartbeat:ack', { timestamp: Date.now() });
         });
 
         // Handle device status updates
         socket.on('device:status', (data) => {
-            logger.info(`Device status update: ${JSON.stringify(data)}`);
-            socket.to('admin').emit('device:status:update', data);
+            if (!device) {
+                return;
+            }
+            logger.info(`Device status update from ${device.device_id}: ${JSON.stringify(data)}`);
+            // Identity comes from the credential, never from the payload
+            socket.to('admin').emit('device:status:update', {
+                ...data,
+                deviceId: device.id,
+                device_id: device.device_id
+            });
         });
 
         // Handle admin connections
-        socket.on('admin:join', (data) => {
-            logger.info(`Admin joined: ${JSON.stringify(data)}`);
+        socket.on('admin:join', (data, ack) => {
+            if (!isAllowed(socket, 'admin:join', ack)) {
+                return;
+            }
+            logger.info(`Admin joined: ${user.username}`);
             socket.join('admin');
             socket.emit('admin:joined', { success: true });
         });
 
         // Handle device commands from admin
-        socket.on('device:command', (data) => {
-            logger.info(`Device command: ${JSON.stringify(data)}`);
-            const { deviceId, command } = data;
-            socket.to(`device:${deviceId}`).emit('command', command);
+        socket.on('device:command', (data, ack) => {
+            if (!isAllowed(socket, 'device:command', ack)) {
+                return;
+            }
+            const { deviceId, command } = data || {};
+            logger.info(`Device command from ${user.username} to ${deviceId}: ${JSON.stringify(command)}`);
+            io.to(`device:${deviceId}`).emit('command', command);
+            if (typeof ack === 'function') {
+                ack({ success: true });
+            }
         });
 
         // Handle application deployment
-        socket.on('app:deploy', (data) => {
-            logger.info(`Application deployment: ${JSON.stringify(data)}`);
-            const { deviceId, appData } = data;
-            socket.to(`device:${deviceId}`).emit('app:deploy', appData);
+        socket.on('app:deploy', (data, ack) => {
+            if (!isAllowed(socket, 'app:deploy', ack)) {
+                return;
+            }
+            const { deviceId, appData } = data || {};
+            logger.info(`Application deployment from ${user.username} to ${deviceId}: ${JSON.stringify(appData)}`);
+            io.to(`device:${deviceId}`).emit('app:deploy', appData);
+            if (typeof ack === 'function') {
+                ack({ success: true });
+            }
         });
 
         // Handle configuration updates
-        socket.on('config:update', (data) => {
-            logger.info(`Configuration update: ${JSON.stringify(data)}`);
-            const { deviceId, config } = data;
-            socket.to(`device:${deviceId}`).emit('config:update', config);
+        socket.on('config:update', (data, ack) => {
+            if (!isAllowed(socket, 'config:update', ack)) {
+                return;
+            }
+            const { deviceId, config } = data || {};
+            logger.info(`Configuration update from ${user.username} to ${deviceId}: ${JSON.stringify(config)}`);
+            io.to(`device:${deviceId}`).emit('config:update', config);
+            if (typeof ack === 'function') {
+                ack({ success: true });
+            }
         });
 
         // Handle disconnection
@@ -74,6 +202,10 @@ function setupWebSocket(io) {
     return io;
 }
 
+function getIO() {
+    return ioInstance;
+}
+
 // Utility functions for broadcasting
 function broadcastToDevices(io, event, data) {
     io.to('devices').emit(event, data);
@@ -89,6 +221,7 @@ function sendToDevice(io, deviceId, event, data) {
 
 module.exports = {
     setupWebSocket,
+    getIO,
     broadcastToDevices,
     broadcastToAdmins,
     sendToDevice
@@ -0,0 +1,132 @@
+jest.mock('../src/database/connection', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/services/events', () => ({ recordEvent: jest.fn() }));
+jest.mock('../src/services/websocket', () => ({ getIO: () => null, broadcastToAdmins: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { query } = require('../src/database/connection');
+const { alertEvents, getApplicableRules, evaluateAlerts } = require('../src/services/alerts');
+
+const device = { id: 'device-uuid', device_id: 'kiosk-01', name: 'Lobby Kiosk' };
+
+const rule = {
+    id: 'rule-temp',
+    name: 'High temperature',
+    metric: 'temperature',
+    warning_threshold: 70,
+    critical_threshold: 85,
+    hysteresis: 5,
+    group_id: null
+};
+
+/**
+ * Answer the queries of evaluateAlerts from the given rules and active alerts,
+ * returning every row written as it was sent
+ */
+function database(rules, active = []) {
+    query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM alert_rules')) {
+            return { rows: rules };
+        }
+        if (sql.includes('FROM alerts WHERE device_id')) {
+            return { rows: active };
+        }
+        if (sql.includes('INSERT INTO alerts')) {
+            return { rows: [{ id: 'alert-1', rule_id: params[0], severity: params[3], threshold: params[4], value: params[5], message: params[6] }] };
+        }
+        if (sql.includes("status = 'resolved'")) {
+            return { rows: [{ id: params[0], status: 'resolved', value: params[1] }] };
+        }
+        if (sql.includes("status = 'open'")) {
+            return { rows: [{ id: params[0], status: 'open', severity: params[1], threshold: params[2], value: params[3], message: params[4] }] };
+        }
+        return { rows: [] };
+    });
+}
+
+const changes = [];
+for (const change of ['opened', 'escalated', 'resolved']) {
+    alertEvents.on(change, alert => changes.push([change, alert]));
+}
+
+const evaluate = (value, existing, alertRule = rule) => {
+    database([alertRule], existing ? [{ id: 'alert-1', rule_id: alertRule.id, ...existing }] : []);
+    return evaluateAlerts(device, [{ metric: 'temperature', value }]);
+};
+
+beforeEach(() => {
+    query.mockReset();
+    changes.length = 0;
+});
+
+describe('evaluateAlerts', () => {
+    test('opens an alert at the severity of the highest threshold breached', async () => {
+        await evaluate(72);
+        await evaluate(90);
+
+        expect(changes.map(([change, alert]) => [change, alert.severity, alert.threshold])).toEqual([
+            ['opened', 'warning', 70],
+            ['opened', 'critical', 85]
+        ]);
+        expect(changes[0][1].message).toBe('High temperature on Lobby Kiosk: temperature is 72 (warning threshold 70)');
+    });
+
+    test('opens nothing below the warning threshold', async () => {
+        await evaluate(69);
+
+        expect(changes).toEqual([]);
+        expect(query.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+    });
+
+    test('escalates a warning to critical and reopens it', async () => {
+        await evaluate(88, { severity: 'warning', status: 'acknowledged' });
+
+        expect(changes.map(([change, alert]) => [change, alert.severity, alert.status])).toEqual([['escalated', 'critical', 'open']]);
+    });
+
+    test('never steps a critical alert back down to warning', async () => {
+        await evaluate(72, { severity: 'critical', status: 'open' });
+
+        expect(changes).toEqual([]);
+        expect(query.mock.calls.pop()[0]).toMatch(/SET value = \$2, peak_value = GREATEST/);
+    });
+
+    test('keeps the alert open until the value drops below the warning threshold minus hysteresis', async () => {
+        await evaluate(67, { severity: 'warning', status: 'open' });
+        expect(changes).toEqual([]);
+
+        await evaluate(65, { severity: 'warning', status: 'open' });
+        expect(changes).toEqual([]);
+
+        await evaluate(64.9, { severity: 'warning', status: 'open' });
+        expect(changes.map(([change, alert]) => [change, alert.value])).toEqual([['resolved', 64.9]]);
+    });
+
+    test('clears against the critical threshold when a rule has no warning threshold', async () => {
+        const criticalOnly = { ...rule, warning_threshold: null };
+
+        await evaluate(81, { severity: 'critical', status: 'open' }, criticalOnly);
+        expect(changes).toEqual([]);
+
+        await evaluate(79, { severity: 'critical', status: 'open' }, criticalOnly);
+        expect(changes.map(([change]) => change)).toEqual(['resolved']);
+    });
+
+    test('ignores rules whose metric was not reported', async () => {
+        database([rule]);
+        await evaluateAlerts(device, [{ metric: 'cpu_usage', value: 99 }]);
+
+        expect(changes).toEqual([]);
+    });
+});
+
+describe('getApplicableRules', () => {
+    test('lets a group rule replace the global rules for its metric', async () => {
+        const groupRule = { ...rule, id: 'rule-group', group_id: 'group-uuid', warning_threshold: 60 };
+        const diskRule = { ...rule, id: 'rule-disk', metric: 'disk_usage' };
+        database([rule, diskRule, groupRule]);
+
+        const rules = await getApplicableRules(device.id);
+
+        expect(rules.map(({ id }) => id)).toEqual(['rule-disk', 'rule-group']);
+    });
+});
@@ -0,0 +1,117 @@
+jest.mock('../src/database/connection', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { query } = require('../src/database/connection');
+const { canonical, createProfileResolver } = require('../src/services/config-profiles');
+
+const profile = (id, config_data, is_default = false) => ({ id, name: `Profile ${id}`, config_data, is_default });
+
+const profiles = [
+    profile('default', { display: { screen_brightness: 80, screen_rotation: 0 }, logging: { log_level: 'INFO' } }, true),
+    profile('region', { display: { screen_brightness: 70, screen_timeout: 100 } }),
+    profile('store', { display: { screen_brightness: 60 } }),
+    profile('pilot', { display: { screen_brightness: 50, screen_rotation: 90 } }),
+    profile('lobby', { display: { screen_timeout: 200 } })
+];
+
+// region > store, pilot is a dynamic group
+const groups = [
+    { id: 'region', name: 'Region', parent_id: null, config_profile_id: 'region' },
+    { id: 'store', name: 'Store', parent_id: 'region', config_profile_id: 'store' },
+    { id: 'pilot', name: 'Pilot', parent_id: null, config_profile_id: 'pilot' },
+    { id: 'plain', name: 'Plain', parent_id: null, config_profile_id: null }
+];
+
+function database({ members = [], configs = [] } = {}) {
+    query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM config_profiles')) {
+            return { rows: profiles };
+        }
+        if (sql.includes('FROM device_group_members')) {
+            return { rows: members };
+        }
+        if (sql.includes('FROM device_groups')) {
+            return { rows: groups };
+        }
+        if (sql.includes('FROM device_configs')) {
+            return { rows: configs };
+        }
+        return { rows: [] };
+    });
+}
+
+beforeEach(() => {
+    query.mockReset();
+});
+
+describe('createProfileResolver', () => {
+    test('merges default, dynamic group, static groups top down, device profile and custom settings in that order', async () => {
+        database({
+            members: [{ device_id: 'device', group_id: 'pilot' }],
+            configs: [{ device_id: 'device', profile_id: 'lobby', custom_config: { logging: { log_level: 'DEBUG' } } }]
+        });
+
+        const resolve = await createProfileResolver(['device']);
+        const resolved = resolve({ id: 'device', group_id: 'store' });
+
+        expect(resolved.config).toEqual({
+            display: { screen_brightness: 60, screen_rotation: 90, screen_timeout: 200 },
+            logging: { log_level: 'DEBUG' }
+        });
+        expect(resolved.sources).toEqual({
+            'display.screen_brightness': 'group',
+            'display.screen_rotation': 'group',
+            'display.screen_timeout': 'device',
+            'logging.log_level': 'custom'
+        });
+        expect(resolved.layers.map(layer => [layer.source, layer.profile && layer.profile.id])).toEqual([
+            ['default', 'default'],
+            ['group', 'pilot'],
+            ['group', 'region'],
+            ['group', 'store'],
+            ['device', 'lobby'],
+            ['custom', undefined]
+        ]);
+        expect(resolved.profile).toEqual({ id: 'lobby', name: 'Profile lobby' });
+    });
+
+    test('applies a group reached twice only at its last position', async () => {
+        database({ members: [{ device_id: 'device', group_id: 'pilot' }, { device_id: 'device', group_id: 'region' }] });
+
+        const resolve = await createProfileResolver();
+        const { config, layers } = resolve({ id: 'device', group_id: 'store' });
+
+        expect(layers.map(layer => layer.group && layer.group.id)).toEqual([undefined, 'pilot', 'region', 'store']);
+        expect(config.display.screen_brightness).toBe(60);
+    });
+
+    test('skips groups without a profile and falls back to the default profile alone', async () => {
+        database();
+
+        const resolve = await createProfileResolver();
+        const resolved = resolve({ id: 'device', group_id: 'plain' });
+
+        expect(resolved.config).toEqual(profiles[0].config_data);
+        expect(resolved.layers).toEqual([{ source: 'default', profile: { id: 'default', name: 'Profile default' } }]);
+        expect(resolved.profile).toBeNull();
+    });
+
+    test('only loads the settings of the given devices', async () => {
+        database();
+
+        await createProfileResolver(['device']);
+
+        const scoped = query.mock.calls.filter(([, params]) => params && params.length > 0);
+        expect(scoped.map(([sql, params]) => [sql.includes('= ANY($1)'), params])).toEqual([
+            [true, [['device']]],
+            [true, [['device']]]
+        ]);
+    });
+});
+
+describe('canonical', () => {
+    test('ignores key order but not list order', () => {
+        expect(canonical({ b: 1, a: { d: [1, 2], c: null } })).toBe(canonical({ a: { c: null, d: [1, 2] }, b: 1 }));
+        expect(canonical({ a: [1, 2] })).not.toBe(canonical({ a: [2, 1] }));
+    });
+});
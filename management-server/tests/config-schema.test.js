@@ -0,0 +1,79 @@
+const { CONFIG_SCHEMA, validateConfig, renderIni } = require('../src/services/config-schema');
+
+const paths = config => validateConfig(config).map(({ path }) => path);
+
+describe('validateConfig', () => {
+    test('accepts every default of the schema', () => {
+        const defaults = Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([section, settings]) => [
+            section,
+            Object.fromEntries(Object.entries(settings).map(([key, spec]) => [key, spec.default]))
+        ]));
+
+        expect(validateConfig(defaults)).toEqual([]);
+    });
+
+    test('rejects the server section, unknown sections and unknown settings', () => {
+        expect(validateConfig({ server: { url: 'https://example.com' } })[0].message).toMatch(/set on the device/);
+        expect(paths({ audio: {} })).toEqual(['audio']);
+        expect(paths({ display: { contrast: 50 } })).toEqual(['display.contrast']);
+        expect(paths([])).toEqual(['']);
+        expect(paths({ display: [] })).toEqual(['display']);
+    });
+
+    test('checks types, ranges and choices', () => {
+        expect(paths({
+            network: { use_dhcp: 'yes' },
+            display: { screen_brightness: 101, screen_rotation: 45, screen_width: 1920.5 }
+        })).toEqual(['network.use_dhcp', 'display.screen_brightness', 'display.screen_rotation', 'display.screen_width']);
+    });
+
+    test('checks text formats and lists item by item', () => {
+        expect(validateConfig({ network: { static_ip: '10.0.0.1', dns_servers: ['1.1.1.1'] } })).toEqual([]);
+        expect(paths({ network: { static_ip: '10.0.0.256' } })).toEqual(['network.static_ip']);
+        expect(paths({ network: { dns_servers: ['1.1.1.1', 'dns.example'] } })).toEqual(['network.dns_servers']);
+        expect(paths({ security: { allowed_ports: [22, 70000] } })).toEqual(['security.allowed_ports']);
+        expect(paths({ maintenance: { maintenance_window: '2:00-4:00' } })).toEqual(['maintenance.maintenance_window']);
+    });
+
+    test('lets settings with an empty default be cleared', () => {
+        expect(validateConfig({ network: { static_ip: '', http_proxy: '' } })).toEqual([]);
+        expect(paths({ applications: { app_directory: '' } })).toEqual(['applications.app_directory']);
+    });
+
+    test('rejects line breaks and overlong text', () => {
+        expect(validateConfig({ network: { wifi_ssid: 'lobby\n[server]' } })[0].message).toMatch(/single line/);
+        expect(paths({ network: { wifi_ssid: 'x'.repeat(33) } })).toEqual(['network.wifi_ssid']);
+    });
+
+    test('accepts % in text, it is not interpolated on the device', () => {
+        expect(validateConfig({ network: { wifi_password: '100%secure%(name)s' } })).toEqual([]);
+    });
+});
+
+describe('renderIni', () => {
+    test('writes sections and keys in schema order with agent formatting', () => {
+        const ini = renderIni({
+            display: { screen_brightness: 60, enable_touch: false },
+            network: { dns_servers: ['1.1.1.1', '8.8.8.8'], use_dhcp: true }
+        }, ['Managed by the server']);
+
+        expect(ini).toBe([
+            '# Managed by the server',
+            '',
+            '[network]',
+            'use_dhcp = true',
+            'dns_servers = 1.1.1.1,8.8.8.8',
+            '',
+            '[display]',
+            'screen_brightness = 60',
+            'enable_touch = false',
+            ''
+        ].join('\n'));
+    });
+
+    test('puts sections and keys outside the schema last', () => {
+        const ini = renderIni({ custom: { b: 1 }, logging: { extra: 'x', log_level: 'DEBUG' } });
+
+        expect(ini).toBe('[logging]\nlog_level = DEBUG\nextra = x\n\n[custom]\nb = 1\n');
+    });
+});
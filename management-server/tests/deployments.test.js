@@ -0,0 +1,157 @@
+jest.mock('../src/database/connection', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/services/websocket', () => ({ getIO: () => null, broadcastToAdmins: jest.fn() }));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/services/device-groups', () => ({
+    ...jest.requireActual('../src/services/device-groups'),
+    getDescendantIds: jest.fn(async id => [id, 'child-uuid'])
+}));
+
+const { query } = require('../src/database/connection');
+const {
+    validateTarget,
+    resolveTargetDevices,
+    applyCommandOutcome,
+    getDeploymentProgress
+} = require('../src/services/deployments');
+
+beforeEach(() => {
+    query.mockReset();
+    query.mockResolvedValue({ rows: [] });
+});
+
+describe('validateTarget', () => {
+    test('accepts device ids, a group or a filter', () => {
+        expect(validateTarget({ device_ids: ['kiosk-01'] })).toBeNull();
+        expect(validateTarget({ group_id: 'uuid' })).toBeNull();
+        expect(validateTarget({ filter: { status: 'online' } })).toBeNull();
+        expect(validateTarget({ filter: { tags: ['pilot'], labels: { floor: '2' } } })).toBeNull();
+    });
+
+    test('requires exactly one selector', () => {
+        expect(validateTarget({})).toMatch(/Exactly one/);
+        expect(validateTarget({ group_id: 'uuid', filter: { status: 'online' } })).toMatch(/Exactly one/);
+    });
+
+    test('rejects empty device lists and malformed filters', () => {
+        expect(validateTarget({ device_ids: [] })).toMatch(/non-empty array/);
+        expect(validateTarget({ device_ids: 'kiosk-01' })).toMatch(/non-empty array/);
+        expect(validateTarget({ filter: [] })).toMatch(/must be an object/);
+        expect(validateTarget({ filter: { status: 'asleep' } })).toMatch(/Invalid status/);
+        expect(validateTarget({ filter: { tags: ['Not a tag!'] } })).toMatch(/Invalid tag/);
+        expect(validateTarget({ filter: { labels: ['floor'] } })).toMatch(/Labels must be an object/);
+    });
+
+    test('refuses a filter that would target the whole fleet unless it says all: true', () => {
+        expect(validateTarget({ filter: {} })).toMatch(/at least one of/);
+        expect(validateTarget({ filter: { tags: [] } })).toMatch(/at least one of/);
+        expect(validateTarget({ filter: { labels: {}, search: '' } })).toMatch(/at least one of/);
+        expect(validateTarget({ filter: { include_descendants: true } })).toMatch(/at least one of/);
+        expect(validateTarget({ filter: { all: 'yes' } })).toMatch(/can only be true/);
+        expect(validateTarget({ filter: { all: true } })).toBeNull();
+    });
+});
+
+describe('resolveTargetDevices', () => {
+    const lastQuery = () => query.mock.calls[query.mock.calls.length - 1];
+
+    test('matches device ids against the uuid and the device_id', async () => {
+        await resolveTargetDevices({ device_ids: ['kiosk-01', 42] });
+
+        const [sql, params] = lastQuery();
+        expect(sql).toMatch(/d\.id::text = ANY\(\$1\) OR d\.device_id = ANY\(\$1\)/);
+        expect(params).toEqual([['kiosk-01', '42']]);
+    });
+
+    test('combines filter fields, with the subgroups when asked', async () => {
+        await resolveTargetDevices({
+            filter: { status: 'online', group_id: 'group-uuid', include_descendants: true, tags: ['Pilot'], labels: { floor: 2 } }
+        });
+
+        const [sql, params] = lastQuery();
+        expect(sql).toMatch(/WHERE d\.status = \$1 AND d\.id IN \(SELECT device_id FROM device_group_membership WHERE group_id = ANY\(\$2\)\) AND d\.tags @> \$3::text\[\] AND \(d\.labels @> \$4::jsonb\)/);
+        expect(params).toEqual(['online', ['group-uuid', 'child-uuid'], ['pilot'], '{"floor":"2"}']);
+    });
+
+    test('selects every device only for all: true', async () => {
+        await resolveTargetDevices({ filter: { all: true } });
+
+        const [sql, params] = lastQuery();
+        expect(sql).not.toMatch(/WHERE/);
+        expect(params).toEqual([]);
+    });
+});
+
+describe('applyCommandOutcome', () => {
+    const command = (commandType, status, extra = {}) => ({
+        id: 'command-uuid',
+        device_id: 'device-uuid',
+        command_type: commandType,
+        status,
+        payload: { application_id: 'app-uuid', name: 'kiosk-browser', version: '2.0.0' },
+        ...extra
+    });
+
+    test('marks a succeeded install installed at the command version', async () => {
+        await applyCommandOutcome(command('install_app', 'succeeded'));
+
+        const [sql, params] = query.mock.calls[0];
+        expect(sql).toMatch(/SET status = 'installed', version = \$4/);
+        expect(sql).toMatch(/status = 'installing'/);
+        expect(params).toEqual(['device-uuid', 'app-uuid', 'command-uuid', '2.0.0']);
+    });
+
+    test('deletes the assignment once an uninstall succeeded', async () => {
+        await applyCommandOutcome(command('uninstall_app', 'succeeded'));
+
+        expect(query.mock.calls[0][0]).toMatch(/DELETE FROM device_applications .* AND status = 'uninstalling'/s);
+    });
+
+    test('records why a command failed or that it was cancelled', async () => {
+        await applyCommandOutcome(command('install_app', 'failed', { error_message: 'Download failed' }));
+        await applyCommandOutcome(command('install_app', 'cancelled'));
+        await applyCommandOutcome(command('uninstall_app', 'failed'));
+
+        expect(query.mock.calls.map(([sql, params]) => [sql.includes("SET status = 'failed'"), params[3]])).toEqual([
+            [true, 'Download failed'],
+            [true, 'Command cancelled'],
+            [true, 'Command failed']
+        ]);
+    });
+
+    test('only applies to the command currently driving the assignment', async () => {
+        await applyCommandOutcome(command('install_app', 'succeeded'));
+
+        expect(query.mock.calls[0][0]).toMatch(/\(command_id = \$3 OR command_id IS NULL\)/);
+    });
+
+    test('ignores other commands and installs sent by hand', async () => {
+        await applyCommandOutcome(command('restart', 'succeeded'));
+        await applyCommandOutcome(command('install_app', 'succeeded', { payload: { name: 'kiosk-browser' } }));
+
+        expect(query).not.toHaveBeenCalled();
+    });
+});
+
+describe('getDeploymentProgress', () => {
+    const progress = async (...statuses) => {
+        query
+            .mockResolvedValueOnce({ rows: [{ id: 'deployment-uuid', application_id: 'app-uuid' }] })
+            .mockResolvedValueOnce({ rows: statuses.map(status => ({ command_status: status })) });
+        return (await getDeploymentProgress('deployment-uuid')).progress;
+    };
+
+    test('stays in progress while a command is queued or delivered', async () => {
+        expect(await progress('succeeded', 'delivered', 'failed')).toEqual({
+            total: 3, queued: 0, delivered: 1, succeeded: 1, failed: 1, cancelled: 0, state: 'in_progress'
+        });
+    });
+
+    test('completes with errors when a command failed or was cancelled', async () => {
+        expect((await progress('succeeded', 'cancelled')).state).toBe('completed_with_errors');
+        expect((await progress('succeeded', 'succeeded')).state).toBe('completed');
+    });
+
+    test('returns null for an unknown deployment', async () => {
+        expect(await getDeploymentProgress('missing')).toBeNull();
+    });
+});
@@ -0,0 +1,97 @@
+const { parseRules, matchesRules } = require('../src/services/device-group-rules');
+
+const device = {
+    device_id: 'kiosk-lobby-01',
+    name: 'Lobby Kiosk',
+    status: 'online',
+    tags: ['pilot', 'lobby'],
+    labels: { floor: '2', contract: 'acme' },
+    hardware_info: { architecture: 'arm64', memory_mb: 4096 },
+    location: null
+};
+
+const matches = rules => matchesRules(device, parseRules(rules).rules);
+
+describe('parseRules', () => {
+    test('accepts conditions nested in all, any and not', () => {
+        const rules = {
+            all: [
+                { field: 'status', op: 'eq', value: 'online' },
+                { any: [{ field: 'tags', op: 'contains', value: 'pilot' }, { field: 'labels.floor', op: 'in', value: ['1', '2'] }] },
+                { not: { field: 'hardware_info.architecture', op: 'exists', value: false } }
+            ]
+        };
+
+        expect(parseRules(rules)).toEqual({ rules });
+    });
+
+    test('rejects unknown fields and operators', () => {
+        expect(parseRules({ field: 'password', op: 'eq', value: 'x' }).error).toMatch(/Unknown field password/);
+        expect(parseRules({ field: 'labels', op: 'eq', value: 'x' }).error).toMatch(/Unknown field labels/);
+        expect(parseRules({ field: 'labels.a;b', op: 'eq', value: 'x' }).error).toMatch(/Unknown field/);
+        expect(parseRules({ field: 'name', op: 'like', value: 'x' }).error).toMatch(/Unknown operator like/);
+    });
+
+    test('checks the value against the operator', () => {
+        expect(parseRules({ field: 'name', op: 'exists', value: 'yes' }).error).toMatch(/exists takes true or false/);
+        expect(parseRules({ field: 'name', op: 'in', value: [] }).error).toMatch(/non-empty list/);
+        expect(parseRules({ field: 'name', op: 'gt', value: true }).error).toMatch(/number or a string/);
+        expect(parseRules({ field: 'name', op: 'eq', value: { a: 1 } }).error).toMatch(/string, number or boolean/);
+    });
+
+    test('rejects empty groups and rules that are not objects', () => {
+        expect(parseRules({ all: [] }).error).toMatch(/all must be a non-empty list/);
+        expect(parseRules({ any: [null] }).error).toMatch(/must be an object/);
+        expect(parseRules([]).error).toMatch(/must be an object/);
+    });
+
+    test('limits nesting and the number of conditions', () => {
+        let rules = { field: 'name', op: 'exists', value: true };
+        for (let i = 0; i < 5; i++) {
+            rules = { not: rules };
+        }
+        expect(parseRules(rules).error).toMatch(/at most 5 levels/);
+
+        const many = Array.from({ length: 51 }, () => ({ field: 'name', op: 'exists', value: true }));
+        expect(parseRules({ all: many }).error).toMatch(/at most 50 conditions/);
+    });
+});
+
+describe('matchesRules', () => {
+    test('compares columns and JSON paths', () => {
+        expect(matches({ field: 'status', op: 'eq', value: 'online' })).toBe(true);
+        expect(matches({ field: 'status', op: 'neq', value: 'online' })).toBe(false);
+        expect(matches({ field: 'labels.floor', op: 'in', value: [1, 2] })).toBe(true);
+        expect(matches({ field: 'labels.contract', op: 'not_in', value: ['acme'] })).toBe(false);
+        expect(matches({ field: 'device_id', op: 'starts_with', value: 'kiosk-' })).toBe(true);
+    });
+
+    test('contains looks into lists, objects and text', () => {
+        expect(matches({ field: 'tags', op: 'contains', value: 'pilot' })).toBe(true);
+        expect(matches({ field: 'tags', op: 'contains', value: 'beta' })).toBe(false);
+        expect(matches({ field: 'hardware_info.architecture', op: 'contains', value: '64' })).toBe(true);
+    });
+
+    test('compares numbers as numbers and other values as text', () => {
+        expect(matches({ field: 'hardware_info.memory_mb', op: 'gte', value: 4096 })).toBe(true);
+        expect(matches({ field: 'hardware_info.memory_mb', op: 'gt', value: '512' })).toBe(true);
+        expect(matches({ field: 'labels.floor', op: 'lt', value: 10 })).toBe(true);
+        expect(matches({ field: 'name', op: 'lt', value: 'Mall Kiosk' })).toBe(true);
+    });
+
+    test('fails every operator on a missing field except exists: false', () => {
+        expect(matches({ field: 'labels.region', op: 'neq', value: 'eu' })).toBe(false);
+        expect(matches({ field: 'labels.region', op: 'not_in', value: ['eu'] })).toBe(false);
+        expect(matches({ field: 'location.zone', op: 'exists', value: false })).toBe(true);
+        expect(matches({ field: 'labels.floor', op: 'exists', value: true })).toBe(true);
+    });
+
+    test('combines conditions with all, any and not', () => {
+        const online = { field: 'status', op: 'eq', value: 'online' };
+        const beta = { field: 'tags', op: 'contains', value: 'beta' };
+
+        expect(matches({ all: [online, beta] })).toBe(false);
+        expect(matches({ any: [online, beta] })).toBe(true);
+        expect(matches({ all: [online, { not: beta }] })).toBe(true);
+    });
+});
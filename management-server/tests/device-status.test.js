@@ -0,0 +1,103 @@
+jest.mock('../src/database/connection', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { query } = require('../src/database/connection');
+const { summarizeStatusTimeline, computeUptime } = require('../src/services/device-status');
+
+const at = time => new Date(`2024-06-01T${time}:00.000Z`);
+const transition = (time, status, previousStatus = null) => ({ changed_at: at(time), status, previous_status: previousStatus });
+
+describe('summarizeStatusTimeline', () => {
+    test('adds up time per status and measures availability', () => {
+        const summary = summarizeStatusTimeline('online', [
+            transition('01:00', 'offline'),
+            transition('01:30', 'online')
+        ], at('00:00'), at('02:00'));
+
+        expect(summary.durations).toEqual({ online: 5400, offline: 1800, maintenance: 0, error: 0 });
+        expect(summary.availabilityPercentage).toBe(75);
+        expect(summary.outages).toEqual([{
+            start: '2024-06-01T01:00:00.000Z',
+            end: '2024-06-01T01:30:00.000Z',
+            status: 'offline',
+            durationSeconds: 1800,
+            ongoing: false
+        }]);
+        expect(summary.mttrSeconds).toBe(1800);
+    });
+
+    test('leaves maintenance out of availability', () => {
+        const summary = summarizeStatusTimeline('online', [
+            transition('01:00', 'maintenance')
+        ], at('00:00'), at('02:00'));
+
+        expect(summary.availabilityPercentage).toBe(100);
+        expect(summary.outageCount).toBe(0);
+    });
+
+    test('treats offline followed by error as one outage', () => {
+        const summary = summarizeStatusTimeline('online', [
+            transition('00:30', 'offline'),
+            transition('00:45', 'error'),
+            transition('01:00', 'online')
+        ], at('00:00'), at('02:00'));
+
+        expect(summary.outageCount).toBe(1);
+        expect(summary.outages[0]).toMatchObject({ status: 'offline', durationSeconds: 1800 });
+    });
+
+    test('clips an outage running when the window opens and keeps one still going open', () => {
+        const summary = summarizeStatusTimeline('offline', [
+            transition('00:30', 'online'),
+            transition('01:30', 'error')
+        ], at('00:00'), at('02:00'));
+
+        expect(summary.outages.map(({ start, end, ongoing }) => ({ start, end, ongoing }))).toEqual([
+            { start: '2024-06-01T00:00:00.000Z', end: '2024-06-01T00:30:00.000Z', ongoing: false },
+            { start: '2024-06-01T01:30:00.000Z', end: null, ongoing: true }
+        ]);
+        expect(summary.mttrSeconds).toBe(1800);
+    });
+
+    test('has no availability for a window spent in maintenance', () => {
+        const summary = summarizeStatusTimeline('maintenance', [], at('00:00'), at('01:00'));
+
+        expect(summary.availabilityPercentage).toBeNull();
+        expect(summary.mttrSeconds).toBeNull();
+    });
+});
+
+describe('computeUptime', () => {
+    beforeEach(() => {
+        query.mockReset();
+    });
+
+    test('starts each device from its status at the window start, or from when it was created', async () => {
+        query
+            .mockResolvedValueOnce({
+                rows: [
+                    { id: 'a', device_id: 'kiosk-a', name: 'A', status: 'online', created_at: at('00:00') },
+                    { id: 'b', device_id: 'kiosk-b', name: 'B', status: 'online', created_at: at('01:00') }
+                ]
+            })
+            .mockResolvedValueOnce({ rows: [{ device_id: 'a', status: 'offline' }] })
+            .mockResolvedValueOnce({
+                rows: [
+                    { device_id: 'a', ...transition('00:30', 'online', 'offline') },
+                    { device_id: 'b', ...transition('01:30', 'offline', 'online') }
+                ]
+            });
+
+        const [a, b] = await computeUptime(at('00:00'), at('02:00'));
+
+        expect(a).toMatchObject({ device_id: 'kiosk-a', from: '2024-06-01T00:00:00.000Z', availabilityPercentage: 75, outageCount: 1 });
+        expect(b).toMatchObject({ device_id: 'kiosk-b', from: '2024-06-01T01:00:00.000Z', availabilityPercentage: 50 });
+        expect(b.outages[0].ongoing).toBe(true);
+    });
+
+    test('returns nothing without devices', async () => {
+        query.mockResolvedValueOnce({ rows: [] });
+
+        expect(await computeUptime(at('00:00'), at('02:00'))).toEqual([]);
+        expect(query).toHaveBeenCalledTimes(1);
+    });
+});
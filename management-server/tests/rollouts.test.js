@@ -0,0 +1,70 @@
+const { DEFAULT_WAVES, validateWaves, assignWaves } = require('../src/services/rollouts');
+
+const devices = count => Array.from({ length: count }, (_, i) => ({ id: `device-${i}` }));
+
+const waveSizes = assignments => assignments.reduce((sizes, { wave }) => {
+    sizes[wave] = (sizes[wave] || 0) + 1;
+    return sizes;
+}, []);
+
+describe('validateWaves', () => {
+    test('accepts the default waves', () => {
+        expect(validateWaves(DEFAULT_WAVES)).toBeNull();
+        expect(validateWaves([100])).toBeNull();
+    });
+
+    test('rejects waves that are empty or not percentages', () => {
+        expect(validateWaves([])).toMatch(/non-empty/);
+        expect(validateWaves('10,100')).toMatch(/non-empty/);
+        expect(validateWaves([0, 100])).toMatch(/above 0/);
+        expect(validateWaves(['50', 100])).toMatch(/above 0/);
+        expect(validateWaves([50, 150])).toMatch(/at most 100/);
+    });
+
+    test('rejects waves that do not increase or stop short of 100', () => {
+        expect(validateWaves([10, 10, 100])).toMatch(/increasing/);
+        expect(validateWaves([50, 20, 100])).toMatch(/increasing/);
+        expect(validateWaves([10, 50])).toMatch(/last wave must be 100/);
+    });
+});
+
+describe('assignWaves', () => {
+    test('cuts the order at each cumulative percentage', () => {
+        const assignments = assignWaves(devices(200), [1, 10, 50, 100], 'seed');
+
+        expect(waveSizes(assignments)).toEqual([2, 18, 80, 100]);
+        expect(assignments.map(({ rank }) => rank)).toEqual([...Array(200).keys()]);
+    });
+
+    test('puts at least one device in the first wave', () => {
+        const assignments = assignWaves(devices(3), [1, 100], 'seed');
+
+        expect(waveSizes(assignments)).toEqual([1, 2]);
+    });
+
+    test('gives the same waves for the same seed, whatever the input order', () => {
+        const first = assignWaves(devices(50), DEFAULT_WAVES, 'seed');
+        const second = assignWaves(devices(50).reverse(), DEFAULT_WAVES, 'seed');
+
+        expect(second.map(({ device, wave }) => [device.id, wave]))
+            .toEqual(first.map(({ device, wave }) => [device.id, wave]));
+    });
+
+    test('keeps the relative order of devices when others are added', () => {
+        const order = assignments => assignments.map(({ device }) => device.id);
+        const few = order(assignWaves(devices(20), DEFAULT_WAVES, 'seed'));
+        const many = order(assignWaves(devices(40), DEFAULT_WAVES, 'seed'));
+
+        expect(many.filter(id => few.includes(id))).toEqual(few);
+    });
+
+    test('orders devices differently for another seed', () => {
+        const order = seed => assignWaves(devices(50), DEFAULT_WAVES, seed).map(({ device }) => device.id);
+
+        expect(order('other')).not.toEqual(order('seed'));
+    });
+
+    test('returns no assignments without devices', () => {
+        expect(assignWaves([], DEFAULT_WAVES, 'seed')).toEqual([]);
+    });
+});